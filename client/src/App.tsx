@@ -18,11 +18,16 @@ import {
   Wand2,
   Building2,
   Bug,
+  XCircle,
 } from "lucide-react";
 import {
   ResponsiveContainer,
   BarChart,
   Bar,
+  LineChart,
+  Line,
+  ScatterChart,
+  Scatter,
   CartesianGrid,
   XAxis,
   YAxis,
@@ -30,20 +35,53 @@ import {
   Legend,
   ReferenceLine,
 } from "recharts";
+import { API, downloadFile, fetchJson, toCSV, saveBlob, saveCSV } from "./api";
+import { Badge, subtleShadow } from "./ui";
+import ForecastTab from "./ForecastTab";
+import OrdersTab from "./OrdersTab";
+import TaxonomyEditor from "./TaxonomyEditor";
+import NhaReport from "./NhaReport";
+import RulesPanel from "./RulesPanel";
+import ReviewQueue from "./ReviewQueue";
+import LoadsPanel from "./LoadsPanel";
+import SnapshotsPanel from "./SnapshotsPanel";
+import MappingPanel from "./MappingPanel";
+import QualityPanel from "./QualityPanel";
+import TermsPanel from "./TermsPanel";
+import ProfileExplorer from "./ProfileExplorer";
+import ProfileDrilldown, { type DrillTarget } from "./ProfileDrilldown";
+import UploadPreview, { type UploadResult } from "./UploadPreview";
 
 /**
  * Procure Chat — Frontend (complet)
  * - Onglets Chat / Catalogue
- * - Upload Excel + Schéma
- * - Chat analytique (LLM => SQL)
+ * - Upload Excel / CSV (aperçu : feuilles, ligne d'en-tête) + Schéma
+ * - Chat analytique (LLM => SQL => résumé en français, en flux SSE)
  * - Catalogue: build, sélection Cat/SC/Fournisseur
- * - Profil: bar chart + quartiles + panneau debug
+ * - Profil: bar chart + quartiles + panneau debug ; mode normalisé : courbe moyenne P10/P50/P90 + motif
  * - Export/Import JSON du catalogue
+ * - Prévisions de cash-out (onglet dédié, cf. ForecastTab)
  */
 
-const API = (import.meta as any).env?.VITE_API_URL || "http://localhost:8787";
-
-type ChatItem = { role: "user" | "assistant"; content: string };
+// Réponse assistant construite au fil du flux /chat/stream : essais corrigés, SQL, puis lignes, puis résumé
+type SqlAttempt = { attempt: number; sql: string; stage: "validate" | "run"; code?: string; error: string };
+type ChatItem = {
+  role: "user" | "assistant";
+  content: string;
+  attempts?: SqlAttempt[];
+  sql?: string;
+  rowCount?: number;
+  truncated?: boolean;
+  error?: string;
+  streaming?: boolean;
+};
+type ChatEvent =
+  | ({ type: "attempt" } & SqlAttempt)
+  | { type: "sql"; sql: string; queryId: string }
+  | { type: "rows"; rows: Row[]; rowCount: number; truncated: boolean }
+  | { type: "summary"; delta: string }
+  | { type: "done" }
+  | { type: "error"; stage: string; error: string; code?: string; attempts?: SqlAttempt[] };
 type Row = Record<string, any>;
 type Health = { ok?: boolean; model?: string };
 type TaxoNode = { category: string; subcategories: string[] };
@@ -54,10 +92,38 @@ type CatalogSummary = {
   byCategory: Record<string, string[]>;
   bySubcategorySupplier: Record<string, string[]>;
   counts?: Record<string, number>;
+  taxonomySource?: TaxonomySource;
+};
+
+type TaxonomySource = "llm" | "nha";
+
+type JobEvent = {
+  seq: number;
+  at: string;
+  type: string;
+  message?: string;
+  error?: string;
+  progress?: { phase?: string; batch?: number; batches?: number; classified?: number; total?: number };
+};
+type BuildJob = {
+  id: string;
+  status: "running" | "done" | "error" | "cancelled";
+  progress: JobEvent["progress"] | null;
+  error?: string | null;
 };
 
+// "net" : avoirs imputés sur les paiements annulés ; "gross" : paiements tels que décaissés
+type ProfileFlow = "net" | "gross";
+// "amount" : montants cumulés ; "normalized" : moyenne des parts par ligne (à poids égal ou au montant)
+type ProfileMode = "amount" | "normalized";
+type ProfileWeighting = "equal" | "amount";
+// Vue du profil : répartition par délai (barres / bandes), courbe cumulée en S, nuage des paiements
+type ProfileView = "distribution" | "cumulative" | "scatter";
+type ProfilePattern = { type: string; label: string; lines: number; share: number };
 type ProfileResp = {
-  points: { delay_days: number; montant: number; payment_date: string; order_no: string; line_no: string }[];
+  flow?: ProfileFlow;
+  mode?: ProfileMode;
+  points: { delay_days: number; montant: number; payment_date: string; order_no: string; line_no: string; match_method?: string | null; kind?: "payment" | "credit_note"; invoice_no?: string | null }[];
   series: { delay_days: number; montant_total: number }[];
   cumulative: { delay_days: number; cum_amount: number; share: number }[];
   stats: { n_payments: number; total: number; median_delay: number; p25: number; p75: number };
@@ -67,31 +133,19 @@ type ProfileResp = {
     totalPaymentsWithDelay: number;
     sampleSeriesHead: { delay_days: number; montant_total: number }[];
   };
+  normalized?: {
+    weighting: ProfileWeighting;
+    lines: number;
+    curve: { delay_days: number; share: number; p10: number; p50: number; p90: number }[];
+    installments: { median: number; mean: number; distribution: { count: number; lines: number }[] };
+    pattern: ProfilePattern | null;
+    patterns: ProfilePattern[];
+  };
 };
 
-function Badge({ color = "#e5e7eb", text }: { color?: string; text: string }) {
-  return (
-    <span
-      style={{
-        display: "inline-flex",
-        alignItems: "center",
-        gap: 6,
-        fontSize: 12,
-        padding: "4px 8px",
-        borderRadius: 999,
-        background: color,
-        color: "#111827",
-        fontWeight: 600,
-      }}
-    >
-      {text}
-    </span>
-  );
-}
+const fmtPct = (v: number) => `${Math.round(v * 100)} %`;
 
-function subtleShadow(alpha = 0.08) {
-  return `0 1px 2px rgba(0,0,0,${alpha}), 0 8px 24px rgba(0,0,0,${alpha})`;
-}
+const UPLOAD_EXT = /\.(xlsx|xlsm|xls|csv|tsv|txt)$/i;
 
 export default function App() {
   // Health + schema
@@ -99,27 +153,38 @@ export default function App() {
   const [schema, setSchema] = useState<any>({});
 
   // Tabs
-  const [tab, setTab] = useState<"chat" | "catalog">("chat");
+  const [tab, setTab] = useState<"chat" | "catalog" | "orders" | "forecast">("chat");
 
   // Chat state
   const [messages, setMessages] = useState<ChatItem[]>([]);
   const [input, setInput] = useState("");
   const [rows, setRows] = useState<Row[] | null>(null);
   const [lastSQL, setLastSQL] = useState<string>("");
+  const [lastQueryId, setLastQueryId] = useState<string>("");
   const [loadingChat, setLoadingChat] = useState(false);
 
   // Upload state
   const [isDragging, setIsDragging] = useState(false);
   const [uploads, setUploads] = useState<{ name: string; status: "idle" | "ok" | "err"; msg?: string }[]>([]);
+  const [pendingFiles, setPendingFiles] = useState<File[]>([]);
   const fileRef = useRef<HTMLInputElement>(null);
 
   // Catalog state
   const [building, setBuilding] = useState(false);
+  const [buildJob, setBuildJob] = useState<BuildJob | null>(null);
+  const [buildLog, setBuildLog] = useState<JobEvent[]>([]);
+  const buildStream = useRef<EventSource | null>(null);
+  const [taxonomySource, setTaxonomySource] = useState<TaxonomySource>("llm");
   const [summary, setSummary] = useState<CatalogSummary | null>(null);
   const [cat, setCat] = useState<string>("");
   const [sub, setSub] = useState<string>("");
   const [sup, setSup] = useState<string>("");
   const [profile, setProfile] = useState<ProfileResp | null>(null);
+  const [flow, setFlow] = useState<ProfileFlow>("net");
+  const [profileMode, setProfileMode] = useState<ProfileMode>("amount");
+  const [weighting, setWeighting] = useState<ProfileWeighting>("equal");
+  const [profileView, setProfileView] = useState<ProfileView>("distribution");
+  const [drill, setDrill] = useState<DrillTarget | null>(null);
 
   // Import JSON ref (⚠️ une seule déclaration)
   const jsonRef = useRef<HTMLInputElement>(null);
@@ -143,34 +208,71 @@ export default function App() {
     getHealth();
     refreshSchema();
     fetchSummary();
+    resumeRunningBuild();
+    return () => buildStream.current?.close();
   }, []);
 
   // ----------------- CHAT -----------------
+  // Flux SSE sur POST (/chat/stream) : lu via fetch + ReadableStream (EventSource ne fait que du GET)
   async function onSend() {
     if (!input.trim() || loadingChat) return;
     const question = input.trim();
     setInput("");
     setLoadingChat(true);
-    const newMessages = [...messages, { role: "user" as const, content: question }];
-    setMessages(newMessages);
+    // l'historique envoyé au LLM ne garde que le texte des échanges
+    const history = messages.map((m) => ({ role: m.role, content: m.content }));
+    setMessages((m) => [...m, { role: "user", content: question }, { role: "assistant", content: "", streaming: true }]);
+    const patchLast = (patch: (a: ChatItem) => Partial<ChatItem>) =>
+      setMessages((m) => m.map((x, i) => (i === m.length - 1 ? { ...x, ...patch(x) } : x)));
+
+    const onEvent = (evt: ChatEvent) => {
+      if (evt.type === "attempt") {
+        const { type: _t, ...a } = evt;
+        patchLast((x) => ({ attempts: [...(x.attempts || []), a] }));
+      } else if (evt.type === "sql") {
+        setLastSQL(evt.sql || "");
+        setLastQueryId(evt.queryId || "");
+        setRows(null);
+        patchLast(() => ({ sql: evt.sql }));
+      } else if (evt.type === "rows") {
+        setRows(evt.rows || null);
+        patchLast(() => ({ rowCount: evt.rowCount, truncated: evt.truncated }));
+      } else if (evt.type === "summary") {
+        patchLast((a) => ({ content: a.content + evt.delta }));
+      } else if (evt.type === "error") {
+        patchLast(() => ({ error: `${evt.stage === "summary" ? "Résumé indisponible" : "Erreur"}${evt.code ? ` [${evt.code}]` : ""}: ${evt.error}` }));
+      }
+    };
 
     try {
-      const r = await fetch(`${API}/chat`, {
+      const r = await fetch(`${API}/chat/stream`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: question, history: messages }),
+        headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+        body: JSON.stringify({ message: question, history }),
       });
-      const j = await r.json();
-      if (j.error) throw new Error(j.error);
-      setLastSQL(j.sql || "");
-      setRows(j.rows || null);
-      setMessages((m) => [
-        ...m,
-        { role: "assistant", content: j.sql ? `SQL exécuté:\n${j.sql}` : "Requête exécutée." },
-      ]);
+      if (!r.ok || !r.body) {
+        const j = await r.json().catch(() => ({}));
+        throw new Error(j.error || `HTTP ${r.status}`);
+      }
+      const reader = r.body.getReader();
+      const decoder = new TextDecoder();
+      let buf = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+        let sep: number;
+        while ((sep = buf.indexOf("\n\n")) >= 0) {
+          const chunk = buf.slice(0, sep);
+          buf = buf.slice(sep + 2);
+          const data = chunk.split("\n").filter((l) => l.startsWith("data:")).map((l) => l.slice(5).trim()).join("\n");
+          if (data) onEvent(JSON.parse(data) as ChatEvent);
+        }
+      }
     } catch (e: any) {
-      setMessages((m) => [...m, { role: "assistant", content: `Erreur: ${e?.message || e}` }]);
+      patchLast(() => ({ error: `Erreur: ${e?.message || e}` }));
     } finally {
+      patchLast(() => ({ streaming: false }));
       setLoadingChat(false);
     }
   }
@@ -179,48 +281,31 @@ export default function App() {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
-    const files = Array.from(e.dataTransfer.files || []).filter((f) => /\.xlsx?$/i.test(f.name));
-    if (files.length) handleUpload(files);
+    const files = Array.from(e.dataTransfer.files || []).filter((f) => UPLOAD_EXT.test(f.name));
+    if (files.length) setPendingFiles((p) => [...p, ...files]);
   }
   function onFilesPicked(e: React.ChangeEvent<HTMLInputElement>) {
     const files = Array.from(e.target.files || []);
-    if (files.length) handleUpload(files);
+    if (files.length) setPendingFiles((p) => [...p, ...files]);
     if (fileRef.current) fileRef.current.value = "";
   }
 
-  async function handleUpload(files: File[]) {
-    setUploads((u) => [...u, ...files.map((f) => ({ name: f.name, status: "idle" as const }))]);
-
-    for (const file of files) {
-      const fd = new FormData();
-      fd.append("file", file);
-      fd.append("table", file.name.replace(/\.xlsx?$/i, ""));
-      try {
-        const r = await fetch(`${API}/upload`, { method: "POST", body: fd });
-        const j = await r.json();
-        if (j.error) throw new Error(j.error);
-        setUploads((u) =>
-          u.map((it) => (it.name === file.name ? { ...it, status: "ok", msg: `Table ${j.table} (${j.columns?.length || 0} colonnes)` } : it))
-        );
-      } catch (e: any) {
-        setUploads((u) => u.map((it) => (it.name === file.name ? { ...it, status: "err", msg: e?.message || String(e) } : it)));
-      }
-    }
-
+  // Import confirmé depuis l'aperçu (UploadPreview) : une ou plusieurs tables écrites
+  async function onImported(file: File, j: UploadResult) {
+    const tables = j.tables?.length ? j.tables : [j];
+    const fmt = (n: number) => n.toLocaleString("fr-FR");
+    const msg =
+      tables
+        .map((t) => `Table ${t.table} (${t.columns?.length || 0} colonnes, ${fmt(t.rows ?? 0)} lignes${t.replaced ? `, ${fmt(t.replaced)} remplacées` : ""})`)
+        .join(", ") +
+      (j.throughput ? ` — ${fmt(j.throughput.rowsPerSec)} lignes/s` : "");
+    setUploads((u) => [...u, { name: file.name, status: "ok", msg }]);
+    setPendingFiles((p) => p.filter((f) => f !== file));
     await refreshSchema();
     await fetchSummary();
   }
 
-  const csv = useMemo(() => {
-    if (!rows || !rows.length) return "";
-    const headers = Object.keys(rows[0]);
-    const esc = (v: any) => {
-      const s = String(v ?? "");
-      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
-    };
-    const body = rows.map((r) => headers.map((h) => esc(r[h])).join(",")).join("\n");
-    return `${headers.join(",")}\n${body}`;
-  }, [rows]);
+  const csv = useMemo(() => toCSV(rows || []), [rows]);
 
   function copyCSV() {
     if (!csv) return;
@@ -229,36 +314,86 @@ export default function App() {
 
   function downloadCSV() {
     if (!csv) return;
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "resultats.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+    saveCSV(csv, "resultats.csv");
+  }
+
+  // Export Excel : résultats complets (la requête de la réponse, gardée par le serveur, y est rejouée)
+  async function downloadXLSX() {
+    if (!lastQueryId) return;
+    try {
+      await downloadFile("/chat/export.xlsx", "resultats.xlsx", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ queryId: lastQueryId }),
+      });
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    }
   }
 
   // ----------------- CATALOGUE -----------------
-  async function buildCatalog() {
+  // Le build tourne en tâche de fond : on suit sa progression via SSE (/jobs/:id/events)
+  async function buildCatalog(mode: "full" | "incremental" = "full") {
+    try {
+      const j = await fetchJson(`/catalog/build?mode=${mode}&taxonomy=${taxonomySource}`, "POST");
+      followBuild(j.job);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    }
+  }
+
+  function followBuild(job: BuildJob) {
+    buildStream.current?.close();
     setBuilding(true);
+    setBuildJob(job);
+    setBuildLog([]);
+
+    const es = new EventSource(`${API}/jobs/${job.id}/events`);
+    buildStream.current = es;
+    es.onmessage = (msg) => {
+      const evt: JobEvent = JSON.parse(msg.data);
+      setBuildLog((l) => [...l, evt]);
+      if (evt.progress) setBuildJob((b) => (b ? { ...b, progress: { ...b.progress, ...evt.progress } } : b));
+      if (evt.type === "done" || evt.type === "error" || evt.type === "cancelled") {
+        es.close();
+        setBuilding(false);
+        setBuildJob((b) => (b ? { ...b, status: evt.type as BuildJob["status"], error: evt.error } : b));
+        if (evt.type === "done") fetchSummary();
+      }
+    };
+    es.onerror = () => {
+      // flux coupé (serveur redémarré…) : on relit l'état final
+      if (es.readyState === EventSource.CLOSED) {
+        setBuilding(false);
+        fetch(`${API}/jobs/${job.id}`).then((r) => r.json()).then((j) => { if (!j.error) setBuildJob(j); }).catch(() => {});
+      }
+    };
+  }
+
+  async function cancelBuild() {
+    if (!buildJob) return;
     try {
-      const r = await fetch(`${API}/catalog/build`, { method: "POST" });
-      const j = await r.json();
-      if (j.error) throw new Error(j.error);
-      await fetchSummary();
+      await fetch(`${API}/jobs/${buildJob.id}/cancel`, { method: "POST" });
     } catch (e: any) {
       alert(e?.message || String(e));
-    } finally {
-      setBuilding(false);
+    }
+  }
+
+  async function resumeRunningBuild() {
+    try {
+      const r = await fetch(`${API}/jobs?type=catalog-build&status=running`);
+      const j = await r.json();
+      if (j.jobs?.length) followBuild(j.jobs[0]);
+    } catch {
+      // backend indisponible : ignorer
     }
   }
 
   async function fetchSummary() {
     try {
-      const r = await fetch(`${API}/catalog/summary`);
-      const j: CatalogSummary = await r.json();
-      if ((j as any).error) throw new Error((j as any).error);
+      const j = await fetchJson<CatalogSummary>(`/catalog/summary`);
       setSummary(j);
+      if (j.taxonomySource) setTaxonomySource(j.taxonomySource);
       // reset selections si obsolètes
       if (j && cat && !(j.byCategory[cat]?.length)) {
         setCat(""); setSub(""); setSup("");
@@ -270,7 +405,7 @@ export default function App() {
 
   async function fetchProfile() {
     if (!sub || !sup) return;
-    const q = new URLSearchParams({ subcategory: sub, supplier: sup });
+    const q = new URLSearchParams({ subcategory: sub, supplier: sup, flow, mode: profileMode, weighting });
     const r = await fetch(`${API}/catalog/profile?${q.toString()}`);
     const j: any = await r.json();
     if (j.error) { alert(j.error); return; }
@@ -292,7 +427,13 @@ export default function App() {
   useEffect(() => {
     if (sub && sup) fetchProfile();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [sub, sup]);
+  }, [sub, sup, flow, profileMode, weighting]);
+  useEffect(() => setDrill(null), [sub, sup, flow]);
+
+  // Clic sur une barre / un point de courbe : paiements à ce délai
+  const drillDelay = (s: any) => {
+    if (s?.activeLabel != null && s.activeLabel !== "") setDrill({ delay: Number(s.activeLabel) });
+  };
 
   const subcats = useMemo(() => (cat && summary ? summary.byCategory[cat] || [] : []), [cat, summary]);
   const suppliers = useMemo(() => (sub && summary ? summary.bySubcategorySupplier[sub] || [] : []), [sub, summary]);
@@ -300,16 +441,19 @@ export default function App() {
   // Export / Import JSON du catalogue (⚠️ jsonRef déjà déclaré plus haut)
   async function exportCatalogJSON() {
     try {
-      const r = await fetch(`${API}/catalog/export`);
-      const j = await r.json();
-      if (j.error) throw new Error(j.error);
-      const blob = new Blob([JSON.stringify(j, null, 2)], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "catalogue.json";
-      a.click();
-      URL.revokeObjectURL(url);
+      const j = await fetchJson(`/catalog/export`);
+      saveBlob(new Blob([JSON.stringify(j, null, 2)], { type: "application/json" }), "catalogue.json");
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    }
+  }
+
+  // Export Excel : taxonomie, profils et classement des lignes (sections = sous-ensemble)
+  async function exportCatalogXLSX(sections?: string) {
+    const q = new URLSearchParams({ flow });
+    if (sections) q.set("sections", sections);
+    try {
+      await downloadFile(`/catalog/export.xlsx?${q.toString()}`, "catalogue.xlsx");
     } catch (e: any) {
       alert(e?.message || String(e));
     }
@@ -319,13 +463,7 @@ export default function App() {
     try {
       const text = await file.text();
       const payload = JSON.parse(text);
-      const r = await fetch(`${API}/catalog/import`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      const j = await r.json();
-      if (j.error) throw new Error(j.error);
+      const j = await fetchJson(`/catalog/import`, "POST", payload);
       await fetchSummary();
       if (sub && sup) await fetchProfile();
       alert("Catalogue importé.");
@@ -355,6 +493,8 @@ export default function App() {
           <nav style={{ marginLeft: 24, display: "flex", gap: 8 }}>
             <button onClick={() => setTab("chat")} style={{ padding: "8px 10px", borderRadius: 10, border: 0, background: tab === "chat" ? "#111827" : "transparent", color: tab === "chat" ? "#fff" : "#111827", cursor: "pointer" }}>Chat</button>
             <button onClick={() => setTab("catalog")} style={{ padding: "8px 10px", borderRadius: 10, border: 0, background: tab === "catalog" ? "#111827" : "transparent", color: tab === "catalog" ? "#fff" : "#111827", cursor: "pointer" }}>Catalogue</button>
+            <button onClick={() => setTab("orders")} style={{ padding: "8px 10px", borderRadius: 10, border: 0, background: tab === "orders" ? "#111827" : "transparent", color: tab === "orders" ? "#fff" : "#111827", cursor: "pointer" }}>Commandes</button>
+            <button onClick={() => setTab("forecast")} style={{ padding: "8px 10px", borderRadius: 10, border: 0, background: tab === "forecast" ? "#111827" : "transparent", color: tab === "forecast" ? "#fff" : "#111827", cursor: "pointer" }}>Prévisions</button>
           </nav>
           <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 10 }}>
             <Badge color={health?.ok ? "#dcfce7" : "#fee2e2"} text={health?.ok ? "Backend OK" : "Backend KO"} />
@@ -383,8 +523,8 @@ export default function App() {
                 <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8 }}>
                   <UploadCloud />
                   <div>
-                    <div style={{ fontWeight: 700 }}>Importer vos Excel</div>
-                    <div style={{ fontSize: 13, color: "#475569" }}>Glissez-déposez ou choisissez des fichiers *.xlsx (Achats, Commandes, Décaissements)</div>
+                    <div style={{ fontWeight: 700 }}>Importer vos Excel / CSV</div>
+                    <div style={{ fontSize: 13, color: "#475569" }}>Glissez-déposez ou choisissez des fichiers *.xlsx, *.csv, *.tsv (Achats, Commandes, Décaissements) — aperçu avant import</div>
                   </div>
                 </div>
                 <div style={{ display: "flex", gap: 8 }}>
@@ -394,8 +534,16 @@ export default function App() {
                   <button onClick={refreshSchema} title="Rafraîchir schéma" style={{ display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "10px 14px", cursor: "pointer" }}>
                     <RefreshCw size={16} /> Schéma
                   </button>
-                  <input ref={fileRef} type="file" accept=".xlsx" multiple onChange={onFilesPicked} style={{ display: "none" }} />
+                  <input ref={fileRef} type="file" accept=".xlsx,.xls,.csv,.tsv,.txt" multiple onChange={onFilesPicked} style={{ display: "none" }} />
                 </div>
+                {pendingFiles.map((f) => (
+                  <UploadPreview
+                    key={`${f.name}-${f.lastModified}-${f.size}`}
+                    file={f}
+                    onImported={(j) => onImported(f, j)}
+                    onCancel={() => setPendingFiles((p) => p.filter((x) => x !== f))}
+                  />
+                ))}
                 {!!uploads.length && (
                   <div style={{ marginTop: 14, display: "grid", gap: 8 }}>
                     {uploads.map((u, i) => (
@@ -426,6 +574,8 @@ export default function App() {
               </div>
             </section>
 
+            <LoadsPanel refreshKey={uploads.length} onChanged={async () => { await refreshSchema(); await fetchSummary(); }} />
+
             {/* CHAT */}
             <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
               <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 10 }}>
@@ -437,14 +587,37 @@ export default function App() {
                 {messages.map((m, i) => (
                   <div key={i} style={{ background: m.role === "user" ? "#eff6ff" : "#f8fafc", border: "1px solid #e2e8f0", padding: 12, borderRadius: 12 }}>
                     <div style={{ fontSize: 12, fontWeight: 700, opacity: 0.7, marginBottom: 4 }}>{m.role.toUpperCase()}</div>
-                    <div style={{ whiteSpace: "pre-wrap" }}>{m.content}</div>
+                    {!!m.attempts?.length && (
+                      <details style={{ marginBottom: 6, fontSize: 12 }}>
+                        <summary style={{ cursor: "pointer", color: "#92400e" }}>Corrections automatiques ({m.attempts.length})</summary>
+                        {m.attempts.map((a) => (
+                          <div key={a.attempt} style={{ marginTop: 6 }}>
+                            <div style={{ color: "#b45309" }}>
+                              Essai {a.attempt} · {a.stage === "validate" ? "refusé au contrôle" : "erreur DuckDB"}{a.code ? ` [${a.code}]` : ""} : {a.error}
+                            </div>
+                            <pre style={{ whiteSpace: "pre-wrap", margin: "4px 0 0", background: "#1f2937", color: "#fde68a", padding: 8, borderRadius: 8, overflow: "auto" }}>{a.sql}</pre>
+                          </div>
+                        ))}
+                      </details>
+                    )}
+                    {m.sql && (
+                      <details style={{ marginBottom: 6, fontSize: 12 }}>
+                        <summary style={{ cursor: "pointer", color: "#475569" }}>
+                          Requête SQL{m.rowCount != null ? ` · ${m.rowCount} ligne(s)${m.truncated ? " (affichage tronqué)" : ""}` : ""}
+                        </summary>
+                        <pre style={{ whiteSpace: "pre-wrap", margin: "6px 0 0", background: "#0b1220", color: "#e2e8f0", padding: 8, borderRadius: 8, overflow: "auto" }}>{m.sql}</pre>
+                      </details>
+                    )}
+                    {m.content && <div style={{ whiteSpace: "pre-wrap" }}>{m.content}</div>}
+                    {m.error && <div style={{ color: "#b91c1c", whiteSpace: "pre-wrap" }}>{m.error}</div>}
+                    {m.streaming && (
+                      <div style={{ display: "flex", alignItems: "center", gap: 8, color: "#475569", fontSize: 13 }}>
+                        <Loader2 className="spin" size={14} />
+                        {!m.sql ? (m.attempts?.length ? `Correction de la requête (essai ${m.attempts.length + 1})…` : "Génération de la requête…") : m.rowCount == null ? "Exécution…" : "Rédaction du résumé…"}
+                      </div>
+                    )}
                   </div>
                 ))}
-                {loadingChat && (
-                  <div style={{ display: "flex", alignItems: "center", gap: 8, color: "#475569" }}>
-                    <Loader2 className="spin" size={16} /> Génération de la requête…
-                  </div>
-                )}
               </div>
 
               <div style={{ display: "flex", gap: 8 }}>
@@ -507,6 +680,9 @@ export default function App() {
                       <button onClick={downloadCSV} title="Télécharger CSV" style={{ background: "#e5e7eb", border: 0, borderRadius: 10, padding: "8px 10px", cursor: "pointer" }}>
                         <Download size={16} />
                       </button>
+                      <button onClick={downloadXLSX} title="Télécharger Excel (résultats complets)" style={{ background: "#e5e7eb", border: 0, borderRadius: 10, padding: "8px 10px", cursor: "pointer" }}>
+                        <FileSpreadsheet size={16} />
+                      </button>
                     </div>
                   </div>
 
@@ -538,18 +714,37 @@ export default function App() {
 
         {tab === "catalog" && (
           <>
+            {/* MAPPING */}
+            <MappingPanel />
+
             {/* BUILD */}
             <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
               <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
                 <FolderTree />
                 <div style={{ fontWeight: 700 }}>Catalogue de catégories</div>
                 <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
-                  <button onClick={buildCatalog} disabled={building} style={{ display: "inline-flex", alignItems: "center", gap: 8, background: building ? "#94a3b8" : "#111827", color: "#fff", border: 0, borderRadius: 10, padding: "10px 14px", cursor: building ? "not-allowed" : "pointer" }}>
-                    <Wand2 size={16} /> {building ? "Construction…" : "Construire / Mettre à jour"}
+                  <select
+                    value={taxonomySource}
+                    onChange={(e) => setTaxonomySource(e.target.value as TaxonomySource)}
+                    disabled={building}
+                    title="Familles NHA : catégories imposées par la nomenclature achats, le LLM n'affine que les sous-catégories"
+                    style={{ padding: "8px 10px", border: "1px solid #e5e7eb", borderRadius: 10 }}
+                  >
+                    <option value="llm">Taxonomie libre (LLM)</option>
+                    <option value="nha">Familles NHA</option>
+                  </select>
+                  <button onClick={() => buildCatalog("full")} disabled={building} style={{ display: "inline-flex", alignItems: "center", gap: 8, background: building ? "#94a3b8" : "#111827", color: "#fff", border: 0, borderRadius: 10, padding: "10px 14px", cursor: building ? "not-allowed" : "pointer" }}>
+                    <Wand2 size={16} /> {building ? "Construction…" : "Reconstruire"}
+                  </button>
+                  <button onClick={() => buildCatalog("incremental")} disabled={building} title="Ne classifie que les lignes nouvelles ou modifiées" style={{ display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "10px 14px", cursor: building ? "not-allowed" : "pointer" }}>
+                    <RefreshCw size={16} /> Mise à jour incrémentale
                   </button>
                   <button onClick={exportCatalogJSON} style={{ display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "10px 14px", cursor: "pointer" }}>
                     <Download size={16} /> Exporter le catalogue
                   </button>
+                  <button onClick={() => exportCatalogXLSX()} style={{ display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "10px 14px", cursor: "pointer" }}>
+                    <FileSpreadsheet size={16} /> Exporter en Excel
+                  </button>
                   <button onClick={() => jsonRef.current?.click()} style={{ display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "10px 14px", cursor: "pointer" }}>
                     <UploadCloud size={16} /> Importer le catalogue
                   </button>
@@ -566,6 +761,47 @@ export default function App() {
                   />
                 </div>
               </div>
+              {buildJob && (
+                <div style={{ marginTop: 12, display: "grid", gap: 8 }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 13, color: "#334155" }}>
+                    <Badge
+                      color={{ running: "#dbeafe", done: "#dcfce7", error: "#fee2e2", cancelled: "#fef9c3" }[buildJob.status]}
+                      text={{ running: "En cours", done: "Terminé", error: "Erreur", cancelled: "Annulé" }[buildJob.status]}
+                    />
+                    {buildJob.progress?.batches ? (
+                      <span>Lot <b>{buildJob.progress.batch || 0}/{buildJob.progress.batches}</b> · {buildJob.progress.classified || 0}/{buildJob.progress.total || 0} lignes classées</span>
+                    ) : null}
+                    {buildJob.progress?.phase === "payments" && <span>Rapprochement des décaissements…</span>}
+                    {buildJob.status === "error" && <span style={{ color: "#b91c1c" }}>{buildJob.error}</span>}
+                    {buildJob.status === "cancelled" && <span>Mapping partiel conservé : relancez en incrémental pour compléter.</span>}
+                    {buildJob.status === "running" && (
+                      <button onClick={cancelBuild} style={{ marginLeft: "auto", display: "inline-flex", alignItems: "center", gap: 6, background: "#fee2e2", color: "#991b1b", border: 0, borderRadius: 10, padding: "6px 10px", cursor: "pointer" }}>
+                        <XCircle size={14} /> Annuler
+                      </button>
+                    )}
+                  </div>
+                  <div style={{ height: 8, background: "#e5e7eb", borderRadius: 999, overflow: "hidden" }}>
+                    <div
+                      style={{
+                        height: "100%",
+                        width: `${buildJob.status === "done" ? 100 : Math.round(100 * (buildJob.progress?.batch || 0) / Math.max(1, buildJob.progress?.batches || 1) * 0.9)}%`,
+                        background: buildJob.status === "error" ? "#dc2626" : "#2563eb",
+                        transition: "width .3s ease",
+                      }}
+                    />
+                  </div>
+                  {!!buildLog.length && (
+                    <div style={{ maxHeight: 160, overflow: "auto", background: "#0b1220", color: "#e2e8f0", borderRadius: 12, padding: 10, fontSize: 12, fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}>
+                      {buildLog.map((e) => (
+                        <div key={e.seq}>
+                          <span style={{ color: "#64748b" }}>{new Date(e.at).toLocaleTimeString()}</span> [{e.type}] {e.message || e.error || ""}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div style={{ marginTop: 10, fontSize: 13, color: "#475569" }}>
                 Le LLM analyse l'historique Achats (type ligne, description commande, description ligne), crée une hiérarchie catégories → sous-catégories, et associe les lignes. Les profils de décaissement sont ensuite calculés par sous-catégorie × fournisseur à partir des Décaissements (liens par N° commande et N° ligne commande).
               </div>
@@ -627,10 +863,69 @@ export default function App() {
               </div>
             </section>
 
+            {/* CURATION */}
+            {summary && <TaxonomyEditor taxonomy={summary.taxonomy} counts={summary.counts} onChanged={fetchSummary} />}
+            {!!summary?.taxonomy.length && <ReviewQueue taxonomy={summary.taxonomy} onChanged={fetchSummary} />}
+            {!!summary?.taxonomy.length && <NhaReport />}
+            <QualityPanel refreshKey={summary} />
+            <TermsPanel refreshKey={summary} />
+            <RulesPanel taxonomy={summary?.taxonomy || []} />
+            <SnapshotsPanel refreshKey={summary} onChanged={fetchSummary} />
+
             {/* CHART */}
             <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
               <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
                 <Badge color="#dcfce7" text="Profils de décaissement" />
+                <select
+                  value={flow}
+                  onChange={(e) => setFlow(e.target.value as ProfileFlow)}
+                  title="Net : avoirs imputés sur les paiements qu'ils annulent — Brut : paiements tels que décaissés, avoirs exclus"
+                  style={{ padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 13 }}
+                >
+                  <option value="net">Flux nets</option>
+                  <option value="gross">Flux bruts</option>
+                </select>
+                <select
+                  value={profileMode}
+                  onChange={(e) => setProfileMode(e.target.value as ProfileMode)}
+                  title="Montants : une grosse commande domine la courbe — Normalisé : chaque ligne ramenée à 100 % puis courbes moyennées"
+                  style={{ padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 13 }}
+                >
+                  <option value="amount">Montants</option>
+                  <option value="normalized">Normalisé par ligne</option>
+                </select>
+                {profileMode === "normalized" && (
+                  <select
+                    value={weighting}
+                    onChange={(e) => setWeighting(e.target.value as ProfileWeighting)}
+                    style={{ padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 13 }}
+                  >
+                    <option value="equal">Poids égal</option>
+                    <option value="amount">Pondéré au montant</option>
+                  </select>
+                )}
+                <select
+                  value={profileView}
+                  onChange={(e) => setProfileView(e.target.value as ProfileView)}
+                  title="Cliquer une barre, un point de la courbe ou un paiement pour lister les commandes concernées"
+                  style={{ padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 13 }}
+                >
+                  <option value="distribution">{profileMode === "normalized" ? "Bandes P10–P90" : "Montants par délai"}</option>
+                  <option value="cumulative">Courbe cumulée</option>
+                  <option value="scatter">Nuage des paiements</option>
+                </select>
+                <button
+                  onClick={() => exportCatalogXLSX("profiles")}
+                  title="Exporter tous les profils sous-catégorie × fournisseur (Excel)"
+                  style={{ background: "#e5e7eb", border: 0, borderRadius: 8, padding: "4px 8px", cursor: "pointer" }}
+                >
+                  <FileSpreadsheet size={14} />
+                </button>
+                {profile?.normalized?.pattern && (
+                  <span title={profile.normalized.patterns.map((p) => `${p.label} : ${fmtPct(p.share)}`).join("\n")}>
+                    <Badge color="#e0e7ff" text={profile.normalized.pattern.label} />
+                  </span>
+                )}
                 {!!profile && (
                   <div style={{ marginLeft: "auto", display: "flex", gap: 16, color: "#334155", fontSize: 13 }}>
                     <div>Obs: <b>{profile.stats.n_payments}</b></div>
@@ -638,6 +933,9 @@ export default function App() {
                     <div>Md: <b>{profile.stats.median_delay} j</b></div>
                     <div>P25/P75: <b>{profile.stats.p25} / {profile.stats.p75} j</b></div>
                     {profile.quartiles?.["1.0"] && <div>100%: <b>{profile.quartiles["1.0"].delay_days} j</b></div>}
+                    {!!profile.normalized?.lines && (
+                      <div>Versements: <b>{profile.normalized.installments.median}</b> (moy. {profile.normalized.installments.mean.toFixed(1)} / {profile.normalized.lines} lignes)</div>
+                    )}
                   </div>
                 )}
               </div>
@@ -652,13 +950,79 @@ export default function App() {
                 <>
                   <div style={{ height: 360 }}>
                     <ResponsiveContainer width="100%" height="100%">
-                      <BarChart data={profile.series} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                      {profileView === "scatter" ? (
+                      <ScatterChart margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="delay_days" type="number" name="Délai" unit=" j" label={{ value: "Délai (jours)", position: "insideBottom", offset: -5 }} />
+                        <YAxis dataKey="montant" type="number" name="Montant" label={{ value: "Montant", angle: -90, position: "insideLeft" }} />
+                        <Tooltip
+                          cursor={{ strokeDasharray: "3 3" }}
+                          content={({ active, payload }: any) => {
+                            const p = active && payload?.[0]?.payload;
+                            if (!p) return null;
+                            return (
+                              <div style={{ background: "#ffffff", border: "1px solid #e2e8f0", borderRadius: 8, padding: 8, fontSize: 12 }}>
+                                <div><b>{p.order_no}</b> — ligne {p.line_no}</div>
+                                <div>{p.delay_days} j — {Number(p.montant).toLocaleString("fr-FR")}</div>
+                                {p.invoice_no && <div>Facture {p.invoice_no}</div>}
+                                <div style={{ color: "#64748b" }}>Payé le {String(p.payment_date).slice(0, 10)}</div>
+                              </div>
+                            );
+                          }}
+                        />
+                        <Legend />
+                        <Scatter
+                          name="Paiements"
+                          data={profile.points.filter((p) => p.kind !== "credit_note")}
+                          fill="#2563eb"
+                          onClick={(pt: any) => pt?.payload && setDrill({ order_no: pt.payload.order_no, line_no: pt.payload.line_no })}
+                          style={{ cursor: "pointer" }}
+                        />
+                        {profile.points.some((p) => p.kind === "credit_note") && (
+                          <Scatter
+                            name="Avoirs"
+                            data={profile.points.filter((p) => p.kind === "credit_note")}
+                            fill="#dc2626"
+                            onClick={(pt: any) => pt?.payload && setDrill({ order_no: pt.payload.order_no, line_no: pt.payload.line_no })}
+                            style={{ cursor: "pointer" }}
+                          />
+                        )}
+                      </ScatterChart>
+                      ) : profileView === "cumulative" ? (
+                      <LineChart data={profile.cumulative} onClick={drillDelay} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="delay_days" type="number" domain={["dataMin", "dataMax"]} label={{ value: "Délai (jours)", position: "insideBottom", offset: -5 }} />
+                        <YAxis domain={[0, 1]} tickFormatter={fmtPct} label={{ value: "Part cumulée", angle: -90, position: "insideLeft" }} />
+                        <Tooltip formatter={(v: any) => fmtPct(Number(v))} labelFormatter={(d) => `${d} j`} />
+                        <Legend />
+                        <Line type="monotone" dataKey="share" name="Part payée" stroke="#2563eb" strokeWidth={2} dot={{ r: 3 }} activeDot={{ r: 5, style: { cursor: "pointer" } }} />
+                        {profile.quartiles?.["0.5"] && (
+                          <ReferenceLine x={profile.quartiles["0.5"].delay_days} strokeDasharray="4 2" label={{ value: "Med", position: "top" }} />
+                        )}
+                        {profile.quartiles?.["1.0"] && (
+                          <ReferenceLine x={profile.quartiles["1.0"].delay_days} strokeDasharray="4 2" label={{ value: "100%", position: "top" }} />
+                        )}
+                      </LineChart>
+                      ) : profile.mode === "normalized" && profile.normalized ? (
+                      <LineChart data={profile.normalized.curve} onClick={drillDelay} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="delay_days" type="number" domain={["dataMin", "dataMax"]} label={{ value: "Délai (jours)", position: "insideBottom", offset: -5 }} />
+                        <YAxis domain={[0, 1]} tickFormatter={fmtPct} label={{ value: "Part cumulée", angle: -90, position: "insideLeft" }} />
+                        <Tooltip formatter={(v: any) => fmtPct(Number(v))} labelFormatter={(d) => `${d} j`} />
+                        <Legend />
+                        <Line type="stepAfter" dataKey="p90" name="P90" stroke="#94a3b8" strokeDasharray="4 2" dot={false} />
+                        <Line type="stepAfter" dataKey="p50" name="P50" stroke="#64748b" dot={false} />
+                        <Line type="stepAfter" dataKey="p10" name="P10" stroke="#94a3b8" strokeDasharray="4 2" dot={false} />
+                        <Line type="stepAfter" dataKey="share" name="Moyenne" stroke="#2563eb" strokeWidth={2} dot={false} />
+                      </LineChart>
+                      ) : (
+                      <BarChart data={profile.series} onClick={drillDelay} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
                         <CartesianGrid strokeDasharray="3 3" />
                         <XAxis dataKey="delay_days" label={{ value: "Délai (jours)", position: "insideBottom", offset: -5 }} />
                         <YAxis label={{ value: "Montant", angle: -90, position: "insideLeft" }} />
                         <Tooltip />
                         <Legend />
-                        <Bar dataKey="montant_total" name="Montant par délai" />
+                        <Bar dataKey="montant_total" name="Montant par délai" style={{ cursor: "pointer" }} />
 
                         {/* Repères quartiles */}
                         {profile?.quartiles?.["0.25"] && (
@@ -690,9 +1054,14 @@ export default function App() {
                           />
                         )}
                       </BarChart>
+                      )}
                     </ResponsiveContainer>
                   </div>
 
+                  {drill && (
+                    <ProfileDrilldown subcategory={sub} supplier={sup} flow={flow} target={drill} onClose={() => setDrill(null)} />
+                  )}
+
                   {/* DEBUG PANEL */}
                   <div style={{ marginTop: 12, background: "#f8fafc", border: "1px solid #e2e8f0", borderRadius: 12, padding: 12 }}>
                     <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, color: "#334155", fontWeight: 600 }}>
@@ -724,8 +1093,12 @@ export default function App() {
                 </>
               )}
             </section>
+            {!!summary?.taxonomy.length && <ProfileExplorer refreshKey={summary} />}
           </>
         )}
+
+        {tab === "orders" && <OrdersTab />}
+        {tab === "forecast" && <ForecastTab />}
       </main>
 
       {/* tiny CSS helpers */}
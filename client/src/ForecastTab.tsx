@@ -0,0 +1,261 @@
+import { useMemo, useState } from "react";
+import { TrendingUp, Loader2, PlayCircle, FileSpreadsheet } from "lucide-react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { downloadFile, fetchJson } from "./api";
+import { Badge, subtleShadow } from "./ui";
+
+/**
+ * Onglet Prévisions
+ * - Cash-out mensuel projeté des lignes de commande ouvertes (Reste à payer)
+ * - Ventilation par catégorie / fournisseur / projet
+ * - Niveau de profil retenu par ligne (sous-cat × fournisseur → sous-cat → catégorie)
+ */
+
+type Row = Record<string, any>;
+type Level = "subcategory_supplier" | "subcategory" | "category" | "none";
+
+type Breakdown = { key: string; total: number; months: Record<string, number> };
+
+type ForecastLine = {
+  order_no: string;
+  line_no: string;
+  category: string | null;
+  subcategory: string | null;
+  fournisseur: string;
+  projet: string;
+  order_date: string | null;
+  montant_ligne: number | null;
+  reste_a_payer: number;
+  level: Level;
+  n_payments: number;
+  overdue: boolean;
+  insufficient?: boolean;
+  beyondHorizon?: number;
+  months: Record<string, number>;
+};
+
+type ForecastResp = {
+  asOf: string;
+  horizonMonths: number;
+  minPayments: number;
+  months: string[];
+  totals: { month: string; amount: number }[];
+  byCategory: Breakdown[];
+  bySupplier: Breakdown[];
+  byProject: Breakdown[];
+  levels: Record<Level, number>;
+  openAmount: number;
+  beyondHorizon: number;
+  unallocated: number;
+  lines: ForecastLine[];
+};
+
+const LEVEL_LABELS: Record<Level, { text: string; color: string }> = {
+  subcategory_supplier: { text: "Sous-cat × fournisseur", color: "#dcfce7" },
+  subcategory: { text: "Sous-catégorie", color: "#fef9c3" },
+  category: { text: "Catégorie", color: "#ffedd5" },
+  none: { text: "Aucun profil", color: "#fee2e2" },
+};
+
+const PALETTE = ["#2563eb", "#16a34a", "#f59e0b", "#dc2626", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#ea580c", "#475569"];
+
+const fmt = (n: number) => Math.round(n).toLocaleString("fr-FR");
+
+export default function ForecastTab() {
+  const [asOf, setAsOf] = useState<string>(new Date().toISOString().slice(0, 10));
+  const [horizon, setHorizon] = useState<number>(24);
+  const [minPayments, setMinPayments] = useState<number>(5);
+  const [dim, setDim] = useState<"byCategory" | "bySupplier" | "byProject">("byCategory");
+  const [data, setData] = useState<ForecastResp | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  async function runForecast() {
+    setLoading(true);
+    try {
+      const q = new URLSearchParams({ asOf, horizon: String(horizon), minPayments: String(minPayments) });
+      const j = await fetchJson(`/forecast?${q.toString()}`);
+      setData(j as ForecastResp);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Même calcul que runForecast, rendu en classeur (synthèse, ventilations, lignes ouvertes)
+  async function exportForecast() {
+    try {
+      const q = new URLSearchParams({ asOf, horizon: String(horizon), minPayments: String(minPayments) });
+      await downloadFile(`/forecast/export.xlsx?${q.toString()}`, "previsions.xlsx");
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    }
+  }
+
+  // Empilement par catégorie : on garde les 9 premières, le reste en "Autres"
+  const chart = useMemo(() => {
+    if (!data) return { rows: [] as Row[], keys: [] as string[] };
+    const top = data.byCategory.slice(0, 9);
+    const rest = data.byCategory.slice(9);
+    const keys = top.map((b) => b.key).concat(rest.length ? ["Autres"] : []);
+    const rows = data.months.map((m) => {
+      const row: Row = { month: m };
+      for (const b of top) row[b.key] = b.months[m] || 0;
+      if (rest.length) row["Autres"] = rest.reduce((s, b) => s + (b.months[m] || 0), 0);
+      return row;
+    });
+    return { rows, keys };
+  }, [data]);
+
+  const inputStyle = { padding: 8, border: "1px solid #e5e7eb", borderRadius: 10 } as const;
+  const card = { background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 } as const;
+  const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 8, borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap" } as const;
+
+  return (
+    <>
+      {/* PARAMÈTRES */}
+      <section style={card}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+          <TrendingUp />
+          <div style={{ fontWeight: 700 }}>Prévisions de cash-out</div>
+          <div style={{ marginLeft: "auto", display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+            <label>Au <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} style={inputStyle} /></label>
+            <label>Horizon <input type="number" min={1} max={120} value={horizon} onChange={(e) => setHorizon(Number(e.target.value))} style={{ ...inputStyle, width: 70 }} /> mois</label>
+            <label>Min. paiements <input type="number" min={1} value={minPayments} onChange={(e) => setMinPayments(Number(e.target.value))} style={{ ...inputStyle, width: 60 }} /></label>
+            <button onClick={runForecast} disabled={loading} style={{ display: "inline-flex", alignItems: "center", gap: 8, background: loading ? "#94a3b8" : "#111827", color: "#fff", border: 0, borderRadius: 10, padding: "10px 14px", cursor: loading ? "not-allowed" : "pointer" }}>
+              {loading ? <Loader2 className="spin" size={16} /> : <PlayCircle size={16} />} Calculer
+            </button>
+            <button onClick={exportForecast} title="Exporter les prévisions (Excel)" style={{ display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "10px 14px", cursor: "pointer" }}>
+              <FileSpreadsheet size={16} /> Excel
+            </button>
+          </div>
+        </div>
+        <div style={{ marginTop: 10, fontSize: 13, color: "#475569" }}>
+          Le reste à payer de chaque ligne ouverte (Détails des lignes de Commandes) est réparti dans le temps selon la courbe cumulée du profil sous-catégorie × fournisseur, à partir de la date de commande (Achats). Si l'historique est insuffisant, la courbe de la sous-catégorie puis de la catégorie est utilisée.
+        </div>
+      </section>
+
+      {data && (
+        <>
+          {/* KPI */}
+          <section style={{ ...card, display: "flex", gap: 24, flexWrap: "wrap", fontSize: 13, color: "#334155" }}>
+            <div>Lignes ouvertes: <b>{data.lines.length}</b></div>
+            <div>Reste à payer: <b>{fmt(data.openAmount)}</b></div>
+            <div>Au-delà de l'horizon: <b>{fmt(data.beyondHorizon)}</b></div>
+            <div>Sans profil: <b>{fmt(data.unallocated)}</b></div>
+            <div style={{ display: "flex", gap: 6, marginLeft: "auto" }}>
+              {(Object.keys(LEVEL_LABELS) as Level[]).map((l) => (
+                <Badge key={l} color={LEVEL_LABELS[l].color} text={`${LEVEL_LABELS[l].text}: ${data.levels[l] || 0}`} />
+              ))}
+            </div>
+          </section>
+
+          {/* CHART */}
+          <section style={card}>
+            <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+              <Badge color="#dbeafe" text="Cash-out mensuel projeté par catégorie" />
+            </div>
+            <div style={{ height: 360 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={chart.rows} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis />
+                  <Tooltip formatter={(v: any) => fmt(Number(v))} />
+                  <Legend />
+                  {chart.keys.map((k, i) => (
+                    <Bar key={k} dataKey={k} stackId="cash" fill={PALETTE[i % PALETTE.length]} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </section>
+
+          {/* VENTILATION */}
+          <section style={card}>
+            <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+              <div style={{ fontWeight: 700 }}>Ventilation</div>
+              <select value={dim} onChange={(e) => setDim(e.target.value as typeof dim)} style={{ ...inputStyle, marginLeft: "auto" }}>
+                <option value="byCategory">Par catégorie</option>
+                <option value="bySupplier">Par fournisseur</option>
+                <option value="byProject">Par projet</option>
+              </select>
+            </div>
+            <div style={{ overflow: "auto", border: "1px solid #e5e7eb", borderRadius: 12, maxHeight: 420 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead style={{ position: "sticky", top: 0, zIndex: 1, background: "#f8fafc" }}>
+                  <tr>
+                    <th style={th}></th>
+                    <th style={th}>Total</th>
+                    {data.months.map((m) => <th key={m} style={th}>{m}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data[dim].map((b) => (
+                    <tr key={b.key}>
+                      <td style={{ ...td, fontWeight: 600 }}>{b.key}</td>
+                      <td style={td}>{fmt(b.total)}</td>
+                      {data.months.map((m) => <td key={m} style={td}>{b.months[m] ? fmt(b.months[m]) : ""}</td>)}
+                    </tr>
+                  ))}
+                  <tr style={{ background: "#f8fafc", fontWeight: 700 }}>
+                    <td style={td}>Total</td>
+                    <td style={td}>{fmt(data.totals.reduce((s, t) => s + t.amount, 0))}</td>
+                    {data.totals.map((t) => <td key={t.month} style={td}>{fmt(t.amount)}</td>)}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* LIGNES */}
+          <section style={card}>
+            <div style={{ fontWeight: 700, marginBottom: 8 }}>Lignes ouvertes ({data.lines.length})</div>
+            <div style={{ overflow: "auto", border: "1px solid #e5e7eb", borderRadius: 12, maxHeight: 420 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead style={{ position: "sticky", top: 0, zIndex: 1, background: "#f8fafc" }}>
+                  <tr>
+                    {["Commande", "Ligne", "Catégorie", "Sous-catégorie", "Fournisseur", "Projet", "Date cmd", "Montant ligne", "Reste à payer", "Profil utilisé", "Obs."].map((h) => (
+                      <th key={h} style={th}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.lines.map((l, i) => (
+                    <tr key={i}>
+                      <td style={td}>{l.order_no}</td>
+                      <td style={td}>{l.line_no}</td>
+                      <td style={td}>{l.category || "—"}</td>
+                      <td style={td}>{l.subcategory || "—"}</td>
+                      <td style={td}>{l.fournisseur}</td>
+                      <td style={td}>{l.projet}</td>
+                      <td style={td}>{l.order_date || "—"}</td>
+                      <td style={td}>{l.montant_ligne != null ? fmt(l.montant_ligne) : "—"}</td>
+                      <td style={td}>{fmt(l.reste_a_payer)}</td>
+                      <td style={td}>
+                        <Badge color={LEVEL_LABELS[l.level].color} text={LEVEL_LABELS[l.level].text} />
+                        {l.insufficient && <span title="Historique sous le seuil à tous les niveaux" style={{ marginLeft: 6, color: "#b45309" }}>⚠</span>}
+                        {l.overdue && <span title="Le profil prévoyait un paiement complet : imputé au mois courant" style={{ marginLeft: 6, color: "#b91c1c" }}>retard</span>}
+                      </td>
+                      <td style={td}>{l.n_payments || ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,135 @@
+import { useEffect, useState } from "react";
+import { History, Undo2, Loader2, RefreshCw } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * Historique des chargements (onglet Chat, sous l'import)
+ * - Une entrée par fichier importé et par table : mode, lignes chargées / remplacées
+ * - Annuler : retire les lignes du chargement et restaure celles qu'il avait remplacées
+ *   (impossible tant qu'un chargement plus récent en dépend : il faut l'annuler d'abord)
+ */
+
+type Load = {
+  loadId: number;
+  table: string;
+  file: string | null;
+  mode: "replace" | "append" | "upsert";
+  keys: string[];
+  sheets: string[];
+  created: boolean;
+  rows: number;
+  replaced: number;
+  loadedAt: string;
+  status: "active" | "rolled_back";
+  rolledBackAt: string | null;
+  canRollback: boolean;
+  blockedBy: number | null;
+  // instantané supprimé (rétention) : annulation impossible
+  expired: boolean;
+};
+
+const MODE_LABELS: Record<Load["mode"], string> = { replace: "Remplacement", append: "Ajout", upsert: "Upsert" };
+
+const fmtDate = (s: string | null) => (s ? new Date(s).toLocaleString("fr-FR") : "");
+
+export default function LoadsPanel({ refreshKey, onChanged }: { refreshKey: number; onChanged: () => void | Promise<void> }) {
+  const [loads, setLoads] = useState<Load[]>([]);
+  const [busy, setBusy] = useState<number | "load" | null>(null);
+
+  async function load() {
+    setBusy("load");
+    try {
+      const j = await fetchJson(`/loads?limit=50`);
+      setLoads(j.loads || []);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+  useEffect(() => { load(); }, [refreshKey]);
+
+  async function rollback(l: Load) {
+    if (!confirm(`Annuler le chargement n°${l.loadId} (${l.file || "fichier"}) ?`)) return;
+    setBusy(l.loadId);
+    try {
+      const j = await fetchJson(`/loads/${l.loadId}/rollback`, "POST");
+      await load();
+      await onChanged();
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", verticalAlign: "top" } as const;
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <History />
+        <div style={{ fontWeight: 700 }}>Chargements</div>
+        <button onClick={load} disabled={busy === "load"} style={{ ...btn, marginLeft: "auto", padding: "8px 12px", fontSize: 13 }}>
+          {busy === "load" ? <Loader2 className="spin" size={14} /> : <RefreshCw size={14} />} Actualiser
+        </button>
+      </div>
+      {!loads.length ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>Aucun chargement enregistré.</div>
+      ) : (
+        <div style={{ maxHeight: 280, overflow: "auto" }}>
+          <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={th}>N°</th>
+                <th style={th}>Date</th>
+                <th style={th}>Fichier</th>
+                <th style={th}>Table</th>
+                <th style={th}>Mode</th>
+                <th style={th}>Lignes</th>
+                <th style={th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loads.map((l) => (
+                <tr key={`${l.loadId}-${l.table}`} style={{ opacity: l.status === "active" ? 1 : 0.5 }}>
+                  <td style={td}>{l.loadId}</td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>{fmtDate(l.loadedAt)}</td>
+                  <td style={td}>{l.file}{l.sheets.length > 1 ? ` (${l.sheets.join(", ")})` : ""}</td>
+                  <td style={td}>{l.table}</td>
+                  <td style={td} title={l.keys.length ? `Clés : ${l.keys.join(", ")}` : undefined}>
+                    {l.created ? "Création" : MODE_LABELS[l.mode]}
+                  </td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>
+                    {l.rows.toLocaleString("fr-FR")}
+                    {l.replaced ? ` (${l.replaced.toLocaleString("fr-FR")} remplacées)` : ""}
+                  </td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>
+                    {l.status === "rolled_back" ? (
+                      <Badge color="#fee2e2" text={`Annulé le ${fmtDate(l.rolledBackAt)}`} />
+                    ) : (
+                      <button
+                        onClick={() => rollback(l)}
+                        disabled={!l.canRollback || busy === l.loadId}
+                        title={
+                          l.expired
+                            ? "Chargement trop ancien : sa copie de retour arrière a été supprimée"
+                            : l.blockedBy ? `Annulez d'abord le chargement n°${l.blockedBy}` : "Annuler ce chargement"
+                        }
+                        style={{ ...btn, cursor: l.canRollback ? "pointer" : "not-allowed" }}
+                      >
+                        {busy === l.loadId ? <Loader2 className="spin" size={12} /> : <Undo2 size={12} />} Annuler
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import { Columns3, Save, RotateCcw, Loader2, RefreshCw } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * Mapping des colonnes (onglet Catalogue)
+ * - Table retenue pour chaque rôle (Achats, Décaissements, Détails) et colonne de chaque champ
+ * - Détection automatique par intitulés, corrigeable par des listes déroulantes ; enregistré par table
+ * - Utilisé par le build du catalogue et les prévisions
+ */
+
+type Role = "achats" | "decs" | "details";
+type Field = { key: string; label: string; required?: boolean };
+type Column = { name: string; original?: string };
+type RoleState = {
+  table: string;
+  source: "saved" | "auto";
+  columns: Record<string, { column: string | null; source: "saved" | "auto" | null }>;
+} | null;
+type TableInfo = {
+  table: string;
+  columns: Column[];
+  auto: Record<Role, Record<string, string | null>>;
+  saved: { role: Role | null; columns: Record<string, string> } | null;
+};
+type MappingResp = {
+  fields: Record<Role, Field[]>;
+  labels: Record<Role, string>;
+  roles: Record<Role, RoleState>;
+  tables: TableInfo[];
+};
+type Draft = { table: string; columns: Record<string, string> };
+
+const ROLES: Role[] = ["achats", "decs", "details"];
+
+const sel = { padding: "4px 6px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 12, width: "100%" } as const;
+
+// Colonnes enregistrées d'une table pour un rôle (vide = détection automatique)
+function savedColumns(info: TableInfo | undefined, role: Role): Record<string, string> {
+  if (!info?.saved || (info.saved.role && info.saved.role !== role)) return {};
+  return { ...info.saved.columns };
+}
+
+export default function MappingPanel({ onChanged }: { onChanged?: () => void | Promise<void> }) {
+  const [data, setData] = useState<MappingResp | null>(null);
+  const [drafts, setDrafts] = useState<Record<Role, Draft>>({ achats: { table: "", columns: {} }, decs: { table: "", columns: {} }, details: { table: "", columns: {} } });
+  const [busy, setBusy] = useState<Role | "load" | null>(null);
+
+  function apply(j: MappingResp) {
+    setData(j);
+    const next = {} as Record<Role, Draft>;
+    for (const role of ROLES) {
+      const table = j.roles[role]?.table || "";
+      next[role] = { table, columns: savedColumns(j.tables.find((t) => t.table === table), role) };
+    }
+    setDrafts(next);
+  }
+
+  async function load() {
+    setBusy("load");
+    try {
+      apply(await fetchJson<MappingResp>("/catalog/mapping"));
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function save(role: Role) {
+    const d = drafts[role];
+    if (!d.table) return;
+    setBusy(role);
+    try {
+      apply(await fetchJson<MappingResp>(`/catalog/mapping/${encodeURIComponent(d.table)}`, "PUT", { role, columns: d.columns }));
+      await onChanged?.();
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function reset(role: Role) {
+    const d = drafts[role];
+    if (!d.table) return;
+    setBusy(role);
+    try {
+      apply(await fetchJson<MappingResp>(`/catalog/mapping/${encodeURIComponent(d.table)}`, "DELETE"));
+      await onChanged?.();
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const setTable = (role: Role, table: string) =>
+    setDrafts((ds) => ({ ...ds, [role]: { table, columns: savedColumns(data?.tables.find((t) => t.table === table), role) } }));
+  const setColumn = (role: Role, key: string, column: string) =>
+    setDrafts((ds) => ({ ...ds, [role]: { ...ds[role], columns: { ...ds[role].columns, [key]: column } } }));
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <Columns3 />
+        <div style={{ fontWeight: 700 }}>Mapping des colonnes</div>
+        <span style={{ fontSize: 13, color: "#475569" }}>Tables et colonnes utilisées par le build — à corriger si la détection se trompe</span>
+        <button onClick={load} disabled={busy === "load"} style={{ ...btn, marginLeft: "auto", padding: "8px 12px", fontSize: 13 }}>
+          {busy === "load" ? <Loader2 className="spin" size={14} /> : <RefreshCw size={14} />} Actualiser
+        </button>
+      </div>
+      {!data?.tables.length ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>Aucune table importée.</div>
+      ) : (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12 }}>
+          {ROLES.map((role) => {
+            const d = drafts[role];
+            const info = data.tables.find((t) => t.table === d.table);
+            const current = data.roles[role];
+            const auto = info?.auto[role] || {};
+            const label = (c: Column) => (c.original && c.original !== c.name ? `${c.original} (${c.name})` : c.name);
+            const missing = data.fields[role].filter((f) => f.required && !(d.columns[f.key] || auto[f.key]));
+            return (
+              <div key={role} style={{ border: "1px solid #e2e8f0", borderRadius: 12, padding: 10, background: "#f8fafc", display: "grid", gap: 6, alignContent: "start" }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <b style={{ fontSize: 13 }}>{data.labels[role]}</b>
+                  {current && current.table === d.table && (
+                    <Badge color={current.source === "saved" ? "#dbeafe" : "#e5e7eb"} text={current.source === "saved" ? "enregistré" : "auto"} />
+                  )}
+                  {!!missing.length && <Badge color="#fee2e2" text={`${missing.length} champ(s) requis manquant(s)`} />}
+                </div>
+                <select value={d.table} onChange={(e) => setTable(role, e.target.value)} style={sel}>
+                  <option value="">— aucune table —</option>
+                  {data.tables.map((t) => <option key={t.table} value={t.table}>{t.table}</option>)}
+                </select>
+                {info && data.fields[role].map((f) => (
+                  <label key={f.key} style={{ display: "grid", gap: 2, fontSize: 12 }}>
+                    <span style={{ color: f.required && !(d.columns[f.key] || auto[f.key]) ? "#b91c1c" : "#475569" }}>
+                      {f.label}{f.required ? " *" : ""}
+                    </span>
+                    <select value={d.columns[f.key] || ""} onChange={(e) => setColumn(role, f.key, e.target.value)} style={sel}>
+                      <option value="">{auto[f.key] ? `auto : ${auto[f.key]}` : "auto : (non trouvée)"}</option>
+                      {info.columns.map((c) => <option key={c.name} value={c.name}>{label(c)}</option>)}
+                    </select>
+                  </label>
+                ))}
+                <div style={{ display: "flex", gap: 6, justifyContent: "flex-end", marginTop: 4 }}>
+                  <button onClick={() => reset(role)} disabled={!d.table || busy === role || !info?.saved} style={btn} title="Revenir à la détection automatique pour cette table">
+                    <RotateCcw size={12} /> Auto
+                  </button>
+                  <button onClick={() => save(role)} disabled={!d.table || busy === role} style={{ ...btn, background: "#111827", color: "#fff" }}>
+                    {busy === role ? <Loader2 className="spin" size={12} /> : <Save size={12} />} Enregistrer
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { ShieldAlert, Loader2, RefreshCw, Lock } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, subtleShadow } from "./ui";
+
+/**
+ * Écarts catégorie ↔ famille NHA (onglet Catalogue)
+ * - par famille : catégorie attendue (majoritaire, ou la famille en taxonomie NHA) et taux d'accord
+ * - lignes en écart : probables erreurs de classification à revoir par les acheteurs
+ */
+
+type FamilyStat = { famille: string; expected_category: string; lines: number; agreeing: number; categories: number; rate: number | null };
+type Disagreement = {
+  order_no: string;
+  line_no: string;
+  category: string;
+  subcategory: string;
+  fournisseur: string | null;
+  locked: boolean;
+  famille: string;
+  sous_famille: string | null;
+  libelle: string | null;
+  nha_code: string | null;
+  desc_line: string | null;
+  expected_category: string;
+};
+type NhaReportResp = {
+  taxonomySource: "llm" | "nha";
+  total: number;
+  disagreements: number;
+  agreementRate: number | null;
+  families: FamilyStat[];
+  lines: Disagreement[];
+};
+
+const pct = (r: number | null) => (r == null ? "—" : `${Math.round(r * 100)} %`);
+const rateColor = (r: number | null) => (r == null ? "#e5e7eb" : r >= 0.9 ? "#dcfce7" : r >= 0.7 ? "#fef9c3" : "#fee2e2");
+
+export default function NhaReport() {
+  const [data, setData] = useState<NhaReportResp | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [famille, setFamille] = useState("");
+
+  async function load() {
+    setLoading(true);
+    try {
+      const j = await fetchJson(`/catalog/nha-report?limit=2000`);
+      setData(j as NhaReportResp);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9" } as const;
+  const shown = (data?.lines || []).filter((l) => !famille || l.famille === famille);
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <ShieldAlert />
+        <div style={{ fontWeight: 700 }}>Écarts avec la nomenclature NHA</div>
+        {data && (
+          <>
+            <Badge color={rateColor(data.agreementRate)} text={`Accord ${pct(data.agreementRate)}`} />
+            <span style={{ fontSize: 13, color: "#475569" }}>{data.disagreements} ligne(s) en écart sur {data.total}</span>
+          </>
+        )}
+        <button onClick={load} disabled={loading} style={{ marginLeft: "auto", display: "inline-flex", alignItems: "center", gap: 8, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 10, padding: "8px 12px", cursor: loading ? "not-allowed" : "pointer" }}>
+          {loading ? <Loader2 className="spin" size={16} /> : <RefreshCw size={16} />} Analyser
+        </button>
+      </div>
+
+      {data && (
+        <div style={{ display: "grid", gridTemplateColumns: "minmax(260px, 1fr) 2fr", gap: 12 }}>
+          <div style={{ overflow: "auto", maxHeight: 340, border: "1px solid #e5e7eb", borderRadius: 12 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <thead style={{ position: "sticky", top: 0, background: "#f8fafc" }}>
+                <tr>
+                  {["Famille NHA", "Catégorie attendue", "Lignes", "Accord"].map((h) => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {data.families.map((f) => (
+                  <tr
+                    key={f.famille}
+                    onClick={() => setFamille(famille === f.famille ? "" : f.famille)}
+                    style={{ cursor: "pointer", background: famille === f.famille ? "#eff6ff" : undefined }}
+                  >
+                    <td style={{ ...td, fontWeight: 600 }}>{f.famille}</td>
+                    <td style={td}>{f.expected_category}</td>
+                    <td style={td}>{f.lines}</td>
+                    <td style={td}><Badge color={rateColor(f.rate)} text={pct(f.rate)} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ overflow: "auto", maxHeight: 340, border: "1px solid #e5e7eb", borderRadius: 12 }}>
+            {!shown.length ? (
+              <div style={{ padding: 12, color: "#64748b", fontSize: 13 }}>Aucun écart{famille ? ` pour la famille ${famille}` : ""}.</div>
+            ) : (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                <thead style={{ position: "sticky", top: 0, background: "#f8fafc" }}>
+                  <tr>
+                    {["Commande", "Ligne", "Famille / sous-famille NHA", "Libellé NHA", "Catégorie actuelle", "Attendue", "Fournisseur", "Description", ""].map((h) => (
+                      <th key={h} style={th}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((l) => (
+                    <tr key={`${l.order_no}|||${l.line_no}`}>
+                      <td style={td}>{l.order_no}</td>
+                      <td style={td}>{l.line_no}</td>
+                      <td style={td}>{l.famille}{l.sous_famille ? ` / ${l.sous_famille}` : ""}</td>
+                      <td style={td}>{l.libelle}</td>
+                      <td style={{ ...td, color: "#b91c1c" }}>{l.category} / {l.subcategory}</td>
+                      <td style={td}>{l.expected_category}</td>
+                      <td style={td}>{l.fournisseur}</td>
+                      <td style={td}>{l.desc_line}</td>
+                      <td style={td}>{l.locked && <span title="Affectation manuelle verrouillée"><Lock size={12} /></span>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,224 @@
+import { useEffect, useMemo, useState } from "react";
+import { CalendarClock, X, Loader2 } from "lucide-react";
+import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend } from "recharts";
+import { fetchJson } from "./api";
+import { Badge, subtleShadow } from "./ui";
+
+/**
+ * Vue d'une commande sur Achats, Détails et Décaissements (onglet Commandes, et fenêtre modale
+ * ouverte depuis le drill-down des profils)
+ * - Lignes : catégorie, fournisseur, commandé / facturé / payé / reste, date promise, échéance estimée
+ * - Décaissement cumulé de la commande comparé au profil sous-catégorie × fournisseur
+ * - Évènements datés : approbation, date promise, échéance, chaque paiement / avoir avec son n° de facture
+ */
+
+export type OrderLine = {
+  order_no: string;
+  line_no: string;
+  category: string | null;
+  subcategory: string | null;
+  fournisseur: string | null;
+  type_ligne: string | null;
+  desc_cmd: string | null;
+  desc_line: string | null;
+  approval_date: string | null;
+  promised_date: string | null;
+  due_estimate: string | null;
+  terms_raw: string | null;
+  ordered: number | null;
+  invoiced: number | null;
+  paid: number;
+  remaining: number | null;
+  n_payments: number;
+};
+export type OrderEvent = {
+  date: string;
+  type: "approval" | "promised" | "due" | "payment" | "credit_note";
+  line_no: string | null;
+  lines?: string[];
+  montant?: number | null;
+  invoice_no?: string | null;
+  delay_days?: number | null;
+};
+type Curve = { delay_days: number; share: number }[];
+export type OrderResp = {
+  order_no: string;
+  totals: { ordered: number | null; invoiced: number | null; paid: number; remaining: number | null };
+  lines: OrderLine[];
+  events: OrderEvent[];
+  comparison: { subcategory: string; fournisseur: string; base: number; order: Curve; profile: Curve } | null;
+};
+
+const EVENTS: Record<OrderEvent["type"], { label: string; color: string }> = {
+  approval: { label: "Approbation", color: "#e0e7ff" },
+  promised: { label: "Date promise", color: "#fef3c7" },
+  due: { label: "Échéance estimée", color: "#f1f5f9" },
+  payment: { label: "Paiement", color: "#dcfce7" },
+  credit_note: { label: "Avoir", color: "#fee2e2" },
+};
+
+export const fmtDate = (d: string | null | undefined) => (d ? new Date(`${d.slice(0, 10)}T00:00:00`).toLocaleDateString("fr-FR") : "—");
+const fmtAmount = (v: number | null | undefined) => (v == null ? "—" : v.toLocaleString("fr-FR", { maximumFractionDigits: 2 }));
+const fmtPct = (v: number) => `${Math.round(v * 100)} %`;
+
+// Part cumulée d'une courbe en escalier au délai d
+const shareAt = (curve: Curve, d: number) => {
+  let share = 0;
+  for (const c of curve) { if (c.delay_days <= d) share = c.share; else break; }
+  return share;
+};
+
+export function OrderView({ orderNo }: { orderNo: string }) {
+  const [data, setData] = useState<OrderResp | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setData(null);
+    setError(null);
+    fetchJson(`/orders/${encodeURIComponent(orderNo)}`)
+      .then(setData)
+      .catch((e: any) => setError(e?.message || String(e)));
+  }, [orderNo]);
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap" } as const;
+
+  const chart = useMemo(() => {
+    const c = data?.comparison;
+    if (!c) return [];
+    const grid = [...new Set([...c.order, ...c.profile].map((p) => p.delay_days))].sort((a, b) => a - b);
+    return grid.map((d) => ({ delay_days: d, order: shareAt(c.order, d), profile: shareAt(c.profile, d) }));
+  }, [data]);
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+        <CalendarClock />
+        <div style={{ fontWeight: 700 }}>Commande {data?.order_no || orderNo}</div>
+        {data && (
+          <div style={{ marginLeft: "auto", display: "flex", gap: 16, color: "#334155", fontSize: 13 }}>
+            <div>Commandé: <b>{fmtAmount(data.totals.ordered)}</b></div>
+            <div>Facturé: <b>{fmtAmount(data.totals.invoiced)}</b></div>
+            <div>Payé: <b>{fmtAmount(data.totals.paid)}</b></div>
+            <div>Reste: <b>{fmtAmount(data.totals.remaining)}</b></div>
+          </div>
+        )}
+      </div>
+
+      {error ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{error}</div>
+      ) : !data ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, color: "#475569", fontSize: 13 }}>
+          <Loader2 className="spin" size={16} /> Chargement…
+        </div>
+      ) : (
+        <>
+          <div style={{ overflow: "auto" }}>
+            <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+              <thead>
+                <tr>
+                  <th style={th}>Ligne</th>
+                  <th style={th}>Description</th>
+                  <th style={th}>Catégorie</th>
+                  <th style={th}>Fournisseur</th>
+                  <th style={th}>Commandé</th>
+                  <th style={th}>Facturé</th>
+                  <th style={th}>Payé</th>
+                  <th style={th}>Reste</th>
+                  <th style={th}>Approbation</th>
+                  <th style={th}>Date promise</th>
+                  <th style={th}>Échéance estimée</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.lines.map((l) => (
+                  <tr key={l.line_no}>
+                    <td style={{ ...td, fontWeight: 600 }}>{l.line_no}</td>
+                    <td style={{ ...td, whiteSpace: "normal", color: "#475569" }} title={l.desc_cmd || undefined}>{l.desc_line || l.desc_cmd || l.type_ligne || "—"}</td>
+                    <td style={td}>{l.category ? `${l.category} › ${l.subcategory}` : "—"}</td>
+                    <td style={td}>{l.fournisseur || "—"}</td>
+                    <td style={td}>{fmtAmount(l.ordered)}</td>
+                    <td style={td}>{fmtAmount(l.invoiced)}</td>
+                    <td style={td}>{fmtAmount(l.paid)} ({l.n_payments})</td>
+                    <td style={{ ...td, color: l.remaining != null && l.remaining < 0 ? "#b91c1c" : undefined }}>{fmtAmount(l.remaining)}</td>
+                    <td style={td}>{fmtDate(l.approval_date)}</td>
+                    <td style={td}>{fmtDate(l.promised_date)}</td>
+                    <td style={td} title={l.terms_raw || undefined}>{fmtDate(l.due_estimate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "minmax(0, 1fr) minmax(0, 1fr)", gap: 16 }}>
+            <div>
+              <div style={{ fontWeight: 600, fontSize: 13, marginBottom: 6 }}>Chronologie</div>
+              <div style={{ display: "grid", gap: 4, borderLeft: "2px solid #e2e8f0", paddingLeft: 12 }}>
+                {data.events.map((e, i) => (
+                  <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12 }}>
+                    <span style={{ width: 80, color: "#334155", fontWeight: 600 }}>{fmtDate(e.date)}</span>
+                    <Badge color={EVENTS[e.type].color} text={EVENTS[e.type].label} />
+                    <span style={{ color: "#475569" }}>
+                      {e.line_no ? `ligne ${e.line_no}` : e.lines ? `${e.lines.length} lignes` : ""}
+                      {e.montant != null && <> — <b>{fmtAmount(e.montant)}</b></>}
+                      {e.invoice_no && <> — facture {e.invoice_no}</>}
+                      {e.delay_days != null && <> — {e.delay_days} j après commande</>}
+                    </span>
+                  </div>
+                ))}
+                {!data.events.length && <div style={{ fontSize: 12, color: "#64748b" }}>Aucune date connue pour cette commande.</div>}
+              </div>
+            </div>
+
+            <div>
+              <div style={{ fontWeight: 600, fontSize: 13, marginBottom: 6 }}>
+                Décaissement cumulé vs profil
+                {data.comparison && (
+                  <span style={{ fontWeight: 400, color: "#475569" }}> — {data.comparison.subcategory} × {data.comparison.fournisseur}</span>
+                )}
+              </div>
+              {!chart.length ? (
+                <div style={{ fontSize: 12, color: "#64748b" }}>Aucun paiement rapproché à comparer (catalogue non construit ou ligne non classée).</div>
+              ) : (
+                <div style={{ height: 220 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={chart} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="delay_days" type="number" domain={[0, "dataMax"]} label={{ value: "Délai (jours)", position: "insideBottom", offset: -5 }} />
+                      <YAxis domain={[0, 1]} tickFormatter={fmtPct} />
+                      <Tooltip formatter={(v: any) => fmtPct(Number(v))} labelFormatter={(d) => `${d} j`} />
+                      <Legend />
+                      <Line type="stepAfter" dataKey="profile" name="Profil" stroke="#94a3b8" strokeDasharray="4 2" dot={false} />
+                      <Line type="stepAfter" dataKey="order" name="Cette commande" stroke="#2563eb" strokeWidth={2} dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function OrderTimeline({ orderNo, onClose }: { orderNo: string; onClose: () => void }) {
+  return (
+    <div
+      onClick={onClose}
+      style={{ position: "fixed", inset: 0, background: "rgba(15,23,42,0.35)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 50 }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(0.2), padding: 16, width: "min(1100px, 94vw)", maxHeight: "88vh", overflow: "auto" }}
+      >
+        <div style={{ display: "flex", justifyContent: "flex-end" }}>
+          <button onClick={onClose} title="Fermer" style={{ background: "transparent", border: 0, cursor: "pointer" }}>
+            <X size={18} />
+          </button>
+        </div>
+        <OrderView orderNo={orderNo} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useState } from "react";
+import { Search } from "lucide-react";
+import { subtleShadow } from "./ui";
+import { OrderView } from "./OrderTimeline";
+
+/**
+ * Onglet Commandes
+ * - Recherche d'une commande par numéro (zéros de tête, suffixe ".0"… tolérés)
+ * - Lignes, montants, dates et paiements des trois sources, comparés au profil de décaissement
+ */
+
+const card = { background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 } as const;
+
+export default function OrdersTab() {
+  const [input, setInput] = useState("");
+  const [orderNo, setOrderNo] = useState("");
+
+  return (
+    <>
+      <section style={card}>
+        <form
+          onSubmit={(e) => { e.preventDefault(); setOrderNo(input.trim()); }}
+          style={{ display: "flex", alignItems: "center", gap: 10 }}
+        >
+          <Search />
+          <div style={{ fontWeight: 700 }}>Commande</div>
+          <input
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="N° de commande"
+            style={{ padding: "8px 10px", border: "1px solid #e5e7eb", borderRadius: 10, fontSize: 14, width: 220 }}
+          />
+          <button type="submit" disabled={!input.trim()} style={{ background: "#111827", color: "#fff", border: 0, borderRadius: 10, padding: "8px 14px", cursor: "pointer" }}>
+            Afficher
+          </button>
+        </form>
+      </section>
+      {orderNo && (
+        <section style={card}>
+          <OrderView key={orderNo} orderNo={orderNo} />
+        </section>
+      )}
+    </>
+  );
+}
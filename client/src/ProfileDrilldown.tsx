@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import { Search, X, Loader2, CalendarClock } from "lucide-react";
+import { fetchJson } from "./api";
+import { btn } from "./ui";
+import OrderTimeline, { fmtDate } from "./OrderTimeline";
+
+/**
+ * Drill-down d'un profil de décaissement : paiements derrière une barre / un point de la courbe
+ * (délai donné) ou derrière un point du nuage (ligne de commande), avec n° de facture et descriptions.
+ * « Chronologie » ouvre la commande complète.
+ */
+
+export type DrillTarget = { delay: number } | { order_no: string; line_no: string };
+type DrillRow = {
+  order_no: string;
+  line_no: string;
+  order_date: string | null;
+  payment_date: string | null;
+  delay_days: number;
+  montant: number;
+  invoice_no: string | null;
+  match_method: string | null;
+  kind: "payment" | "credit_note";
+  type_ligne?: string | null;
+  desc_cmd?: string | null;
+  desc_line?: string | null;
+};
+
+export default function ProfileDrilldown({
+  subcategory,
+  supplier,
+  flow,
+  target,
+  onClose,
+}: {
+  subcategory: string;
+  supplier: string;
+  flow: "net" | "gross";
+  target: DrillTarget;
+  onClose: () => void;
+}) {
+  const [rows, setRows] = useState<DrillRow[] | null>(null);
+  const [truncated, setTruncated] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [orderNo, setOrderNo] = useState<string | null>(null);
+
+  useEffect(() => {
+    const q = new URLSearchParams({ subcategory, supplier, flow });
+    if ("delay" in target) q.set("delay", String(target.delay));
+    else { q.set("order_no", target.order_no); q.set("line_no", target.line_no); }
+    setRows(null);
+    fetchJson(`/catalog/profile/payments?${q.toString()}`)
+      .then((j) => {
+        setRows(j.rows);
+        setTruncated(!!j.truncated);
+        setError(null);
+      })
+      .catch((e: any) => setError(e?.message || String(e)));
+  }, [subcategory, supplier, flow, "delay" in target ? target.delay : `${target.order_no}|${target.line_no}`]);
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap" } as const;
+  const total = (rows || []).reduce((s, r) => s + r.montant, 0);
+
+  return (
+    <div style={{ marginTop: 12, border: "1px solid #e2e8f0", borderRadius: 12, padding: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 13 }}>
+        <Search size={16} />
+        <b>{"delay" in target ? `Paiements à ${target.delay} j` : `Commande ${target.order_no} — ligne ${target.line_no}`}</b>
+        {rows && (
+          <span style={{ color: "#475569" }}>
+            {rows.length} paiement(s) — {total.toLocaleString("fr-FR", { maximumFractionDigits: 2 })}
+          </span>
+        )}
+        <button onClick={onClose} title="Fermer" style={{ marginLeft: "auto", background: "transparent", border: 0, cursor: "pointer" }}>
+          <X size={16} />
+        </button>
+      </div>
+      {error ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{error}</div>
+      ) : !rows ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, color: "#475569", fontSize: 13 }}>
+          <Loader2 className="spin" size={16} /> Chargement…
+        </div>
+      ) : (
+        <div style={{ maxHeight: 320, overflow: "auto" }}>
+          <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={th}>Commande</th>
+                <th style={th}>Ligne</th>
+                <th style={th}>Description</th>
+                <th style={th}>Facture</th>
+                <th style={th}>Commande le</th>
+                <th style={th}>Payé le</th>
+                <th style={th}>Délai</th>
+                <th style={th}>Montant</th>
+                <th style={th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={i}>
+                  <td style={{ ...td, fontWeight: 600 }}>{r.order_no}</td>
+                  <td style={td}>{r.line_no}</td>
+                  <td style={{ ...td, whiteSpace: "normal", color: "#475569" }} title={r.desc_cmd || undefined}>{r.desc_line || r.desc_cmd || r.type_ligne || "—"}</td>
+                  <td style={td}>{r.invoice_no || "—"}</td>
+                  <td style={td}>{fmtDate(r.order_date)}</td>
+                  <td style={td}>{fmtDate(r.payment_date)}</td>
+                  <td style={td}>{r.delay_days} j</td>
+                  <td style={{ ...td, color: r.kind === "credit_note" ? "#b91c1c" : undefined }}>
+                    {r.montant.toLocaleString("fr-FR", { maximumFractionDigits: 2 })}
+                  </td>
+                  <td style={td}>
+                    <button onClick={() => setOrderNo(r.order_no)} style={btn}>
+                      <CalendarClock size={12} /> Chronologie
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {truncated && <div style={{ fontSize: 11, color: "#64748b", marginTop: 4 }}>Liste tronquée aux premiers paiements.</div>}
+        </div>
+      )}
+      {orderNo && <OrderTimeline orderNo={orderNo} onClose={() => setOrderNo(null)} />}
+    </div>
+  );
+}
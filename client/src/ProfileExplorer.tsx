@@ -0,0 +1,207 @@
+import { useEffect, useMemo, useState } from "react";
+import { Layers, X, Loader2 } from "lucide-react";
+import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend } from "recharts";
+import { fetchJson } from "./api";
+import { Badge, subtleShadow } from "./ui";
+
+/**
+ * Profils par axe (onglet Catalogue)
+ * - Filtres à facettes sur les paiements enrichis : projet, compte IFRS, site de l'acheteur, année de commande…
+ * - Regroupement par un axe : une courbe cumulée par valeur, superposées sur les mêmes axes
+ *   (ex. un fournisseur, regroupé par année de commande, pour comparer deux périodes)
+ */
+
+type Filters = Record<string, (string | null)[]>;
+type Facet = { key: string; label: string; values: { value: string | null; n: number; total: number }[]; truncated: boolean };
+type Group = {
+  key: string | null;
+  n_payments: number;
+  total: number;
+  lines: number;
+  median_delay: number | null;
+  cumulative: { delay_days: number; share: number }[];
+  quartiles: Record<string, number>;
+  // motif et versements : mode "normalized" seulement
+  pattern: { label: string } | null;
+  installments: number | null;
+};
+type ProfilesResp = { mode: "amount" | "normalized"; groupBy: string | null; groups: Group[]; truncated: boolean };
+
+const COLORS = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#475569", "#ea580c", "#0d9488", "#9333ea"];
+const sel = { padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 13 } as const;
+const fmtPct = (v: number) => `${Math.round(v * 100)} %`;
+// valeur d'axe vide : transmise comme null (filtre "non renseigné")
+const NONE = "\u0000";
+const valueLabel = (v: string | null) => (v == null ? "(non renseigné)" : v);
+
+export default function ProfileExplorer({ refreshKey }: { refreshKey?: unknown }) {
+  const [filters, setFilters] = useState<Filters>({});
+  const [groupBy, setGroupBy] = useState<string>("order_year");
+  const [flow, setFlow] = useState<"net" | "gross">("net");
+  const [mode, setMode] = useState<"amount" | "normalized">("amount");
+  const [weighting, setWeighting] = useState<"equal" | "amount">("equal");
+  const [facets, setFacets] = useState<Facet[]>([]);
+  const [data, setData] = useState<ProfilesResp | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchJson<{ facets: Facet[] }>("/catalog/profiles/facets", "POST", { filters, flow })
+      .then((j) => setFacets(j.facets))
+      .catch(() => setFacets([]));
+  }, [filters, flow, refreshKey]);
+
+  useEffect(() => {
+    setBusy(true);
+    fetchJson<ProfilesResp>("/catalog/profiles", "POST", { filters, groupBy: groupBy || null, flow, mode, weighting })
+      .then((j) => { setData(j); setError(null); })
+      .catch((e: any) => { setData(null); setError(e?.message || String(e)); })
+      .finally(() => setBusy(false));
+  }, [filters, groupBy, flow, mode, weighting, refreshKey]);
+
+  const addFilter = (key: string, raw: string) => {
+    if (!raw) return;
+    const value = raw === NONE ? null : raw;
+    setFilters((f) => ({ ...f, [key]: [...(f[key] || []).filter((v) => v !== value), value] }));
+  };
+  const removeFilter = (key: string, value: string | null) =>
+    setFilters((f) => {
+      const rest = (f[key] || []).filter((v) => v !== value);
+      const next = { ...f };
+      if (rest.length) next[key] = rest; else delete next[key];
+      return next;
+    });
+
+  // Courbes en escalier sur la grille commune des délais
+  const chart = useMemo(() => {
+    const groups = data?.groups || [];
+    const grid = [...new Set(groups.flatMap((g) => g.cumulative.map((c) => c.delay_days)))].sort((a, b) => a - b);
+    return grid.map((d) => {
+      const row: Record<string, number> = { delay_days: d };
+      groups.forEach((g, i) => {
+        let share = 0;
+        for (const c of g.cumulative) { if (c.delay_days <= d) share = c.share; else break; }
+        row[`g${i}`] = share;
+      });
+      return row;
+    });
+  }, [data]);
+
+  const groupName = (g: Group) => (data?.groupBy ? valueLabel(g.key) : "Tous les paiements filtrés");
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap" } as const;
+  const activeFilters = Object.entries(filters).flatMap(([key, values]) => values.map((value) => ({ key, value })));
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8, flexWrap: "wrap" }}>
+        <Layers />
+        <div style={{ fontWeight: 700 }}>Profils par axe</div>
+        <span style={{ fontSize: 13, color: "#475569" }}>Comparer par</span>
+        <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} style={sel}>
+          <option value="">(aucun axe)</option>
+          {facets.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+        </select>
+        <select value={flow} onChange={(e) => setFlow(e.target.value as "net" | "gross")} style={sel}>
+          <option value="net">Flux nets</option>
+          <option value="gross">Flux bruts</option>
+        </select>
+        <select value={mode} onChange={(e) => setMode(e.target.value as "amount" | "normalized")} style={sel}>
+          <option value="amount">Montants</option>
+          <option value="normalized">Normalisé par ligne</option>
+        </select>
+        {mode === "normalized" && (
+          <select value={weighting} onChange={(e) => setWeighting(e.target.value as "equal" | "amount")} style={sel}>
+            <option value="equal">Poids égal</option>
+            <option value="amount">Pondéré au montant</option>
+          </select>
+        )}
+        {busy && <Loader2 className="spin" size={16} />}
+      </div>
+
+      {/* Facettes : valeurs compte tenu des autres filtres */}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8, marginBottom: 8 }}>
+        {facets.map((f) => (
+          <label key={f.key} style={{ display: "grid", gap: 2, fontSize: 12, color: "#475569" }}>
+            {f.label}
+            <select value="" onChange={(e) => addFilter(f.key, e.target.value)} style={{ ...sel, fontSize: 12 }}>
+              <option value="">— filtrer —</option>
+              {f.values.map((v) => (
+                <option key={v.value ?? NONE} value={v.value ?? NONE}>{valueLabel(v.value)} ({v.n})</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      {!!activeFilters.length && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 8 }}>
+          {activeFilters.map(({ key, value }) => (
+            <button
+              key={`${key}:${value ?? NONE}`}
+              onClick={() => removeFilter(key, value)}
+              style={{ display: "inline-flex", alignItems: "center", gap: 4, background: "#dbeafe", border: 0, borderRadius: 999, padding: "2px 8px", fontSize: 12, cursor: "pointer" }}
+            >
+              {facets.find((f) => f.key === key)?.label || key} : {valueLabel(value)} <X size={12} />
+            </button>
+          ))}
+          <button onClick={() => setFilters({})} style={{ background: "transparent", border: 0, color: "#2563eb", fontSize: 12, cursor: "pointer" }}>Tout effacer</button>
+        </div>
+      )}
+
+      {error ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{error}</div>
+      ) : !data?.groups.length ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{data ? "Aucun paiement pour ces filtres." : "Chargement…"}</div>
+      ) : (
+        <>
+          <div style={{ height: 320 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chart} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="delay_days" type="number" domain={["dataMin", "dataMax"]} label={{ value: "Délai (jours)", position: "insideBottom", offset: -5 }} />
+                <YAxis domain={[0, 1]} tickFormatter={fmtPct} />
+                <Tooltip formatter={(v: any) => fmtPct(Number(v))} labelFormatter={(d) => `${d} j`} />
+                <Legend />
+                {data.groups.map((g, i) => (
+                  <Line key={i} type="stepAfter" dataKey={`g${i}`} name={groupName(g)} stroke={COLORS[i % COLORS.length]} strokeWidth={2} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12, marginTop: 8 }}>
+            <thead>
+              <tr>
+                <th style={th}></th>
+                <th style={th}>Paiements</th>
+                <th style={th}>Lignes</th>
+                <th style={th}>Total</th>
+                <th style={th}>Délai médian</th>
+                <th style={th}>50 % / 100 % payés à</th>
+                {data.mode === "normalized" && <th style={th}>Motif</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {data.groups.map((g, i) => (
+                <tr key={i}>
+                  <td style={{ ...td, fontWeight: 600 }}>
+                    <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: 2, background: COLORS[i % COLORS.length], marginRight: 6 }} />
+                    {groupName(g)}
+                  </td>
+                  <td style={td}>{g.n_payments.toLocaleString("fr-FR")}</td>
+                  <td style={td}>{g.lines.toLocaleString("fr-FR")}</td>
+                  <td style={td}>{g.total.toLocaleString("fr-FR")}</td>
+                  <td style={td}>{g.median_delay == null ? "—" : `${Math.round(g.median_delay)} j`}</td>
+                  <td style={td}>{g.quartiles["0.5"] ?? "—"} j / {g.quartiles["1"] ?? "—"} j</td>
+                  {data.mode === "normalized" && <td style={td}>{g.pattern ? <Badge color="#e0e7ff" text={g.pattern.label} /> : "—"}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {data.truncated && (
+            <div style={{ fontSize: 11, color: "#64748b", marginTop: 4 }}>Seules les valeurs aux plus gros montants sont affichées.</div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
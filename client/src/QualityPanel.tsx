@@ -0,0 +1,172 @@
+import { Fragment, useEffect, useState } from "react";
+import { ShieldAlert, Download, Eye, EyeOff, Loader2, RefreshCw } from "lucide-react";
+import { fetchJson, toCSV, saveCSV } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * Qualité du rapprochement commandes ↔ décaissements (onglet Catalogue)
+ * - Une ligne par type d'anomalie : nombre, explication, aperçu des lignes en cause
+ * - Télécharger : liste complète en CSV (à corriger dans les fichiers source puis réimporter)
+ */
+
+type Issue = {
+  type: string;
+  label: string;
+  description: string;
+  available: boolean;
+  reason: string | null;
+  count: number | null;
+  rows: number | null;
+};
+type QualityResp = {
+  tables: { achats: string; decs: string; details: string | null };
+  totals: { achatsRows: number; decsRows: number; paymentRows: number | null };
+  issues: Issue[];
+  checkedAt: string;
+};
+type IssueRows = { type: string; label: string; rows: Record<string, any>[]; truncated: boolean };
+
+const PREVIEW_ROWS = 50;
+const DOWNLOAD_ROWS = 100000;
+
+const fetchRows = (type: string, limit: number) =>
+  fetchJson<IssueRows>(`/catalog/quality/${encodeURIComponent(type)}?limit=${limit}`);
+
+export default function QualityPanel({ refreshKey }: { refreshKey?: unknown }) {
+  const [data, setData] = useState<QualityResp | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [open, setOpen] = useState<IssueRows | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+
+  async function load() {
+    setBusy("load");
+    try {
+      const j = await fetchJson(`/catalog/quality`);
+      setData(j);
+      setError(null);
+      setOpen(null);
+    } catch (e: any) {
+      // tables Achats / Décaissements introuvables : message affiché dans le panneau
+      setData(null);
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+  useEffect(() => { load(); }, [refreshKey]);
+
+  async function toggle(issue: Issue) {
+    if (open?.type === issue.type) return setOpen(null);
+    setBusy(issue.type);
+    try {
+      setOpen(await fetchRows(issue.type, PREVIEW_ROWS));
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function download(issue: Issue) {
+    setBusy(`dl:${issue.type}`);
+    try {
+      const j = await fetchRows(issue.type, DOWNLOAD_ROWS);
+      if (j.truncated) alert(`Liste tronquée aux ${DOWNLOAD_ROWS.toLocaleString("fr-FR")} premières lignes.`);
+      saveCSV(toCSV(j.rows), `qualite_${issue.type}.csv`);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", verticalAlign: "top" } as const;
+  const total = data?.issues.reduce((s, i) => s + (i.count || 0), 0) || 0;
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <ShieldAlert />
+        <div style={{ fontWeight: 700 }}>Qualité des données</div>
+        {data && (
+          <span style={{ fontSize: 13, color: "#475569" }}>
+            {data.tables.achats} ({data.totals.achatsRows.toLocaleString("fr-FR")} lignes) ↔ {data.tables.decs} ({data.totals.decsRows.toLocaleString("fr-FR")} décaissements)
+          </span>
+        )}
+        {data && <Badge color={total ? "#fef3c7" : "#dcfce7"} text={total ? `${total.toLocaleString("fr-FR")} anomalie(s)` : "aucune anomalie"} />}
+        <button onClick={load} disabled={busy === "load"} style={{ ...btn, marginLeft: "auto", padding: "8px 12px", fontSize: 13 }}>
+          {busy === "load" ? <Loader2 className="spin" size={14} /> : <RefreshCw size={14} />} Actualiser
+        </button>
+      </div>
+      {error ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{error}</div>
+      ) : !data ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>Analyse…</div>
+      ) : (
+        <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+          <thead>
+            <tr>
+              <th style={th}>Anomalie</th>
+              <th style={th}>Nombre</th>
+              <th style={th}>Explication</th>
+              <th style={th}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.issues.map((i) => (
+              <Fragment key={i.type}>
+                <tr>
+                  <td style={{ ...td, fontWeight: 600, whiteSpace: "nowrap" }}>{i.label}</td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>
+                    {!i.available ? (
+                      <Badge color="#e5e7eb" text="n/d" />
+                    ) : (
+                      <Badge color={i.count ? "#fee2e2" : "#dcfce7"} text={`${(i.count || 0).toLocaleString("fr-FR")}${i.rows !== i.count ? ` (${(i.rows || 0).toLocaleString("fr-FR")} lignes)` : ""}`} />
+                    )}
+                  </td>
+                  <td style={{ ...td, color: "#475569" }}>{i.available ? i.description : i.reason}</td>
+                  <td style={{ ...td, whiteSpace: "nowrap", textAlign: "right" }}>
+                    {i.available && !!i.count && (
+                      <span style={{ display: "inline-flex", gap: 6 }}>
+                        <button onClick={() => toggle(i)} disabled={busy === i.type} style={btn}>
+                          {busy === i.type ? <Loader2 className="spin" size={12} /> : open?.type === i.type ? <EyeOff size={12} /> : <Eye size={12} />} Voir
+                        </button>
+                        <button onClick={() => download(i)} disabled={busy === `dl:${i.type}`} style={btn} title="Télécharger la liste complète (CSV)">
+                          {busy === `dl:${i.type}` ? <Loader2 className="spin" size={12} /> : <Download size={12} />} CSV
+                        </button>
+                      </span>
+                    )}
+                  </td>
+                </tr>
+                {open?.type === i.type && !!open.rows.length && (
+                  <tr>
+                    <td colSpan={4} style={{ padding: "0 6px 10px" }}>
+                      <div style={{ maxHeight: 260, overflow: "auto", border: "1px solid #e2e8f0", borderRadius: 8 }}>
+                        <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 11 }}>
+                          <thead>
+                            <tr>{Object.keys(open.rows[0]).map((k) => <th key={k} style={th}>{k}</th>)}</tr>
+                          </thead>
+                          <tbody>
+                            {open.rows.map((r, n) => (
+                              <tr key={n}>{Object.keys(open.rows[0]).map((k) => <td key={k} style={td}>{r[k] == null ? "" : String(r[k])}</td>)}</tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      {open.truncated && (
+                        <div style={{ fontSize: 11, color: "#64748b", marginTop: 4 }}>
+                          {PREVIEW_ROWS} premières lignes — téléchargez le CSV pour la liste complète.
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
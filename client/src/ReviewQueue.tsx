@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { ClipboardCheck, Check, PenLine, Loader2, RefreshCw } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * File de revue (onglet Catalogue)
+ * - Affectations LLM sous le seuil de confiance, ou en repli (échec / ligne oubliée par le LLM)
+ * - Accepter verrouille l'affectation et la marque confirmée (confiance 1, plus en repli) ; corriger la remplace (verrouillée aussi)
+ */
+
+type TaxoNode = { category: string; subcategories: string[] };
+type ReviewLine = {
+  order_no: string;
+  line_no: string;
+  category: string;
+  subcategory: string;
+  fournisseur: string | null;
+  confidence: number | null;
+  rationale: string | null;
+  model: string | null;
+  fallback: boolean;
+  type_ligne?: string | null;
+  desc_cmd?: string | null;
+  desc_line?: string | null;
+};
+type ReviewResp = { threshold: number; total: number; lines: ReviewLine[] };
+
+const input = { padding: "4px 6px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 12, width: 130 } as const;
+
+const keyOf = (l: { order_no: string; line_no: string }) => `${l.order_no}|||${l.line_no}`;
+
+function confidenceBadge(l: ReviewLine) {
+  if (l.fallback) return <Badge color="#fee2e2" text="Repli" />;
+  if (l.confidence == null) return <Badge color="#e5e7eb" text="n/d" />;
+  return <Badge color={l.confidence >= 0.5 ? "#fef9c3" : "#ffedd5"} text={`${Math.round(l.confidence * 100)} %`} />;
+}
+
+export default function ReviewQueue({ taxonomy, onChanged }: { taxonomy: TaxoNode[]; onChanged: () => void | Promise<void> }) {
+  const [threshold, setThreshold] = useState(0.6);
+  const [data, setData] = useState<ReviewResp | null>(null);
+  const [edits, setEdits] = useState<Record<string, { category: string; subcategory: string }>>({});
+  const [busy, setBusy] = useState<string | null>(null);
+
+  async function load() {
+    setBusy("load");
+    try {
+      const j = await fetchJson(`/catalog/review?threshold=${threshold}&limit=200`);
+      setData(j as ReviewResp);
+      setEdits({});
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function resolve(l: ReviewLine, action: "accept" | "reassign") {
+    const k = keyOf(l);
+    const edit = edits[k];
+    if (action === "reassign" && (!edit?.category?.trim() || !edit?.subcategory?.trim())) return;
+    setBusy(k);
+    try {
+      const body = action === "accept"
+        ? { lines: [{ order_no: l.order_no, line_no: l.line_no }] }
+        : { lines: [{ order_no: l.order_no, line_no: l.line_no }], category: edit.category.trim(), subcategory: edit.subcategory.trim() };
+      const j = await fetchJson(`/catalog/curate/${action}`, "POST", body);
+      // la ligne quitte la file (verrouillée)
+      setData((d) => (d ? { ...d, total: d.total - 1, lines: d.lines.filter((x) => keyOf(x) !== k) } : d));
+      if (action === "reassign") await onChanged();
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const setEdit = (k: string, patch: Partial<{ category: string; subcategory: string }>) =>
+    setEdits((e) => ({ ...e, [k]: { category: "", subcategory: "", ...e[k], ...patch } }));
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", verticalAlign: "top" } as const;
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <ClipboardCheck />
+        <div style={{ fontWeight: 700 }}>File de revue</div>
+        {data && <span style={{ fontSize: 13, color: "#475569" }}>{data.total} ligne(s) à revoir</span>}
+        <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+          <label>
+            Confiance &lt;{" "}
+            <input type="number" min={0} max={1} step={0.05} value={threshold} onChange={(e) => setThreshold(Number(e.target.value))} style={{ ...input, width: 70 }} />
+          </label>
+          <button onClick={load} disabled={busy === "load"} style={{ ...btn, padding: "8px 12px", fontSize: 13 }}>
+            {busy === "load" ? <Loader2 className="spin" size={14} /> : <RefreshCw size={14} />} Charger
+          </button>
+        </div>
+      </div>
+
+      {data && !data.lines.length && <div style={{ color: "#64748b", fontSize: 13 }}>Rien à revoir sous ce seuil.</div>}
+
+      {data && !!data.lines.length && (
+        <div style={{ overflow: "auto", maxHeight: 460, border: "1px solid #e5e7eb", borderRadius: 12 }}>
+          <datalist id="review-cats">{taxonomy.map((t) => <option key={t.category} value={t.category} />)}</datalist>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <thead style={{ position: "sticky", top: 0, zIndex: 1, background: "#f8fafc" }}>
+              <tr>
+                {["Commande / ligne", "Fournisseur", "Descriptions", "Proposition", "Confiance", "Justification", "Décision"].map((h) => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {data.lines.map((l) => {
+                const k = keyOf(l);
+                const edit = edits[k];
+                return (
+                  <tr key={k}>
+                    <td style={{ ...td, whiteSpace: "nowrap" }}>{l.order_no} / {l.line_no}</td>
+                    <td style={td}>{l.fournisseur}</td>
+                    <td style={td}>
+                      {l.type_ligne && <div style={{ color: "#64748b" }}>{l.type_ligne}</div>}
+                      {l.desc_cmd && <div>{l.desc_cmd}</div>}
+                      {l.desc_line && <div><b>{l.desc_line}</b></div>}
+                    </td>
+                    <td style={td}>{l.category} / {l.subcategory}</td>
+                    <td style={td}>{confidenceBadge(l)}</td>
+                    <td style={{ ...td, maxWidth: 260 }} title={l.model ? `Modèle : ${l.model}` : undefined}>{l.rationale}</td>
+                    <td style={{ ...td, whiteSpace: "nowrap" }}>
+                      <button style={btn} disabled={!!busy} onClick={() => resolve(l, "accept")}><Check size={12} /> Accepter</button>
+                      <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+                        <input list="review-cats" placeholder="Catégorie" value={edit?.category || ""} onChange={(e) => setEdit(k, { category: e.target.value })} style={input} />
+                        <input list={`review-subs-${k}`} placeholder="Sous-catégorie" value={edit?.subcategory || ""} onChange={(e) => setEdit(k, { subcategory: e.target.value })} style={input} />
+                        <datalist id={`review-subs-${k}`}>
+                          {(taxonomy.find((t) => t.category === edit?.category)?.subcategories || []).map((s) => <option key={s} value={s} />)}
+                        </datalist>
+                        <button style={btn} disabled={!!busy || !edit?.category || !edit?.subcategory} onClick={() => resolve(l, "reassign")}>
+                          {busy === k ? <Loader2 className="spin" size={12} /> : <PenLine size={12} />} Corriger
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
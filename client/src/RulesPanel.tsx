@@ -0,0 +1,267 @@
+import { useEffect, useState } from "react";
+import { ListFilter, Plus, Trash2, ArrowUp, ArrowDown, FlaskConical, Save, Pencil, Loader2 } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * Règles de classification (onglet Catalogue)
+ * - Conditions sur les colonnes Achats (égal, contient, regex, dans une liste), toutes requises
+ * - Ordre = priorité : la première règle qui correspond l'emporte, avant le LLM
+ * - Test d'une règle sur les données chargées avant enregistrement
+ */
+
+type Op = "equals" | "contains" | "regex" | "in";
+type Condition = { column: string; op: Op; value?: string; values?: string[] };
+type Rule = {
+  id: number;
+  position: number;
+  name: string;
+  enabled: boolean;
+  conditions: Condition[];
+  category: string;
+  subcategory: string;
+};
+type Column = { name: string; original?: string };
+type TaxoNode = { category: string; subcategories: string[] };
+type TestResp = {
+  total: number;
+  matched: number;
+  capturedBy: number;
+  sample: {
+    order_no: string;
+    line_no: string;
+    fournisseur: string | null;
+    type_ligne: string | null;
+    desc_line: string | null;
+    conditions: (string | null)[];
+    captured_by: number | null;
+    current_category: string | null;
+    current_subcategory: string | null;
+    current_source: string | null;
+  }[];
+};
+
+// Brouillon éditable : la liste "in" est saisie sous forme de texte (séparateur ;)
+type Draft = { id?: number; name: string; enabled: boolean; conditions: { column: string; op: Op; value: string }[]; category: string; subcategory: string };
+
+const OP_LABELS: Record<Op, string> = { equals: "est égal à", contains: "contient", regex: "regex", in: "est dans (a; b; …)" };
+const emptyDraft = (): Draft => ({ name: "", enabled: true, conditions: [{ column: "", op: "contains", value: "" }], category: "", subcategory: "" });
+
+const input = { padding: "5px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 12 } as const;
+
+function toPayload(d: Draft) {
+  return {
+    id: d.id,
+    name: d.name,
+    enabled: d.enabled,
+    category: d.category,
+    subcategory: d.subcategory,
+    conditions: d.conditions.map((c) => (c.op === "in" ? { column: c.column, op: c.op, values: c.value.split(";") } : c)),
+  };
+}
+
+function fromRule(r: Rule): Draft {
+  return {
+    id: r.id,
+    name: r.name,
+    enabled: r.enabled,
+    category: r.category,
+    subcategory: r.subcategory,
+    conditions: r.conditions.map((c) => ({ column: c.column, op: c.op, value: c.op === "in" ? (c.values || []).join("; ") : c.value || "" })),
+  };
+}
+
+export default function RulesPanel({ taxonomy }: { taxonomy: TaxoNode[] }) {
+  const [rules, setRules] = useState<Rule[]>([]);
+  const [columns, setColumns] = useState<Column[]>([]);
+  const [draft, setDraft] = useState<Draft | null>(null);
+  const [test, setTest] = useState<TestResp | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const colLabel = (name: string) => columns.find((c) => c.name === name)?.original || name;
+
+  async function load() {
+    try {
+      const j = await fetchJson("/catalog/rules");
+      setRules(j.rules || []);
+      setColumns(j.columns || []);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function run<T>(fn: () => Promise<T>) {
+    setBusy(true);
+    try {
+      return await fn();
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const save = () => run(async () => {
+    if (!draft) return;
+    const body = toPayload(draft);
+    if (draft.id) await fetchJson(`/catalog/rules/${draft.id}`, "PUT", body);
+    else await fetchJson("/catalog/rules", "POST", body);
+    setDraft(null);
+    setTest(null);
+    await load();
+  });
+
+  const runTest = () => run(async () => {
+    if (!draft) return;
+    setTest(await fetchJson("/catalog/rules/test", "POST", { ...toPayload(draft), limit: 100 }));
+  });
+
+  const move = (idx: number, delta: number) => run(async () => {
+    const ids = rules.map((r) => r.id);
+    const [id] = ids.splice(idx, 1);
+    ids.splice(idx + delta, 0, id);
+    const j = await fetchJson("/catalog/rules/reorder", "POST", { ids });
+    setRules(j.rules);
+  });
+
+  const toggle = (r: Rule) => run(async () => {
+    await fetchJson(`/catalog/rules/${r.id}`, "PUT", { enabled: !r.enabled });
+    await load();
+  });
+
+  const remove = (r: Rule) => run(async () => {
+    if (!window.confirm(`Supprimer la règle « ${r.name} » ?`)) return;
+    const j = await fetchJson(`/catalog/rules/${r.id}`, "DELETE");
+    setRules(j.rules);
+  });
+
+  const setCond = (i: number, patch: Partial<Draft["conditions"][number]>) =>
+    draft && setDraft({ ...draft, conditions: draft.conditions.map((c, k) => (k === i ? { ...c, ...patch } : c)) });
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9" } as const;
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <ListFilter />
+        <div style={{ fontWeight: 700 }}>Règles de classification</div>
+        <span style={{ fontSize: 13, color: "#475569" }}>appliquées dans l'ordre avant le LLM, au prochain build</span>
+        {busy && <Loader2 className="spin" size={16} />}
+        <button style={{ ...btn, marginLeft: "auto" }} onClick={() => { setDraft(emptyDraft()); setTest(null); }}>
+          <Plus size={12} /> Nouvelle règle
+        </button>
+      </div>
+
+      {!rules.length ? (
+        <div style={{ color: "#64748b", fontSize: 13 }}>Aucune règle : toutes les lignes sont classées par le LLM.</div>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr>{["#", "Nom", "Conditions", "Affectation", "Active", ""].map((h) => <th key={h} style={th}>{h}</th>)}</tr>
+          </thead>
+          <tbody>
+            {rules.map((r, i) => (
+              <tr key={r.id} style={{ opacity: r.enabled ? 1 : 0.5 }}>
+                <td style={td}>{i + 1}</td>
+                <td style={{ ...td, fontWeight: 600 }}>{r.name}</td>
+                <td style={td}>
+                  {r.conditions.map((c, k) => (
+                    <div key={k}>
+                      {colLabel(c.column)} <i>{OP_LABELS[c.op]}</i> « {c.op === "in" ? (c.values || []).join(" ; ") : c.value} »
+                    </div>
+                  ))}
+                </td>
+                <td style={td}>{r.category} / {r.subcategory}</td>
+                <td style={td}><input type="checkbox" checked={r.enabled} disabled={busy} onChange={() => toggle(r)} /></td>
+                <td style={{ ...td, whiteSpace: "nowrap" }}>
+                  <button style={btn} disabled={busy || i === 0} onClick={() => move(i, -1)} title="Monter"><ArrowUp size={12} /></button>{" "}
+                  <button style={btn} disabled={busy || i === rules.length - 1} onClick={() => move(i, 1)} title="Descendre"><ArrowDown size={12} /></button>{" "}
+                  <button style={btn} disabled={busy} onClick={() => { setDraft(fromRule(r)); setTest(null); }} title="Modifier"><Pencil size={12} /></button>{" "}
+                  <button style={btn} disabled={busy} onClick={() => remove(r)} title="Supprimer"><Trash2 size={12} /></button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {draft && (
+        <div style={{ marginTop: 12, padding: 12, background: "#f8fafc", border: "1px solid #e2e8f0", borderRadius: 12, display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <b style={{ fontSize: 13 }}>{draft.id ? `Règle #${draft.id}` : "Nouvelle règle"}</b>
+            <input placeholder="Nom (optionnel)" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} style={{ ...input, minWidth: 220 }} />
+            <span style={{ fontSize: 12 }}>→</span>
+            <input list="rule-cats" placeholder="Catégorie" value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })} style={input} />
+            <input list="rule-subs" placeholder="Sous-catégorie" value={draft.subcategory} onChange={(e) => setDraft({ ...draft, subcategory: e.target.value })} style={input} />
+            <datalist id="rule-cats">{taxonomy.map((t) => <option key={t.category} value={t.category} />)}</datalist>
+            <datalist id="rule-subs">{(taxonomy.find((t) => t.category === draft.category)?.subcategories || []).map((s) => <option key={s} value={s} />)}</datalist>
+          </div>
+
+          {draft.conditions.map((c, i) => (
+            <div key={i} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <span style={{ fontSize: 12, width: 24 }}>{i === 0 ? "Si" : "et"}</span>
+              <select value={c.column} onChange={(e) => setCond(i, { column: e.target.value })} style={{ ...input, maxWidth: 260 }}>
+                <option value="">— colonne Achats —</option>
+                {columns.map((col) => <option key={col.name} value={col.name}>{col.original || col.name}</option>)}
+              </select>
+              <select value={c.op} onChange={(e) => setCond(i, { op: e.target.value as Op })} style={input}>
+                {(Object.keys(OP_LABELS) as Op[]).map((op) => <option key={op} value={op}>{OP_LABELS[op]}</option>)}
+              </select>
+              <input value={c.value} onChange={(e) => setCond(i, { value: e.target.value })} style={{ ...input, flex: 1 }} placeholder={c.op === "in" ? "valeur 1; valeur 2" : c.op === "regex" ? "^licence|maintenance" : "valeur"} />
+              <button style={btn} disabled={draft.conditions.length === 1} onClick={() => setDraft({ ...draft, conditions: draft.conditions.filter((_, k) => k !== i) })}><Trash2 size={12} /></button>
+            </div>
+          ))}
+
+          <div style={{ display: "flex", gap: 8 }}>
+            <button style={btn} onClick={() => setDraft({ ...draft, conditions: [...draft.conditions, { column: "", op: "contains", value: "" }] })}><Plus size={12} /> Condition</button>
+            <label style={{ fontSize: 12, display: "inline-flex", alignItems: "center", gap: 4 }}>
+              <input type="checkbox" checked={draft.enabled} onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })} /> Active
+            </label>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+              <button style={btn} disabled={busy} onClick={runTest}><FlaskConical size={12} /> Tester</button>
+              <button style={{ ...btn, background: "#111827", color: "#fff" }} disabled={busy} onClick={save}><Save size={12} /> Enregistrer</button>
+              <button style={btn} onClick={() => { setDraft(null); setTest(null); }}>Annuler</button>
+            </div>
+          </div>
+
+          {test && (
+            <div style={{ display: "grid", gap: 6 }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12 }}>
+                <Badge color={test.matched ? "#dcfce7" : "#fee2e2"} text={`${test.matched} / ${test.total} lignes`} />
+                {!!test.capturedBy && <Badge color="#fef9c3" text={`${test.capturedBy} déjà prises par une règle prioritaire`} />}
+              </div>
+              {!!test.sample.length && (
+                <div style={{ overflow: "auto", maxHeight: 260, border: "1px solid #e5e7eb", borderRadius: 12, background: "#fff" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                    <thead style={{ position: "sticky", top: 0, background: "#f8fafc" }}>
+                      <tr>
+                        {["Commande", "Ligne", "Fournisseur", "Description ligne", ...draft.conditions.map((c) => colLabel(c.column)), "Affectation actuelle", ""].map((h, k) => (
+                          <th key={k} style={th}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {test.sample.map((s) => (
+                        <tr key={`${s.order_no}|||${s.line_no}`}>
+                          <td style={td}>{s.order_no}</td>
+                          <td style={td}>{s.line_no}</td>
+                          <td style={td}>{s.fournisseur}</td>
+                          <td style={td}>{s.desc_line}</td>
+                          {s.conditions.map((v, k) => <td key={k} style={td}>{v}</td>)}
+                          <td style={td}>{s.current_category ? `${s.current_category} / ${s.current_subcategory} (${s.current_source || "?"})` : "—"}</td>
+                          <td style={td}>{s.captured_by != null && <span style={{ color: "#b45309" }}>règle #{s.captured_by}</span>}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
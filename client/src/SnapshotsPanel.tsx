@@ -0,0 +1,368 @@
+import { useEffect, useState } from "react";
+import { History, Loader2, RefreshCw, Undo2, Pencil, GitCompare, Trash2 } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * Historique du catalogue (onglet Catalogue)
+ * - Un instantané nommé et daté par build, import ou restauration : taxonomie, classement des lignes, médianes des profils
+ * - Restaurer : remet la taxonomie et le classement de l'instantané (lui-même enregistré comme nouvel instantané) ;
+ *   les lignes classées depuis gardent leur classement et leurs paiements
+ * - Comparer deux instantanés (défaut : le dernier et le précédent) : catégories ajoutées / retirées,
+ *   lignes réaffectées, écart de médiane par sous-catégorie × fournisseur
+ * - Supprimer : libère la place d'un instantané (le serveur ne garde de toute façon que les plus récents)
+ */
+
+type Snapshot = {
+  id: number;
+  name: string;
+  kind: "build" | "import" | "restore";
+  mode: "full" | "incremental" | null;
+  taxonomySource: string | null;
+  model: string | null;
+  builtAt: string | null;
+  createdAt: string;
+  restoredFrom: number | null;
+  categories: number;
+  subcategories: number;
+  lines: number;
+  profiles: number;
+};
+type Node = { category: string; subcategory: string };
+type Move = { from_category: string | null; from_subcategory: string | null; to_category: string | null; to_subcategory: string | null; lines: number };
+type MovedLine = Omit<Move, "lines"> & { order_no: string; line_no: string; fournisseur: string | null; to_source: string | null; to_confidence: number | null };
+type ProfileChange = {
+  category: string | null;
+  subcategory: string | null;
+  fournisseur: string | null;
+  from_n_payments: number | null;
+  to_n_payments: number | null;
+  from_median: number | null;
+  to_median: number | null;
+  median_change: number | null;
+  status: "changed" | "added" | "removed";
+};
+type Diff = {
+  from: Snapshot;
+  to: Snapshot;
+  taxonomy: { addedCategories: string[]; removedCategories: string[]; addedSubcategories: Node[]; removedSubcategories: Node[] };
+  lines: { reassigned: number; added: number; removed: number; unchanged: number };
+  moves: Move[];
+  reassigned: MovedLine[];
+  profiles: { changed: number; added: number; removed: number; rows: ProfileChange[] };
+  truncated: boolean;
+};
+
+const KIND_LABELS: Record<Snapshot["kind"], { label: string; color: string }> = {
+  build: { label: "Build", color: "#e0e7ff" },
+  import: { label: "Import", color: "#fef3c7" },
+  restore: { label: "Restauration", color: "#f1f5f9" },
+};
+
+const selectStyle = { padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 12, maxWidth: 260 } as const;
+
+const fmtDate = (s: string | null) => (s ? new Date(s).toLocaleString("fr-FR") : "");
+const node = (c: string | null, s: string | null) => (c ? `${c} › ${s ?? "—"}` : "—");
+const days = (v: number | null) => (v == null ? "—" : `${v} j`);
+const delta = (v: number | null) => (v == null ? "—" : `${v > 0 ? "+" : ""}${v} j`);
+
+export default function SnapshotsPanel({ refreshKey, onChanged }: { refreshKey?: unknown; onChanged: () => void | Promise<void> }) {
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const [busy, setBusy] = useState<number | "load" | "diff" | null>(null);
+  const [from, setFrom] = useState<string>("");
+  const [to, setTo] = useState<string>("");
+  const [diff, setDiff] = useState<Diff | null>(null);
+  const [diffError, setDiffError] = useState<string | null>(null);
+  const [showLines, setShowLines] = useState(false);
+
+  async function load() {
+    setBusy("load");
+    try {
+      const j = await fetchJson(`/catalog/snapshots?limit=50`);
+      setSnapshots(j.snapshots || []);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  // from / to vides : dernier instantané comparé au précédent
+  async function compare(f = from, t = to) {
+    setBusy("diff");
+    try {
+      const q = new URLSearchParams();
+      if (f) q.set("from", f);
+      if (t) q.set("to", t);
+      const j = await fetchJson(`/catalog/snapshots/diff?${q.toString()}`);
+      setDiff(j);
+      setDiffError(null);
+    } catch (e: any) {
+      setDiff(null);
+      setDiffError(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    compare();
+  }, [refreshKey]);
+
+  async function restore(s: Snapshot) {
+    if (!confirm(`Restaurer la taxonomie et le classement de « ${s.name} » (n°${s.id}) ?\nLes réaffectations manuelles faites depuis seront remplacées.`)) return;
+    setBusy(s.id);
+    try {
+      const j = await fetchJson(`/catalog/snapshots/${s.id}/restore`, "POST");
+      await onChanged();
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function remove(s: Snapshot) {
+    if (!confirm(`Supprimer l'instantané « ${s.name} » (n°${s.id}) ?`)) return;
+    setBusy(s.id);
+    try {
+      const j = await fetchJson(`/catalog/snapshots/${s.id}`, "DELETE");
+      const f = from === String(s.id) ? "" : from;
+      const t = to === String(s.id) ? "" : to;
+      setFrom(f);
+      setTo(t);
+      await load();
+      await compare(f, t);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function rename(s: Snapshot) {
+    const name = window.prompt(`Renommer l'instantané n°${s.id} en :`, s.name)?.trim();
+    if (!name || name === s.name) return;
+    try {
+      const j = await fetchJson(`/catalog/snapshots/${s.id}`, "PUT", { name });
+      setSnapshots((list) => list.map((x) => (x.id === s.id ? j : x)));
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    }
+  }
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap" } as const;
+  const label = (s: Snapshot) => `n°${s.id} — ${s.name} (${fmtDate(s.createdAt)})`;
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <History />
+        <div style={{ fontWeight: 700 }}>Historique du catalogue</div>
+        <button onClick={() => { load(); compare(); }} disabled={busy === "load"} style={{ ...btn, marginLeft: "auto", padding: "8px 12px", fontSize: 13 }}>
+          {busy === "load" ? <Loader2 className="spin" size={14} /> : <RefreshCw size={14} />} Actualiser
+        </button>
+      </div>
+
+      {!snapshots.length ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>Aucun instantané : chaque build ou import du catalogue en enregistre un.</div>
+      ) : (
+        <div style={{ maxHeight: 240, overflow: "auto" }}>
+          <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={th}>N°</th>
+                <th style={th}>Date</th>
+                <th style={th}>Nom</th>
+                <th style={th}>Type</th>
+                <th style={th}>Catégories</th>
+                <th style={th}>Lignes</th>
+                <th style={th}>Profils</th>
+                <th style={th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {snapshots.map((s) => (
+                <tr key={s.id}>
+                  <td style={td}>{s.id}</td>
+                  <td style={td}>{fmtDate(s.createdAt)}</td>
+                  <td style={{ ...td, whiteSpace: "normal" }} title={s.model ? `Modèle : ${s.model}` : undefined}>{s.name}</td>
+                  <td style={td}>
+                    <Badge
+                      color={KIND_LABELS[s.kind].color}
+                      text={s.kind === "restore" && s.restoredFrom != null ? `${KIND_LABELS[s.kind].label} du n°${s.restoredFrom}` : KIND_LABELS[s.kind].label}
+                    />
+                  </td>
+                  <td style={td}>{s.categories} / {s.subcategories} sous-cat.</td>
+                  <td style={td}>{s.lines.toLocaleString("fr-FR")}</td>
+                  <td style={td}>{s.profiles.toLocaleString("fr-FR")}</td>
+                  <td style={{ ...td, display: "flex", gap: 6 }}>
+                    <button onClick={() => rename(s)} title="Renommer" style={btn}>
+                      <Pencil size={12} />
+                    </button>
+                    <button onClick={() => restore(s)} disabled={busy === s.id} title="Restaurer cet instantané" style={btn}>
+                      {busy === s.id ? <Loader2 className="spin" size={12} /> : <Undo2 size={12} />} Restaurer
+                    </button>
+                    <button onClick={() => remove(s)} disabled={busy === s.id} title="Supprimer cet instantané" style={btn}>
+                      <Trash2 size={12} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* COMPARAISON */}
+      {snapshots.length > 1 && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 12, fontSize: 13, flexWrap: "wrap" }}>
+          <GitCompare size={16} />
+          <b>Comparer</b>
+          <select value={from} onChange={(e) => setFrom(e.target.value)} style={selectStyle}>
+            <option value="">Précédent</option>
+            {snapshots.map((s) => <option key={s.id} value={s.id}>{label(s)}</option>)}
+          </select>
+          →
+          <select value={to} onChange={(e) => setTo(e.target.value)} style={selectStyle}>
+            <option value="">Dernier</option>
+            {snapshots.map((s) => <option key={s.id} value={s.id}>{label(s)}</option>)}
+          </select>
+          <button onClick={() => compare()} disabled={busy === "diff"} style={btn}>
+            {busy === "diff" ? <Loader2 className="spin" size={12} /> : <GitCompare size={12} />} Comparer
+          </button>
+        </div>
+      )}
+
+      {snapshots.length > 1 && diffError && <div style={{ marginTop: 8, fontSize: 13, color: "#64748b" }}>{diffError}</div>}
+
+      {diff && snapshots.length > 1 && (
+        <div style={{ display: "grid", gap: 12, marginTop: 12 }}>
+          <div style={{ fontSize: 13, color: "#334155" }}>
+            <b>{diff.from.name}</b> (n°{diff.from.id}) → <b>{diff.to.name}</b> (n°{diff.to.id}) :{" "}
+            {diff.lines.reassigned.toLocaleString("fr-FR")} ligne(s) réaffectée(s), {diff.lines.added.toLocaleString("fr-FR")} apparue(s),{" "}
+            {diff.lines.removed.toLocaleString("fr-FR")} disparue(s), {diff.lines.unchanged.toLocaleString("fr-FR")} inchangée(s) —{" "}
+            {diff.profiles.changed} médiane(s) modifiée(s), {diff.profiles.added} profil(s) apparu(s), {diff.profiles.removed} disparu(s)
+          </div>
+
+          {/* Taxonomie */}
+          {(() => {
+            const t = diff.taxonomy;
+            const empty = !t.addedCategories.length && !t.removedCategories.length && !t.addedSubcategories.length && !t.removedSubcategories.length;
+            if (empty) return <div style={{ fontSize: 12, color: "#64748b" }}>Taxonomie identique.</div>;
+            return (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", fontSize: 12 }}>
+                {t.addedCategories.map((c) => <Badge key={`+c${c}`} color="#dcfce7" text={`+ ${c}`} />)}
+                {t.removedCategories.map((c) => <Badge key={`-c${c}`} color="#fee2e2" text={`− ${c}`} />)}
+                {t.addedSubcategories.map((n) => <Badge key={`+s${n.category}|${n.subcategory}`} color="#f0fdf4" text={`+ ${node(n.category, n.subcategory)}`} />)}
+                {t.removedSubcategories.map((n) => <Badge key={`-s${n.category}|${n.subcategory}`} color="#fef2f2" text={`− ${node(n.category, n.subcategory)}`} />)}
+              </div>
+            );
+          })()}
+
+          <div style={{ display: "grid", gridTemplateColumns: "minmax(0, 1fr) minmax(0, 1fr)", gap: 16 }}>
+            {/* Réaffectations */}
+            <div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, fontWeight: 600, fontSize: 13, marginBottom: 6 }}>
+                Lignes réaffectées
+                {!!diff.reassigned.length && (
+                  <button onClick={() => setShowLines((v) => !v)} style={{ ...btn, marginLeft: "auto" }}>
+                    {showLines ? "Par flux" : "Détail des lignes"}
+                  </button>
+                )}
+              </div>
+              {!diff.moves.length ? (
+                <div style={{ fontSize: 12, color: "#64748b" }}>Aucune ligne réaffectée.</div>
+              ) : (
+                <div style={{ maxHeight: 280, overflow: "auto" }}>
+                  <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+                    <thead>
+                      {showLines ? (
+                        <tr>
+                          <th style={th}>Ligne</th>
+                          <th style={th}>Fournisseur</th>
+                          <th style={th}>Avant</th>
+                          <th style={th}>Après</th>
+                          <th style={th}>Source</th>
+                        </tr>
+                      ) : (
+                        <tr>
+                          <th style={th}>Avant</th>
+                          <th style={th}>Après</th>
+                          <th style={th}>Lignes</th>
+                        </tr>
+                      )}
+                    </thead>
+                    <tbody>
+                      {showLines
+                        ? diff.reassigned.map((l) => (
+                            <tr key={`${l.order_no}|${l.line_no}`}>
+                              <td style={{ ...td, fontWeight: 600 }}>{l.order_no} / {l.line_no}</td>
+                              <td style={td}>{l.fournisseur || "—"}</td>
+                              <td style={{ ...td, color: "#b91c1c" }}>{node(l.from_category, l.from_subcategory)}</td>
+                              <td style={{ ...td, color: "#15803d" }}>{node(l.to_category, l.to_subcategory)}</td>
+                              <td style={td}>{l.to_source || "—"}{l.to_confidence != null ? ` (${Math.round(l.to_confidence * 100)} %)` : ""}</td>
+                            </tr>
+                          ))
+                        : diff.moves.map((m, i) => (
+                            <tr key={i}>
+                              <td style={{ ...td, color: "#b91c1c" }}>{node(m.from_category, m.from_subcategory)}</td>
+                              <td style={{ ...td, color: "#15803d" }}>{node(m.to_category, m.to_subcategory)}</td>
+                              <td style={{ ...td, fontWeight: 600 }}>{m.lines.toLocaleString("fr-FR")}</td>
+                            </tr>
+                          ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Médianes */}
+            <div>
+              <div style={{ fontWeight: 600, fontSize: 13, marginBottom: 6 }}>Médianes des profils (flux nets)</div>
+              {!diff.profiles.rows.length ? (
+                <div style={{ fontSize: 12, color: "#64748b" }}>Aucune médiane modifiée.</div>
+              ) : (
+                <div style={{ maxHeight: 280, overflow: "auto" }}>
+                  <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Sous-catégorie</th>
+                        <th style={th}>Fournisseur</th>
+                        <th style={th}>Avant</th>
+                        <th style={th}>Après</th>
+                        <th style={th}>Écart</th>
+                        <th style={th}>Paiements</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.profiles.rows.map((p) => (
+                        <tr key={`${p.subcategory}|${p.fournisseur}`}>
+                          <td style={td} title={p.category || undefined}>{p.subcategory || "—"}</td>
+                          <td style={td}>{p.fournisseur || "—"}</td>
+                          <td style={td}>{days(p.from_median)}</td>
+                          <td style={td}>{days(p.to_median)}</td>
+                          <td style={td}>
+                            {p.status === "changed" ? (
+                              <b style={{ color: (p.median_change || 0) > 0 ? "#b91c1c" : "#15803d" }}>{delta(p.median_change)}</b>
+                            ) : (
+                              <Badge color={p.status === "added" ? "#dcfce7" : "#fee2e2"} text={p.status === "added" ? "Nouveau" : "Disparu"} />
+                            )}
+                          </td>
+                          <td style={td}>{p.from_n_payments ?? "—"} → {p.to_n_payments ?? "—"}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+          {diff.truncated && <div style={{ fontSize: 11, color: "#64748b" }}>Listes tronquées aux premiers écarts.</div>}
+        </div>
+      )}
+    </section>
+  );
+}
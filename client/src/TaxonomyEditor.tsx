@@ -0,0 +1,228 @@
+import { useEffect, useState } from "react";
+import { Pencil, ArrowRightLeft, Merge, ListChecks, Lock, Loader2 } from "lucide-react";
+import { API, fetchJson } from "./api";
+import { btn, subtleShadow } from "./ui";
+
+/**
+ * Éditeur de taxonomie (onglet Catalogue)
+ * - Renommer catégorie / sous-catégorie
+ * - Déplacer une sous-catégorie, fusionner deux sous-catégories
+ * - Réaffecter une sélection de lignes ; les lignes touchées sont verrouillées
+ *   (un build ultérieur ne les reclassifie pas)
+ */
+
+type TaxoNode = { category: string; subcategories: string[] };
+type MapLine = {
+  order_no: string;
+  line_no: string;
+  category: string;
+  subcategory: string;
+  fournisseur: string | null;
+  locked: boolean;
+  source?: "rule" | "llm" | "manual" | null;
+  rule_id?: number | null;
+  type_ligne?: string | null;
+  desc_cmd?: string | null;
+  desc_line?: string | null;
+};
+
+const sel = { padding: "3px 6px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 12, maxWidth: 180 } as const;
+
+export default function TaxonomyEditor({
+  taxonomy,
+  counts,
+  onChanged,
+}: {
+  taxonomy: TaxoNode[];
+  counts?: Record<string, number>;
+  onChanged: () => void | Promise<void>;
+}) {
+  const [busy, setBusy] = useState(false);
+  const [open, setOpen] = useState<{ category: string; subcategory: string } | null>(null);
+  const [lines, setLines] = useState<MapLine[] | null>(null);
+  const [picked, setPicked] = useState<Set<string>>(new Set());
+  const [target, setTarget] = useState({ category: "", subcategory: "" });
+
+  const allSubs = taxonomy.flatMap((t) => t.subcategories.map((s) => ({ category: t.category, subcategory: s })));
+
+  async function run(action: string, body: any) {
+    setBusy(true);
+    try {
+      await fetchJson(`/catalog/curate/${action}`, "POST", body);
+      await onChanged();
+      if (open) await loadLines(open);
+    } catch (e: any) {
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function loadLines(node: { category: string; subcategory: string }) {
+    const q = new URLSearchParams(node);
+    const r = await fetch(`${API}/catalog/lines?${q.toString()}`);
+    const j = await r.json();
+    if (j.error) { alert(j.error); return; }
+    setLines(j.lines || []);
+    setPicked(new Set());
+  }
+
+  useEffect(() => {
+    if (open) loadLines(open);
+    else setLines(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open?.category, open?.subcategory]);
+
+  function renameCategory(category: string) {
+    const newName = window.prompt(`Renommer la catégorie « ${category} » en :`, category)?.trim();
+    if (newName && newName !== category) run("rename-category", { category, newName });
+  }
+  function renameSubcategory(category: string, subcategory: string) {
+    const newName = window.prompt(`Renommer la sous-catégorie « ${subcategory} » en :`, subcategory)?.trim();
+    if (newName && newName !== subcategory) {
+      if (open?.subcategory === subcategory) setOpen({ category, subcategory: newName });
+      run("rename-subcategory", { category, subcategory, newName });
+    }
+  }
+  function reassign() {
+    if (!picked.size || !target.category.trim() || !target.subcategory.trim()) return;
+    const sel = (lines || []).filter((l) => picked.has(`${l.order_no}|||${l.line_no}`)).map((l) => ({ order_no: l.order_no, line_no: l.line_no }));
+    run("reassign", { lines: sel, category: target.category.trim(), subcategory: target.subcategory.trim() });
+  }
+
+  const lineKey = (l: MapLine) => `${l.order_no}|||${l.line_no}`;
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <Pencil />
+        <div style={{ fontWeight: 700 }}>Curation de la taxonomie</div>
+        {busy && <Loader2 className="spin" size={16} />}
+      </div>
+
+      <div style={{ maxHeight: 360, overflow: "auto", background: "#f8fafc", border: "1px solid #e2e8f0", borderRadius: 12, padding: 12, fontSize: 13 }}>
+        {!taxonomy.length ? (
+          <div style={{ color: "#64748b" }}>Aucun catalogue encore construit.</div>
+        ) : (
+          taxonomy.map((t) => (
+            <div key={t.category} style={{ marginBottom: 10 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <b>{t.category}</b>
+                <button style={btn} disabled={busy} onClick={() => renameCategory(t.category)}><Pencil size={12} /> Renommer</button>
+              </div>
+              {t.subcategories.map((s) => (
+                <div key={s} style={{ display: "flex", alignItems: "center", gap: 6, margin: "4px 0 0 16px", flexWrap: "wrap" }}>
+                  <span style={{ minWidth: 160 }}>
+                    {s} {counts?.[s] ? <span style={{ color: "#64748b" }}>({counts[s]})</span> : null}
+                  </span>
+                  <button style={btn} disabled={busy} onClick={() => renameSubcategory(t.category, s)}><Pencil size={12} /> Renommer</button>
+                  <select
+                    style={sel}
+                    disabled={busy}
+                    value=""
+                    onChange={(e) => e.target.value && run("move", { category: t.category, subcategory: s, toCategory: e.target.value })}
+                    title="Déplacer vers une autre catégorie"
+                  >
+                    <option value="">↪ Déplacer vers…</option>
+                    {taxonomy.filter((o) => o.category !== t.category).map((o) => (
+                      <option key={o.category} value={o.category}>{o.category}</option>
+                    ))}
+                  </select>
+                  <select
+                    style={sel}
+                    disabled={busy}
+                    value=""
+                    onChange={(e) => {
+                      if (!e.target.value) return;
+                      const into = JSON.parse(e.target.value);
+                      if (window.confirm(`Fusionner « ${s} » dans « ${into.category} / ${into.subcategory} » ?`)) {
+                        run("merge", { from: { category: t.category, subcategory: s }, into });
+                      }
+                    }}
+                    title="Fusionner dans une autre sous-catégorie"
+                  >
+                    <option value="">⇢ Fusionner dans…</option>
+                    {allSubs.filter((o) => !(o.category === t.category && o.subcategory === s)).map((o) => (
+                      <option key={`${o.category}|${o.subcategory}`} value={JSON.stringify(o)}>{o.category} / {o.subcategory}</option>
+                    ))}
+                  </select>
+                  <button
+                    style={{ ...btn, background: open?.category === t.category && open?.subcategory === s ? "#dbeafe" : btn.background }}
+                    onClick={() => setOpen(open?.category === t.category && open?.subcategory === s ? null : { category: t.category, subcategory: s })}
+                  >
+                    <ListChecks size={12} /> Lignes
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+
+      {open && lines && (
+        <div style={{ marginTop: 12, display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 13 }}>
+            <b>{open.category} / {open.subcategory}</b>
+            <span style={{ color: "#64748b" }}>{lines.length} ligne(s), {picked.size} sélectionnée(s)</span>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center" }}>
+              <ArrowRightLeft size={14} />
+              <input list="curate-cats" placeholder="Catégorie cible" value={target.category} onChange={(e) => setTarget({ ...target, category: e.target.value })} style={{ ...sel, maxWidth: 160 }} />
+              <input list="curate-subs" placeholder="Sous-catégorie cible" value={target.subcategory} onChange={(e) => setTarget({ ...target, subcategory: e.target.value })} style={{ ...sel, maxWidth: 160 }} />
+              <datalist id="curate-cats">{taxonomy.map((t) => <option key={t.category} value={t.category} />)}</datalist>
+              <datalist id="curate-subs">{(taxonomy.find((t) => t.category === target.category)?.subcategories || []).map((s) => <option key={s} value={s} />)}</datalist>
+              <button style={{ ...btn, background: "#111827", color: "#fff" }} disabled={busy || !picked.size} onClick={reassign}>
+                <Merge size={12} /> Réaffecter
+              </button>
+            </div>
+          </div>
+          <div style={{ overflow: "auto", maxHeight: 300, border: "1px solid #e5e7eb", borderRadius: 12 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <thead style={{ position: "sticky", top: 0, background: "#f8fafc" }}>
+                <tr>
+                  <th style={{ padding: 6, textAlign: "left" }}>
+                    <input
+                      type="checkbox"
+                      checked={!!lines.length && picked.size === lines.length}
+                      onChange={(e) => setPicked(e.target.checked ? new Set(lines.map(lineKey)) : new Set())}
+                    />
+                  </th>
+                  {["Commande", "Ligne", "Fournisseur", "Type", "Description commande", "Description ligne", "Origine", ""].map((h) => (
+                    <th key={h} style={{ padding: 6, textAlign: "left", whiteSpace: "nowrap" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((l) => {
+                  const k = lineKey(l);
+                  return (
+                    <tr key={k} style={{ borderTop: "1px solid #f1f5f9" }}>
+                      <td style={{ padding: 6 }}>
+                        <input
+                          type="checkbox"
+                          checked={picked.has(k)}
+                          onChange={(e) => {
+                            const next = new Set(picked);
+                            if (e.target.checked) next.add(k); else next.delete(k);
+                            setPicked(next);
+                          }}
+                        />
+                      </td>
+                      <td style={{ padding: 6 }}>{l.order_no}</td>
+                      <td style={{ padding: 6 }}>{l.line_no}</td>
+                      <td style={{ padding: 6 }}>{l.fournisseur}</td>
+                      <td style={{ padding: 6 }}>{l.type_ligne}</td>
+                      <td style={{ padding: 6 }}>{l.desc_cmd}</td>
+                      <td style={{ padding: 6 }}>{l.desc_line}</td>
+                      <td style={{ padding: 6, whiteSpace: "nowrap" }}>{l.source === "rule" ? `règle #${l.rule_id}` : l.source === "manual" ? "manuelle" : l.source === "llm" ? "LLM" : "—"}</td>
+                      <td style={{ padding: 6 }}>{l.locked && <span title="Affectation manuelle verrouillée"><Lock size={12} /></span>}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { Timer, Loader2, RefreshCw } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge, btn, subtleShadow } from "./ui";
+
+/**
+ * Conditions de règlement vs paiements réels (onglet Catalogue)
+ * - Fiche par fournisseur ou sous-catégorie : retard moyen / pondéré / médian sur l'échéance, part payée à l'heure
+ * - Libellés de conditions lus depuis la table Détails (les non reconnus n'ont pas d'échéance calculée)
+ * - Détail par facture : vue catalog_invoice_terms, interrogeable depuis le chat
+ */
+
+type Score = {
+  name: string | null;
+  invoices: number;
+  withDue: number;
+  montant: number;
+  avgLateness: number | null;
+  weightedLateness: number | null;
+  medianLateness: number | null;
+  onTimeShare: number | null;
+  avgActualDelay: number | null;
+  avgTermsDays: number | null;
+  mainTerms: string | null;
+};
+type TermsResp = {
+  view: string;
+  totals: { invoices: number; withDue: number; withTerms: number; avgLateness: number | null; onTimeShare: number | null };
+  suppliers: Score[];
+  subcategories: Score[];
+  terms: { raw: string; label: string; parsed: boolean; lines: number }[];
+};
+type By = "suppliers" | "subcategories";
+
+const days = (v: number | null) => (v == null ? "—" : `${v > 0 ? "+" : ""}${Math.round(v)} j`);
+const pct = (v: number | null) => (v == null ? "—" : `${Math.round(v * 100)} %`);
+// retard moyen : vert à l'heure, orange jusqu'à 15 j, rouge au-delà
+const lateColor = (v: number | null) => (v == null ? "#e5e7eb" : v <= 0 ? "#dcfce7" : v <= 15 ? "#fef3c7" : "#fee2e2");
+
+export default function TermsPanel({ refreshKey }: { refreshKey?: unknown }) {
+  const [data, setData] = useState<TermsResp | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [by, setBy] = useState<By>("suppliers");
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    setBusy(true);
+    try {
+      const j = await fetchJson(`/catalog/terms`);
+      setData(j);
+      setError(null);
+    } catch (e: any) {
+      // catalogue non construit : message affiché dans le panneau
+      setData(null);
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+  useEffect(() => { load(); }, [refreshKey]);
+
+  const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e2e8f0", whiteSpace: "nowrap" } as const;
+  const td = { padding: 6, borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap" } as const;
+  const rows = data ? data[by] : [];
+  const unparsed = data?.terms.filter((t) => !t.parsed) || [];
+
+  return (
+    <section style={{ background: "#ffffff", borderRadius: 16, boxShadow: subtleShadow(), border: "1px solid #e5e7eb", padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
+        <Timer />
+        <div style={{ fontWeight: 700 }}>Conditions de règlement</div>
+        {data && (
+          <span style={{ fontSize: 13, color: "#475569" }}>
+            {data.totals.withDue.toLocaleString("fr-FR")} / {data.totals.invoices.toLocaleString("fr-FR")} facture(s) avec échéance — retard moyen {days(data.totals.avgLateness)}, à l'heure {pct(data.totals.onTimeShare)}
+          </span>
+        )}
+        <select
+          value={by}
+          onChange={(e) => setBy(e.target.value as By)}
+          style={{ marginLeft: "auto", padding: "4px 8px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 13 }}
+        >
+          <option value="suppliers">Par fournisseur</option>
+          <option value="subcategories">Par sous-catégorie</option>
+        </select>
+        <button onClick={load} disabled={busy} style={{ ...btn, padding: "8px 12px", fontSize: 13 }}>
+          {busy ? <Loader2 className="spin" size={14} /> : <RefreshCw size={14} />} Actualiser
+        </button>
+      </div>
+      {error ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{error}</div>
+      ) : !data ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>Analyse…</div>
+      ) : (
+        <>
+          {!!unparsed.length && (
+            <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, fontSize: 12, color: "#475569", marginBottom: 8 }}>
+              <span>Conditions non reconnues (échéance estimée de la table Détails à défaut) :</span>
+              {unparsed.map((t) => <Badge key={t.raw} color="#fee2e2" text={`${t.raw} (${t.lines})`} />)}
+            </div>
+          )}
+          {!rows.length ? (
+            <div style={{ fontSize: 13, color: "#64748b" }}>Aucune facture rapprochée.</div>
+          ) : (
+            <div style={{ maxHeight: 360, overflow: "auto" }}>
+              <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    <th style={th}>{by === "suppliers" ? "Fournisseur" : "Sous-catégorie"}</th>
+                    <th style={th}>Factures</th>
+                    <th style={th}>Conditions</th>
+                    <th style={th} title="Délai contractuel moyen (hors acomptes)">Délai prévu</th>
+                    <th style={th} title="Délai moyen entre la date de départ (facture, livraison ou commande) et le paiement">Délai réel</th>
+                    <th style={th}>Retard moyen</th>
+                    <th style={th} title="Retard moyen pondéré par le montant des factures">Retard pondéré</th>
+                    <th style={th}>Retard médian</th>
+                    <th style={th}>À l'heure</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr key={r.name ?? ""}>
+                      <td style={{ ...td, fontWeight: 600, whiteSpace: "normal" }}>{r.name || "(inconnu)"}</td>
+                      <td style={td}>{r.withDue.toLocaleString("fr-FR")} / {r.invoices.toLocaleString("fr-FR")}</td>
+                      <td style={{ ...td, color: "#475569" }}>{r.mainTerms || "—"}</td>
+                      <td style={td}>{r.avgTermsDays == null ? "—" : `${Math.round(r.avgTermsDays)} j`}</td>
+                      <td style={td}>{r.avgActualDelay == null ? "—" : `${Math.round(r.avgActualDelay)} j`}</td>
+                      <td style={td}><Badge color={lateColor(r.avgLateness)} text={days(r.avgLateness)} /></td>
+                      <td style={td}>{days(r.weightedLateness)}</td>
+                      <td style={td}>{days(r.medianLateness)}</td>
+                      <td style={td}>{pct(r.onTimeShare)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div style={{ fontSize: 11, color: "#64748b", marginTop: 6 }}>
+            Détail par facture dans le chat : vue <code>{data.view}</code> (échéance, date de départ, retard en jours).
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,257 @@
+import { useEffect, useState } from "react";
+import { FileSpreadsheet, Loader2, Check, X } from "lucide-react";
+import { fetchJson } from "./api";
+import { Badge } from "./ui";
+
+/**
+ * Aperçu d'un fichier avant import (carte Upload)
+ * - XLSX : choix des feuilles, une table par feuille ou tout dans une table (+ colonne feuille_source)
+ * - CSV/TSV : séparateur et encodage détectés, modifiables
+ * - Ligne d'en-tête détectée (souvent décalée dans les exports ERP) : clic sur une ligne pour la changer
+ * - Mode de chargement : remplacer la table, ajouter les lignes ou mettre à jour par clé (upsert)
+ */
+
+type SheetPreview = {
+  name: string;
+  headerRow: number;
+  headerDetected: boolean;
+  headers: string[];
+  columns: string[];
+  upsertKeys: string[];
+  dataRows: number;
+  sample: (string | number | boolean | null)[][];
+};
+type Preview = { kind: "xlsx" | "csv"; encoding: string | null; delimiter: string | null; sheets: SheetPreview[] };
+type Throughput = { rows: number; elapsedMs: number; rowsPerSec: number };
+export type UploadResult = {
+  table: string;
+  columns?: any[];
+  rows?: number;
+  loadId?: number;
+  throughput?: Throughput;
+  tables?: ({ table: string; columns?: any[]; rows?: number; mode?: LoadMode; replaced?: number } & Partial<Throughput>)[];
+};
+
+const DELIMITERS: { value: string; label: string }[] = [
+  { value: ";", label: "; (point-virgule)" },
+  { value: ",", label: ", (virgule)" },
+  { value: "\\t", label: "tabulation" },
+  { value: "|", label: "| (barre)" },
+];
+const ENCODINGS = ["utf-8", "windows-1252", "utf-16le"];
+type LoadMode = "replace" | "append" | "upsert";
+const LOAD_MODES: { value: LoadMode; label: string }[] = [
+  { value: "replace", label: "Remplacer la table" },
+  { value: "append", label: "Ajouter les lignes" },
+  { value: "upsert", label: "Mettre à jour par clé (upsert)" },
+];
+
+const btn = { display: "inline-flex", alignItems: "center", gap: 6, border: 0, borderRadius: 10, padding: "8px 12px", cursor: "pointer", fontSize: 13 } as const;
+const sel = { padding: "4px 6px", border: "1px solid #e5e7eb", borderRadius: 8, fontSize: 12 } as const;
+
+const baseName = (f: File) => f.name.replace(/\.(xlsx|xlsm|xls|csv|tsv|txt)$/i, "");
+
+export default function UploadPreview({
+  file,
+  onImported,
+  onCancel,
+}: {
+  file: File;
+  onImported: (result: UploadResult) => void | Promise<void>;
+  onCancel: () => void;
+}) {
+  const [preview, setPreview] = useState<Preview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [table, setTable] = useState(baseName(file));
+  const [picked, setPicked] = useState<Set<string>>(new Set());
+  const [headerRows, setHeaderRows] = useState<Record<string, number>>({});
+  const [sheetMode, setSheetMode] = useState<"separate" | "append">("separate");
+  const [active, setActive] = useState("");
+  const [delimiter, setDelimiter] = useState("");
+  const [encoding, setEncoding] = useState("");
+  const [mode, setMode] = useState<LoadMode>("replace");
+  const [keys, setKeys] = useState("");
+
+  async function loadPreview(opts: { delimiter?: string; encoding?: string } = {}) {
+    setBusy(true);
+    setError(null);
+    try {
+      const fd = new FormData();
+      fd.append("file", file);
+      if (opts.delimiter) fd.append("delimiter", opts.delimiter);
+      if (opts.encoding) fd.append("encoding", opts.encoding);
+      const j = await fetchJson(`/upload/preview`, "POST", fd);
+      const p = j as Preview;
+      setPreview(p);
+      setHeaderRows(Object.fromEntries(p.sheets.map((s) => [s.name, s.headerRow])));
+      setPicked((cur) => (cur.size ? cur : new Set(p.sheets.filter((s) => s.dataRows > 0).slice(0, 1).map((s) => s.name))));
+      setActive((cur) => cur || p.sheets[0]?.name || "");
+      setKeys((cur) => cur || (p.sheets[0]?.upsertKeys || []).join(", "));
+      if (p.kind === "csv") {
+        setDelimiter(p.delimiter === "\t" ? "\\t" : p.delimiter || "");
+        setEncoding(p.encoding || "");
+      }
+    } catch (e: any) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  useEffect(() => {
+    loadPreview();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [file]);
+
+  async function commit() {
+    if (!preview || !picked.size) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const sheets = preview.sheets.filter((s) => picked.has(s.name)).map((s) => s.name);
+      const fd = new FormData();
+      fd.append("file", file);
+      fd.append("table", table.trim() || baseName(file));
+      fd.append("sheets", JSON.stringify(sheets));
+      fd.append("sheetMode", sheetMode);
+      fd.append("headerRow", JSON.stringify(Object.fromEntries(sheets.map((s) => [s, headerRows[s] ?? 0]))));
+      fd.append("mode", mode);
+      if (mode === "upsert" && keys.trim()) fd.append("keys", JSON.stringify(keys.split(",").map((k) => k.trim()).filter(Boolean)));
+      if (preview.kind === "csv") {
+        if (delimiter) fd.append("delimiter", delimiter);
+        if (encoding) fd.append("encoding", encoding);
+      }
+      const j = await fetchJson(`/upload`, "POST", fd);
+      await onImported(j as UploadResult);
+    } catch (e: any) {
+      setError(e?.message || String(e));
+      setBusy(false);
+    }
+  }
+
+  const sheet = preview?.sheets.find((s) => s.name === active);
+  const headerRow = sheet ? headerRows[sheet.name] ?? sheet.headerRow : 0;
+  const multi = picked.size > 1;
+
+  return (
+    <div style={{ marginTop: 14, background: "#f8fafc", border: "1px solid #e2e8f0", borderRadius: 12, padding: 12, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <FileSpreadsheet size={16} />
+        <b style={{ fontSize: 13 }}>{file.name}</b>
+        {preview && <Badge color="#e0e7ff" text={preview.kind === "csv" ? "CSV" : `${preview.sheets.length} feuille(s)`} />}
+        {busy && <Loader2 className="spin" size={14} />}
+        <label style={{ marginLeft: "auto", fontSize: 12, display: "flex", alignItems: "center", gap: 6 }}>
+          Table
+          <input value={table} onChange={(e) => setTable(e.target.value)} style={{ ...sel, width: 160 }} />
+        </label>
+      </div>
+
+      {error && <div style={{ color: "#b91c1c", fontSize: 12 }}>{error}</div>}
+
+      {preview?.kind === "csv" && (
+        <div style={{ display: "flex", gap: 12, fontSize: 12, alignItems: "center" }}>
+          <label>
+            Séparateur{" "}
+            <select value={delimiter} style={sel} onChange={(e) => { setDelimiter(e.target.value); loadPreview({ delimiter: e.target.value, encoding }); }}>
+              {DELIMITERS.map((d) => <option key={d.value} value={d.value}>{d.label}</option>)}
+            </select>
+          </label>
+          <label>
+            Encodage{" "}
+            <select value={encoding} style={sel} onChange={(e) => { setEncoding(e.target.value); loadPreview({ delimiter, encoding: e.target.value }); }}>
+              {ENCODINGS.map((enc) => <option key={enc} value={enc}>{enc}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {preview && preview.sheets.length > 1 && (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", fontSize: 12 }}>
+          {preview.sheets.map((s) => (
+            <label key={s.name} style={{ display: "inline-flex", alignItems: "center", gap: 4, padding: "3px 8px", borderRadius: 8, background: active === s.name ? "#dbeafe" : "#e5e7eb", cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={picked.has(s.name)}
+                disabled={!s.dataRows}
+                onChange={(e) => {
+                  const next = new Set(picked);
+                  if (e.target.checked) next.add(s.name); else next.delete(s.name);
+                  setPicked(next);
+                }}
+              />
+              <span onClick={() => setActive(s.name)}>{s.name} ({s.dataRows})</span>
+            </label>
+          ))}
+          <button style={{ ...btn, padding: "3px 8px", fontSize: 12, background: "#e5e7eb" }} onClick={() => setPicked(new Set(preview.sheets.filter((s) => s.dataRows > 0).map((s) => s.name)))}>
+            Toutes
+          </button>
+          {multi && (
+            <select value={sheetMode} onChange={(e) => setSheetMode(e.target.value as "separate" | "append")} style={sel}>
+              <option value="separate">Une table par feuille ({table || "table"}_&lt;feuille&gt;)</option>
+              <option value="append">Une seule table (+ colonne feuille_source)</option>
+            </select>
+          )}
+        </div>
+      )}
+
+      {sheet && (
+        <>
+          <div style={{ fontSize: 12, color: "#475569" }}>
+            En-tête : ligne {headerRow + 1}
+            {headerRow === sheet.headerRow && sheet.headerDetected ? " (détectée)" : ""} — cliquez sur une ligne pour la choisir comme en-tête.
+          </div>
+          <div style={{ overflow: "auto", maxHeight: 260, border: "1px solid #e5e7eb", borderRadius: 10, background: "#fff" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 11, width: "100%" }}>
+              <tbody>
+                {sheet.sample.map((r, i) => (
+                  <tr
+                    key={i}
+                    onClick={() => setHeaderRows((h) => ({ ...h, [sheet.name]: i }))}
+                    style={{
+                      cursor: "pointer",
+                      background: i === headerRow ? "#dbeafe" : i < headerRow ? "#f1f5f9" : undefined,
+                      color: i < headerRow ? "#94a3b8" : undefined,
+                      fontWeight: i === headerRow ? 700 : undefined,
+                    }}
+                  >
+                    <td style={{ padding: "3px 6px", color: "#94a3b8", borderRight: "1px solid #e5e7eb" }}>{i + 1}</td>
+                    {r.map((v, j) => (
+                      <td key={j} style={{ padding: "3px 6px", borderBottom: "1px solid #f1f5f9", whiteSpace: "nowrap", maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {v == null ? "" : String(v)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+        <label>
+          Chargement{" "}
+          <select value={mode} onChange={(e) => setMode(e.target.value as LoadMode)} style={sel}>
+            {LOAD_MODES.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+        </label>
+        {mode === "upsert" && (
+          <label title="Colonnes identifiant une ligne (séparées par des virgules) ; défaut : N° commande + N° ligne commande + N° de règlement">
+            Clés{" "}
+            <input value={keys} onChange={(e) => setKeys(e.target.value)} placeholder="n_commande, n_ligne_commande, n_de_reglement" style={{ ...sel, width: 280 }} />
+          </label>
+        )}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+        <button style={{ ...btn, background: "#e5e7eb", color: "#111827" }} onClick={onCancel} disabled={busy}>
+          <X size={14} /> Annuler
+        </button>
+        <button style={{ ...btn, background: "#111827", color: "#fff" }} onClick={commit} disabled={busy || !preview || !picked.size}>
+          <Check size={14} /> Importer{picked.size > 1 ? ` ${picked.size} feuilles` : ""}
+        </button>
+      </div>
+    </div>
+  );
+}
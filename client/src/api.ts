@@ -0,0 +1,50 @@
+export const API = (import.meta as any).env?.VITE_API_URL || "http://localhost:8787";
+
+// Téléchargement d'un fichier produit par l'API (export Excel) ; les erreurs arrivent en JSON { error }
+export async function downloadFile(path: string, fallbackName: string, init?: RequestInit) {
+  const r = await fetch(`${API}${path}`, init);
+  if (!r.ok) {
+    const j = await r.json().catch(() => ({}));
+    throw new Error(j.error || `HTTP ${r.status}`);
+  }
+  const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] || fallbackName;
+  saveBlob(await r.blob(), name);
+}
+
+// Appel de l'API à réponse JSON ; corps envoyé en JSON (FormData tel quel) ; une réponse { error } devient une exception
+export async function fetchJson<T = any>(path: string, method = "GET", body?: unknown): Promise<T> {
+  const json = body !== undefined && !(body instanceof FormData);
+  const r = await fetch(`${API}${path}`, {
+    method,
+    headers: json ? { "Content-Type": "application/json" } : undefined,
+    body: json ? JSON.stringify(body) : (body as FormData | undefined),
+  });
+  const j = await r.json().catch(() => ({ error: `HTTP ${r.status}` }));
+  if (j.error) throw new Error(j.error);
+  return j;
+}
+
+// Lignes → CSV (en-têtes = clés de la première ligne ; champs avec virgule, guillemet ou saut de ligne entre guillemets)
+export function toCSV(rows: Record<string, any>[]) {
+  if (!rows.length) return "";
+  const headers = Object.keys(rows[0]);
+  const esc = (v: any) => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return `${headers.join(",")}\n${rows.map((r) => headers.map((h) => esc(r[h])).join(",")).join("\n")}`;
+}
+
+// Enregistrement d'un contenu produit côté navigateur sous le nom donné
+export function saveBlob(blob: Blob, name: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function saveCSV(csv: string, name: string) {
+  saveBlob(new Blob([csv], { type: "text/csv;charset=utf-8;" }), name);
+}
@@ -0,0 +1,28 @@
+// Petits composants / helpers de style partagés entre les onglets
+
+export function Badge({ color = "#e5e7eb", text }: { color?: string; text: string }) {
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 6,
+        fontSize: 12,
+        padding: "4px 8px",
+        borderRadius: 999,
+        background: color,
+        color: "#111827",
+        fontWeight: 600,
+      }}
+    >
+      {text}
+    </span>
+  );
+}
+
+// Petit bouton gris des panneaux (actions de ligne, Actualiser…)
+export const btn = { display: "inline-flex", alignItems: "center", gap: 4, background: "#e5e7eb", color: "#111827", border: 0, borderRadius: 8, padding: "4px 8px", cursor: "pointer", fontSize: 12 } as const;
+
+export function subtleShadow(alpha = 0.08) {
+  return `0 1px 2px rgba(0,0,0,${alpha}), 0 8px 24px rgba(0,0,0,${alpha})`;
+}
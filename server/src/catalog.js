@@ -1,33 +1,15 @@
 // server/src/catalog.js
 import OpenAI from "openai";
-import { getSchema, runSQL } from "./db.js";
-
-/* =========================================================
-   Intitulés & alias (élargis)
-   ========================================================= */
-const COLUMN_ALIASES = {
-  achats: {
-    order_no: ["Nº de commande", "N° de commande", "N° Commande", "No Commande", "Numero de commande", "Numéro de commande", "N° commande", "Commande"],
-    line_no: ["Nº de ligne de commande", "N° ligne commande", "N° Ligne Commande", "No Ligne Commande", "Ligne", "N° ligne", "N° Ligne", "N° ligne de commande"],
-    type_ligne: ["Type de la ligne de commande", "Type ligne", "Type de ligne", "Nature de ligne"], // optionnel
-    desc_cmd: ["Description de la commande", "Description commande", "Description", "Objet", "Objet de la commande", "Intitulé", "Intitulé de la commande"], // optionnel
-    desc_line: ["Description de la ligne", "Description Ligne", "Détail de ligne", "Libellé de ligne"], // optionnel
-    fourn: ["Nom du fournisseur", "Fournisseur", "Nom fournisseur", "Raison sociale fournisseur", "N° du fournisseur", "Code fournisseur"], // optionnel
-    date_cmd: ["Date d'approbation", "Date de validation", "Date de création", "Date promise", "Date commande", "Date d'engagement"] // optionnel
-  },
-  decs: {
-    order_no: ["N° Commande", "N° commande", "No Commande", "Commande", "Numero de commande"],
-    line_no: ["N° Ligne Commande", "N° ligne commande", "No Ligne Commande", "Ligne", "N° ligne"],
-    date_pay: ["Date règlement", "Date reglement", "Date de règlement", "Date de reglement", "Date paiement", "Date de paiement"],
-    montant: ["Montant règlement", "Montant reglement", "Montant réglé", "Montant payé", "Montant paiement", "Montant"]
-  },
-  details: {
-    order_no: ["N° Commande", "N° commande", "No Commande", "Commande"],
-    line_no: ["N° Ligne Commande", "N° ligne commande", "No Ligne Commande", "Ligne"],
-    date_cmd_candidates: ["Date engagement", "Date promesse", "Date estimée règlement", "Date estimée reglement", "Date prévue règlement", "Date prévue reglement", "Date commande", "Date de commande"],
-    desc_line: ["Description Ligne", "Description de la ligne", "Libellé de ligne", "Détail de ligne"]
-  }
-};
+import { getSchema, runSQL, bulkInsert } from "./db.js";
+import {
+  esc, q, normAlnum, normNum, normLineInt, normOrderInt, sqlDateFromAny, sqlAmountFromAny, selOrNull,
+} from "./utils/sql.js";
+import { JobCancelledError } from "./jobs.js";
+import { listRules, rulesCaseSql, ruleConditionSql, validateRule } from "./rules.js";
+import { pickTablesBySignature, roleColumns } from "./mapping.js";
+import { PROFILE_MODES, PROFILE_WEIGHTINGS, normalizedProfile } from "./profiles.js";
+import { buildPaymentTerms } from "./terms.js";
+import { recordSnapshot, getSnapshotForRestore, SNAPSHOT_LINE_COLUMNS } from "./snapshots.js";
 
 /* =========================================================
    Client LLM (Ollama via API OpenAI-compatible)
@@ -45,36 +27,58 @@ const state = {
   taxonomy: /** @type {Array<{category:string, subcategories:string[]}>} */ ([]),
   tables: { achats: null, decs: null, details: null },
   cols: { achats: {}, decs: {}, details: {} },
+  // "llm" : taxonomie libre ; "nha" : catégories = familles NHA, le LLM ne choisit que la sous-catégorie
+  taxonomySource: "llm",
   builtAt: null,
 };
 
+const TAXONOMY_SOURCES = ["llm", "nha"];
+// Taille max. (caractères JSON) des items envoyés au LLM par lot
+const PROMPT_ITEMS_MAX_CHARS = 12000;
+
+// Lecture seule pour les modules dérivés (prévisions, …)
+export function getCatalogState() { return state; }
+
+/* ---------- Persistance de l'état (table de métadonnées DuckDB) ---------- */
+const STATE_META_TABLE = "_meta_catalog_state";
+
+async function persistState() {
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${STATE_META_TABLE} (
+      id INTEGER PRIMARY KEY,
+      state_json VARCHAR,
+      updated_at TIMESTAMP
+    );
+  `);
+  await runSQL(`DELETE FROM ${STATE_META_TABLE};`);
+  await runSQL(`
+    INSERT INTO ${STATE_META_TABLE} (id, state_json, updated_at)
+    VALUES (1, ${q(JSON.stringify(state))}, now());
+  `);
+}
+
+// Recharge taxonomie, tables/colonnes résolues et date de build au démarrage
+export async function loadState() {
+  const exists = await runSQL(`
+    SELECT COUNT(*) AS n FROM information_schema.tables WHERE table_name = ${q(STATE_META_TABLE)};
+  `);
+  if (!Number(exists?.[0]?.n || 0)) return { loaded: false };
+  const rows = await runSQL(`SELECT state_json FROM ${STATE_META_TABLE} WHERE id = 1;`);
+  if (!rows.length) return { loaded: false };
+  // tables construites par une version antérieure : colonnes ajoutées depuis
+  await ensureCatalogTables();
+  const saved = JSON.parse(rows[0].state_json || "{}");
+  state.taxonomy = Array.isArray(saved.taxonomy) ? saved.taxonomy : [];
+  state.tables = { ...state.tables, ...(saved.tables || {}) };
+  state.cols = { ...state.cols, ...(saved.cols || {}) };
+  state.taxonomySource = TAXONOMY_SOURCES.includes(saved.taxonomySource) ? saved.taxonomySource : "llm";
+  state.builtAt = saved.builtAt ? new Date(saved.builtAt) : null;
+  return { loaded: true, builtAt: state.builtAt, categories: state.taxonomy.length };
+}
+
 /* =========================================================
    Helpers
    ========================================================= */
-function esc(id) { return String(id).replace(/"/g, '""'); }
-function q(v) { if (v == null) return "NULL"; return `'${String(v).replace(/'/g, "''")}'`; }
-const deaccent = (s) => String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-const lowerDeaccent = (s) => deaccent(s).toLowerCase();
-
-function resolveByAliases(schema, table, aliases) {
-  if (!table || !aliases?.length) return null;
-  const cols = (schema[table] || []).map(c => ({
-    norm: lowerDeaccent(c.name || ""),
-    orig: lowerDeaccent(String(c.original || "")),
-    name: c.name
-  }));
-  for (const alias of aliases) {
-    const a = lowerDeaccent(alias);
-    const hit =
-      cols.find(c => c.orig === a) ||
-      cols.find(c => c.norm === a) ||
-      cols.find(c => c.orig.includes(a)) ||
-      cols.find(c => c.norm.includes(a));
-    if (hit) return hit.name;
-  }
-  return null;
-}
-
 async function llmJSON(messages) {
   const resp = await client.chat.completions.create({ model: MODEL, messages, temperature: 0.2 });
   let txt = resp.choices?.[0]?.message?.content?.trim() || "";
@@ -82,111 +86,415 @@ async function llmJSON(messages) {
   return JSON.parse(txt || "{}");
 }
 
-/* ---------- Normalisation clés ---------- */
-const normAlnum = (expr) => `
-  NULLIF( regexp_replace(upper(CAST(${expr} AS VARCHAR)), '[^0-9A-Z]+', '', 'g'), '' )
-`;
+// Table Achats courante (celle du dernier build, sinon détectée) et ses colonnes
+export function getAchatsColumns() {
+  const schema = getSchema() || {};
+  let table = state.tables.achats && schema[state.tables.achats] ? state.tables.achats : null;
+  if (!table) {
+    try { table = pickTablesBySignature(schema).achats?.table || null; } catch { table = null; }
+  }
+  return {
+    table,
+    columns: table ? (schema[table] || []).map(c => ({ name: c.name, original: c.original })) : [],
+  };
+}
+
+/* =========================================================
+   Tables du catalogue (création + colonnes ajoutées depuis)
+   ========================================================= */
+// Champs Achats (mapping.js) recopiés tels quels dans catalog_payments comme axes d'analyse
+const PAYMENT_DIMENSION_COLUMNS = ["projet", "compte_ifrs", "site_acheteur", "intervention_site"];
 
-// numérique "digits only" (en retirant les zéros de tête)
-const normNum = (expr) => `
-  NULLIF(
-    regexp_replace(
-      regexp_replace(CAST(${expr} AS VARCHAR), '[^0-9]+', '', 'g'),
-      '^0+',
-      '',
-      'g'
-    ),
-    ''
-  )
-`;
-
-// entier de ligne robuste (1.0 -> 1, "Ligne 01" -> 1)
-const normLineInt = (expr) => `
-  TRY_CAST(
-    regexp_extract(CAST(${expr} AS VARCHAR), '([0-9]+)', 1)
-  AS BIGINT)
-`;
-
-// *** NOUVEAU : entier de commande robuste (PO-6903033 / 6903033.0 / 006903033 -> 6903033)
-const normOrderInt = (expr) => `
-  TRY_CAST(
-    regexp_extract(CAST(${expr} AS VARCHAR), '([0-9]+)', 1)
-  AS BIGINT)
-`;
-
-/* ---------- Dates robustes ---------- */
-function sqlDateFromAny(expr) {
-  return `
-    COALESCE(
-      TRY_CAST(${expr} AS DATE),
-      CAST(TRY_CAST(${expr} AS TIMESTAMP) AS DATE),
-      CAST(TRY_STRPTIME(CAST(${expr} AS VARCHAR), '%Y-%m-%d') AS DATE),
-      CAST(TRY_STRPTIME(CAST(${expr} AS VARCHAR), '%d/%m/%Y') AS DATE),
-      CAST(TRY_STRPTIME(CAST(${expr} AS VARCHAR), '%d-%m-%Y') AS DATE),
-      DATE '1899-12-30' + CAST(ROUND(CAST(${expr} AS DOUBLE)) AS INTEGER)
-    )
-  `;
+async function ensureCatalogTables() {
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS catalog_line_map (
+      order_no VARCHAR,
+      line_no VARCHAR,
+      category VARCHAR,
+      subcategory VARCHAR,
+      fournisseur VARCHAR
+    );
+  `);
+  // empreinte du texte classifié (type + descriptions) pour le mode incrémental
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS text_hash VARCHAR;`);
+  // affectation manuelle (curation) : jamais écrasée par un build
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS locked BOOLEAN DEFAULT FALSE;`);
+  // origine de l'affectation : 'rule' (+ rule_id), 'llm' ou 'manual'
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS source VARCHAR;`);
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS rule_id INTEGER;`);
+  // qualité de l'affectation : confiance (0..1), justification, modèle, repli sans réponse du LLM
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS confidence DOUBLE;`);
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS rationale VARCHAR;`);
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS model VARCHAR;`);
+  await runSQL(`ALTER TABLE catalog_line_map ADD COLUMN IF NOT EXISTS fallback BOOLEAN DEFAULT FALSE;`);
+
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS catalog_payments (
+      category VARCHAR,
+      subcategory VARCHAR,
+      fournisseur VARCHAR,
+      order_no VARCHAR,
+      line_no VARCHAR,
+      order_date DATE,
+      payment_date DATE,
+      montant DOUBLE,
+      delay_days INTEGER
+    );
+  `);
+  // méthode de rapprochement du paiement (MATCH_METHODS) ; order_only = montant réparti au prorata
+  await runSQL(`ALTER TABLE catalog_payments ADD COLUMN IF NOT EXISTS match_method VARCHAR;`);
+  // avoirs (PAYMENT_KINDS) : montant brut signé, montant_net après imputation sur les paiements annulés
+  await runSQL(`ALTER TABLE catalog_payments ADD COLUMN IF NOT EXISTS kind VARCHAR;`);
+  await runSQL(`ALTER TABLE catalog_payments ADD COLUMN IF NOT EXISTS montant_net DOUBLE;`);
+  // facture du décaissement (optionnelle) : regroupement et date de départ des conditions (terms.js)
+  await runSQL(`ALTER TABLE catalog_payments ADD COLUMN IF NOT EXISTS invoice_no VARCHAR;`);
+  await runSQL(`ALTER TABLE catalog_payments ADD COLUMN IF NOT EXISTS invoice_date DATE;`);
+  // axes d'analyse des profils (PROFILE_DIMENSIONS), repris de la dernière version de la ligne Achats
+  for (const col of PAYMENT_DIMENSION_COLUMNS) {
+    await runSQL(`ALTER TABLE catalog_payments ADD COLUMN IF NOT EXISTS ${col} VARCHAR;`);
+  }
+}
+
+// Empreinte SQL du texte d'une ligne Achats (détecte les descriptions modifiées)
+function textHashExpr(A, alias = "") {
+  const p = alias ? `${alias}.` : "";
+  const part = (col) => col ? `COALESCE(CAST(${p}"${esc(col)}" AS VARCHAR), '')` : "''";
+  return `md5(concat_ws('|', ${part(A.type_ligne)}, ${part(A.desc_cmd)}, ${part(A.desc_line)}))`;
 }
 
-/* ---------- SELECT dynamiques ---------- */
-const selOrNull = (col, alias) => col ? `"${esc(col)}" AS ${alias}` : `NULL AS ${alias}`;
+// Périmètre (order_no, line_no) d'un build incrémental, en table temporaire
+async function setBuildScope(keys) {
+  await runSQL(`CREATE OR REPLACE TEMP TABLE catalog_build_scope (order_no VARCHAR, line_no VARCHAR);`);
+  await bulkInsert("catalog_build_scope", ["order_no", "line_no"], keys.map(k => [k.order_no, k.line_no]));
+}
+
+/* ---------- Imputation des avoirs ----------
+   Chaque avoir annule les paiements de sa ligne : d'abord ceux antérieurs ou du même jour
+   (du plus récent au plus ancien), puis les suivants (du plus ancien au plus récent).
+   montant_net = part restante de chaque paiement ; la part d'un avoir qui n'a rien trouvé
+   à annuler reste sur l'avoir (négative).
+------------------------------------------ */
+const NET_EPS = 1e-6;
+
+async function netCreditNotes() {
+  const rows = await runSQL(`
+    SELECT rowid AS rid, order_no, line_no, CAST(payment_date AS VARCHAR) AS payment_date, montant, kind
+    FROM catalog_payments p
+    WHERE EXISTS (
+      SELECT 1 FROM catalog_payments c
+      WHERE c.kind = 'credit_note' AND c.order_no = p.order_no AND c.line_no = p.line_no
+    )
+    ORDER BY order_no, line_no, payment_date, rid;
+  `);
+
+  const byLine = new Map();
+  for (const r of rows) {
+    const key = `${r.order_no}|||${r.line_no}`;
+    if (!byLine.has(key)) byLine.set(key, []);
+    byLine.get(key).push(r);
+  }
+
+  const updates = [];
+  let creditNotes = 0, unallocated = 0;
+  for (const list of byLine.values()) {
+    const payments = list.filter(r => r.kind !== "credit_note").map(r => ({ ...r, net: Number(r.montant) || 0 }));
+    for (const c of list.filter(r => r.kind === "credit_note")) {
+      creditNotes++;
+      let rest = Math.abs(Number(c.montant) || 0);
+      const before = payments.filter(p => p.payment_date <= c.payment_date).reverse();
+      const after = payments.filter(p => p.payment_date > c.payment_date);
+      for (const p of [...before, ...after]) {
+        if (rest <= NET_EPS) break;
+        const take = Math.min(p.net, rest);
+        p.net -= take;
+        rest -= take;
+      }
+      if (rest > NET_EPS) unallocated++;
+      updates.push([c.rid, rest > NET_EPS ? -rest : 0]);
+    }
+    for (const p of payments) if (p.net !== Number(p.montant)) updates.push([p.rid, p.net]);
+  }
+
+  if (updates.length) {
+    await runSQL(`CREATE OR REPLACE TEMP TABLE catalog_net_update (rid BIGINT, montant_net DOUBLE);`);
+    await bulkInsert("catalog_net_update", ["rid", "montant_net"], updates);
+    await runSQL(`
+      UPDATE catalog_payments
+      SET montant_net = u.montant_net
+      FROM catalog_net_update u
+      WHERE catalog_payments.rowid = u.rid;
+    `);
+  }
+  return { creditNotes, unallocated };
+}
 
 /* =========================================================
-   Détection des tables par signature
+   Rapprochement Achats ↔ Décaissements (fragments SQL)
+   Partagés par le build (catalog_payments) et le rapport qualité (quality.js).
    ========================================================= */
-function scoreTableForRole(schema, table, roleAliases) {
-  const neededGroups = Object.entries(roleAliases)
-    .filter(([k]) => ["order_no", "line_no", "date_cmd", "date_pay", "montant", "desc_cmd", "desc_line", "type_ligne"].includes(k));
-  let score = 0;
-  const found = {};
-  for (const [key, aliases] of neededGroups) {
-    const col = resolveByAliases(schema, table, aliases);
-    if (col) { score += 2; found[key] = col; }
-  }
-  if (found.montant) score += 2;
-  if (found.date_pay) score += 1;
-  if (found.desc_cmd || found.desc_line) score += 1;
-  return { score, found };
-}
-
-function pickTablesBySignature(schema) {
-  const tables = Object.keys(schema || {});
-  if (!tables.length) throw new Error("Aucune table en mémoire.");
-
-  const scored = tables.map(t => ({
-    t,
-    achats: scoreTableForRole(schema, t, COLUMN_ALIASES.achats),
-    decs: scoreTableForRole(schema, t, COLUMN_ALIASES.decs),
-    details: scoreTableForRole(schema, t, COLUMN_ALIASES.details),
-  }));
 
-  const sortDesc = (arr, key) => arr.slice().sort((a, b) => b[key].score - a[key].score);
-  const takeBest = (arr, key, used) => arr.find(x => !used.has(x.t) && x[key].score > 0);
+// Clés normalisées d'un couple (n° commande, n° ligne) : alnum, chiffres, entier, brut
+function joinKeysSql(alias, cols) {
+  const order = `${alias}."${esc(cols.order_no)}"`;
+  const line = `${alias}."${esc(cols.line_no)}"`;
+  return `
+      ${normAlnum(order)} AS k_order_alnum,
+      ${normNum(order)}   AS k_order_num,
+      ${normOrderInt(order)} AS k_order_int,
+      ${normAlnum(line)}  AS k_line_alnum,
+      ${normNum(line)}    AS k_line_num,
+      ${normLineInt(line)} AS k_line_int,
+      CAST(${order} AS VARCHAR) AS order_no_raw,
+      CAST(${line}  AS VARCHAR) AS line_no_raw`;
+}
 
-  const used = new Set();
-  const sA = sortDesc(scored, "achats"); const bestA = takeBest(sA, "achats", used); if (bestA) used.add(bestA.t);
-  const sD = sortDesc(scored, "decs"); const bestD = takeBest(sD, "decs", used); if (bestD) used.add(bestD.t);
-  const sT = sortDesc(scored, "details"); const bestT = takeBest(sT, "details", used); if (bestT) used.add(bestT.t);
+// Lignes Achats normalisées (alias "a" ; extra = colonnes supplémentaires du SELECT)
+export function achatsNormSql(achatsTable, A, { extra = [], join = "", where = "" } = {}) {
+  return `
+    SELECT
+      ${joinKeysSql("a", A)}${extra.map(e => `,\n      ${e}`).join("")}
+    FROM "${esc(achatsTable)}" a
+    ${join}
+    ${where}`;
+}
 
-  const res = {
-    achats: bestA ? { table: bestA.t, cols: bestA.achats.found, score: bestA.achats.score } : null,
-    decs: bestD ? { table: bestD.t, cols: bestD.decs.found, score: bestD.decs.score } : null,
-    details: bestT ? { table: bestT.t, cols: bestT.details.found, score: bestT.details.score } : null,
-  };
+/* ---------- Versions / avenants des lignes Achats ----------
+   Une ligne de commande peut apparaître une fois par version (N° de version, _Avenant,
+   Version O/N = "Init" pour l'initiale) avec un montant différentiel : la dernière version
+   porte le texte et le fournisseur à jour, la première la date d'approbation d'origine.
+------------------------------------------ */
+// Rang de version (NULL sans colonne de version exploitable)
+export function versionKeySql(A, alias = "a") {
+  const p = alias ? `${alias}.` : "";
+  const parts = [];
+  if (A.version) parts.push(normLineInt(`${p}"${esc(A.version)}"`));
+  if (A.avenant) parts.push(normLineInt(`${p}"${esc(A.avenant)}"`));
+  if (A.version_flag) parts.push(`CASE WHEN lower(CAST(${p}"${esc(A.version_flag)}" AS VARCHAR)) LIKE 'init%' THEN 0 END`);
+  if (!parts.length) return "CAST(NULL AS BIGINT)";
+  return parts.length === 1 ? parts[0] : `COALESCE(${parts.join(", ")})`;
+}
+
+// Clause QUALIFY ne gardant que la dernière version de chaque ligne (vide sans colonne de version)
+export function latestVersionSql(A, alias = "a") {
+  if (!A.version && !A.avenant && !A.version_flag) return "";
+  const p = alias ? `${alias}.` : "";
+  return `
+    QUALIFY ROW_NUMBER() OVER (
+      PARTITION BY CAST(${p}"${esc(A.order_no)}" AS VARCHAR), CAST(${p}"${esc(A.line_no)}" AS VARCHAR)
+      ORDER BY ${versionKeySql(A, alias)} DESC NULLS LAST
+    ) = 1`;
+}
+
+// Texte d'une ligne Achats (dernière version) : une entrée par (order_no, line_no) bruts
+export function lineTextSql(achatsTable, A) {
+  const col = (c) => (c ? `CAST(a."${esc(c)}" AS VARCHAR)` : "CAST(NULL AS VARCHAR)");
+  return `
+    SELECT order_no, line_no, ANY_VALUE(type_ligne) AS type_ligne, ANY_VALUE(desc_cmd) AS desc_cmd, ANY_VALUE(desc_line) AS desc_line
+    FROM (
+      SELECT
+        CAST(a."${esc(A.order_no)}" AS VARCHAR) AS order_no,
+        CAST(a."${esc(A.line_no)}" AS VARCHAR) AS line_no,
+        ${col(A.type_ligne)} AS type_ligne,
+        ${col(A.desc_cmd)} AS desc_cmd,
+        ${col(A.desc_line)} AS desc_line
+      FROM "${esc(achatsTable)}" a
+      ${latestVersionSql(A)}
+    )
+    GROUP BY 1, 2`;
+}
 
-  const hasAchatsKeys = res.achats && res.achats.cols.order_no && res.achats.cols.line_no;
-  const hasDecsKeys = res.decs && res.decs.cols.order_no && res.decs.cols.line_no && res.decs.cols.montant && res.decs.cols.date_pay;
+/* ---------- Avoirs ----------
+   Montant négatif, ou type de ligne de règlement (REG_TYPE_LIGNE…) désignant un avoir /
+   remboursement : le montant est alors toujours compté en négatif.
+------------------------------------------ */
+const CREDIT_NOTE_PATTERN = "avoir|credit|crédit|refund|rembours|annul";
+export const PAYMENT_KINDS = ["payment", "credit_note"];
+
+function creditNoteSql(D, amount) {
+  const typed = D.reg_type
+    ? ` OR COALESCE(regexp_matches(lower(CAST(d."${esc(D.reg_type)}" AS VARCHAR)), '${CREDIT_NOTE_PATTERN}'), FALSE)`
+    : "";
+  return `(COALESCE(${amount} < 0, FALSE)${typed})`;
+}
+
+// Décaissements normalisés ; validOnly : seuls les paiements à date et montant lisibles (rapprochés)
+// montant signé (avoirs en négatif) ; kind : PAYMENT_KINDS
+export function paymentsNormSql(decsTable, D, { validOnly = true, extra = [] } = {}) {
+  const date = sqlDateFromAny(`d."${esc(D.date_pay)}"`);
+  const amount = sqlAmountFromAny(`d."${esc(D.montant)}"`);
+  const credit = creditNoteSql(D, amount);
+  return `
+    SELECT
+      ${joinKeysSql("d", D)},
+      d.rowid AS pay_row,
+      CAST(${date} AS DATE) AS payment_date,
+      CASE WHEN ${credit} THEN -ABS(${amount}) ELSE ${amount} END AS montant,
+      CASE WHEN ${credit} THEN 'credit_note' ELSE 'payment' END AS kind${extra.map(e => `,\n      ${e}`).join("")}
+    FROM "${esc(decsTable)}" d
+    ${validOnly ? `WHERE ${date} IS NOT NULL AND ${amount} IS NOT NULL` : ""}`;
+}
 
-  if (!hasAchatsKeys) throw new Error("Impossible d’identifier la table Achats (colonnes N° commande + N° ligne).");
-  if (!hasDecsKeys) throw new Error("Impossible d’identifier la table Décaissements (commande/ligne + montant + date paiement).");
+// Date de commande d'une ligne Achats (alias "a") : Achats, sinon table détails,
+// sinon (withPayments) premier paiement de la ligne
+export function orderDateSql(A, dateFallback, { decsTable = null, D = null, withPayments = true } = {}) {
+  const parts = [];
+  if (A.date_cmd) parts.push(sqlDateFromAny(`a."${esc(A.date_cmd)}"`));
+  if (dateFallback) {
+    parts.push(`(
+      SELECT ${sqlDateFromAny(`dtl."${esc(dateFallback.col)}"`)}
+      FROM "${esc(dateFallback.table)}" dtl
+      WHERE ${normAlnum(`dtl."${esc(dateFallback.order_no)}"`)} = ${normAlnum(`a."${esc(A.order_no)}"`)}
+        AND ${normAlnum(`dtl."${esc(dateFallback.line_no)}"`)}  = ${normAlnum(`a."${esc(A.line_no)}"`)}
+      ORDER BY ${sqlDateFromAny(`dtl."${esc(dateFallback.col)}"`)} ASC
+      LIMIT 1
+    )`);
+  }
+  if (withPayments && decsTable && D) {
+    parts.push(`(
+      SELECT MIN(CAST(${sqlDateFromAny(`dd."${esc(D.date_pay)}"`)} AS DATE))
+      FROM "${esc(decsTable)}" dd
+      WHERE
+        (
+          ${normAlnum(`dd."${esc(D.order_no)}"`)} = ${normAlnum(`a."${esc(A.order_no)}"`)}
+          OR ${normNum(`dd."${esc(D.order_no)}"`)} = ${normNum(`a."${esc(A.order_no)}"`)}
+          OR CAST(dd."${esc(D.order_no)}" AS VARCHAR) = CAST(a."${esc(A.order_no)}" AS VARCHAR)
+        )
+        AND (
+          ${normAlnum(`dd."${esc(D.line_no)}"`)} = ${normAlnum(`a."${esc(A.line_no)}"`)}
+          OR ${normNum(`dd."${esc(D.line_no)}"`)} = ${normNum(`a."${esc(A.line_no)}"`)}
+          OR CAST(dd."${esc(D.line_no)}" AS VARCHAR) = CAST(a."${esc(A.line_no)}" AS VARCHAR)
+          OR (${normAlnum(`dd."${esc(D.line_no)}"`)} IS NULL AND ${normNum(`dd."${esc(D.line_no)}"`)} IS NULL)
+        )
+    )`);
+  }
+  if (!parts.length) return "CAST(NULL AS DATE)";
+  return parts.length === 1 ? parts[0] : `COALESCE(\n      ${parts.join(",\n      ")}\n    )`;
+}
 
-  return res;
+// Conditions de rapprochement entre une ligne Achats (a) et un décaissement (d) normalisés
+const orderEqSql = (a, d) => `(
+         (${a}.k_order_alnum IS NOT NULL AND ${d}.k_order_alnum IS NOT NULL AND ${a}.k_order_alnum = ${d}.k_order_alnum)
+      OR (${a}.k_order_num   IS NOT NULL AND ${d}.k_order_num   IS NOT NULL AND ${a}.k_order_num   = ${d}.k_order_num)
+      OR (${a}.order_no_raw = ${d}.order_no_raw)
+      OR (${a}.k_order_int IS NOT NULL AND ${d}.k_order_int IS NOT NULL AND ${a}.k_order_int = ${d}.k_order_int)
+    )`;
+const orderSuffixSql = (a, d) => `(
+      ${a}.k_order_num IS NOT NULL AND ${d}.k_order_num IS NOT NULL AND (
+         RIGHT(${d}.k_order_num, LENGTH(${a}.k_order_num)) = ${a}.k_order_num
+      OR RIGHT(${a}.k_order_num, LENGTH(${d}.k_order_num)) = ${d}.k_order_num
+      )
+    )`;
+const lineEqSql = (a, d) => `(
+         (${d}.k_line_alnum IS NOT NULL AND ${a}.k_line_alnum IS NOT NULL AND ${a}.k_line_alnum = ${d}.k_line_alnum)
+      OR (${d}.k_line_num   IS NOT NULL AND ${a}.k_line_num   IS NOT NULL AND ${a}.k_line_num   = ${d}.k_line_num)
+      OR (${a}.line_no_raw = ${d}.line_no_raw)
+      OR (${a}.k_line_int IS NOT NULL AND ${d}.k_line_int IS NOT NULL AND ${a}.k_line_int = ${d}.k_line_int)
+    )`;
+
+export const MATCH_METHODS = ["exact", "normalized", "suffix", "order_only"];
+
+/* ---------- Rapprochement classé ----------
+   Chaque décaissement valide est affecté à une seule ligne Achats, au meilleur rang :
+     1 exact      : n° de commande et n° de ligne identiques (texte brut)
+     2 normalized : clés normalisées égales (alnum, chiffres, entier)
+     3 suffix     : n° de commande par suffixe numérique, ligne normalisée égale
+     4 order_only : commande trouvée (normalisée, puis par suffixe) mais ligne absente ou inconnue ;
+                    le montant est réparti sur les lignes de la commande au prorata de leur
+                    montant Achats (à parts égales sans montant)
+   Ex æquo au meilleur rang : écart de longueur des n° de commande le plus faible, puis ordre des clés.
+   Colonnes : pay_row, order_no, line_no, payment_date, montant (part affectée, signée), share, kind, match_method,
+              candidates (lignes — ou commandes pour order_only — ex æquo au meilleur rang)
+------------------------------------------ */
+export function paymentMatchSql(achatsTable, A, decsTable, D) {
+  const lineAmount = A.montant_ligne ? sqlAmountFromAny(`a."${esc(A.montant_ligne)}"`) : "CAST(NULL AS DOUBLE)";
+  return `
+    WITH
+    d_norm AS (${paymentsNormSql(decsTable, D)}),
+    a_rows AS (${achatsNormSql(achatsTable, A, { extra: [`${lineAmount} AS montant_ligne`] })}),
+    -- une entrée par ligne (versions / avenants : montants différentiels cumulés)
+    a_norm AS (
+      SELECT * EXCLUDE (montant_ligne), SUM(montant_ligne) AS montant_ligne
+      FROM a_rows
+      GROUP BY ALL
+    ),
+    cand AS (
+      SELECT
+        d_norm.pay_row, d_norm.payment_date, d_norm.montant, d_norm.kind,
+        a_norm.order_no_raw, a_norm.line_no_raw, a_norm.montant_ligne,
+        CASE
+          WHEN a_norm.order_no_raw = d_norm.order_no_raw AND a_norm.line_no_raw = d_norm.line_no_raw THEN 1
+          WHEN ${orderEqSql("a_norm", "d_norm")} AND ${lineEqSql("a_norm", "d_norm")} THEN 2
+          WHEN ${lineEqSql("a_norm", "d_norm")} THEN 3
+          WHEN ${orderEqSql("a_norm", "d_norm")} THEN 4
+          ELSE 5
+        END AS rnk,
+        COALESCE(ABS(LENGTH(a_norm.k_order_num) - LENGTH(d_norm.k_order_num)), 0) AS gap
+      FROM d_norm
+      JOIN a_norm ON ${orderEqSql("a_norm", "d_norm")} OR ${orderSuffixSql("a_norm", "d_norm")}
+    ),
+    best AS (
+      SELECT * FROM cand QUALIFY rnk = MIN(rnk) OVER (PARTITION BY pay_row)
+    ),
+    ranked AS (
+      SELECT
+        *,
+        ROW_NUMBER() OVER w AS rn,
+        FIRST_VALUE(order_no_raw) OVER w AS first_order,
+        CAST(COUNT(*) OVER (PARTITION BY pay_row) AS INT) AS lines,
+        CAST(DENSE_RANK() OVER (PARTITION BY pay_row ORDER BY order_no_raw) AS INT) AS order_rank
+      FROM best
+      WINDOW w AS (PARTITION BY pay_row ORDER BY gap, order_no_raw, line_no_raw)
+    ),
+    picked AS (
+      SELECT
+        *,
+        CASE WHEN rnk <= 3 THEN lines ELSE MAX(order_rank) OVER (PARTITION BY pay_row) END AS candidates
+      FROM ranked
+    )
+    SELECT
+      pay_row,
+      order_no_raw AS order_no,
+      line_no_raw AS line_no,
+      payment_date,
+      montant * share AS montant,
+      share,
+      kind,
+      match_method,
+      candidates
+    FROM (
+      SELECT
+        *,
+        CASE rnk WHEN 1 THEN 'exact' WHEN 2 THEN 'normalized' WHEN 3 THEN 'suffix' ELSE 'order_only' END AS match_method,
+        CASE
+          WHEN rnk <= 3 THEN 1.0
+          WHEN SUM(GREATEST(montant_ligne, 0)) OVER o > 0 THEN GREATEST(COALESCE(montant_ligne, 0), 0) / SUM(GREATEST(montant_ligne, 0)) OVER o
+          ELSE 1.0 / COUNT(*) OVER o
+        END AS share
+      FROM picked
+      WHERE (rnk <= 3 AND rn = 1) OR (rnk > 3 AND order_no_raw = first_order)
+      WINDOW o AS (PARTITION BY pay_row)
+    )`;
 }
 
 /* =========================================================
    Build: classification + paiements
+   - mode "full"        : efface le mapping et reclassifie toutes les lignes
+   - mode "incremental" : conserve les affectations existantes, ne classifie que
+                          les lignes nouvelles ou dont le texte a changé
+   - paiements (catalog_payments) : toujours recalculés en entier, sans LLM ; un paiement à la
+                          commande est réparti sur toutes ses lignes, anciennes comme nouvelles
+   - règles (rules.js)      : évaluées d'abord ; seules les lignes sans règle vont au LLM
+   - taxonomySource "llm"   : catégories libres, les champs NHA ne sont que des indices
+   - taxonomySource "nha"   : catégorie imposée = Famille NHA ; le LLM affine la sous-catégorie
+                              (lignes sans famille : classification libre)
+   - onProgress(type, data) : événements d'avancement (lots, comptages de jointure)
+   - signal : AbortSignal ; une annulation laisse le mapping partiel (relancer en incrémental) et
+              les paiements du build précédent (remplacés d'un bloc, en transaction)
    ========================================================= */
-export async function buildCatalog() {
+export async function buildCatalog({ mode = "full", taxonomySource = state.taxonomySource, snapshotName = null, onProgress = () => {}, signal } = {}) {
+  if (!["full", "incremental"].includes(mode)) throw new Error(`Mode de build inconnu: ${mode}`);
+  if (!TAXONOMY_SOURCES.includes(taxonomySource)) throw new Error(`Source de taxonomie inconnue: ${taxonomySource}`);
+  const checkCancelled = () => { if (signal?.aborted) throw new JobCancelledError(); };
   const schema = getSchema() || {};
   const picked = pickTablesBySignature(schema);
 
@@ -194,31 +502,18 @@ export async function buildCatalog() {
   const decsTable = picked.decs.table;
   const detailsTable = picked.details?.table || null;
 
-  const A = {
-    order_no: picked.achats.cols.order_no || resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.order_no),
-    line_no: picked.achats.cols.line_no || resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.line_no),
-    type_ligne: resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.type_ligne),
-    desc_cmd: picked.achats.cols.desc_cmd || resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.desc_cmd),
-    desc_line: picked.achats.cols.desc_line || resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.desc_line),
-    fourn: picked.achats.cols.fourn || resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.fourn),
-    date_cmd: picked.achats.cols.date_cmd || resolveByAliases(schema, achatsTable, COLUMN_ALIASES.achats.date_cmd),
-  };
+  // Colonnes de chaque rôle : mapping enregistré (mapping.js), sinon détection par alias
+  const A = picked.achats.cols;
+  const byNha = taxonomySource === "nha";
 
-  const D = {
-    order_no: picked.decs.cols.order_no || resolveByAliases(schema, decsTable, COLUMN_ALIASES.decs.order_no),
-    line_no: picked.decs.cols.line_no || resolveByAliases(schema, decsTable, COLUMN_ALIASES.decs.line_no),
-    montant: picked.decs.cols.montant || resolveByAliases(schema, decsTable, COLUMN_ALIASES.decs.montant),
-    date_pay: picked.decs.cols.date_pay || resolveByAliases(schema, decsTable, COLUMN_ALIASES.decs.date_pay),
-  };
+  const D = picked.decs.cols;
 
   // Fallback éventuel pour la date de commande via table "détails"
   let dateFallback = null;
   if (detailsTable) {
-    const detOrder = picked.details.cols.order_no || resolveByAliases(schema, detailsTable, COLUMN_ALIASES.details.order_no);
-    const detLine = picked.details.cols.line_no || resolveByAliases(schema, detailsTable, COLUMN_ALIASES.details.line_no);
-    const detDate = picked.details.cols.date_cmd || resolveByAliases(schema, detailsTable, COLUMN_ALIASES.details.date_cmd_candidates);
-    if (detOrder && detLine && detDate) {
-      dateFallback = { table: detailsTable, order_no: detOrder, line_no: detLine, col: detDate };
+    const T = picked.details.cols;
+    if (T.order_no && T.line_no && T.date_cmd) {
+      dateFallback = { table: detailsTable, order_no: T.order_no, line_no: T.line_no, col: T.date_cmd };
     }
   }
 
@@ -234,62 +529,220 @@ export async function buildCatalog() {
       `Ajoute au moins l'une de ces colonnes : Type de la ligne / Description de la commande / Description de la ligne.`
     );
   }
+  if (byNha && !A.nha_famille) {
+    throw new Error(`Taxonomie NHA impossible : colonne "Famille NHA" introuvable dans '${achatsTable}'.`);
+  }
 
-  // Table de mapping (recréée)
-  await runSQL(`
-    CREATE TABLE IF NOT EXISTS catalog_line_map (
-      order_no VARCHAR,
-      line_no VARCHAR,
-      category VARCHAR,
-      subcategory VARCHAR,
-      fournisseur VARCHAR
-    );
+  await ensureCatalogTables();
+
+  // Règles actives, compilées en un CASE SQL (première règle qui correspond)
+  const rules = await listRules({ enabledOnly: true });
+  const rulesById = new Map(rules.map(r => [r.id, r]));
+  const achatsColumns = (schema[achatsTable] || []).map(c => ({ name: c.name }));
+  const { expr: ruleCase, skipped: skippedRules } = rulesCaseSql(rules, { columns: achatsColumns });
+  if (skippedRules.length) {
+    onProgress("rules", { message: `Règle(s) ignorée(s), colonne absente d'Achats : ${skippedRules.join(", ")}` });
+  }
+
+  // Incrémental seulement si un mapping existe déjà (sinon build complet)
+  const existingRows = await runSQL(`SELECT COUNT(*) AS n FROM catalog_line_map;`);
+  const incremental = mode === "incremental" && Number(existingRows?.[0]?.n || 0) > 0;
+  if (!incremental) await runSQL(`DELETE FROM catalog_line_map WHERE NOT COALESCE(locked, FALSE);`);
+
+  // Affectations verrouillées (curation manuelle) : exclues de la classification
+  const lockedRows = await runSQL(`
+    SELECT DISTINCT order_no, line_no, category, subcategory
+    FROM catalog_line_map
+    WHERE COALESCE(locked, FALSE);
   `);
-  await runSQL(`DELETE FROM catalog_line_map;`);
+  const lockedKeys = new Set(lockedRows.map(r => `${r.order_no}|||${r.line_no}`));
 
-  // Lignes Achats à classifier
-  const lines = await runSQL(`
+  // Lignes Achats à classifier (dernière version de chaque ligne)
+  const allLines = await runSQL(`
     SELECT
       CAST("${esc(A.order_no)}" AS VARCHAR) AS order_no,
       CAST("${esc(A.line_no)}"  AS VARCHAR) AS line_no,
       ${selOrNull(A.type_ligne, "type_ligne")},
       ${selOrNull(A.desc_cmd, "desc_cmd")},
       ${selOrNull(A.desc_line, "desc_line")},
-      ${selOrNull(A.fourn, "fournisseur")}
-    FROM "${esc(achatsTable)}";
+      ${selOrNull(A.fourn, "fournisseur")},
+      ${selOrNull(A.nha_code, "nha_code")},
+      ${selOrNull(A.nha_famille, "nha_famille")},
+      ${selOrNull(A.nha_sous_famille, "nha_sous_famille")},
+      ${selOrNull(A.nha_libelle, "nha_libelle")},
+      ${textHashExpr(A)} AS text_hash,
+      ${ruleCase} AS rule_id
+    FROM "${esc(achatsTable)}"
+    ${latestVersionSql(A, "")};
   `);
 
-  // Classification incrémentale via LLM
-  let canon = /** @type {{category:string, subcategories:string[]}[]} */ ([]);
-  const batchSize = 120;
-
-  for (let i = 0; i < lines.length; i += batchSize) {
-    const chunk = lines.slice(i, i + batchSize);
-    const items = chunk.map(r => ({
+  const candidates = allLines.filter(r => !lockedKeys.has(`${r.order_no}|||${r.line_no}`));
+  let lines = candidates;
+  if (incremental) {
+    // Mapping importé sans empreinte : on complète d'abord (lignes considérées inchangées)
+    await runSQL(`
+      UPDATE catalog_line_map m
+      SET text_hash = src.text_hash
+      FROM (
+        SELECT
+          CAST(a."${esc(A.order_no)}" AS VARCHAR) AS order_no,
+          CAST(a."${esc(A.line_no)}"  AS VARCHAR) AS line_no,
+          ${textHashExpr(A, "a")} AS text_hash
+        FROM "${esc(achatsTable)}" a
+        ${latestVersionSql(A, "a")}
+      ) src
+      WHERE m.text_hash IS NULL
+        AND m.order_no = src.order_no
+        AND m.line_no = src.line_no;
+    `);
+
+    const known = await runSQL(`SELECT order_no, line_no, text_hash, category, subcategory, rule_id, fallback FROM catalog_line_map;`);
+    const knownHashes = new Map();
+    const knownRule = new Map();
+    for (const k of known) {
+      const key = `${k.order_no}|||${k.line_no}`;
+      if (!knownHashes.has(key)) knownHashes.set(key, new Set());
+      knownHashes.get(key).add(k.text_hash);
+      knownRule.set(key, k);
+    }
+    // à reclassifier : texte modifié, affectation en repli (nouvel essai du LLM),
+    // ou résultat des règles différent de l'affectation existante
+    const ruleChanged = (r) => {
+      const k = knownRule.get(`${r.order_no}|||${r.line_no}`);
+      if (!k || k.fallback) return true;
+      const ruleId = r.rule_id == null ? null : Number(r.rule_id);
+      if (ruleId !== (k.rule_id == null ? null : Number(k.rule_id))) return true;
+      const rule = rulesById.get(ruleId);
+      return Boolean(rule && (rule.category !== k.category || rule.subcategory !== k.subcategory));
+    };
+    lines = lines.filter(r => !knownHashes.get(`${r.order_no}|||${r.line_no}`)?.has(r.text_hash) || ruleChanged(r));
+
+    const scopeKeys = Array.from(new Map(lines.map(r => [`${r.order_no}|||${r.line_no}`, r])).values());
+    await setBuildScope(scopeKeys);
+    await runSQL(`
+      DELETE FROM catalog_line_map
+      WHERE EXISTS (
+        SELECT 1 FROM catalog_build_scope s
+        WHERE s.order_no = catalog_line_map.order_no AND s.line_no = catalog_line_map.line_no
+      );
+    `);
+    onProgress("scope", { message: `Incrémental : ${lines.length} ligne(s) à reclasser sur ${allLines.length}` });
+  }
+  checkCancelled();
+
+  // Lignes couvertes par une règle : affectées directement, sans LLM.
+  // Une affectation par clé : sans colonne de version, une même ligne Achats peut revenir plusieurs fois
+  // (extraits chargés en ajout) et chaque doublon du mapping multiplierait ses paiements à la jointure.
+  const ruleByKey = new Map();
+  for (const r of lines) {
+    const key = `${r.order_no}|||${r.line_no}`;
+    if (r.rule_id != null && rulesById.has(Number(r.rule_id)) && !ruleByKey.has(key)) ruleByKey.set(key, r);
+  }
+  const ruleLines = Array.from(ruleByKey.values());
+  const llmLines = lines.filter(r => !ruleByKey.has(`${r.order_no}|||${r.line_no}`));
+  const byRule = {};
+  await bulkInsert(
+    "catalog_line_map",
+    ["order_no", "line_no", "category", "subcategory", "fournisseur", "text_hash", "source", "rule_id", "confidence", "rationale"],
+    ruleLines.map(r => {
+      const rule = rulesById.get(Number(r.rule_id));
+      byRule[rule.id] = (byRule[rule.id] || 0) + 1;
+      return [r.order_no, r.line_no, rule.category, rule.subcategory, r.fournisseur || "", r.text_hash, "rule", rule.id, 1.0, `Règle #${rule.id} : ${rule.name}`];
+    })
+  );
+  if (rules.length) {
+    onProgress("rules", {
+      message: `${ruleLines.length} ligne(s) classées par règle, ${llmLines.length} envoyée(s) au LLM`,
+      ruleMatched: ruleLines.length,
+      byRule,
+    });
+  }
+  checkCancelled();
+
+  // Classification incrémentale via LLM (amorcée par la taxonomie courante en incrémental,
+  // et dans tous les cas par les nœuds des affectations verrouillées)
+  let canon = /** @type {{category:string, subcategories:string[]}[]} */ (
+    incremental ? state.taxonomy.map(t => ({ category: t.category, subcategories: [...t.subcategories] })) : []
+  );
+  for (const r of lockedRows) ensureInCanon(canon, r.category, r.subcategory);
+  for (const r of ruleLines) {
+    const rule = rulesById.get(Number(r.rule_id));
+    ensureInCanon(canon, rule.category, rule.subcategory);
+  }
+  // Taxonomie NHA : familles (et leurs sous-familles) comme squelette imposé
+  if (byNha) {
+    for (const r of llmLines) {
+      const fam = String(r.nha_famille || "").trim();
+      const sf = String(r.nha_sous_famille || "").trim();
+      if (fam) ensureInCanon(canon, fam, sf || "Autre");
+    }
+  }
+  const nhaFamily = (r) => byNha ? String(r?.nha_famille || "").trim() || null : null;
+  const toItem = (r) => {
+    const nha = Object.fromEntries(
+      [["code", r.nha_code], ["famille", r.nha_famille], ["sous_famille", r.nha_sous_famille], ["libelle", r.nha_libelle]]
+        .filter(([, v]) => v != null && String(v).trim())
+    );
+    return {
       key: `${r.order_no}|||${r.line_no}`,
       type_ligne: r.type_ligne || "",
       desc_cmd: r.desc_cmd || "",
       desc_line: r.desc_line || "",
       fournisseur: r.fournisseur || "",
-    }));
+      ...(Object.keys(nha).length ? { nha } : {}),
+      ...(nhaFamily(r) ? { category: nhaFamily(r) } : {}),
+    };
+  };
+
+  // Lots de 120 lignes max, bornés en taille pour que le prompt ne tronque aucun item
+  const batchSize = 120;
+  const chunks = [];
+  let cur = [], curChars = 2;
+  for (const r of llmLines) {
+    const len = JSON.stringify(toItem(r)).length + 1;
+    if (cur.length && (cur.length >= batchSize || curChars + len > PROMPT_ITEMS_MAX_CHARS)) {
+      chunks.push(cur);
+      cur = [];
+      curChars = 2;
+    }
+    cur.push(r);
+    curChars += len;
+  }
+  if (cur.length) chunks.push(cur);
+  const batches = chunks.length;
+  let classified = 0;
+  onProgress("classify", {
+    message: `${llmLines.length} ligne(s) à classifier en ${batches} lot(s)`,
+    progress: { phase: "classify", batch: 0, batches, classified: 0, total: llmLines.length },
+  });
+
+  for (let b = 0; b < chunks.length; b++) {
+    checkCancelled();
+    const chunk = chunks[b];
+    const knownCats = new Set(canon.map(c => c.category));
+    const items = chunk.map(toItem);
 
     const systemClass = `Tu construis un catalogue de catégories d'achats en français de manière incrémentale.
 RÈGLES IMPORTANTES:
 - Tu NE dois PAS inventer de catégories hors contexte : uniquement pertinentes pour les items fournis.
 - Réutilise une catégorie existante si elle convient; sinon crée-en une nouvelle justifiée.
 - Fusionne les doublons évidents via "aliases".
+- Le champ "nha" (nomenclature achats : code, famille, sous-famille, libellé) est un indice fort de la nature de l'achat ; la description reste prioritaire en cas de contradiction manifeste.${byNha ? `
+- Quand un item porte un champ "category", cette catégorie (famille NHA) est IMPOSÉE : choisis ou crée seulement la sous-catégorie, à l'intérieur de cette famille.` : ""}${incremental ? `
+- Le catalogue actuel est la référence validée : classe en priorité dans ses catégories/sous-catégories existantes.` : ""}
+- Pour chaque affectation, donne "confidence" (0 à 1 : 1 = évident, < 0.5 = incertain) et "rationale" (une phrase courte en français).
 - Réponds UNIQUEMENT en JSON.`;
 
     const userClass = `Catalogue actuel (canonique):
 ${JSON.stringify(canon)}
 
 Items à classifier (retourne un array "assignments"):
-${JSON.stringify(items).slice(0, 12000)}
+${JSON.stringify(items).slice(0, PROMPT_ITEMS_MAX_CHARS)}
 
 FORMAT JSON STRICT attendu:
 {
   "assignments": [
-    {"key":"<order|||line>","category":"<cat>","subcategory":"<sub>"} , ...
+    {"key":"<order|||line>","category":"<cat>","subcategory":"<sub>","confidence":<0..1>,"rationale":"<justification courte>"} , ...
   ],
   "aliases": [
     {"from":{"category":"X","subcategory":"Y"},"to":{"category":"X'","subcategory":"Y'"}}
@@ -299,15 +752,28 @@ FORMAT JSON STRICT attendu:
   ]
 }`;
 
+    // Repli (LLM en échec ou ligne absente de sa réponse) : "Autre" ou famille NHA, confiance nulle,
+    // marqué fallback pour la file de revue
+    const fallbackFor = (r, reason) => ({
+      key: `${r.order_no}|||${r.line_no}`,
+      category: nhaFamily(r) || "Autre",
+      subcategory: (nhaFamily(r) && String(r.nha_sous_famille || "").trim()) || "Autre",
+      confidence: 0,
+      rationale: reason,
+      fallback: true,
+    });
+
     let out;
+    let llmError = null;
     try {
       out = await llmJSON([
         { role: "system", content: systemClass },
         { role: "user", content: userClass },
       ]);
-    } catch {
+    } catch (e) {
+      llmError = String(e?.message || e);
       out = {
-        assignments: items.map(it => ({ key: it.key, category: "Autre", subcategory: "Autre" })),
+        assignments: chunk.map(r => fallbackFor(r, `Échec de l'appel LLM : ${llmError}`.slice(0, 500))),
         aliases: [],
         new_categories: []
       };
@@ -328,58 +794,76 @@ FORMAT JSON STRICT attendu:
       if (!cat || !subs.length) continue;
       for (const sub of subs) ensureInCanon(canon, cat, sub);
     }
+    if (byNha) {
+      // la famille NHA prime sur la catégorie proposée par le LLM
+      for (const asg of assignments) {
+        const fam = nhaFamily(chunk.find(r => `${r.order_no}|||${r.line_no}` === asg?.key));
+        if (fam) asg.category = fam;
+      }
+    }
+    // lignes du lot sans affectation exploitable dans la réponse
+    const answered = new Set(assignments
+      .filter(a => String(a?.category || "").trim() && String(a?.subcategory || "").trim())
+      .map(a => a?.key));
+    for (const r of chunk) {
+      if (!answered.has(`${r.order_no}|||${r.line_no}`)) assignments.push(fallbackFor(r, "Ligne absente de la réponse du LLM."));
+    }
+
     for (const asg of assignments) {
       const cat = String(asg?.category || "").trim();
       const sub = String(asg?.subcategory || "").trim();
       if (cat && sub) ensureInCanon(canon, cat, sub);
     }
 
+    const inserted = new Set();
+    const values = [];
+    let fallbacks = 0;
     for (const asg of assignments) {
       const [order_no, line_no] = String(asg.key || "").split("|||");
       const category = String(asg.category || "").trim();
       const subcategory = String(asg.subcategory || "").trim();
       if (!order_no || !line_no || !category || !subcategory) continue;
-      const fournisseur = (chunk.find(r => `${r.order_no}|||${r.line_no}` === asg.key)?.fournisseur) || "";
-
-      await runSQL(`
-        INSERT INTO catalog_line_map (order_no, line_no, category, subcategory, fournisseur)
-        VALUES (${q(order_no)}, ${q(line_no)}, ${q(category)}, ${q(subcategory)}, ${q(fournisseur)});
-      `);
+      if (lockedKeys.has(asg.key)) continue;
+      const src = chunk.find(r => `${r.order_no}|||${r.line_no}` === asg.key);
+      if (!src) continue; // clé inventée par le LLM
+      if (inserted.has(asg.key)) continue; // doublon dans la réponse
+      inserted.add(asg.key);
+      const fournisseur = src?.fournisseur || "";
+      const conf = Number(asg.confidence);
+      const confidence = asg.fallback ? 0 : Number.isFinite(conf) ? Math.min(1, Math.max(0, conf)) : null;
+      const rationale = String(asg.rationale || "").trim().slice(0, 500) || null;
+      if (asg.fallback) fallbacks++;
+
+      values.push([order_no, line_no, category, subcategory, fournisseur, src?.text_hash, "llm", confidence, rationale, MODEL, !!asg.fallback]);
     }
-  }
-
-  // Paiements liés + délais
-  await runSQL(`
-    CREATE TABLE IF NOT EXISTS catalog_payments (
-      category VARCHAR,
-      subcategory VARCHAR,
-      fournisseur VARCHAR,
-      order_no VARCHAR,
-      line_no VARCHAR,
-      order_date DATE,
-      payment_date DATE,
-      montant DOUBLE,
-      delay_days INTEGER
+    classified += await bulkInsert(
+      "catalog_line_map",
+      ["order_no", "line_no", "category", "subcategory", "fournisseur", "text_hash", "source", "confidence", "rationale", "model", "fallback"],
+      values
     );
-  `);
-  await runSQL(`DELETE FROM catalog_payments;`);
+
+    const batch = b + 1;
+    const newCategories = canon.map(c => c.category).filter(c => !knownCats.has(c));
+    onProgress("batch", {
+      message: `Lot ${batch}/${batches} : ${classified}/${llmLines.length} lignes classées` +
+        (newCategories.length ? ` — nouvelles catégories : ${newCategories.join(", ")}` : "") +
+        (llmError ? ` — échec LLM, lot en repli : ${llmError}` : fallbacks ? ` — ${fallbacks} ligne(s) en repli` : ""),
+      newCategories,
+      fallbacks,
+      progress: { phase: "classify", batch, batches, classified, total: llmLines.length, categories: canon.length },
+    });
+  }
+  checkCancelled();
+  onProgress("payments", { message: "Rapprochement des décaissements…", progress: { phase: "payments" } });
 
   // --- DEBUG : décaissements parsés OK (date & montant)
   const dbgDecsRaw = await runSQL(`SELECT COUNT(*) AS n FROM "${esc(decsTable)}";`);
-  const dbgDecsParsed = await runSQL(`
-    SELECT COUNT(*) AS n
-    FROM "${esc(decsTable)}" d
-    WHERE ${sqlDateFromAny(`d."${esc(D.date_pay)}"`)} IS NOT NULL
-      AND TRY_CAST(
-            REPLACE(
-              regexp_replace(CAST(d."${esc(D.montant)}" AS VARCHAR), '[^0-9,.\-]', '', 'g'),
-              ',',
-              '.'
-            )
-          AS DOUBLE
-          ) IS NOT NULL
-  `);
-  console.log("[buildCatalog] decs total:", Number(dbgDecsRaw?.[0]?.n || 0), "parsedOK:", Number(dbgDecsParsed?.[0]?.n || 0));
+  const dbgDecsParsed = await runSQL(`SELECT COUNT(*) AS n FROM (${paymentsNormSql(decsTable, D)});`);
+  onProgress("join", {
+    message: `Décaissements : ${Number(dbgDecsRaw?.[0]?.n || 0)} lus, ${Number(dbgDecsParsed?.[0]?.n || 0)} avec date et montant valides`,
+    decsTotal: Number(dbgDecsRaw?.[0]?.n || 0),
+    decsParsed: Number(dbgDecsParsed?.[0]?.n || 0),
+  });
 
   const dbgDecsSample = await runSQL(`
     SELECT
@@ -387,214 +871,135 @@ FORMAT JSON STRICT attendu:
       CAST("${esc(D.line_no)}"  AS VARCHAR) AS line_no_raw,
       ${normLineInt(`"${esc(D.line_no)}"`)} AS line_int_norm,
       ${sqlDateFromAny(`"${esc(D.date_pay)}"`)} AS date_pay_norm,
-      TRY_CAST(REPLACE(regexp_replace(CAST("${esc(D.montant)}" AS VARCHAR), '[^0-9,.\-]', '', 'g'), ',', '.') AS DOUBLE) AS montant_norm
+      ${sqlAmountFromAny(`"${esc(D.montant)}"`)} AS montant_norm
     FROM "${esc(decsTable)}"
     LIMIT 5;
   `);
   console.log("[buildCatalog] d_norm sample:", dbgDecsSample);
 
-  // --- DEBUG AVANT INSERT : combien de lignes seront joignables ?
-  const dbgJoinable = await runSQL(`
-  WITH
-  d_norm AS (
-    SELECT
-      ${normAlnum(`d."${esc(D.order_no)}"`)} AS k_order_alnum,
-      ${normNum(`d."${esc(D.order_no)}"`)}   AS k_order_num,
-      ${normOrderInt(`d."${esc(D.order_no)}"`)} AS k_order_int,
-      ${normAlnum(`d."${esc(D.line_no)}"`)}  AS k_line_alnum,
-      ${normNum(`d."${esc(D.line_no)}"`)}    AS k_line_num,
-      ${normLineInt(`d."${esc(D.line_no)}"`)} AS k_line_int,
-      CAST(d."${esc(D.order_no)}" AS VARCHAR) AS order_no_raw,
-      CAST(d."${esc(D.line_no)}"  AS VARCHAR) AS line_no_raw,
-      CAST(${sqlDateFromAny(`d."${esc(D.date_pay)}"`)} AS DATE) AS payment_date,
-      TRY_CAST(
-        REPLACE(
-          regexp_replace(CAST(d."${esc(D.montant)}" AS VARCHAR), '[^0-9,.\-]', '', 'g'),
-          ',',
-          '.'
-        )
-        AS DOUBLE
-      ) AS montant
-    FROM "${esc(decsTable)}" d
-    WHERE ${sqlDateFromAny(`d."${esc(D.date_pay)}"`)} IS NOT NULL
-      AND TRY_CAST(
-            REPLACE(
-              regexp_replace(CAST(d."${esc(D.montant)}" AS VARCHAR), '[^0-9,.\-]', '', 'g'),
-              ',',
-              '.'
-            )
-          AS DOUBLE
-          ) IS NOT NULL
-  ),
-  a_norm AS (
-    SELECT
-      ${normAlnum(`a."${esc(A.order_no)}"`)} AS k_order_alnum,
-      ${normNum(`a."${esc(A.order_no)}"`)}   AS k_order_num,
-      ${normOrderInt(`a."${esc(A.order_no)}"`)} AS k_order_int,
-      ${normAlnum(`a."${esc(A.line_no)}"`)}  AS k_line_alnum,
-      ${normNum(`a."${esc(A.line_no)}"`)}    AS k_line_num,
-      ${normLineInt(`a."${esc(A.line_no)}"`)} AS k_line_int,
-      CAST(a."${esc(A.order_no)}" AS VARCHAR) AS order_no_raw,
-      CAST(a."${esc(A.line_no)}"  AS VARCHAR) AS line_no_raw
-    FROM "${esc(achatsTable)}" a
+  // Rapprochement classé (toutes les lignes Achats sont candidates, même hors périmètre incrémental)
+  // Un paiement peut changer de ligne ou de prorata quand une ligne apparaît : catalog_payments est recalculé en entier
+  await runSQL(`CREATE OR REPLACE TEMP TABLE catalog_payment_match AS ${paymentMatchSql(achatsTable, A, decsTable, D)};`);
+  const matchStats = await runSQL(`
+    SELECT match_method, CAST(COUNT(DISTINCT pay_row) AS INT) AS payments, CAST(COUNT(*) AS INT) AS n
+    FROM catalog_payment_match
+    GROUP BY 1;
+  `);
+  const byMethod = Object.fromEntries(MATCH_METHODS.map(m => [m, 0]));
+  for (const r of matchStats) byMethod[r.match_method] = Number(r.payments || 0);
+  const matched = Object.values(byMethod).reduce((s, n) => s + n, 0);
+  const prorated = Number(matchStats.find(r => r.match_method === "order_only")?.n || 0);
+  const decsParsed = Number(dbgDecsParsed?.[0]?.n || 0);
+  onProgress("join", {
+    message: `Rapprochement : ${matched}/${decsParsed} paiement(s) affecté(s) — exact ${byMethod.exact}, normalisé ${byMethod.normalized}, ` +
+      `suffixe ${byMethod.suffix}, commande seule ${byMethod.order_only}` +
+      (prorated ? ` (répartis sur ${prorated} ligne(s))` : ""),
+    matched,
+    unmatched: decsParsed - matched,
+    byMethod,
+  });
+  checkCancelled();
+
+  // INSERT principal : une ligne par (paiement, ligne affectée), montant au prorata pour order_only
+  const mapJoin = `
     JOIN catalog_line_map m
       ON CAST(a."${esc(A.order_no)}" AS VARCHAR) = m.order_no
-     AND CAST(a."${esc(A.line_no)}"  AS VARCHAR) = m.line_no
-  )
-  SELECT
-    (SELECT COUNT(*) FROM a_norm) AS a_rows,
-    (SELECT COUNT(*) FROM d_norm) AS d_rows,
-    COUNT(*) AS n
-  FROM a_norm
-  JOIN d_norm
-    ON (
-          (a_norm.k_order_alnum IS NOT NULL AND d_norm.k_order_alnum IS NOT NULL AND a_norm.k_order_alnum = d_norm.k_order_alnum)
-       OR (a_norm.k_order_num   IS NOT NULL AND d_norm.k_order_num   IS NOT NULL AND
-           (
-              a_norm.k_order_num = d_norm.k_order_num
-           OR RIGHT(d_norm.k_order_num, LENGTH(a_norm.k_order_num)) = a_norm.k_order_num
-           OR RIGHT(a_norm.k_order_num, LENGTH(d_norm.k_order_num)) = d_norm.k_order_num
-           )
-          )
-       OR (a_norm.order_no_raw = d_norm.order_no_raw)
-       OR (a_norm.k_order_int IS NOT NULL AND d_norm.k_order_int IS NOT NULL AND a_norm.k_order_int = d_norm.k_order_int)
-       )
-   AND (
-          (d_norm.k_line_alnum IS NOT NULL AND a_norm.k_line_alnum IS NOT NULL AND a_norm.k_line_alnum = d_norm.k_line_alnum)
-       OR (d_norm.k_line_num   IS NOT NULL AND a_norm.k_line_num   IS NOT NULL AND a_norm.k_line_num   = d_norm.k_line_num)
-       OR (a_norm.line_no_raw = d_norm.line_no_raw)
-       OR (a_norm.k_line_int IS NOT NULL AND d_norm.k_line_int IS NOT NULL AND a_norm.k_line_int = d_norm.k_line_int)
-       OR (d_norm.k_line_alnum IS NULL AND d_norm.k_line_num IS NULL AND d_norm.k_line_int IS NULL)
-       );
-`);
-  console.log("[buildCatalog] joinable (pré-insert):", Number(dbgJoinable?.[0]?.n || 0), "a_rows:", Number(dbgJoinable?.[0]?.a_rows || 0), "d_rows:", Number(dbgJoinable?.[0]?.d_rows || 0));
-
-  // INSERT principal
-  await runSQL(`
+     AND CAST(a."${esc(A.line_no)}"  AS VARCHAR) = m.line_no`;
+  const insertPaymentsSql = `
     INSERT INTO catalog_payments
+      (category, subcategory, fournisseur, order_no, line_no, order_date, payment_date, montant, delay_days, match_method, kind, montant_net,
+       invoice_no, invoice_date, ${PAYMENT_DIMENSION_COLUMNS.join(", ")})
     WITH
-    d_norm AS (
+    -- une ligne par (commande, ligne) : fournisseur de la dernière version,
+    -- date de référence = date de la version d'origine (sinon la plus ancienne)
+    a_info AS (
       SELECT
-        ${normAlnum(`d."${esc(D.order_no)}"`)} AS k_order_alnum,
-        ${normNum(`d."${esc(D.order_no)}"`)}   AS k_order_num,
-        ${normOrderInt(`d."${esc(D.order_no)}"`)} AS k_order_int,
-        ${normAlnum(`d."${esc(D.line_no)}"`)}  AS k_line_alnum,
-        ${normNum(`d."${esc(D.line_no)}"`)}    AS k_line_num,
-        ${normLineInt(`d."${esc(D.line_no)}"`)} AS k_line_int,
-        CAST(d."${esc(D.order_no)}" AS VARCHAR) AS order_no_raw,
-        CAST(d."${esc(D.line_no)}"  AS VARCHAR) AS line_no_raw,
-        CAST(${sqlDateFromAny(`d."${esc(D.date_pay)}"`)} AS DATE) AS payment_date,
-        TRY_CAST(
-          REPLACE(
-            regexp_replace(CAST(d."${esc(D.montant)}" AS VARCHAR), '[^0-9,.\-]', '', 'g'),
-            ',',
-            '.'
-          )
-          AS DOUBLE
-        ) AS montant
-      FROM "${esc(decsTable)}" d
-      WHERE ${sqlDateFromAny(`d."${esc(D.date_pay)}"`)} IS NOT NULL
-        AND TRY_CAST(
-              REPLACE(
-                regexp_replace(CAST(d."${esc(D.montant)}" AS VARCHAR), '[^0-9,.\-]', '', 'g'),
-                ',',
-                '.'
-              )
-            AS DOUBLE
-            ) IS NOT NULL
+        order_no_raw,
+        line_no_raw,
+        COALESCE(arg_max(fournisseur, version_key), ANY_VALUE(fournisseur)) AS fournisseur,
+        ${PAYMENT_DIMENSION_COLUMNS.map(c => `COALESCE(arg_max(${c}, version_key), ANY_VALUE(${c})) AS ${c}`).join(",\n        ")},
+        COALESCE(arg_min(order_date, version_key) FILTER (WHERE order_date IS NOT NULL), MIN(order_date)) AS order_date
+      FROM (${achatsNormSql(achatsTable, A, {
+        extra: [
+          selOrNull(A.fourn, "fournisseur"),
+          // codes numériques lus en DOUBLE : 61100000.0 → 61100000
+          ...PAYMENT_DIMENSION_COLUMNS.map(c => `${A[c]
+            ? `NULLIF(regexp_replace(TRIM(CAST(a."${esc(A[c])}" AS VARCHAR)), '\\.0+$', ''), '')`
+            : "CAST(NULL AS VARCHAR)"} AS ${c}`),
+          `${orderDateSql(A, dateFallback, { decsTable, D })} AS order_date`,
+          `${versionKeySql(A)} AS version_key`,
+        ],
+        join: mapJoin,
+      })})
+      GROUP BY 1, 2
     ),
-    a_norm AS (
+    d_invoice AS (
       SELECT
-        ${normAlnum(`a."${esc(A.order_no)}"`)} AS k_order_alnum,
-        ${normNum(`a."${esc(A.order_no)}"`)}   AS k_order_num,
-        ${normOrderInt(`a."${esc(A.order_no)}"`)} AS k_order_int,
-        ${normAlnum(`a."${esc(A.line_no)}"`)}  AS k_line_alnum,
-        ${normNum(`a."${esc(A.line_no)}"`)}    AS k_line_num,
-        ${normLineInt(`a."${esc(A.line_no)}"`)} AS k_line_int,
-        ${selOrNull(A.fourn, "fournisseur")},
-        CAST(a."${esc(A.order_no)}" AS VARCHAR) AS order_no_raw,
-        CAST(a."${esc(A.line_no)}"  AS VARCHAR) AS line_no_raw,
-        COALESCE(
-          ${A.date_cmd ? `${sqlDateFromAny(`a."${esc(A.date_cmd)}"`)}`
-      : `NULL`},
-          ${dateFallback ? `(
-                   SELECT ${sqlDateFromAny(`dtl."${esc(dateFallback.col)}"`)}
-                   FROM "${esc(dateFallback.table)}" dtl
-                   WHERE ${normAlnum(`dtl."${esc(dateFallback.order_no)}"`)} = ${normAlnum(`a."${esc(A.order_no)}"`)}
-                     AND ${normAlnum(`dtl."${esc(dateFallback.line_no)}"`)}  = ${normAlnum(`a."${esc(A.line_no)}"`)}
-                   ORDER BY ${sqlDateFromAny(`dtl."${esc(dateFallback.col)}"`)} ASC
-                   LIMIT 1
-                 )`
-      : `NULL`},
-          (
-            SELECT MIN(CAST(${sqlDateFromAny(`dd."${esc(D.date_pay)}"`)} AS DATE))
-            FROM "${esc(decsTable)}" dd
-            WHERE 
-              (
-                ${normAlnum(`dd."${esc(D.order_no)}"`)} = ${normAlnum(`a."${esc(A.order_no)}"`)}
-                OR ${normNum(`dd."${esc(D.order_no)}"`)} = ${normNum(`a."${esc(A.order_no)}"`)}
-                OR CAST(dd."${esc(D.order_no)}" AS VARCHAR) = CAST(a."${esc(A.order_no)}" AS VARCHAR)
-              )
-              AND (
-                ${normAlnum(`dd."${esc(D.line_no)}"`)} = ${normAlnum(`a."${esc(A.line_no)}"`)}
-                OR ${normNum(`dd."${esc(D.line_no)}"`)} = ${normNum(`a."${esc(A.line_no)}"`)}
-                OR CAST(dd."${esc(D.line_no)}" AS VARCHAR) = CAST(a."${esc(A.line_no)}" AS VARCHAR)
-                OR (${normAlnum(`dd."${esc(D.line_no)}"`)} IS NULL AND ${normNum(`dd."${esc(D.line_no)}"`)} IS NULL)
-              )
-          )
-        ) AS order_date
-      FROM "${esc(achatsTable)}" a
-      JOIN catalog_line_map m
-        ON CAST(a."${esc(A.order_no)}" AS VARCHAR) = m.order_no
-       AND CAST(a."${esc(A.line_no)}"  AS VARCHAR) = m.line_no
+        d.rowid AS pay_row,
+        ${D.invoice_no ? `NULLIF(TRIM(CAST(d."${esc(D.invoice_no)}" AS VARCHAR)), '')` : "CAST(NULL AS VARCHAR)"} AS invoice_no,
+        ${D.invoice_date ? `CAST(${sqlDateFromAny(`d."${esc(D.invoice_date)}"`)} AS DATE)` : "CAST(NULL AS DATE)"} AS invoice_date
+      FROM "${esc(decsTable)}" d
     )
     SELECT
       m.category,
       m.subcategory,
-      a_norm.fournisseur,
-      a_norm.order_no_raw AS order_no,
-      a_norm.line_no_raw  AS line_no,
-      a_norm.order_date,
-      d_norm.payment_date,
-      d_norm.montant,
-      datediff('day', a_norm.order_date, d_norm.payment_date) AS delay_days
-    FROM a_norm
+      a_info.fournisseur,
+      x.order_no,
+      x.line_no,
+      a_info.order_date,
+      x.payment_date,
+      x.montant,
+      datediff('day', a_info.order_date, x.payment_date) AS delay_days,
+      x.match_method,
+      x.kind,
+      x.montant AS montant_net,
+      d_invoice.invoice_no,
+      d_invoice.invoice_date,
+      ${PAYMENT_DIMENSION_COLUMNS.map(c => `a_info.${c}`).join(", ")}
+    FROM catalog_payment_match x
+    JOIN a_info
+      ON a_info.order_no_raw = x.order_no
+     AND a_info.line_no_raw  = x.line_no
+    LEFT JOIN d_invoice ON d_invoice.pay_row = x.pay_row
     JOIN catalog_line_map m
-      ON a_norm.order_no_raw = m.order_no
-     AND a_norm.line_no_raw  = m.line_no
-    JOIN d_norm
-      ON (
-            (a_norm.k_order_alnum IS NOT NULL AND d_norm.k_order_alnum IS NOT NULL AND a_norm.k_order_alnum = d_norm.k_order_alnum)
-         OR (a_norm.k_order_num   IS NOT NULL AND d_norm.k_order_num   IS NOT NULL AND
-             (
-                a_norm.k_order_num = d_norm.k_order_num
-             OR RIGHT(d_norm.k_order_num, LENGTH(a_norm.k_order_num)) = a_norm.k_order_num
-             OR RIGHT(a_norm.k_order_num, LENGTH(d_norm.k_order_num)) = d_norm.k_order_num
-             )
-            )
-         OR (a_norm.order_no_raw = d_norm.order_no_raw)
-         OR (a_norm.k_order_int IS NOT NULL AND d_norm.k_order_int IS NOT NULL AND a_norm.k_order_int = d_norm.k_order_int)
-         )
-     AND (
-            (d_norm.k_line_alnum IS NOT NULL AND a_norm.k_line_alnum IS NOT NULL AND a_norm.k_line_alnum = d_norm.k_line_alnum)
-         OR (d_norm.k_line_num   IS NOT NULL AND a_norm.k_line_num   IS NOT NULL AND a_norm.k_line_num   = d_norm.k_line_num)
-         OR (a_norm.line_no_raw = d_norm.line_no_raw)
-         OR (a_norm.k_line_int IS NOT NULL AND d_norm.k_line_int IS NOT NULL AND a_norm.k_line_int = d_norm.k_line_int)
-         OR (d_norm.k_line_alnum IS NULL AND d_norm.k_line_num IS NULL AND d_norm.k_line_int IS NULL)
-         );
-  `);
+      ON x.order_no = m.order_no
+     AND x.line_no  = m.line_no;
+  `;
 
-  // État (canon)
-  const used = await runSQL(`SELECT DISTINCT category, subcategory FROM catalog_line_map ORDER BY 1,2;`);
-  const byCat = new Map();
-  for (const r of used) {
-    if (!byCat.has(r.category)) byCat.set(r.category, new Set());
-    byCat.get(r.category).add(r.subcategory);
+  // Remplacement en une transaction, sans point d'annulation : jamais de catalog_payments vide ou partiel
+  let netting;
+  await runSQL(`BEGIN TRANSACTION;`);
+  try {
+    await runSQL(`DELETE FROM catalog_payments;`);
+    await runSQL(insertPaymentsSql);
+    netting = await netCreditNotes();
+    await runSQL(`COMMIT;`);
+  } catch (e) {
+    await runSQL(`ROLLBACK;`).catch(() => {});
+    throw e;
   }
-  state.taxonomy = Array.from(byCat.entries()).map(([category, set]) => ({
-    category,
-    subcategories: Array.from(set)
-  }));
+
+  if (netting.creditNotes) {
+    onProgress("join", {
+      message: `Avoirs : ${netting.creditNotes} imputé(s) sur les paiements de leur ligne` +
+        (netting.unallocated ? ` — ${netting.unallocated} sans paiement à annuler` : ""),
+      creditNotes: netting.creditNotes,
+      unallocatedCreditNotes: netting.unallocated,
+    });
+  }
+
+  // Conditions de règlement (table Détails) → vue catalog_invoice_terms
+  const terms = await buildPaymentTerms(detailsTable ? picked.details : null);
+  if (terms.linesWithTerms) {
+    onProgress("join", {
+      message: `Conditions de règlement : ${terms.linesWithTerms} ligne(s), ${terms.distinctTerms} libellé(s)` +
+        (terms.unparsedTerms ? ` dont ${terms.unparsedTerms} non reconnu(s) (${terms.unparsedLines} ligne(s))` : ""),
+      terms,
+    });
+  }
+
+  // État (canon)
+  await refreshTaxonomyFromMap();
 
   state.tables.achats = achatsTable;
   state.tables.decs = decsTable;
@@ -602,7 +1007,9 @@ FORMAT JSON STRICT attendu:
   state.cols.achats = A;
   state.cols.decs = D;
   state.cols.details = dateFallback || {};
+  state.taxonomySource = taxonomySource;
   state.builtAt = new Date();
+  await persistState();
 
   const counts = await runSQL(`
     SELECT subcategory, CAST(COUNT(*) AS INT) AS n
@@ -612,13 +1019,37 @@ FORMAT JSON STRICT attendu:
   `);
 
   const payCount = await runSQL(`SELECT COUNT(*) AS n FROM catalog_payments;`);
-  console.log("[buildCatalog] catalog_payments rows:", Number(payCount?.[0]?.n || 0));
+
+  // Historique : classement et profils de ce build (comparables aux builds précédents)
+  const snapshot = await recordSnapshot({
+    kind: "build",
+    name: snapshotName,
+    mode: incremental ? "incremental" : "full",
+    taxonomy: state.taxonomy,
+    taxonomySource,
+    model: MODEL,
+    builtAt: state.builtAt,
+  });
+  onProgress("join", {
+    message: `catalog_payments : ${Number(payCount?.[0]?.n || 0)} ligne(s) — instantané n°${snapshot.id} « ${snapshot.name} »`,
+    paymentRows: Number(payCount?.[0]?.n || 0),
+    snapshot,
+    progress: { phase: "done" },
+  });
 
   return {
+    mode: incremental ? "incremental" : "full",
+    taxonomySource,
+    classified: lines.length,
+    ruleMatched: ruleLines.length,
+    skippedRules,
+    unchanged: candidates.length - lines.length,
+    locked: allLines.length - candidates.length,
     taxonomy: state.taxonomy,
     tables: state.tables,
     cols: state.cols,
     counts,
+    snapshot,
     builtAt: state.builtAt
   };
 }
@@ -665,73 +1096,104 @@ export async function getSummary() {
     byCategory,
     bySubcategorySupplier: bySub,
     counts: countMap,
+    taxonomySource: state.taxonomySource,
   };
 }
 
 /* =========================================================
    Profil d'écoulement (quartiles + debug)
+   - flow "net"   : paiements après imputation des avoirs (montant_net), lignes annulées exclues
+   - flow "gross" : paiements tels que décaissés, avoirs exclus
+   - mode "amount"     : montants cumulés tous paiements confondus (les grosses commandes dominent)
+   - mode "normalized" : moyenne des courbes de chaque ligne en part de son total (cf. profiles.js)
    ========================================================= */
-export async function getProfile(subcategory, supplier) {
+export const PROFILE_FLOWS = ["net", "gross"];
+
+// Montant et filtre des flux d'un profil (lignes antérieures sans kind : paiements)
+function flowSql(flow) {
+  if (!PROFILE_FLOWS.includes(flow)) throw new Error(`Flux inconnu: ${flow}`);
+  return flow === "gross"
+    ? { amount: "montant", where: "AND kind IS DISTINCT FROM 'credit_note'" }
+    : { amount: "COALESCE(montant_net, montant)", where: "AND COALESCE(montant_net, montant) <> 0" };
+}
+
+export async function getProfile(subcategory, supplier, { flow = "net", mode = "amount", weighting = "equal" } = {}) {
   if (!subcategory || !supplier) throw new Error("Paramètres requis: subcategory & supplier.");
+  if (!PROFILE_MODES.includes(mode)) throw new Error(`Mode de profil inconnu: ${mode}`);
+  const f = flowSql(flow);
 
   const dbgCountAll = await runSQL(`
     SELECT COUNT(*) AS n FROM catalog_payments
-    WHERE subcategory = ${q(subcategory)} AND fournisseur = ${q(supplier)};
+    WHERE subcategory = ${q(subcategory)} AND fournisseur = ${q(supplier)} ${f.where};
   `);
 
   const series = await runSQL(`
-    SELECT delay_days, SUM(montant) AS montant_total
+    SELECT delay_days, SUM(${f.amount}) AS montant_total
     FROM catalog_payments
     WHERE subcategory = ${q(subcategory)}
       AND fournisseur = ${q(supplier)}
       AND delay_days IS NOT NULL
+      ${f.where}
     GROUP BY 1
     ORDER BY 1;
   `);
 
   const points = await runSQL(`
-    SELECT delay_days, montant, payment_date, order_no, line_no
+    SELECT delay_days, ${f.amount} AS montant, payment_date, order_no, line_no, match_method, kind, invoice_no
     FROM catalog_payments
     WHERE subcategory = ${q(subcategory)}
       AND fournisseur = ${q(supplier)}
       AND delay_days IS NOT NULL
+      ${f.where}
     ORDER BY payment_date;
   `);
 
   const totalRow = await runSQL(`
-    SELECT COALESCE(SUM(montant),0) AS s
+    SELECT COALESCE(SUM(${f.amount}),0) AS s
     FROM catalog_payments
     WHERE subcategory = ${q(subcategory)}
       AND fournisseur = ${q(supplier)}
-      AND delay_days IS NOT NULL;
+      AND delay_days IS NOT NULL
+      ${f.where};
   `);
   const total = Number((totalRow && totalRow.length ? totalRow[0].s : 0) || 0);
 
+  // Courbe moyenne des parts par ligne (profiles.js), calculée dans les deux modes
+  const normalized = normalizedProfile(points, { weighting });
+
   const cumulative = [];
-  let acc = 0;
-  for (const r of series) {
-    const amt = Number(r.montant_total || 0);
-    const d = r.delay_days != null ? Number(r.delay_days) : null;
-    if (d == null) continue;
-    acc += amt;
-    cumulative.push({
-      delay_days: d,
-      cum_amount: acc,
-      share: total ? acc / total : 0,
-    });
+  if (mode === "normalized") {
+    // part cumulée moyenne ramenée au total du profil (cum_amount indicatif)
+    for (const c of normalized.curve) {
+      cumulative.push({ delay_days: c.delay_days, cum_amount: c.share * total, share: c.share });
+    }
+  } else {
+    let acc = 0;
+    for (const r of series) {
+      const amt = Number(r.montant_total || 0);
+      const d = r.delay_days != null ? Number(r.delay_days) : null;
+      if (d == null) continue;
+      acc += amt;
+      cumulative.push({
+        delay_days: d,
+        cum_amount: acc,
+        share: total ? acc / total : 0,
+      });
+    }
   }
 
   const statsRows = await runSQL(`
     SELECT
       CAST(COUNT(*) AS INT)                AS n_payments,
-      COALESCE(SUM(montant),0)             AS total,
+      COALESCE(SUM(${f.amount}),0)         AS total,
       CAST(quantile_cont(delay_days, 0.5)  AS INT) AS median_delay,
       CAST(quantile_cont(delay_days, 0.25) AS INT) AS p25,
       CAST(quantile_cont(delay_days, 0.75) AS INT) AS p75
     FROM catalog_payments
     WHERE subcategory = ${q(subcategory)}
       AND fournisseur = ${q(supplier)}
-      AND delay_days IS NOT NULL;
+      AND delay_days IS NOT NULL
+      ${f.where};
   `);
   const stats = (statsRows && statsRows.length)
     ? statsRows[0]
@@ -740,7 +1202,7 @@ export async function getProfile(subcategory, supplier) {
   const quartiles = {};
   const thresholds = [0.25, 0.5, 0.75, 1.0];
   for (const t of thresholds) {
-    const qpoint = cumulative.find(c => c.share >= t);
+    const qpoint = cumulative.find(c => c.share >= t - 1e-9);
     if (qpoint) quartiles[t.toFixed(2).replace(/0+$/, '').replace(/\.$/, '')] = {
       delay_days: Number(qpoint.delay_days),
       cum_amount: Number(qpoint.cum_amount)
@@ -757,13 +1219,20 @@ export async function getProfile(subcategory, supplier) {
   console.log("[getProfile] quartiles:", quartiles);
 
   return {
-    series: series.map(r => ({ delay_days: Number(r.delay_days), montant_total: Number(r.montant_total || 0) })),
+    flow,
+    mode,
+    series: mode === "normalized"
+      ? cumulative.map((c, i) => ({ delay_days: c.delay_days, montant_total: c.cum_amount - (i ? cumulative[i - 1].cum_amount : 0) }))
+      : series.map(r => ({ delay_days: Number(r.delay_days), montant_total: Number(r.montant_total || 0) })),
     points: points.map(p => ({
       delay_days: Number(p.delay_days),
       montant: Number(p.montant || 0),
       payment_date: String(p.payment_date || ""),
       order_no: String(p.order_no || ""),
-      line_no: String(p.line_no || "")
+      line_no: String(p.line_no || ""),
+      match_method: p.match_method || null,
+      kind: p.kind || "payment",
+      invoice_no: p.invoice_no || null,
     })),
     cumulative,
     debug: {
@@ -778,7 +1247,222 @@ export async function getProfile(subcategory, supplier) {
       p25: Number(stats.p25 || 0),
       p75: Number(stats.p75 || 0),
     },
-    quartiles
+    quartiles,
+    normalized,
+  };
+}
+
+/* =========================================================
+   Drill-down d'un profil : paiements à un délai donné (barre, courbe) ou d'une ligne (point),
+   avec n° de facture et texte de la ligne Achats
+   ========================================================= */
+const DRILLDOWN_MAX = 2000;
+
+export async function getProfilePayments(subcategory, supplier, { flow = "net", delay = null, order_no = null, line_no = null, limit = 500 } = {}) {
+  if (!subcategory || !supplier) throw new Error("Paramètres requis: subcategory & supplier.");
+  const f = flowSql(flow);
+  const A = state.cols.achats || {};
+  const achatsTable = state.tables.achats;
+  const withDesc = Boolean(achatsTable && A.order_no && A.line_no && getSchema()?.[achatsTable]);
+  const max = Math.max(1, Math.min(DRILLDOWN_MAX, Number(limit) || 500));
+  const filters = [
+    delay != null && delay !== "" ? `AND p.delay_days = ${Number.parseInt(delay, 10) || 0}` : "",
+    order_no ? `AND p.order_no = ${q(order_no)}` : "",
+    line_no ? `AND p.line_no = ${q(line_no)}` : "",
+  ].join(" ");
+
+  const rows = await runSQL(`
+    SELECT
+      p.order_no, p.line_no,
+      CAST(p.order_date AS VARCHAR) AS order_date,
+      CAST(p.payment_date AS VARCHAR) AS payment_date,
+      p.delay_days,
+      ${f.amount} AS montant,
+      p.invoice_no, p.match_method, p.kind
+      ${withDesc ? ", t.type_ligne, t.desc_cmd, t.desc_line" : ""}
+    FROM (
+      SELECT * FROM catalog_payments
+      WHERE subcategory = ${q(subcategory)} AND fournisseur = ${q(supplier)} AND delay_days IS NOT NULL ${f.where}
+    ) p
+    ${withDesc ? `LEFT JOIN (${lineTextSql(achatsTable, A)}) t ON t.order_no = p.order_no AND t.line_no = p.line_no` : ""}
+    WHERE TRUE ${filters}
+    ORDER BY p.payment_date, p.order_no, p.line_no
+    LIMIT ${max + 1};
+  `);
+  return {
+    rows: rows.slice(0, max).map(r => ({ ...r, montant: Number(r.montant || 0), delay_days: Number(r.delay_days) })),
+    truncated: rows.length > max,
+  };
+}
+
+/* =========================================================
+   Profils par axe : filtres à facettes + une courbe par valeur d'un axe
+   - filters : { axe: [valeurs] } — ET entre axes, OU entre les valeurs d'un axe (null = non renseigné)
+   - groupBy : axe comparé (plus gros montants d'abord) ; sans axe, une seule courbe
+   - order_year : année de la date de commande, pour comparer des périodes
+   ========================================================= */
+export const PROFILE_DIMENSIONS = [
+  { key: "category", label: "Catégorie", expr: "category" },
+  { key: "subcategory", label: "Sous-catégorie", expr: "subcategory" },
+  { key: "fournisseur", label: "Fournisseur", expr: "fournisseur" },
+  { key: "projet", label: "Projet", expr: "projet" },
+  { key: "compte_ifrs", label: "Compte IFRS", expr: "compte_ifrs" },
+  { key: "site_acheteur", label: "Site de l'acheteur", expr: "site_acheteur" },
+  { key: "intervention_site", label: "Intervention sur site", expr: "intervention_site" },
+  { key: "order_year", label: "Année de commande", expr: "CAST(year(order_date) AS VARCHAR)" },
+];
+const DIMENSIONS_BY_KEY = new Map(PROFILE_DIMENSIONS.map(d => [d.key, d]));
+const FACET_VALUES_MAX = 200;
+const PROFILE_GROUPS_DEFAULT = 6;
+const PROFILE_GROUPS_MAX = 12;
+
+export class ProfileQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProfileQueryError";
+  }
+}
+
+function dimensionOf(key) {
+  const d = DIMENSIONS_BY_KEY.get(String(key));
+  if (!d) throw new ProfileQueryError(`Axe inconnu: ${key} (${PROFILE_DIMENSIONS.map(x => x.key).join(" | ")})`);
+  return d;
+}
+
+// Conditions AND … des filtres ; except : axe ignoré (facette de cet axe)
+function filtersSql(filters, { except = null } = {}) {
+  if (filters == null) return "";
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    throw new ProfileQueryError("filters doit être un objet { axe: [valeurs] }.");
+  }
+  const parts = [];
+  for (const [key, raw] of Object.entries(filters)) {
+    const d = dimensionOf(key);
+    if (key === except) continue;
+    const values = (Array.isArray(raw) ? raw : [raw]).filter(v => v !== undefined && v !== "");
+    if (!values.length) continue;
+    const list = values.filter(v => v !== null).map(v => q(String(v)));
+    const conds = [];
+    if (list.length) conds.push(`${d.expr} IN (${list.join(", ")})`);
+    if (values.includes(null)) conds.push(`${d.expr} IS NULL`);
+    parts.push(`AND (${conds.join(" OR ")})`);
+  }
+  return parts.join("\n      ");
+}
+
+// Valeurs de chaque axe (nombre de paiements, montant) compte tenu des filtres des autres axes
+export async function getProfileFacets({ filters = {}, flow = "net" } = {}) {
+  const f = flowSql(flow);
+  const facets = [];
+  for (const d of PROFILE_DIMENSIONS) {
+    const rows = await runSQL(`
+      SELECT ${d.expr} AS value, CAST(COUNT(*) AS INT) AS n, COALESCE(SUM(${f.amount}), 0) AS total
+      FROM catalog_payments
+      WHERE delay_days IS NOT NULL
+      ${f.where}
+      ${filtersSql(filters, { except: d.key })}
+      GROUP BY 1
+      ORDER BY ${d.key === "order_year" ? "value DESC" : "total DESC, value"}
+      LIMIT ${FACET_VALUES_MAX + 1};
+    `);
+    facets.push({
+      key: d.key,
+      label: d.label,
+      values: rows.slice(0, FACET_VALUES_MAX).map(r => ({ value: r.value ?? null, n: Number(r.n || 0), total: Number(r.total || 0) })),
+      truncated: rows.length > FACET_VALUES_MAX,
+    });
+  }
+  return { flow, facets };
+}
+
+// Première part cumulée atteignant chaque seuil (délai en jours)
+function quartileDelays(cumulative) {
+  const out = {};
+  for (const t of [0.25, 0.5, 0.75, 1.0]) {
+    const p = cumulative.find(c => c.share >= t - 1e-9);
+    if (p) out[t.toFixed(2).replace(/0+$/, "").replace(/\.$/, "")] = p.delay_days;
+  }
+  return out;
+}
+
+export async function queryProfiles({
+  filters = {}, groupBy = null, flow = "net", mode = "amount", weighting = "equal", limit = PROFILE_GROUPS_DEFAULT,
+} = {}) {
+  if (!PROFILE_MODES.includes(mode)) throw new ProfileQueryError(`Mode de profil inconnu: ${mode}`);
+  if (!PROFILE_WEIGHTINGS.includes(weighting)) throw new ProfileQueryError(`Pondération inconnue: ${weighting}`);
+  const f = flowSql(flow);
+  const dim = groupBy ? dimensionOf(groupBy) : null;
+  const max = Math.max(1, Math.min(PROFILE_GROUPS_MAX, Number(limit) || PROFILE_GROUPS_DEFAULT));
+  const keyExpr = dim ? dim.expr : "CAST(NULL AS VARCHAR)";
+  const where = `
+    WHERE delay_days IS NOT NULL
+      ${f.where}
+      ${filtersSql(filters)}`;
+
+  const groupRows = await runSQL(`
+    SELECT
+      ${keyExpr} AS grp,
+      CAST(COUNT(*) AS INT) AS n_payments,
+      COALESCE(SUM(${f.amount}), 0) AS total,
+      CAST(COUNT(DISTINCT (order_no, line_no)) AS INT) AS n_lines,
+      quantile_cont(delay_days, 0.5) AS median_delay
+    FROM catalog_payments
+    ${where}
+    GROUP BY 1
+    ORDER BY total DESC, grp
+    LIMIT ${max + 1};
+  `);
+  const kept = groupRows.slice(0, max);
+  if (dim?.key === "order_year") kept.sort((a, b) => String(a.grp ?? "").localeCompare(String(b.grp ?? "")));
+
+  // Montants par délai, sommés par DuckDB : par groupe (mode "amount"),
+  // ou par ligne de commande pour les courbes normalisées (motifs et versements : ce mode seulement)
+  const normalizedMode = mode === "normalized";
+  const points = kept.length ? await runSQL(`
+    SELECT ${keyExpr} AS grp, ${normalizedMode ? "order_no, line_no, " : ""}delay_days, SUM(${f.amount}) AS montant
+    FROM catalog_payments
+    ${where}
+    ${dim ? filtersSql({ [dim.key]: kept.map(g => g.grp ?? null) }) : ""}
+    GROUP BY ${normalizedMode ? "1, 2, 3, 4" : "1, 2"}
+    ORDER BY delay_days;
+  `) : [];
+  const byGroup = new Map(kept.map(g => [g.grp ?? null, []]));
+  for (const p of points) byGroup.get(p.grp ?? null)?.push(p);
+
+  const groups = kept.map(g => {
+    const pts = byGroup.get(g.grp ?? null) || [];
+    const total = Number(g.total || 0);
+    const normalized = normalizedMode ? normalizedProfile(pts, { weighting }) : null;
+    let cumulative;
+    if (normalized) {
+      cumulative = normalized.curve.map(c => ({ delay_days: c.delay_days, share: c.share }));
+    } else {
+      let acc = 0;
+      cumulative = pts.map(p => {
+        acc += Number(p.montant || 0);
+        return { delay_days: Number(p.delay_days), share: total ? acc / total : 0 };
+      });
+    }
+    return {
+      key: g.grp ?? null,
+      n_payments: Number(g.n_payments || 0),
+      total,
+      lines: Number(g.n_lines || 0),
+      median_delay: g.median_delay == null ? null : Number(g.median_delay),
+      cumulative,
+      quartiles: quartileDelays(cumulative),
+      pattern: normalized?.pattern ?? null,
+      installments: normalized ? normalized.installments.median : null,
+    };
+  });
+
+  return {
+    flow,
+    mode,
+    weighting,
+    groupBy: dim?.key || null,
+    groups,
+    truncated: groupRows.length > max,
   };
 }
 
@@ -794,46 +1478,522 @@ export async function exportCatalog() {
   };
 }
 
-export async function importCatalog(data) {
-  if (!data || !Array.isArray(data.taxonomy)) throw new Error("Catalogue invalide");
+// Comptages d'une sous-catégorie (0 si aucune ligne classée)
+const countsOf = (r) => ({
+  lines: Number(r?.lines || 0),
+  suppliers: Number(r?.suppliers || 0),
+  locked: Number(r?.locked || 0),
+  n_payments: Number(r?.n_payments || 0),
+  paid: Number(r?.paid || 0),
+});
 
-  await runSQL(`
-    CREATE TABLE IF NOT EXISTS catalog_line_map (
-      order_no VARCHAR,
-      line_no VARCHAR,
-      category VARCHAR,
-      subcategory VARCHAR,
-      fournisseur VARCHAR
-    );
+// Taxonomie avec comptages (lignes, fournisseurs, paiements nets) ; sous-catégories vides comprises
+export async function getTaxonomyCounts() {
+  await ensureCatalogTables();
+  const rows = await runSQL(`
+    WITH lines AS (
+      SELECT category, subcategory,
+        CAST(COUNT(*) AS INT) AS lines,
+        CAST(COUNT(DISTINCT fournisseur) AS INT) AS suppliers,
+        CAST(COUNT(*) FILTER (WHERE COALESCE(locked, FALSE)) AS INT) AS locked
+      FROM catalog_line_map
+      GROUP BY 1, 2
+    ),
+    paid AS (
+      SELECT category, subcategory, CAST(COUNT(*) AS INT) AS n_payments, SUM(COALESCE(montant_net, montant)) AS paid
+      FROM catalog_payments
+      GROUP BY 1, 2
+    )
+    SELECT l.*, COALESCE(p.n_payments, 0) AS n_payments, COALESCE(p.paid, 0) AS paid
+    FROM lines l
+    LEFT JOIN paid p ON p.category IS NOT DISTINCT FROM l.category AND p.subcategory IS NOT DISTINCT FROM l.subcategory;
   `);
+  const byKey = new Map(rows.map(r => [`${r.category}|||${r.subcategory}`, r]));
+  const out = [];
+  for (const t of state.taxonomy) {
+    for (const sub of t.subcategories) {
+      const r = byKey.get(`${t.category}|||${sub}`);
+      byKey.delete(`${t.category}|||${sub}`);
+      out.push({ category: t.category, subcategory: sub, ...countsOf(r) });
+    }
+  }
+  // lignes classées hors taxonomie courante (taxonomie modifiée depuis le build)
+  for (const r of byKey.values()) out.push({ category: r.category, subcategory: r.subcategory, ...countsOf(r) });
+  return out;
+}
+
+// Statistiques et quartiles de toutes les paires sous-catégorie × fournisseur (mode montants)
+export async function listProfileStats({ flow = "net" } = {}) {
+  const f = flowSql(flow);
+  await ensureCatalogTables();
+  const where = `WHERE delay_days IS NOT NULL ${f.where}`;
+  const stats = await runSQL(`
+    SELECT
+      ANY_VALUE(category) AS category, subcategory, fournisseur,
+      CAST(COUNT(*) AS INT) AS n_payments,
+      CAST(COUNT(DISTINCT (order_no, line_no)) AS INT) AS lines,
+      COALESCE(SUM(${f.amount}), 0) AS total,
+      CAST(quantile_cont(delay_days, 0.5) AS INT) AS median_delay,
+      CAST(quantile_cont(delay_days, 0.25) AS INT) AS p25,
+      CAST(quantile_cont(delay_days, 0.75) AS INT) AS p75,
+      MIN(payment_date) AS first_payment,
+      MAX(payment_date) AS last_payment
+    FROM catalog_payments
+    ${where}
+    GROUP BY subcategory, fournisseur
+    ORDER BY 1, 2, total DESC;
+  `);
+  const series = await runSQL(`
+    SELECT subcategory, fournisseur, delay_days, SUM(${f.amount}) AS montant
+    FROM catalog_payments
+    ${where}
+    GROUP BY 1, 2, 3
+    ORDER BY 1, 2, 3;
+  `);
+  const cumulative = new Map();
+  for (const r of series) {
+    const key = `${r.subcategory}|||${r.fournisseur}`;
+    if (!cumulative.has(key)) cumulative.set(key, []);
+    cumulative.get(key).push({ delay_days: Number(r.delay_days), montant: Number(r.montant || 0) });
+  }
+  return stats.map(s => {
+    const steps = cumulative.get(`${s.subcategory}|||${s.fournisseur}`) || [];
+    const total = steps.reduce((acc, p) => acc + p.montant, 0);
+    let acc = 0;
+    const quartiles = quartileDelays(steps.map(p => ({ delay_days: p.delay_days, share: total ? (acc += p.montant) / total : 0 })));
+    return {
+      ...s,
+      total: Number(s.total || 0),
+      median_delay: s.median_delay == null ? null : Number(s.median_delay),
+      p25: s.p25 == null ? null : Number(s.p25),
+      p75: s.p75 == null ? null : Number(s.p75),
+      quartiles,
+    };
+  });
+}
+
+// Lignes du mapping avec leurs descriptions, sans limite (export)
+export async function exportLineMap() {
+  return queryMapLines([], { limit: null });
+}
 
+// Les paiements suivent la catégorie de leur ligne (profils de l'instantané enregistré ensuite)
+async function syncPaymentCategories() {
   await runSQL(`
-    CREATE TABLE IF NOT EXISTS catalog_payments (
-      category VARCHAR,
-      subcategory VARCHAR,
-      fournisseur VARCHAR,
-      order_no VARCHAR,
-      line_no VARCHAR,
-      order_date DATE,
-      payment_date DATE,
-      montant DOUBLE,
-      delay_days INTEGER
-    );
+    UPDATE catalog_payments p
+    SET category = m.category, subcategory = m.subcategory
+    FROM catalog_line_map m
+    WHERE p.order_no = m.order_no AND p.line_no = m.line_no;
   `);
+}
+
+export async function importCatalog(data, { snapshotName = null } = {}) {
+  if (!data || !Array.isArray(data.taxonomy)) throw new Error("Catalogue invalide");
+
+  await ensureCatalogTables();
 
   state.taxonomy = data.taxonomy;
   state.builtAt = new Date();
 
   if (Array.isArray(data.mappings)) {
     await runSQL(`DELETE FROM catalog_line_map;`);
-    for (const m of data.mappings) {
-      await runSQL(`
-        INSERT INTO catalog_line_map (order_no, line_no, category, subcategory, fournisseur)
-        VALUES (${q(m.order_no)}, ${q(m.line_no)}, ${q(m.category)}, ${q(m.subcategory)}, ${q(m.fournisseur)});
-      `);
-    }
+    const str = (v) => (v == null ? null : String(v));
+    await bulkInsert(
+      "catalog_line_map",
+      ["order_no", "line_no", "category", "subcategory", "fournisseur", "text_hash", "locked", "source", "rule_id", "confidence", "rationale", "model", "fallback"],
+      data.mappings.map(m => [
+        str(m.order_no), str(m.line_no), str(m.category), str(m.subcategory), str(m.fournisseur), str(m.text_hash),
+        !!m.locked, str(m.source), m.rule_id == null ? null : Number(m.rule_id),
+        Number.isFinite(Number(m.confidence)) && m.confidence != null ? Number(m.confidence) : null, str(m.rationale), str(m.model), !!m.fallback,
+      ])
+    );
+    await syncPaymentCategories();
+  }
+  await persistState();
+  const snapshot = await recordSnapshot({
+    kind: "import",
+    name: snapshotName,
+    taxonomy: state.taxonomy,
+    taxonomySource: state.taxonomySource,
+    builtAt: state.builtAt,
+  });
+  return { ok: true, snapshot };
+}
+
+/**
+ * Restaure la taxonomie et le classement des lignes d'un instantané (verrous et sources compris).
+ * Les paiements suivent la catégorie restaurée. Les lignes absentes de l'instantané (classées depuis)
+ * gardent leur classement et leurs paiements : restaurer ensuite un instantané plus récent ne perd rien.
+ * La restauration est elle-même enregistrée comme instantané.
+ */
+export async function restoreSnapshot(id) {
+  await ensureCatalogTables();
+  const saved = await getSnapshotForRestore(id);
+
+  let kept;
+  await runSQL(`BEGIN TRANSACTION;`);
+  try {
+    await runSQL(`
+      DELETE FROM catalog_line_map m
+      WHERE EXISTS (SELECT 1 FROM (${saved.linesSql}) s WHERE s.order_no = m.order_no AND s.line_no = m.line_no);
+    `);
+    kept = await runSQL(`
+      SELECT category, subcategory, CAST(COUNT(*) AS INT) AS n
+      FROM catalog_line_map
+      GROUP BY 1, 2;
+    `);
+    await runSQL(`
+      INSERT INTO catalog_line_map (${SNAPSHOT_LINE_COLUMNS.join(", ")})
+      ${saved.linesSql};
+    `);
+    await syncPaymentCategories();
+    await runSQL(`COMMIT;`);
+  } catch (e) {
+    await runSQL(`ROLLBACK;`).catch(() => {});
+    throw e;
+  }
+
+  // taxonomie de l'instantané + nœuds des lignes gardées
+  const taxonomy = saved.taxonomy.map(t => ({ category: t.category, subcategories: [...(t.subcategories || [])] }));
+  for (const r of kept) ensureInCanon(taxonomy, r.category, r.subcategory);
+  state.taxonomy = taxonomy;
+  if (TAXONOMY_SOURCES.includes(saved.taxonomySource)) state.taxonomySource = saved.taxonomySource;
+  await persistState();
+  const snapshot = await recordSnapshot({
+    kind: "restore",
+    taxonomy: state.taxonomy,
+    taxonomySource: state.taxonomySource,
+    builtAt: state.builtAt,
+    restoredFrom: saved.snapshot.id,
+  });
+  return {
+    ok: true,
+    restored: saved.snapshot,
+    snapshot,
+    keptLines: kept.reduce((n, r) => n + Number(r.n || 0), 0),
+    taxonomy: state.taxonomy,
+  };
+}
+
+/* =========================================================
+   Curation manuelle de la taxonomie
+   - chaque opération met à jour catalog_line_map ET catalog_payments
+   - les lignes touchées sont verrouillées (locked) : un build ne les écrase plus
+   ========================================================= */
+const cleanName = (v, label) => {
+  const s = String(v ?? "").trim();
+  if (!s) throw new Error(`${label} requis.`);
+  return s;
+};
+
+// Filtre SQL sur une liste de clés { order_no, line_no }
+const lineKeysSql = (lines) => {
+  const keys = (Array.isArray(lines) ? lines : [])
+    .filter(l => l?.order_no != null && l?.line_no != null)
+    .map(l => `(${q(String(l.order_no))}, ${q(String(l.line_no))})`);
+  if (!keys.length) throw new Error("Aucune ligne sélectionnée.");
+  return `(order_no, line_no) IN (${keys.join(", ")})`;
+};
+
+// Taxonomie = nœuds effectivement utilisés par le mapping
+async function refreshTaxonomyFromMap() {
+  const used = await runSQL(`SELECT DISTINCT category, subcategory FROM catalog_line_map ORDER BY 1,2;`);
+  const byCat = new Map();
+  for (const r of used) {
+    if (!byCat.has(r.category)) byCat.set(r.category, new Set());
+    byCat.get(r.category).add(r.subcategory);
   }
-  return { ok: true };
+  state.taxonomy = Array.from(byCat.entries()).map(([category, set]) => ({
+    category,
+    subcategories: Array.from(set)
+  }));
+}
+
+// Applique le même SET sur le mapping et les paiements, dans une transaction
+async function applyCuration(setSql, whereSql) {
+  await ensureCatalogTables();
+  const before = await runSQL(`SELECT COUNT(*) AS n FROM catalog_line_map WHERE ${whereSql};`);
+  const n = Number(before?.[0]?.n || 0);
+  if (!n) throw new Error("Aucune ligne ne correspond à cette sélection.");
+
+  await runSQL(`BEGIN TRANSACTION;`);
+  try {
+    await runSQL(`
+      UPDATE catalog_line_map
+      SET ${setSql}, locked = TRUE, source = 'manual', rule_id = NULL, confidence = 1.0, fallback = FALSE
+      WHERE ${whereSql};
+    `);
+    await runSQL(`UPDATE catalog_payments SET ${setSql} WHERE ${whereSql};`);
+    await runSQL(`COMMIT;`);
+  } catch (e) {
+    await runSQL(`ROLLBACK;`).catch(() => {});
+    throw e;
+  }
+
+  await refreshTaxonomyFromMap();
+  await persistState();
+  return { ok: true, lines: n, taxonomy: state.taxonomy };
+}
+
+export async function renameCategory(category, newName) {
+  const from = cleanName(category, "Catégorie");
+  const to = cleanName(newName, "Nouveau nom");
+  return applyCuration(`category = ${q(to)}`, `category = ${q(from)}`);
+}
+
+export async function renameSubcategory(category, subcategory, newName) {
+  const cat = cleanName(category, "Catégorie");
+  const from = cleanName(subcategory, "Sous-catégorie");
+  const to = cleanName(newName, "Nouveau nom");
+  return applyCuration(`subcategory = ${q(to)}`, `category = ${q(cat)} AND subcategory = ${q(from)}`);
+}
+
+// Fusionne from (cat, sub) dans into (cat, sub)
+export async function mergeSubcategories(from, into) {
+  const fc = cleanName(from?.category, "Catégorie source");
+  const fs = cleanName(from?.subcategory, "Sous-catégorie source");
+  const tc = cleanName(into?.category, "Catégorie cible");
+  const ts = cleanName(into?.subcategory, "Sous-catégorie cible");
+  if (fc === tc && fs === ts) throw new Error("Source et cible identiques.");
+  return applyCuration(
+    `category = ${q(tc)}, subcategory = ${q(ts)}`,
+    `category = ${q(fc)} AND subcategory = ${q(fs)}`
+  );
+}
+
+// Déplace une sous-catégorie (et ses lignes) sous une autre catégorie
+export async function moveSubcategory(category, subcategory, toCategory) {
+  const fc = cleanName(category, "Catégorie");
+  const sub = cleanName(subcategory, "Sous-catégorie");
+  const tc = cleanName(toCategory, "Catégorie cible");
+  if (fc === tc) throw new Error("La sous-catégorie est déjà dans cette catégorie.");
+  return applyCuration(`category = ${q(tc)}`, `category = ${q(fc)} AND subcategory = ${q(sub)}`);
+}
+
+// Réaffecte des lignes précises [{order_no, line_no}] vers (cat, sub)
+export async function reassignLines(lines, category, subcategory) {
+  const cat = cleanName(category, "Catégorie cible");
+  const sub = cleanName(subcategory, "Sous-catégorie cible");
+  return applyCuration(`category = ${q(cat)}, subcategory = ${q(sub)}`, lineKeysSql(lines));
+}
+
+// Lignes du mapping (avec descriptions Achats si la table est connue)
+async function queryMapLines(where, { orderBy = "m.order_no, m.line_no", limit = 500 } = {}) {
+  await ensureCatalogTables();
+  const A = state.cols.achats || {};
+  const achatsTable = state.tables.achats;
+  const withDesc = Boolean(achatsTable && A.order_no && A.line_no && getSchema()?.[achatsTable]);
+
+  return runSQL(`
+    SELECT
+      m.order_no, m.line_no, m.category, m.subcategory, m.fournisseur,
+      COALESCE(m.locked, FALSE) AS locked, m.source, m.rule_id,
+      m.confidence, m.rationale, m.model, COALESCE(m.fallback, FALSE) AS fallback
+      ${withDesc ? `,
+      ANY_VALUE(${A.type_ligne ? `CAST(a."${esc(A.type_ligne)}" AS VARCHAR)` : "NULL"}) AS type_ligne,
+      ANY_VALUE(${A.desc_cmd ? `CAST(a."${esc(A.desc_cmd)}" AS VARCHAR)` : "NULL"}) AS desc_cmd,
+      ANY_VALUE(${A.desc_line ? `CAST(a."${esc(A.desc_line)}" AS VARCHAR)` : "NULL"}) AS desc_line` : ""}
+    FROM catalog_line_map m
+    ${withDesc ? `
+    LEFT JOIN "${esc(achatsTable)}" a
+      ON CAST(a."${esc(A.order_no)}" AS VARCHAR) = m.order_no
+     AND CAST(a."${esc(A.line_no)}"  AS VARCHAR) = m.line_no` : ""}
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ${withDesc ? "GROUP BY ALL" : ""}
+    ORDER BY ${orderBy}
+    ${limit === null ? "" : `LIMIT ${Math.max(1, Math.min(5000, Number(limit) || 500))}`};
+  `);
+}
+
+// Lignes d'une sous-catégorie
+export async function listLines({ category, subcategory, supplier, limit = 500 } = {}) {
+  const where = [
+    category ? `m.category = ${q(category)}` : null,
+    subcategory ? `m.subcategory = ${q(subcategory)}` : null,
+    supplier ? `m.fournisseur = ${q(supplier)}` : null,
+  ].filter(Boolean);
+  return { lines: await queryMapLines(where, { limit }) };
+}
+
+/* =========================================================
+   File de revue : affectations LLM peu sûres ou en repli, non verrouillées
+   - accepter = verrouiller l'affectation telle quelle
+   - corriger = reassignLines (verrouillée, source 'manual')
+   ========================================================= */
+const REVIEW_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.6);
+
+export async function getReviewQueue({ threshold = REVIEW_THRESHOLD, limit = 200 } = {}) {
+  const t = Number.isFinite(Number(threshold)) ? Math.min(1, Math.max(0, Number(threshold))) : REVIEW_THRESHOLD;
+  const where = [
+    "NOT COALESCE(m.locked, FALSE)",
+    `(COALESCE(m.fallback, FALSE) OR m.confidence < ${t} OR (m.confidence IS NULL AND m.source = 'llm'))`,
+  ];
+  await ensureCatalogTables();
+  const total = await runSQL(`SELECT COUNT(*) AS n FROM catalog_line_map m WHERE ${where.join(" AND ")};`);
+  const lines = await queryMapLines(where, {
+    orderBy: "COALESCE(m.fallback, FALSE) DESC, m.confidence ASC NULLS FIRST, m.order_no, m.line_no",
+    limit,
+  });
+  return { threshold: t, total: Number(total?.[0]?.n || 0), lines };
+}
+
+export async function acceptLines(lines) {
+  const where = lineKeysSql(lines);
+  await ensureCatalogTables();
+  const n = await runSQL(`SELECT COUNT(*) AS n FROM catalog_line_map WHERE ${where};`);
+  if (!Number(n?.[0]?.n || 0)) throw new Error("Aucune ligne ne correspond à cette sélection.");
+  // affectation confirmée par un acheteur : même marquage qu'une curation (plus en repli, confiance 1),
+  // catégorie et justification d'origine conservées
+  await runSQL(`
+    UPDATE catalog_line_map
+    SET locked = TRUE, source = 'manual', rule_id = NULL, confidence = 1.0, fallback = FALSE
+    WHERE ${where};
+  `);
+  return { ok: true, lines: Number(n[0].n) };
+}
+
+/* =========================================================
+   Test d'une règle sur les données Achats chargées
+   - matched : lignes satisfaisant les conditions
+   - capturedBy : dont lignes déjà prises par une règle active placée avant
+   - sample : lignes correspondantes avec leur affectation actuelle
+   ========================================================= */
+export async function testRule(input, { limit = 50 } = {}) {
+  const { table, columns } = getAchatsColumns();
+  if (!table) throw new Error("Aucune table Achats chargée.");
+  const rule = await validateRule(input, { columns });
+  await ensureCatalogTables();
+
+  const AC = roleColumns(getSchema() || {}, table, "achats");
+  const col = (key) => AC[key];
+  const K = { order_no: col("order_no"), line_no: col("line_no") };
+  if (!K.order_no || !K.line_no) throw new Error("Colonnes clés manquantes dans Achats (N° commande / N° ligne).");
+  const sel = (key, alias) => {
+    const c = col(key);
+    return c ? `CAST(a."${esc(c)}" AS VARCHAR) AS ${alias}` : `NULL AS ${alias}`;
+  };
+
+  // règles actives prioritaires (toutes pour une nouvelle règle, celles placées avant sinon)
+  const active = await listRules({ enabledOnly: true });
+  const self = input?.id != null ? active.find(r => r.id === Number(input.id)) : null;
+  const before = self ? active.filter(r => r.position < self.position) : active.filter(r => r.id !== Number(input?.id));
+  const { expr: beforeCase } = rulesCaseSql(before, { columns, alias: "a" });
+  const pred = ruleConditionSql(rule, "a");
+
+  const counts = await runSQL(`
+    SELECT
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE ${pred}) AS matched,
+      COUNT(*) FILTER (WHERE ${pred} AND ${beforeCase} IS NOT NULL) AS captured
+    FROM "${esc(table)}" a;
+  `);
+  const sample = await runSQL(`
+    SELECT
+      CAST(a."${esc(K.order_no)}" AS VARCHAR) AS order_no,
+      CAST(a."${esc(K.line_no)}"  AS VARCHAR) AS line_no,
+      ${sel("fourn", "fournisseur")},
+      ${sel("type_ligne", "type_ligne")},
+      ${sel("desc_line", "desc_line")},
+      ${rule.conditions.map((c, i) => `CAST(a."${esc(c.column)}" AS VARCHAR) AS cond_${i}`).join(",\n      ")},
+      ${beforeCase} AS captured_by,
+      ANY_VALUE(m.category) AS current_category,
+      ANY_VALUE(m.subcategory) AS current_subcategory,
+      ANY_VALUE(m.source) AS current_source
+    FROM "${esc(table)}" a
+    LEFT JOIN catalog_line_map m
+      ON m.order_no = CAST(a."${esc(K.order_no)}" AS VARCHAR)
+     AND m.line_no  = CAST(a."${esc(K.line_no)}"  AS VARCHAR)
+    WHERE ${pred}
+    GROUP BY ALL
+    ORDER BY 1, 2
+    LIMIT ${Math.max(1, Math.min(500, Number(limit) || 50))};
+  `);
+
+  return {
+    rule,
+    total: Number(counts?.[0]?.total || 0),
+    matched: Number(counts?.[0]?.matched || 0),
+    capturedBy: Number(counts?.[0]?.captured || 0),
+    sample: sample.map(r => {
+      const out = { ...r, conditions: [], captured_by: r.captured_by == null ? null : Number(r.captured_by) };
+      rule.conditions.forEach((_, i) => { out.conditions.push(r[`cond_${i}`]); delete out[`cond_${i}`]; });
+      return out;
+    }),
+  };
+}
+
+/* =========================================================
+   Rapport d'écarts catégorie ↔ famille NHA
+   - catégorie attendue d'une famille = catégorie majoritaire de ses lignes
+     (en taxonomie NHA : la famille elle-même)
+   - une ligne est en écart si sa catégorie diffère de l'attendue
+   ========================================================= */
+export async function getNhaReport({ limit = 500 } = {}) {
+  const A = state.cols.achats || {};
+  const achatsTable = state.tables.achats;
+  if (!achatsTable || !getSchema()?.[achatsTable]) throw new Error("Catalogue non construit : lancez d'abord un build.");
+  if (!A.nha_famille) throw new Error(`Colonne "Famille NHA" introuvable dans '${achatsTable}'.`);
+  await ensureCatalogTables();
+
+  const col = (c) => c ? `CAST(a."${esc(c)}" AS VARCHAR)` : "NULL";
+  const expected = state.taxonomySource === "nha"
+    ? "SELECT famille, famille AS expected_category FROM fam_cat GROUP BY 1"
+    : "SELECT famille, arg_max(category, n) AS expected_category FROM fam_cat GROUP BY 1";
+
+  const base = `
+    WITH nha_lines AS (
+      SELECT
+        m.order_no, m.line_no, m.category, m.subcategory, m.fournisseur,
+        COALESCE(m.locked, FALSE) AS locked,
+        ANY_VALUE(NULLIF(TRIM(${col(A.nha_famille)}), '')) AS famille,
+        ANY_VALUE(${col(A.nha_sous_famille)}) AS sous_famille,
+        ANY_VALUE(${col(A.nha_libelle)}) AS libelle,
+        ANY_VALUE(${col(A.nha_code)}) AS nha_code,
+        ANY_VALUE(${col(A.desc_line)}) AS desc_line
+      FROM catalog_line_map m
+      JOIN "${esc(achatsTable)}" a
+        ON CAST(a."${esc(A.order_no)}" AS VARCHAR) = m.order_no
+       AND CAST(a."${esc(A.line_no)}"  AS VARCHAR) = m.line_no
+      GROUP BY ALL
+    ),
+    fam_cat AS (
+      SELECT famille, category, COUNT(*) AS n FROM nha_lines WHERE famille IS NOT NULL GROUP BY 1, 2
+    ),
+    expected AS (${expected})
+  `;
+
+  const families = await runSQL(`
+    ${base}
+    SELECT
+      l.famille,
+      e.expected_category,
+      CAST(COUNT(*) AS INT) AS lines,
+      CAST(COUNT(*) FILTER (WHERE l.category = e.expected_category) AS INT) AS agreeing,
+      CAST(COUNT(DISTINCT l.category) AS INT) AS categories
+    FROM nha_lines l JOIN expected e USING (famille)
+    GROUP BY 1, 2
+    ORDER BY COUNT(*) - agreeing DESC, COUNT(*) DESC;
+  `);
+
+  const rows = await runSQL(`
+    ${base}
+    SELECT l.*, e.expected_category
+    FROM nha_lines l JOIN expected e USING (famille)
+    WHERE l.category <> e.expected_category
+    ORDER BY l.famille, l.category, l.order_no, l.line_no
+    LIMIT ${Math.max(1, Math.min(5000, Number(limit) || 500))};
+  `);
+
+  const total = families.reduce((s, f) => s + Number(f.lines || 0), 0);
+  const agreeing = families.reduce((s, f) => s + Number(f.agreeing || 0), 0);
+  return {
+    taxonomySource: state.taxonomySource,
+    total,
+    disagreements: total - agreeing,
+    agreementRate: total ? agreeing / total : null,
+    families: families.map(f => ({ ...f, rate: f.lines ? f.agreeing / f.lines : null })),
+    lines: rows,
+  };
 }
 
 /* =========================================================
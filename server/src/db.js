@@ -1,10 +1,22 @@
 // server/src/db.js
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { finished } from 'node:stream/promises';
 import duckdb from 'duckdb';
 import { slugifyHeader, guessType } from './utils/normalize.js';
+import { openTabular, openDataset } from './utils/tabular.js';
 
-const db = new duckdb.Database(':memory:');
+// Fichier DuckDB optionnel (DUCKDB_PATH) : sans lui, tout reste en mémoire et est perdu au redémarrage
+const DB_PATH = process.env.DUCKDB_PATH || ':memory:';
+if (DB_PATH !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(DB_PATH)), { recursive: true });
+const db = new duckdb.Database(DB_PATH);
 const conn = db.connect();
 
+// Table de métadonnées : schéma (libellés originaux, types attendus) des tables importées
+const SCHEMA_META_TABLE = '_meta_schema';
+
 // Catalog en mémoire du schéma + types attendus (depuis fichiers d'intitulés)
 const catalog = {
   // { tableName: [{ name, type, original }] }
@@ -14,9 +26,17 @@ const catalog = {
 };
 
 function esc(id) { return id.replace(/"/g, '""'); }
+function lit(v) { return v == null ? 'NULL' : `'${String(v).replaceAll("'", "''")}'`; }
 
 export function getSchema() { return catalog.tables; }
+
+// Vues d'analyse (ex. catalog_invoice_terms) : interrogeables depuis le chat,
+// mais hors getSchema() pour ne pas entrer dans la détection des rôles ni le mapping
+const views = {};
+export function registerView(name, columns) { views[name] = columns; }
+export function getChatSchema() { return { ...catalog.tables, ...views }; }
 export function getExpectedTypes() { return catalog.expectedTypes; }
+export function getDbPath() { return DB_PATH; }
 
 export async function runSQL(sql) {
   return new Promise((resolve, reject) => {
@@ -24,12 +44,189 @@ export async function runSQL(sql) {
   });
 }
 
-// Exécute uniquement du SELECT (sécurisé)
-export async function safeRun(sql) {
-  if (/(^|\W)(create|insert|update|delete|drop|alter|attach|copy|load|truncate|vacuum|replace)(\W|$)/i.test(sql)) {
-    throw new Error('SQL non autorisé (DDL/DML interdit).');
+/* ---------- Persistance du catalogue de schéma ---------- */
+async function ensureSchemaMeta() {
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${SCHEMA_META_TABLE} (
+      table_name VARCHAR PRIMARY KEY,
+      columns_json VARCHAR,
+      expected_types_json VARCHAR,
+      updated_at TIMESTAMP
+    );
+  `);
+}
+
+async function persistTableMeta(table) {
+  await ensureSchemaMeta();
+  await runSQL(`DELETE FROM ${SCHEMA_META_TABLE} WHERE table_name = ${lit(table)};`);
+  await runSQL(`
+    INSERT INTO ${SCHEMA_META_TABLE} (table_name, columns_json, expected_types_json, updated_at)
+    VALUES (
+      ${lit(table)},
+      ${lit(JSON.stringify(catalog.tables[table] || []))},
+      ${lit(JSON.stringify(catalog.expectedTypes[table] || {}))},
+      now()
+    );
+  `);
+}
+
+// Recharge le schéma connu depuis la base (fichier DuckDB) au démarrage
+export async function initDb() {
+  await ensureSchemaMeta();
+  const rows = await runSQL(`SELECT table_name, columns_json, expected_types_json FROM ${SCHEMA_META_TABLE};`);
+  for (const r of rows) {
+    try {
+      const cols = JSON.parse(r.columns_json || '[]');
+      const expected = JSON.parse(r.expected_types_json || '{}');
+      if (cols.length) catalog.tables[r.table_name] = cols;
+      if (Object.keys(expected).length) catalog.expectedTypes[r.table_name] = expected;
+    } catch {
+      console.warn(`[db] métadonnées illisibles pour ${r.table_name}, ignorées`);
+    }
   }
-  return runSQL(sql);
+  return { path: DB_PATH, tables: Object.keys(catalog.tables) };
+}
+
+/* ---------- Bac à sable SQL (requêtes venant du chat / LLM) ----------
+   - Analyse via json_serialize_sql (parseur DuckDB) : une seule requête SELECT / WITH
+   - Tables : uniquement celles du schéma connu (+ CTE) ; pas de fonction-table lisant des fichiers
+   - Exécution sur une connexion dédiée, une requête à la fois, avec limite de lignes et délai de réponse
+     (le binding duckdb ne sait pas interrompre une requête : passé le délai, seule la réponse est abandonnée)
+   Les refus portent un code stable (SqlSandboxError.code) renvoyé au client.
+----------------------------------------------------------------------- */
+const SQL_MAX_ROWS = Number(process.env.SQL_MAX_ROWS) || 5000;
+const SQL_TIMEOUT_MS = Number(process.env.SQL_TIMEOUT_MS) || 15000;
+
+// Fonctions-tables sans accès fichier/réseau ni au catalogue interne
+const ALLOWED_TABLE_FUNCTIONS = new Set(['range', 'generate_series', 'unnest']);
+const ALLOWED_SCHEMAS = new Set(['', 'main']);
+
+export class SqlSandboxError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SqlSandboxError';
+    this.code = code;
+  }
+}
+
+const sandboxConn = db.connect();
+
+// Parcours de l'arbre avec la portée des CTE : visit(node, ctes) ne voit que les CTE
+// des requêtes englobantes, les CTE précédentes du même WITH et, en récursif, la CTE elle-même
+function walkTree(node, visit, ctes = new Set()) {
+  if (Array.isArray(node)) {
+    for (const n of node) walkTree(n, visit, ctes);
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  visit(node, ctes);
+  let inner = ctes;
+  if (node.type === 'RECURSIVE_CTE_NODE' && node.cte_name) {
+    inner = new Set(inner).add(String(node.cte_name).toLowerCase());
+  }
+  const entries = node.cte_map?.map || [];
+  if (entries.length) {
+    const local = new Set(inner);
+    for (const c of entries) {
+      walkTree(c.value, visit, local);
+      local.add(String(c.key).toLowerCase());
+    }
+    inner = local;
+  }
+  for (const [k, v] of Object.entries(node)) {
+    if (k !== 'cte_map') walkTree(v, visit, inner);
+  }
+}
+
+/**
+ * Vérifie qu'une requête est une lecture seule sur les tables connues.
+ * Retourne l'arbre syntaxique (statements de json_serialize_sql) ; lève SqlSandboxError sinon.
+ */
+export async function checkReadOnlySQL(sql) {
+  if (!String(sql ?? '').trim()) throw new SqlSandboxError('SQL_EMPTY', 'Requête SQL vide.');
+  const rows = await runSQL(`SELECT json_serialize_sql(${lit(sql)}) AS tree;`);
+  const tree = JSON.parse(rows[0]?.tree || '{}');
+  if (tree.error) {
+    if (/only select/i.test(tree.error_message || '')) {
+      throw new SqlSandboxError('SQL_NOT_SELECT', 'Seules les requêtes de lecture (SELECT / WITH) sont autorisées.');
+    }
+    throw new SqlSandboxError('SQL_PARSE_ERROR', `Erreur de syntaxe : ${tree.error_message || 'requête illisible'}`);
+  }
+  const statements = tree.statements || [];
+  if (statements.length !== 1) {
+    throw new SqlSandboxError('SQL_MULTIPLE_STATEMENTS', `Une seule requête attendue (${statements.length} reçues).`);
+  }
+
+  const known = new Set(Object.keys(getChatSchema()).map(t => t.toLowerCase()));
+  walkTree(statements, (n, ctes) => {
+    if (n.type === 'BASE_TABLE') {
+      const name = String(n.table_name || '').toLowerCase();
+      const qualified = !ALLOWED_SCHEMAS.has(String(n.schema_name || '').toLowerCase()) || n.catalog_name;
+      // "/", "." ou ":" : chemin de fichier ou URL (lecture directe par DuckDB), jamais un nom de table
+      if (qualified || /[/.:]/.test(name) || !(known.has(name) || ctes.has(name))) {
+        throw new SqlSandboxError('SQL_UNKNOWN_TABLE', `Table non autorisée : ${[n.catalog_name, n.schema_name, n.table_name].filter(Boolean).join('.')}`);
+      }
+    } else if (n.type === 'TABLE_FUNCTION') {
+      const fn = String(n.function?.function_name || '').toLowerCase();
+      if (!ALLOWED_TABLE_FUNCTIONS.has(fn)) {
+        throw new SqlSandboxError('SQL_FORBIDDEN_FUNCTION', `Fonction-table non autorisée : ${fn || '(inconnue)'}`);
+      }
+    } else if (n.type === 'SHOW_REF') {
+      throw new SqlSandboxError('SQL_FORBIDDEN_FUNCTION', 'DESCRIBE / SHOW / SUMMARIZE non autorisés.');
+    }
+  });
+
+  return statements;
+}
+
+// File d'attente de la connexion du bac à sable. Une requête hors délai continue de tourner jusqu'à son terme :
+// tant qu'elle occupe la connexion, les requêtes en attente et les suivantes sont refusées (SQL_BUSY)
+let sandboxTail = Promise.resolve();
+let sandboxStalled = false;
+const sandboxWaiting = new Set();
+
+const sandboxBusyError = () => new SqlSandboxError('SQL_BUSY', 'Une requête précédente dépasse le délai et occupe encore la base : réessayez plus tard.');
+
+function runOnSandbox(sql, timeoutMs) {
+  if (sandboxStalled) return Promise.reject(sandboxBusyError());
+  return new Promise((resolve, reject) => {
+    const waiter = { reject };
+    sandboxWaiting.add(waiter);
+    sandboxTail = sandboxTail.then(() => {
+      if (!sandboxWaiting.delete(waiter)) return null; // refusée pendant l'attente
+      return new Promise((done) => {
+        let timedOut = false;
+        const timer = setTimeout(() => {
+          timedOut = true;
+          sandboxStalled = true;
+          for (const w of sandboxWaiting) w.reject(sandboxBusyError());
+          sandboxWaiting.clear();
+          reject(new SqlSandboxError('SQL_TIMEOUT', `Pas de réponse après ${Math.round(timeoutMs / 1000)} s (délai dépassé).`));
+        }, timeoutMs);
+        sandboxConn.all(sql, (err, rows) => {
+          clearTimeout(timer);
+          sandboxStalled = false;
+          done();
+          if (timedOut) return;
+          if (err) reject(new SqlSandboxError('SQL_EXECUTION_ERROR', String(err?.message || err)));
+          else resolve(rows);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Exécute une requête en lecture seule (bac à sable).
+ * Retourne { rows, truncated } : au plus maxRows lignes, truncated si le résultat en comptait davantage.
+ */
+export async function safeRun(sql, { maxRows = SQL_MAX_ROWS, timeoutMs = SQL_TIMEOUT_MS } = {}) {
+  await checkReadOnlySQL(sql);
+  // la requête (validée, unique) est enveloppée pour borner le nombre de lignes ; \n : neutralise un commentaire final
+  const body = String(sql).trim().replace(/;\s*$/, '');
+  const rows = await runOnSandbox(`SELECT * FROM (\n${body}\n) AS sandboxed LIMIT ${Number(maxRows) + 1}`, timeoutMs);
+  const truncated = rows.length > maxRows;
+  return { rows: truncated ? rows.slice(0, maxRows) : rows, truncated };
 }
 
 // Heuristique basée sur un "exemple" (colonne C dans les fichiers d'intitulés)
@@ -45,16 +242,180 @@ function typeFromExample(sample) {
   return 'VARCHAR';
 }
 
-// Ingestion d'un fichier Excel (intitulés OU données réelles)
-export async function ingestXlsxBuffer(buf, { tableNameHint }) {
-  const { read, utils } = await import('xlsx');
-  const wb = read(buf, { type: 'buffer' });
-  const ws = wb.Sheets[wb.SheetNames[0]];
-  const rows = utils.sheet_to_json(ws, { defval: null });
+/* ---------- Chargement en masse ----------
+   Les lignes sont écrites au fil de l'eau dans un CSV temporaire, puis chargées par un seul COPY :
+   mémoire bornée côté Node, conversion des types faite en bloc par DuckDB
+   (au lieu d'un INSERT … VALUES construit à la main pour chaque ligne).
+------------------------------------------ */
+const BULK_FLUSH_CHARS = 1 << 20;
+let bulkSeq = 0;
+
+function csvField(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'boolean') return v ? 'true' : 'false';
+  if (typeof v === 'number') return Number.isFinite(v) ? String(v) : '';
+  if (typeof v === 'bigint') return v.toString();
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? '' : v.toISOString();
+  // chaînes toujours entre guillemets : "" = chaîne vide, champ nu vide = NULL
+  return `"${String(v).replaceAll('"', '""')}"`;
+}
+
+/**
+ * Insère des lignes (tableaux alignés sur `columns`) dans une table existante.
+ * `rows` peut être un itérable paresseux (générateur) : il n'est parcouru qu'une fois.
+ * Retourne le nombre de lignes insérées.
+ */
+export async function bulkInsert(table, columns, rows) {
+  const file = path.join(os.tmpdir(), `procure-bulk-${process.pid}-${Date.now()}-${++bulkSeq}.csv`);
+  const out = fs.createWriteStream(file, { encoding: 'utf8' });
+  let count = 0;
+  let chunk = '';
+  try {
+    for (const r of rows) {
+      chunk += r.map(csvField).join(',') + '\n';
+      count++;
+      if (chunk.length >= BULK_FLUSH_CHARS) {
+        if (!out.write(chunk)) await once(out, 'drain');
+        chunk = '';
+      }
+    }
+    out.end(chunk);
+    await finished(out);
+    if (count) {
+      await runSQL(`
+        COPY "${esc(table)}" (${columns.map(c => `"${esc(c)}"`).join(', ')})
+        FROM ${lit(file)} (FORMAT CSV, HEADER false, DELIMITER ',', QUOTE '"', ESCAPE '"', NULLSTR '', ALLOW_QUOTED_NULLS false);
+      `);
+    }
+  } finally {
+    out.destroy();
+    await fs.promises.rm(file, { force: true });
+  }
+  return count;
+}
+
+// Valeur brute -> valeur du type de colonne (NULL si non convertible)
+function normalizeValue(type, v) {
+  if (v === null || v === undefined || v === '') return null;
+  if (type === 'DOUBLE' || type === 'BIGINT') {
+    const num = typeof v === 'number' ? v : Number(String(v).replace(',', '.'));
+    if (!Number.isFinite(num)) return null;
+    return type === 'BIGINT' ? Math.trunc(num) : num;
+  }
+  if (type === 'BOOLEAN') return /^(true|1|oui|yes)$/i.test(String(v));
+  // TIMESTAMP / VARCHAR : texte, converti par DuckDB au chargement
+  return String(v);
+}
+
+/* ---------- Suivi des chargements ----------
+   Chaque import de données reçoit un id (séquence) ; chaque ligne porte id_chargement, fichier_source, charge_le.
+   Modes :
+     - replace : table recréée (l'ancienne est gardée dans un instantané pour le retour arrière)
+     - append  : lignes ajoutées (colonnes nouvelles ajoutées à la table)
+     - upsert  : lignes de même clé remplacées (les anciennes sont gardées dans un instantané)
+   _meta_loads : une ligne par (chargement, table) ; rollbackLoad annule un chargement.
+   Rétention : LOAD_SNAPSHOTS_KEEP instantanés par table (les plus anciens sont supprimés), ainsi que ceux
+   devenus inutiles (chargement qu'on ne pourra plus annuler) ; l'annulation d'un tel chargement est refusée.
+------------------------------------------- */
+export const LOAD_MODES = ['replace', 'append', 'upsert'];
+const LOADS_META_TABLE = '_meta_loads';
+const LOADS_SEQUENCE = '_meta_loads_seq';
+// 0 = aucune limite
+const LOAD_SNAPSHOTS_KEEP = Math.max(0, Number(process.env.LOAD_SNAPSHOTS_KEEP ?? 5) || 0);
+const LOAD_COLUMNS = [
+  { name: 'id_chargement', type: 'INTEGER', original: 'Id chargement' },
+  { name: 'fichier_source', type: 'VARCHAR', original: 'Fichier source' },
+  { name: 'charge_le', type: 'TIMESTAMP', original: 'Chargé le' },
+];
+// Clés d'upsert par défaut (Décaissements) : N° commande + N° ligne commande + N° de règlement
+const DEFAULT_UPSERT_KEYS = [
+  ['n_commande', 'no_commande', 'n_de_commande', 'no_de_commande', 'numero_de_commande'],
+  ['n_ligne_commande', 'no_ligne_commande', 'n_de_ligne_de_commande', 'no_de_ligne_de_commande'],
+  ['n_de_reglement', 'n_reglement', 'no_de_reglement', 'no_reglement', 'numero_de_reglement'],
+];
+
+export class LoadNotFoundError extends Error {
+  constructor(id) {
+    super(`Chargement introuvable ou déjà annulé : ${id}`);
+    this.name = 'LoadNotFoundError';
+  }
+}
+
+// Retour arrière impossible tant qu'un chargement plus récent dépend de celui-ci
+export class LoadConflictError extends Error {
+  constructor(message, { blockedBy } = {}) {
+    super(message);
+    this.name = 'LoadConflictError';
+    this.blockedBy = blockedBy;
+  }
+}
+
+async function ensureLoadsMeta() {
+  await runSQL(`CREATE SEQUENCE IF NOT EXISTS ${LOADS_SEQUENCE} START 1;`);
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${LOADS_META_TABLE} (
+      load_id INTEGER,
+      table_name VARCHAR,
+      source_file VARCHAR,
+      mode VARCHAR,
+      key_columns_json VARCHAR,
+      sheets_json VARCHAR,
+      created BOOLEAN,
+      rows_loaded BIGINT,
+      rows_replaced BIGINT,
+      snapshot_table VARCHAR,
+      prev_columns_json VARCHAR,
+      loaded_at TIMESTAMP,
+      status VARCHAR,
+      rolled_back_at TIMESTAMP,
+      PRIMARY KEY (load_id, table_name)
+    );
+  `);
+}
 
-  if (!rows.length) throw new Error('Fichier vide.');
+async function beginLoad(sourceFile) {
+  await ensureLoadsMeta();
+  const [r] = await runSQL(`SELECT nextval('${LOADS_SEQUENCE}') AS id;`);
+  // horodatage commun à toutes les lignes (et tables) du chargement
+  return { id: Number(r.id), file: sourceFile || null, at: new Date().toISOString().replace('T', ' ').replace('Z', '') };
+}
+
+async function tableExists(table) {
+  const rows = await runSQL(`SELECT COUNT(*) AS n FROM information_schema.tables WHERE table_name = ${lit(table)};`);
+  return Number(rows?.[0]?.n || 0) > 0;
+}
+
+// DuckDB refuse ALTER TABLE sur une table indexée : index retirés, recréés après le chargement
+async function dropIndexes(table) {
+  const rows = await runSQL(`SELECT index_name FROM duckdb_indexes() WHERE table_name = ${lit(table)};`);
+  for (const r of rows) await runSQL(`DROP INDEX IF EXISTS "${esc(r.index_name)}";`);
+}
+
+function resolveUpsertKeys(keys, normHeaders) {
+  if (keys?.length) {
+    const wanted = keys.map(k => slugifyHeader(k));
+    const missing = wanted.filter(k => !normHeaders.includes(k));
+    if (missing.length) throw new Error(`Colonne(s) clé absente(s) du fichier : ${missing.join(', ')}`);
+    return wanted;
+  }
+  const found = DEFAULT_UPSERT_KEYS.map(alts => alts.find(a => normHeaders.includes(a)));
+  if (found.some(k => !k)) {
+    throw new Error("Clés d'upsert introuvables (par défaut : N° commande + N° ligne commande + N° de règlement) : précisez keys.");
+  }
+  return found;
+}
+
+const keyMatch = (keys, a, b) => keys.map(k => `${a}."${esc(k)}" IS NOT DISTINCT FROM ${b}."${esc(k)}"`).join(' AND ');
+
+/**
+ * Ingestion d'un jeu de données (intitulés OU données réelles) dans une table.
+ * dataset = { headers, sample, rows } (cf. openDataset) ; rows n'est parcouru qu'une fois.
+ * - mode : replace | append | upsert (cf. LOAD_MODES) ; keys : colonnes clés de l'upsert
+ * - load : { id, file, at } (beginLoad) ; enregistré dans _meta_loads
+ */
+async function ingestDataset({ headers, sample, rows }, { tableNameHint, types: forcedTypes = {}, mode = 'replace', keys, load, sheets }) {
+  if (!sample.length) throw new Error('Fichier vide.');
 
-  const headers = Object.keys(rows[0]);
   const lowerHeaders = headers.map(h => String(h).toLowerCase());
 
   // Détection fichier "intitulés" (A/B/C = Champ/Description/Exemple)
@@ -67,49 +428,57 @@ export async function ingestXlsxBuffer(buf, { tableNameHint }) {
     );
 
   if (maybeIntitules) {
-    const colNameKey = headers[0];   // libellé officiel (A)
-    const colExKey   = headers[2];   // Exemple (C) si dispo
-
     const cols = [];
     const expected = {};
 
     for (const r of rows) {
-      const label = r[colNameKey];
+      const label = r[0];              // libellé officiel (A)
       if (!label) continue;
       const norm = slugifyHeader(label);
       cols.push({ name: norm, type: 'VARCHAR', original: String(label) });
 
-      if (colExKey !== undefined) {
-        const exVal = r[colExKey];
-        if (exVal !== undefined && exVal !== null && String(exVal).trim() !== '') {
-          expected[norm] = typeFromExample(exVal);
-        }
+      const exVal = r[2];              // Exemple (C) si dispo
+      if (exVal !== undefined && exVal !== null && String(exVal).trim() !== '') {
+        expected[norm] = typeFromExample(exVal);
       }
     }
 
     const table = slugifyHeader(tableNameHint || 'table');
     catalog.tables[table] = cols;
     catalog.expectedTypes[table] = expected;
+    await persistTableMeta(table);
 
-    return { table, columns: cols, created: false, intitules: true, expectedTypes: expected };
+    return { table, columns: cols, created: false, intitules: true, expectedTypes: expected, rows: cols.length };
   }
 
-  // Données réelles -> créer table + insérer
+  // Données réelles -> créer table (ou compléter) + charger
   const normHeaders = headers.map(h => slugifyHeader(h));
   const table = slugifyHeader(tableNameHint || 'table');
+  const reserved = normHeaders.filter(h => LOAD_COLUMNS.some(c => c.name === h));
+  if (reserved.length) throw new Error(`Colonne(s) réservée(s) au suivi des chargements : ${reserved.join(', ')}`);
+  const keyCols = mode === 'upsert' ? resolveUpsertKeys(keys, normHeaders) : [];
+
+  const exists = await tableExists(table);
+  // schéma connu avant chargement (éventuellement issu d'un fichier d'intitulés, sans table)
+  const known = catalog.tables[table] || null;
+  const previous = exists ? known : null;
+  // append / upsert sur une table existante : on la complète au lieu de la recréer
+  const extend = mode !== 'replace' && Boolean(previous);
+  const current = new Map((extend ? previous : []).map(c => [c.name, c.type]));
 
   // Types préférés issus d'un upload préalable d'intitulés (col. C)
   const prefer = catalog.expectedTypes[table] || {};
 
   // Inférer types (échantillon), en respectant les préférences si dispo
-  const sample = rows.slice(0, 200);
   const types = normHeaders.map((nh, i) => {
-    // 1) type préféré (depuis exemples)
+    // 1) type imposé par l'appelant, type de la table existante, puis type préféré (depuis exemples)
+    if (forcedTypes[nh]) return forcedTypes[nh];
+    if (current.has(nh)) return current.get(nh);
     if (prefer[nh]) return prefer[nh];
 
     // 2) sinon heuristique automatique
     for (const r of sample) {
-      const v = r[headers[i]];
+      const v = r[i];
       if (v !== null && v !== undefined && v !== '') {
         return guessType(v);
       }
@@ -117,50 +486,404 @@ export async function ingestXlsxBuffer(buf, { tableNameHint }) {
     return 'VARCHAR';
   });
 
-  const ddl = `CREATE OR REPLACE TABLE "${esc(table)}" (${normHeaders.map((h, i) => `"${esc(h)}" ${types[i]}`).join(', ')});`;
-  await runSQL(ddl);
+  const fileCols = normHeaders.map((h, i) => ({ name: h, type: types[i], original: headers[i] }));
+  const added = extend ? [...fileCols, ...LOAD_COLUMNS].filter(c => !current.has(c.name)) : [];
+  const columns = [...normHeaders, ...LOAD_COLUMNS.map(c => c.name)];
+  const typed = (function* () {
+    for (const r of rows) yield [...r.map((v, i) => normalizeValue(types[i], v)), load.id, load.file, load.at];
+  })();
 
-  // INSERT ligne à ligne (pratique/robuste)
-  for (const r of rows) {
-    const values = normHeaders.map((h, i) => {
-      const v = r[headers[i]];
-      if (v === null || v === undefined || v === '') return 'NULL';
-      if (types[i] === 'DOUBLE') {
-        const num = Number(String(v).replace(',', '.'));
-        return Number.isFinite(num) ? String(num) : 'NULL';
-      }
-      if (types[i] === 'BIGINT') {
-        const num = Number(String(v).replace(',', '.'));
-        return Number.isFinite(num) ? String(Math.trunc(num)) : 'NULL';
-      }
-      if (types[i] === 'BOOLEAN') {
-        return /^(true|1|oui|yes)$/i.test(String(v)) ? 'TRUE' : 'FALSE';
+  let snapshot = exists && (mode === 'replace' || (mode === 'upsert' && extend)) ? `_load_${load.id}_${table}` : null;
+  let inserted = 0;
+  let replaced = 0;
+  if (added.length) await dropIndexes(table);
+  await runSQL('BEGIN TRANSACTION;');
+  try {
+    if (!extend) {
+      if (snapshot) await runSQL(`CREATE TABLE "${esc(snapshot)}" AS SELECT * FROM "${esc(table)}";`);
+      const defs = [...fileCols, ...LOAD_COLUMNS].map(c => `"${esc(c.name)}" ${c.type}`);
+      await runSQL(`CREATE OR REPLACE TABLE "${esc(table)}" (${defs.join(', ')});`);
+      inserted = await bulkInsert(table, columns, typed);
+    } else {
+      for (const c of added) await runSQL(`ALTER TABLE "${esc(table)}" ADD COLUMN "${esc(c.name)}" ${c.type};`);
+      if (mode === 'append') {
+        inserted = await bulkInsert(table, columns, typed);
+      } else {
+        // upsert : chargement dans une table de transit, puis remplacement des lignes de même clé
+        const stage = `_stage_${load.id}_${table}`;
+        await runSQL(`CREATE TEMP TABLE "${esc(stage)}" AS SELECT * FROM "${esc(table)}" LIMIT 0;`);
+        inserted = await bulkInsert(stage, columns, typed);
+        const matching = `EXISTS (SELECT 1 FROM "${esc(stage)}" s WHERE ${keyMatch(keyCols, 's', 't')})`;
+        await runSQL(`CREATE TABLE "${esc(snapshot)}" AS SELECT * FROM "${esc(table)}" AS t WHERE ${matching};`);
+        const [{ n }] = await runSQL(`SELECT COUNT(*) AS n FROM "${esc(snapshot)}";`);
+        replaced = Number(n);
+        await runSQL(`DELETE FROM "${esc(table)}" AS t WHERE ${matching};`);
+        await runSQL(`INSERT INTO "${esc(table)}" SELECT * FROM "${esc(stage)}";`);
+        await runSQL(`DROP TABLE "${esc(stage)}";`);
+        if (!replaced) {
+          await runSQL(`DROP TABLE "${esc(snapshot)}";`);
+          snapshot = null;
+        }
       }
-      // TIMESTAMP / VARCHAR -> quote + escape
-      const s = String(v).replaceAll("'", "''");
-      return `'${s}'`;
-    });
-
-    const colsList = normHeaders.map(h => `"${esc(h)}"`).join(',');
-    const insert = `INSERT INTO "${esc(table)}" (${colsList}) VALUES (${values.join(',')});`;
-    await runSQL(insert);
+    }
+    await runSQL(`
+      INSERT INTO ${LOADS_META_TABLE}
+        (load_id, table_name, source_file, mode, key_columns_json, sheets_json, created,
+         rows_loaded, rows_replaced, snapshot_table, prev_columns_json, loaded_at, status)
+      VALUES (
+        ${load.id}, ${lit(table)}, ${lit(load.file)}, ${lit(mode)}, ${lit(JSON.stringify(keyCols))},
+        ${lit(JSON.stringify(sheets || []))}, ${exists ? 'false' : 'true'},
+        ${inserted}, ${replaced}, ${lit(snapshot)}, ${lit(known ? JSON.stringify(known) : null)},
+        ${lit(load.at)}, 'active'
+      );
+    `);
+    await runSQL('COMMIT;');
+  } catch (e) {
+    await runSQL('ROLLBACK;').catch(() => {});
+    throw e;
   }
 
   // Enregistre le schéma final (nom normalisé + type + libellé original)
-  const cols = normHeaders.map((h, i) => ({ name: h, type: types[i], original: headers[i] }));
+  const cols = extend ? [...previous, ...added] : [...fileCols, ...LOAD_COLUMNS];
   catalog.tables[table] = cols;
 
   // Index auto sur colonnes clés (si trouvées)
   try {
-    const keyCols = cols.filter(c =>
+    const keyIdx = cols.filter(c =>
       /(numero|n|num).*commande/.test(c.name) || /(n|num).*ligne.*commande/.test(c.name)
     );
-    for (const kc of keyCols) {
+    for (const kc of keyIdx) {
       await runSQL(`CREATE INDEX IF NOT EXISTS idx_${table}_${kc.name} ON "${esc(table)}"("${esc(kc.name)}");`);
     }
   } catch {
     /* noop */
   }
 
-  return { table, columns: cols, created: true, intitules: false };
+  await persistTableMeta(table);
+  await pruneLoadSnapshots(table);
+
+  return {
+    table, columns: cols, created: !exists, intitules: false, rows: inserted,
+    mode, keys: keyCols, replaced, loadId: load.id,
+  };
+}
+
+// Le chargement ultérieur `later` doit-il être annulé avant `entry` ?
+function blocks(entry, later) {
+  // table recréée : tout chargement ultérieur en dépend
+  if (entry.created || entry.mode === 'replace') return true;
+  // upsert : les lignes qu'il a remplacées ne sont restaurables qu'en l'absence d'upsert ultérieur
+  const blocking = entry.mode === 'upsert' ? ['replace', 'upsert'] : ['replace'];
+  return later.created || blocking.includes(later.mode);
+}
+
+// Un chargement plus récent et actif empêche-t-il d'annuler celui-ci ?
+function rollbackBlocker(entry, later) {
+  return later.find(l => blocks(entry, l)) || null;
+}
+
+// Chargements actifs d'une table (plus anciens d'abord) qu'on ne pourra plus annuler : instantané supprimé,
+// ou bloqués par un chargement ultérieur lui-même dans ce cas. Retourne leurs ids.
+function stuckLoads(active) {
+  const stuck = new Set();
+  for (let i = active.length - 1; i >= 0; i--) {
+    const e = active[i];
+    if (e.expired || active.slice(i + 1).some(l => stuck.has(l.loadId) && blocks(e, l))) stuck.add(e.loadId);
+  }
+  return stuck;
+}
+
+// Supprime les instantanés d'une table au-delà de LOAD_SNAPSHOTS_KEEP et ceux qui ne serviront plus
+async function pruneLoadSnapshots(table) {
+  const rows = await runSQL(`SELECT * FROM ${LOADS_META_TABLE} WHERE table_name = ${lit(table)} AND status = 'active' ORDER BY load_id;`);
+  const active = rows.map(loadFromRow);
+  const withSnapshot = rows.filter(r => r.snapshot_table).map(r => Number(r.load_id));
+  const expire = new Set(LOAD_SNAPSHOTS_KEEP ? withSnapshot.slice(0, -LOAD_SNAPSHOTS_KEEP) : []);
+  for (const l of active) if (expire.has(l.loadId)) l.expired = true;
+  const stuck = stuckLoads(active);
+  const drop = rows.filter(r => r.snapshot_table && stuck.has(Number(r.load_id)));
+  if (!drop.length) return;
+
+  await runSQL('BEGIN TRANSACTION;');
+  try {
+    for (const r of drop) {
+      await runSQL(`DROP TABLE IF EXISTS "${esc(r.snapshot_table)}";`);
+      await runSQL(`UPDATE ${LOADS_META_TABLE} SET snapshot_table = NULL WHERE load_id = ${Number(r.load_id)} AND table_name = ${lit(table)};`);
+    }
+    await runSQL('COMMIT;');
+  } catch (e) {
+    await runSQL('ROLLBACK;').catch(() => {});
+    throw e;
+  }
+}
+
+function loadFromRow(r) {
+  return {
+    loadId: Number(r.load_id),
+    table: r.table_name,
+    file: r.source_file,
+    mode: r.mode,
+    keys: JSON.parse(r.key_columns_json || '[]'),
+    sheets: JSON.parse(r.sheets_json || '[]'),
+    created: Boolean(r.created),
+    rows: Number(r.rows_loaded || 0),
+    replaced: Number(r.rows_replaced || 0),
+    // instantané nécessaire au retour arrière, supprimé par la rétention
+    expired: !r.created && !r.snapshot_table && (r.mode === 'replace' || (r.mode === 'upsert' && Number(r.rows_replaced) > 0)),
+    loadedAt: r.loaded_at,
+    status: r.status,
+    rolledBackAt: r.rolled_back_at || null,
+  };
+}
+
+/**
+ * Historique des chargements (plus récents d'abord), une entrée par (chargement, table).
+ * canRollback / blockedBy : annulation possible, sinon id du chargement plus récent à annuler d'abord.
+ * expired : annulation devenue impossible (instantané supprimé par la rétention).
+ */
+export async function listLoads({ table, limit = 200 } = {}) {
+  await ensureLoadsMeta();
+  const rows = await runSQL(`SELECT * FROM ${LOADS_META_TABLE} ORDER BY load_id DESC, table_name;`);
+  const loads = rows.map(loadFromRow);
+  const stuck = new Map();
+  for (const t of new Set(loads.map(l => l.table))) {
+    stuck.set(t, stuckLoads(loads.filter(l => l.table === t && l.status === 'active').reverse()));
+  }
+  for (const l of loads) {
+    if (l.status !== 'active') { l.canRollback = false; continue; }
+    const later = loads.filter(o => o.table === l.table && o.loadId > l.loadId && o.status === 'active').reverse();
+    const blocker = rollbackBlocker(l, later);
+    l.expired = stuck.get(l.table).has(l.loadId);
+    l.canRollback = !blocker && !l.expired;
+    l.blockedBy = blocker && !l.expired ? blocker.loadId : null;
+  }
+  const out = table ? loads.filter(l => l.table === slugifyHeader(table)) : loads;
+  return out.slice(0, Math.max(1, Number(limit) || 200));
+}
+
+/**
+ * Annule un chargement sur toutes ses tables :
+ * - table créée par le chargement : supprimée (schéma d'intitulés antérieur conservé)
+ * - replace : table précédente restaurée depuis l'instantané (schéma compris)
+ * - append / upsert : lignes du chargement supprimées, lignes remplacées (upsert) restaurées.
+ *   Les colonnes ajoutées par le chargement restent.
+ */
+export async function rollbackLoad(loadId) {
+  await ensureLoadsMeta();
+  const id = Number(loadId);
+  if (!Number.isInteger(id)) throw new LoadNotFoundError(loadId);
+  const all = (await runSQL(`SELECT * FROM ${LOADS_META_TABLE} WHERE load_id >= ${id} AND status = 'active' ORDER BY load_id;`)).map(loadFromRow);
+  const entries = all.filter(l => l.loadId === id);
+  if (!entries.length) throw new LoadNotFoundError(loadId);
+
+  const snapshots = new Map((await runSQL(`SELECT load_id, table_name, snapshot_table, prev_columns_json FROM ${LOADS_META_TABLE} WHERE load_id >= ${id};`))
+    .map(r => [`${Number(r.load_id)}:${r.table_name}`, r]));
+  for (const e of entries) {
+    if (stuckLoads(all.filter(l => l.table === e.table)).has(id)) {
+      throw new LoadConflictError(`Chargement n°${id} trop ancien : l'instantané de la table ${e.table} a été supprimé (rétention).`);
+    }
+    const blocker = rollbackBlocker(e, all.filter(l => l.table === e.table && l.loadId > id));
+    if (blocker) {
+      throw new LoadConflictError(
+        `Annulez d'abord le chargement n°${blocker.loadId} (table ${e.table}, mode ${blocker.mode}).`,
+        { blockedBy: blocker.loadId },
+      );
+    }
+  }
+
+  const schemaChanges = [];
+  let removed = 0;
+  let restored = 0;
+  await runSQL('BEGIN TRANSACTION;');
+  try {
+    for (const e of entries) {
+      const t = `"${esc(e.table)}"`;
+      const meta = snapshots.get(`${id}:${e.table}`) || {};
+      const snapshot = meta.snapshot_table ? `"${esc(meta.snapshot_table)}"` : null;
+      if (e.created) {
+        await runSQL(`DROP TABLE IF EXISTS ${t};`);
+        removed += e.rows;
+        schemaChanges.push([e.table, meta.prev_columns_json ? JSON.parse(meta.prev_columns_json) : null]);
+      } else if (e.mode === 'replace') {
+        await runSQL(`CREATE OR REPLACE TABLE ${t} AS SELECT * FROM ${snapshot};`);
+        removed += e.rows;
+        schemaChanges.push([e.table, JSON.parse(meta.prev_columns_json || '[]')]);
+      } else {
+        const [{ n: del }] = await runSQL(`SELECT COUNT(*) AS n FROM ${t} WHERE id_chargement = ${id};`);
+        await runSQL(`DELETE FROM ${t} WHERE id_chargement = ${id};`);
+        removed += Number(del);
+        if (snapshot) {
+          const [{ n: back }] = await runSQL(`SELECT COUNT(*) AS n FROM ${snapshot};`);
+          await runSQL(`INSERT INTO ${t} BY NAME SELECT * FROM ${snapshot};`);
+          restored += Number(back);
+        }
+        // lignes de ce chargement remplacées depuis par un upsert plus récent : à ne plus restaurer
+        for (const l of all.filter(o => o.table === e.table && o.loadId > id)) {
+          const later = snapshots.get(`${l.loadId}:${l.table}`)?.snapshot_table;
+          if (later) await runSQL(`DELETE FROM "${esc(later)}" WHERE id_chargement = ${id};`);
+        }
+      }
+      if (snapshot) await runSQL(`DROP TABLE IF EXISTS ${snapshot};`);
+      await runSQL(`
+        UPDATE ${LOADS_META_TABLE} SET status = 'rolled_back', rolled_back_at = now()
+        WHERE load_id = ${id} AND table_name = ${lit(e.table)};
+      `);
+    }
+    await runSQL('COMMIT;');
+  } catch (e) {
+    await runSQL('ROLLBACK;').catch(() => {});
+    throw e;
+  }
+
+  for (const [table, cols] of schemaChanges) {
+    if (cols) {
+      catalog.tables[table] = cols;
+      await persistTableMeta(table);
+    } else {
+      delete catalog.tables[table];
+      await runSQL(`DELETE FROM ${SCHEMA_META_TABLE} WHERE table_name = ${lit(table)};`);
+    }
+  }
+  return { loadId: id, tables: entries.map(e => e.table), removed, restored };
+}
+
+/* ---------- Import de fichiers (XLSX multi-feuilles, CSV/TSV) ----------
+   Options communes à l'aperçu et à l'import :
+     - filename : sert à reconnaître CSV/TSV (sinon signature du contenu)
+     - delimiter / encoding : forcer le séparateur / l'encodage CSV (sinon détectés)
+     - headerRow : ligne d'en-tête (0 = 1re ligne), nombre ou { feuille: n } ; sinon détectée
+   Import seul : mode (replace | append | upsert) et keys (clés de l'upsert), cf. Suivi des chargements.
+   Les feuilles sont lues en flux (openTabular / openDataset) et chargées par bulkInsert.
+------------------------------------------------------------------------ */
+export const SHEET_MODES = ['separate', 'append'];
+const SOURCE_SHEET_HEADER = 'Feuille source';
+const PREVIEW_ROWS = 20;
+
+function openSheet(sheet, headerRow) {
+  const forced = headerRow && typeof headerRow === 'object' ? headerRow[sheet.name] : headerRow;
+  let index = null;
+  if (forced != null && forced !== '') {
+    index = Number(forced);
+    if (!Number.isInteger(index) || index < 0) throw new Error(`Ligne d'en-tête invalide pour « ${sheet.name} » : ${forced}`);
+  }
+  const ds = openDataset(sheet.rows(), index);
+  if (index != null && index >= ds.head.length) throw new Error(`Ligne d'en-tête invalide pour « ${sheet.name} » : ${forced}`);
+  return { ...ds, sheet: sheet.name, headerDetected: index == null };
+}
+
+const cellPreview = (v) => (v == null ? null : typeof v === 'number' || typeof v === 'boolean' ? v : String(v).slice(0, 200));
+
+// Débit d'un chargement (lignes/s), arrondi
+function throughput(rows, startedAt) {
+  const elapsedMs = Math.max(1, Date.now() - startedAt);
+  return { rows, elapsedMs, rowsPerSec: Math.round((rows * 1000) / elapsedMs) };
+}
+
+// Aperçu sans rien écrire : feuilles, en-tête détecté et premières lignes brutes
+export async function previewUpload(buf, { filename, delimiter, encoding, headerRow } = {}) {
+  const file = await openTabular(buf, { filename, delimiter, encoding });
+  const sheets = file.sheets.map(sheet => {
+    const ds = openSheet(sheet, headerRow);
+    let dataRows = 0;
+    for (const _r of ds.rows) dataRows++;
+    return {
+      name: sheet.name,
+      headerRow: ds.headerRow,
+      headerDetected: ds.headerDetected,
+      headers: ds.headers,
+      columns: ds.headers.map(h => slugifyHeader(h)),
+      // clés d'upsert par défaut trouvées dans la feuille (noms normalisés)
+      upsertKeys: DEFAULT_UPSERT_KEYS.map(alts => alts.find(a => ds.headers.some(h => slugifyHeader(h) === a))).filter(Boolean),
+      dataRows,
+      // lignes brutes (avant l'en-tête compris) pour choisir une autre ligne d'en-tête
+      sample: ds.head.slice(0, Math.max(PREVIEW_ROWS, ds.headerRow + 6)).map(r => r.map(cellPreview)),
+    };
+  });
+  return { kind: file.kind, encoding: file.encoding || null, delimiter: file.delimiter || null, sheets };
+}
+
+/**
+ * Import d'un fichier dans DuckDB.
+ * - sheets : non fourni = 1re feuille ; '*' = toutes ; liste de noms sinon
+ * - sheetMode : 'separate' (une table par feuille : <table>_<feuille>) | 'append' (une table + colonne feuille_source)
+ * - mode : 'replace' (défaut) | 'append' | 'upsert' ; keys : colonnes clés de l'upsert (libellés ou noms normalisés)
+ * Retourne le résultat de la 1re table (compatibilité) + tables: [...] pour toutes les tables écrites,
+ * chacune avec son débit { rows, elapsedMs, rowsPerSec }, le débit global dans throughput et l'id de chargement (loadId).
+ */
+export async function ingestUpload(buf, {
+  tableNameHint, filename, sheets: wanted, sheetMode = 'separate', headerRow, delimiter, encoding, mode = 'replace', keys,
+} = {}) {
+  if (!SHEET_MODES.includes(sheetMode)) throw new Error(`Mode multi-feuilles inconnu : ${sheetMode}`);
+  if (!LOAD_MODES.includes(mode)) throw new Error(`Mode de chargement inconnu : ${mode} (attendu : ${LOAD_MODES.join(', ')})`);
+  const startedAt = Date.now();
+  const file = await openTabular(buf, { filename, delimiter, encoding });
+
+  let selected;
+  if (wanted == null || wanted === '' || (Array.isArray(wanted) && !wanted.length)) selected = file.sheets.slice(0, 1);
+  else if (wanted === '*') selected = file.sheets;
+  else {
+    const names = Array.isArray(wanted) ? wanted.map(String) : [String(wanted)];
+    const missing = names.filter(n => !file.sheets.some(sh => sh.name === n));
+    if (missing.length) throw new Error(`Feuille(s) introuvable(s) : ${missing.join(', ')}`);
+    selected = file.sheets.filter(sh => names.includes(sh.name));
+  }
+
+  const base = tableNameHint || 'table';
+  const load = await beginLoad(filename);
+  const tables = [];
+  if (sheetMode === 'append' && selected.length > 1) {
+    const datasets = selected.map(sheet => openSheet(sheet, headerRow)).filter(d => d.sample.length);
+    if (!datasets.length) throw new Error('Fichier vide.');
+    // union des colonnes (par nom normalisé) ; valeurs absentes -> NULL
+    const headers = [];
+    const position = new Map();
+    for (const d of datasets) {
+      for (const h of d.headers) {
+        const n = slugifyHeader(h);
+        if (!position.has(n)) { position.set(n, headers.length); headers.push(h); }
+      }
+    }
+    headers.push(SOURCE_SHEET_HEADER);
+    const align = (d) => {
+      const idx = d.headers.map(h => position.get(slugifyHeader(h)));
+      return (r) => {
+        const o = new Array(headers.length).fill(null);
+        idx.forEach((p, i) => { o[p] = r[i]; });
+        o[headers.length - 1] = d.sheet;
+        return o;
+      };
+    };
+    const sample = datasets.flatMap(d => d.sample.map(align(d)));
+    const rows = (function* () {
+      for (const d of datasets) {
+        const map = align(d);
+        for (const r of d.rows) yield map(r);
+      }
+    })();
+    const types = { [slugifyHeader(SOURCE_SHEET_HEADER)]: 'VARCHAR' };
+    const sheets = datasets.map(d => d.sheet);
+    const out = await ingestDataset({ headers, sample, rows }, { tableNameHint: base, types, mode, keys, load, sheets });
+    tables.push({ ...out, sheets, ...throughput(out.rows, startedAt) });
+  } else {
+    for (const sheet of selected) {
+      const t0 = Date.now();
+      const ds = openSheet(sheet, headerRow);
+      if (!ds.sample.length) continue;
+      const hint = selected.length > 1 ? `${base}_${sheet.name}` : base;
+      const out = await ingestDataset(ds, { tableNameHint: hint, mode, keys, load, sheets: [sheet.name] });
+      tables.push({ ...out, sheets: [sheet.name], ...throughput(out.rows, t0) });
+    }
+    if (!tables.length) throw new Error('Fichier vide.');
+  }
+
+  const total = tables.reduce((n, t) => n + t.rows, 0);
+  return {
+    ...tables[0],
+    tables,
+    throughput: throughput(total, startedAt),
+    loadId: load.id,
+    kind: file.kind,
+    encoding: file.encoding || null,
+    delimiter: file.delimiter || null,
+  };
 }
@@ -0,0 +1,294 @@
+// server/src/exports.js
+// Exports Excel (XLSX) : catalogue (taxonomie, profils, classement des lignes), prévisions et
+// résultats du chat, une feuille par section. Les cellules sont typées (nombres, dates, pourcentages)
+// avec des formats Excel standards, qu'Excel affiche selon la langue du poste (1 234,56 — 31/12/2024).
+import XLSX from "xlsx";
+import { safeRun, getSchema } from "./db.js";
+import {
+  getCatalogState, getTaxonomyCounts, listProfileStats, exportLineMap, PROFILE_FLOWS,
+} from "./catalog.js";
+import { forecastCashOut } from "./forecast.js";
+
+export const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+export const CATALOG_SECTIONS = ["taxonomy", "profiles", "lines"];
+// Lignes max. d'un export de résultats du chat (la requête est rejouée sans la limite d'affichage)
+const CHAT_EXPORT_MAX_ROWS = 100000;
+
+const FORMATS = {
+  int: "#,##0",
+  // entiers du chat (n° de commande, codes…) : sans séparateur de milliers
+  plain: "0",
+  number: "#,##0.00",
+  pct: "0.0%",
+  date: "dd/mm/yyyy",
+  datetime: "dd/mm/yyyy hh:mm",
+};
+const MAX_COL_WIDTH = 60;
+// Niveau de profil retenu par ligne de prévision (forecast.js)
+const FORECAST_LEVELS = {
+  subcategory_supplier: "Sous-catégorie × fournisseur",
+  subcategory: "Sous-catégorie",
+  category: "Catégorie",
+  none: "Aucun profil",
+};
+const DAY_MS = 86400000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ExportError";
+  }
+}
+
+/* =========================================================
+   Classeur générique
+   sheets : [{ name, columns: [{ key, label, type? }], rows }]
+   type : "text" (défaut) | "int" | "plain" | "number" | "pct" | "date" | "bool" ; key peut être une fonction (row) => valeur
+   ========================================================= */
+// Date JS ou "AAAA-MM-JJ[ hh:mm…]" → n° de série Excel (null si illisible)
+function excelSerial(v) {
+  const d = v instanceof Date ? v : new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? `${v}T00:00:00Z` : String(v));
+  const t = d.getTime();
+  return Number.isNaN(t) ? null : (t - EXCEL_EPOCH) / DAY_MS;
+}
+
+function cellOf(value, type = "text") {
+  if (value == null || value === "") return null;
+  switch (type) {
+    case "int":
+    case "plain":
+    case "number":
+    case "pct": {
+      const n = Number(value);
+      return Number.isFinite(n) ? { t: "n", v: n, z: FORMATS[type] } : { t: "s", v: String(value) };
+    }
+    case "date": {
+      const serial = excelSerial(value);
+      if (serial == null) return { t: "s", v: String(value) };
+      return { t: "n", v: serial, z: Number.isInteger(serial) ? FORMATS.date : FORMATS.datetime };
+    }
+    case "bool":
+      return { t: "s", v: value === true || value === "true" ? "Oui" : "Non" };
+    default:
+      return { t: "s", v: typeof value === "object" ? JSON.stringify(value) : String(value) };
+  }
+}
+
+// Nom de feuille Excel : 31 caractères, sans []:*?/\ , unique dans le classeur
+function sheetName(name, used) {
+  const base = String(name || "Feuille").replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Feuille";
+  let out = base;
+  for (let i = 2; used.has(out.toLowerCase()); i++) out = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+  used.add(out.toLowerCase());
+  return out;
+}
+
+function buildSheet({ columns, rows }) {
+  const ws = {};
+  const widths = columns.map(c => String(c.label).length);
+  columns.forEach((c, j) => { ws[XLSX.utils.encode_cell({ r: 0, c: j })] = { t: "s", v: String(c.label) }; });
+  rows.forEach((row, i) => {
+    columns.forEach((c, j) => {
+      const cell = cellOf(typeof c.key === "function" ? c.key(row) : row[c.key], c.type);
+      if (!cell) return;
+      ws[XLSX.utils.encode_cell({ r: i + 1, c: j })] = cell;
+      const shown = cell.z ? String(Math.round(cell.v)).length + 4 : String(cell.v).length;
+      widths[j] = Math.max(widths[j], c.type === "date" ? 10 : shown);
+    });
+  });
+  const range = { s: { r: 0, c: 0 }, e: { r: Math.max(rows.length, 1), c: Math.max(columns.length - 1, 0) } };
+  ws["!ref"] = XLSX.utils.encode_range(range);
+  if (columns.length) ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: Math.max(rows.length, 1), c: columns.length - 1 } }) };
+  ws["!cols"] = widths.map(w => ({ wch: Math.min(MAX_COL_WIDTH, w + 2) }));
+  return ws;
+}
+
+export function buildWorkbook(sheets) {
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+  for (const s of sheets) XLSX.utils.book_append_sheet(wb, buildSheet(s), sheetName(s.name, used));
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx", compression: true });
+}
+
+// Colonnes déduites des valeurs (résultats du chat) : nombre, date, booléen ou texte ;
+// en-têtes : libellé d'origine de la colonne importée quand le nom est reconnu
+function inferColumns(rows) {
+  const keys = rows.length ? Object.keys(rows[0]) : [];
+  const originals = new Map();
+  for (const cols of Object.values(getSchema() || {})) {
+    for (const c of cols) if (c.original && !originals.has(c.name)) originals.set(c.name, c.original);
+  }
+  return keys.map(key => {
+    const values = rows.map(r => r[key]).filter(v => v != null);
+    let type = "text";
+    if (values.length && values.every(v => v instanceof Date)) type = "date";
+    else if (values.length && values.every(v => typeof v === "number" || typeof v === "bigint")) {
+      type = values.every(v => typeof v === "bigint" || Number.isInteger(v)) ? "plain" : "number";
+    } else if (values.length && values.every(v => typeof v === "boolean")) type = "bool";
+    return { key, label: originals.get(key) || key, type };
+  });
+}
+
+/* =========================================================
+   Catalogue : taxonomie avec comptages, profils sous-catégorie × fournisseur, classement des lignes
+   ========================================================= */
+export async function catalogWorkbook({ sections = CATALOG_SECTIONS, flow = "net" } = {}) {
+  const wanted = CATALOG_SECTIONS.filter(s => sections.includes(s));
+  if (!wanted.length) throw new ExportError(`Sections inconnues : ${sections.join(", ")} (attendu : ${CATALOG_SECTIONS.join(", ")})`);
+  if (!PROFILE_FLOWS.includes(flow)) throw new ExportError(`flow invalide (${PROFILE_FLOWS.join(" | ")})`);
+  const state = getCatalogState();
+  if (!state.taxonomy?.length) throw new ExportError("Catalogue non construit : lancez d'abord un build.");
+
+  const sheets = [];
+  if (wanted.includes("taxonomy")) {
+    sheets.push({
+      name: "Taxonomie",
+      columns: [
+        { key: "category", label: "Catégorie" },
+        { key: "subcategory", label: "Sous-catégorie" },
+        { key: "lines", label: "Lignes", type: "int" },
+        { key: "suppliers", label: "Fournisseurs", type: "int" },
+        { key: "locked", label: "Lignes verrouillées", type: "int" },
+        { key: "n_payments", label: "Paiements", type: "int" },
+        { key: "paid", label: "Montant payé (net)", type: "number" },
+      ],
+      rows: await getTaxonomyCounts(),
+    });
+  }
+  if (wanted.includes("profiles")) {
+    const quartile = (k) => (r) => r.quartiles[k];
+    sheets.push({
+      name: "Profils",
+      columns: [
+        { key: "category", label: "Catégorie" },
+        { key: "subcategory", label: "Sous-catégorie" },
+        { key: "fournisseur", label: "Fournisseur" },
+        { key: "n_payments", label: "Paiements", type: "int" },
+        { key: "lines", label: "Lignes", type: "int" },
+        { key: "total", label: flow === "net" ? "Montant total (net)" : "Montant total (brut)", type: "number" },
+        { key: "median_delay", label: "Délai médian (j)", type: "int" },
+        { key: "p25", label: "Délai P25 (j)", type: "int" },
+        { key: "p75", label: "Délai P75 (j)", type: "int" },
+        { key: quartile("0.25"), label: "25 % payés à (j)", type: "int" },
+        { key: quartile("0.5"), label: "50 % payés à (j)", type: "int" },
+        { key: quartile("0.75"), label: "75 % payés à (j)", type: "int" },
+        { key: quartile("1"), label: "100 % payés à (j)", type: "int" },
+        { key: "first_payment", label: "Premier paiement", type: "date" },
+        { key: "last_payment", label: "Dernier paiement", type: "date" },
+      ],
+      rows: await listProfileStats({ flow }),
+    });
+  }
+  if (wanted.includes("lines")) {
+    sheets.push({
+      name: "Classement des lignes",
+      columns: [
+        { key: "order_no", label: "N° commande" },
+        { key: "line_no", label: "N° ligne" },
+        { key: "category", label: "Catégorie" },
+        { key: "subcategory", label: "Sous-catégorie" },
+        { key: "fournisseur", label: "Fournisseur" },
+        { key: "type_ligne", label: "Type de ligne" },
+        { key: "desc_cmd", label: "Description de la commande" },
+        { key: "desc_line", label: "Description de la ligne" },
+        { key: "source", label: "Source" },
+        { key: "rule_id", label: "Règle", type: "int" },
+        { key: "confidence", label: "Confiance", type: "pct" },
+        { key: "locked", label: "Verrouillée", type: "bool" },
+        { key: "fallback", label: "Repli", type: "bool" },
+        { key: "model", label: "Modèle" },
+        { key: "rationale", label: "Justification" },
+      ],
+      rows: await exportLineMap(),
+    });
+  }
+  sheets.push({
+    name: "Export",
+    columns: [{ key: "k", label: "Paramètre" }, { key: "v", label: "Valeur", type: "date" }, { key: "t", label: "Détail" }],
+    rows: [
+      { k: "Date de l'export", v: new Date() },
+      { k: "Dernier build", v: state.builtAt },
+      { k: "Flux des profils", t: flow === "net" ? "Nets (avoirs imputés)" : "Bruts (avoirs exclus)" },
+    ],
+  });
+  return buildWorkbook(sheets);
+}
+
+/* =========================================================
+   Prévisions : totaux mensuels, ventilations (une colonne par mois) et lignes ouvertes
+   ========================================================= */
+export async function forecastWorkbook(params = {}) {
+  const f = await forecastCashOut(params);
+  const monthCols = f.months.map(m => ({ key: (r) => r.months[m], label: m, type: "number" }));
+  const breakdown = (name, label, rows) => ({
+    name,
+    columns: [{ key: "key", label }, { key: "total", label: "Total", type: "number" }, ...monthCols],
+    rows,
+  });
+  return buildWorkbook([
+    {
+      name: "Synthèse",
+      columns: [{ key: "month", label: "Mois" }, { key: "amount", label: "Cash-out prévu", type: "number" }],
+      rows: [
+        ...f.totals,
+        { month: "Au-delà de l'horizon", amount: f.beyondHorizon },
+        { month: "Sans profil", amount: f.unallocated },
+        { month: "Reste à payer total", amount: f.openAmount },
+      ],
+    },
+    breakdown("Par catégorie", "Catégorie", f.byCategory),
+    breakdown("Par fournisseur", "Fournisseur", f.bySupplier),
+    breakdown("Par projet", "Projet", f.byProject),
+    {
+      name: "Lignes ouvertes",
+      columns: [
+        { key: "order_no", label: "N° commande" },
+        { key: "line_no", label: "N° ligne" },
+        { key: "category", label: "Catégorie" },
+        { key: "subcategory", label: "Sous-catégorie" },
+        { key: "fournisseur", label: "Fournisseur" },
+        { key: "projet", label: "Projet" },
+        { key: "order_date", label: "Date de commande", type: "date" },
+        { key: "montant_ligne", label: "Montant de la ligne", type: "number" },
+        { key: "reste_a_payer", label: "Reste à payer", type: "number" },
+        { key: (r) => FORECAST_LEVELS[r.level] || r.level, label: "Profil retenu" },
+        { key: "n_payments", label: "Paiements du profil", type: "int" },
+        { key: "overdue", label: "En retard", type: "bool" },
+        { key: "beyondHorizon", label: "Au-delà de l'horizon", type: "number" },
+        ...monthCols,
+      ],
+      rows: f.lines,
+    },
+    {
+      name: "Paramètres",
+      columns: [{ key: "k", label: "Paramètre" }, { key: "v", label: "Valeur" }],
+      rows: [
+        { k: "Au", v: f.asOf },
+        { k: "Horizon (mois)", v: f.horizonMonths },
+        { k: "Paiements min. par profil", v: f.minPayments },
+      ],
+    },
+  ]);
+}
+
+/* =========================================================
+   Résultats du chat : la requête d'une réponse, gardée côté serveur (jamais reçue du navigateur),
+   est rejouée dans le bac à sable
+   ========================================================= */
+export async function chatWorkbook({ sql, question } = {}) {
+  if (!String(sql ?? "").trim()) throw new ExportError("Requête SQL requise.");
+  const { rows, truncated } = await safeRun(sql, { maxRows: CHAT_EXPORT_MAX_ROWS });
+  return buildWorkbook([
+    { name: "Résultats", columns: inferColumns(rows), rows },
+    {
+      name: "Requête",
+      columns: [{ key: "k", label: "Élément" }, { key: "v", label: "Valeur" }],
+      rows: [
+        ...(question ? [{ k: "Question", v: question }] : []),
+        { k: "SQL", v: sql },
+        { k: "Lignes", v: `${rows.length}${truncated ? ` (limitées à ${CHAT_EXPORT_MAX_ROWS})` : ""}` },
+      ],
+    },
+  ]);
+}
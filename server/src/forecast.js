@@ -0,0 +1,325 @@
+// server/src/forecast.js
+// Prévision de cash-out des commandes en cours à partir des profils de décaissement du catalogue.
+import { getSchema, runSQL } from "./db.js";
+import { getCatalogState } from "./catalog.js";
+import { pickTablesBySignature, roleColumns } from "./mapping.js";
+import {
+  esc, normAlnum, normLineInt, normOrderInt, sqlDateFromAny, sqlAmountFromAny, selOrNull,
+} from "./utils/sql.js";
+
+// Nb minimal de paiements historiques pour qu'une courbe soit jugée exploitable
+const DEFAULT_MIN_PAYMENTS = 5;
+const DEFAULT_HORIZON_MONTHS = 24;
+const EPS = 1e-9;
+
+/* =========================================================
+   Helpers dates (UTC, jours entiers)
+   ========================================================= */
+const DAY_MS = 86400000;
+const toDay = (iso) => Math.floor(Date.parse(`${String(iso).slice(0, 10)}T00:00:00Z`) / DAY_MS);
+const monthKey = (d) => d.toISOString().slice(0, 7);
+const addMonths = (d, n) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
+// dernier jour (inclus) du mois commençant en d
+const monthLastDay = (d) => Math.floor(addMonths(d, 1).getTime() / DAY_MS) - 1;
+
+/* =========================================================
+   Courbes cumulées par niveau (sous-cat × fournisseur, sous-cat, catégorie)
+   ========================================================= */
+// Flux nets : avoirs imputés sur les paiements qu'ils annulent (paiements entièrement annulés exclus)
+async function loadCurves() {
+  const rows = await runSQL(`
+    SELECT
+      category, subcategory, fournisseur,
+      GROUPING(subcategory) AS g_sub,
+      GROUPING(fournisseur) AS g_fourn,
+      delay_days,
+      SUM(COALESCE(montant_net, montant)) AS montant,
+      CAST(COUNT(*) AS INT) AS n
+    FROM catalog_payments
+    WHERE delay_days IS NOT NULL AND COALESCE(montant_net, montant) <> 0
+    GROUP BY GROUPING SETS (
+      (category, subcategory, fournisseur, delay_days),
+      (category, subcategory, delay_days),
+      (category, delay_days)
+    );
+  `);
+
+  // clé -> Map(delay -> {montant, n})
+  const raw = { subcategory_supplier: new Map(), subcategory: new Map(), category: new Map() };
+  for (const r of rows) {
+    let level, key;
+    if (Number(r.g_sub)) { level = "category"; key = r.category; }
+    else if (Number(r.g_fourn)) { level = "subcategory"; key = `${r.category}|||${r.subcategory}`; }
+    else { level = "subcategory_supplier"; key = `${r.category}|||${r.subcategory}|||${r.fournisseur || ""}`; }
+    if (!raw[level].has(key)) raw[level].set(key, []);
+    raw[level].get(key).push({ d: Number(r.delay_days), montant: Number(r.montant || 0), n: Number(r.n || 0) });
+  }
+
+  const curves = { subcategory_supplier: new Map(), subcategory: new Map(), category: new Map() };
+  for (const level of Object.keys(raw)) {
+    for (const [key, pts] of raw[level]) {
+      pts.sort((a, b) => a.d - b.d);
+      const total = pts.reduce((s, p) => s + p.montant, 0);
+      const n = pts.reduce((s, p) => s + p.n, 0);
+      if (!(total > 0)) continue;
+      let acc = 0;
+      const cumulative = pts.map(p => {
+        acc += p.montant;
+        return { delay_days: p.d, share: Math.min(1, Math.max(0, acc / total)) };
+      });
+      curves[level].set(key, { n_payments: n, cumulative });
+    }
+  }
+  return curves;
+}
+
+// Part cumulée payée à J+delay (fonction en escalier, bornée à [0,1])
+function shareAt(cumulative, delay) {
+  let share = 0;
+  for (const c of cumulative) {
+    if (c.delay_days > delay) break;
+    share = c.share;
+  }
+  return share;
+}
+
+// Repli : sous-cat × fournisseur -> sous-cat -> catégorie
+function pickCurve(curves, line, minPayments) {
+  const candidates = [
+    ["subcategory_supplier", `${line.category}|||${line.subcategory}|||${line.fournisseur || ""}`],
+    ["subcategory", `${line.category}|||${line.subcategory}`],
+    ["category", line.category],
+  ];
+  for (const [level, key] of candidates) {
+    const c = curves[level].get(key);
+    if (c && c.n_payments >= minPayments) return { level, ...c };
+  }
+  // Aucun niveau suffisant : on prend quand même le plus fin disponible
+  for (const [level, key] of candidates) {
+    const c = curves[level].get(key);
+    if (c) return { level, ...c, insufficient: true };
+  }
+  return null;
+}
+
+/* =========================================================
+   Lignes ouvertes (Détails des lignes) enrichies Achats + catalogue
+   ========================================================= */
+function resolveSources() {
+  const schema = getSchema() || {};
+  const state = getCatalogState();
+  let achatsTable = state.tables.achats;
+  let detailsTable = state.tables.details;
+  if (!achatsTable || !detailsTable) {
+    const picked = pickTablesBySignature(schema);
+    achatsTable = achatsTable || picked.achats?.table || null;
+    detailsTable = detailsTable || picked.details?.table || null;
+  }
+  if (!detailsTable) {
+    throw new Error("Table 'Détails des lignes de Commandes' introuvable : importez-la pour calculer les prévisions.");
+  }
+
+  // colonnes du dernier build en priorité, sinon mapping enregistré / détection (mapping.js)
+  const AC = roleColumns(schema, achatsTable, "achats");
+  const A = {
+    order_no: state.cols.achats?.order_no || AC.order_no,
+    line_no: state.cols.achats?.line_no || AC.line_no,
+    date_cmd: state.cols.achats?.date_cmd || AC.date_cmd,
+    projet: AC.projet,
+  };
+  const T = roleColumns(schema, detailsTable, "details");
+
+  if (!A.order_no || !A.line_no) throw new Error("Colonnes clés manquantes dans Achats (N° commande / N° ligne).");
+  if (!T.order_no || !T.line_no || !T.reste_a_payer) {
+    throw new Error("Colonnes manquantes dans Détails (N° commande / N° ligne / Reste à payer).");
+  }
+  return { achatsTable, detailsTable, A, T };
+}
+
+async function loadOpenLines() {
+  const { achatsTable, detailsTable, A, T } = resolveSources();
+
+  return runSQL(`
+    WITH
+    det AS (
+      SELECT
+        ${normOrderInt(`t."${esc(T.order_no)}"`)} AS k_order_int,
+        ${normAlnum(`t."${esc(T.order_no)}"`)}    AS k_order_alnum,
+        ${normLineInt(`t."${esc(T.line_no)}"`)}   AS k_line_int,
+        ${normAlnum(`t."${esc(T.line_no)}"`)}     AS k_line_alnum,
+        MIN(CAST(t."${esc(T.order_no)}" AS VARCHAR)) AS order_no_raw,
+        MIN(CAST(t."${esc(T.line_no)}"  AS VARCHAR)) AS line_no_raw,
+        ${T.montant_ligne ? `SUM(${sqlAmountFromAny(`t."${esc(T.montant_ligne)}"`)})` : "NULL"} AS montant_ligne,
+        SUM(${sqlAmountFromAny(`t."${esc(T.reste_a_payer)}"`)}) AS reste_a_payer,
+        ${T.date_cmd ? `MIN(${sqlDateFromAny(`t."${esc(T.date_cmd)}"`)})` : "NULL"} AS det_date
+      FROM "${esc(detailsTable)}" t
+      GROUP BY 1, 2, 3, 4
+    ),
+    a AS (
+      SELECT
+        ${normOrderInt(`x."${esc(A.order_no)}"`)} AS k_order_int,
+        ${normAlnum(`x."${esc(A.order_no)}"`)}    AS k_order_alnum,
+        ${normLineInt(`x."${esc(A.line_no)}"`)}   AS k_line_int,
+        ${normAlnum(`x."${esc(A.line_no)}"`)}     AS k_line_alnum,
+        m.category,
+        m.subcategory,
+        m.fournisseur,
+        ${A.projet ? `CAST(x."${esc(A.projet)}" AS VARCHAR) AS projet` : selOrNull(null, "projet")},
+        ${A.date_cmd ? sqlDateFromAny(`x."${esc(A.date_cmd)}"`) : "NULL"} AS order_date
+      FROM "${esc(achatsTable)}" x
+      JOIN catalog_line_map m
+        ON CAST(x."${esc(A.order_no)}" AS VARCHAR) = m.order_no
+       AND CAST(x."${esc(A.line_no)}"  AS VARCHAR) = m.line_no
+    )
+    SELECT
+      det.order_no_raw AS order_no,
+      det.line_no_raw  AS line_no,
+      a.category,
+      a.subcategory,
+      a.fournisseur,
+      a.projet,
+      CAST(COALESCE(a.order_date, det.det_date) AS VARCHAR) AS order_date,
+      det.montant_ligne,
+      det.reste_a_payer
+    FROM det
+    LEFT JOIN a
+      ON (
+            (det.k_order_int IS NOT NULL AND det.k_order_int = a.k_order_int)
+         OR (det.k_order_alnum IS NOT NULL AND det.k_order_alnum = a.k_order_alnum)
+         )
+     AND (
+            (det.k_line_int IS NOT NULL AND det.k_line_int = a.k_line_int)
+         OR (det.k_line_alnum IS NOT NULL AND det.k_line_alnum = a.k_line_alnum)
+         )
+    WHERE det.reste_a_payer > 0
+    QUALIFY ROW_NUMBER() OVER (
+      PARTITION BY det.k_order_int, det.k_order_alnum, det.k_line_int, det.k_line_alnum
+      ORDER BY a.order_date DESC NULLS LAST
+    ) = 1
+    ORDER BY order_no, line_no;
+  `);
+}
+
+/* =========================================================
+   Prévision mensuelle
+   ========================================================= */
+export async function forecastCashOut({ asOf, horizonMonths, minPayments } = {}) {
+  const today = asOf ? new Date(`${String(asOf).slice(0, 10)}T00:00:00Z`) : new Date();
+  if (Number.isNaN(today.getTime())) throw new Error(`Date 'asOf' invalide: ${asOf}`);
+  const horizon = Math.max(1, Math.min(120, Number(horizonMonths) || DEFAULT_HORIZON_MONTHS));
+  const minPay = Math.max(1, Number(minPayments) || DEFAULT_MIN_PAYMENTS);
+
+  const asOfDay = Math.floor(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) / DAY_MS);
+  const firstMonth = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+  const months = Array.from({ length: horizon }, (_, i) => monthKey(addMonths(firstMonth, i)));
+
+  const built = await runSQL(`
+    SELECT COUNT(*) AS n FROM information_schema.tables
+    WHERE table_name IN ('catalog_line_map', 'catalog_payments');
+  `);
+  if (Number(built?.[0]?.n || 0) < 2) throw new Error("Catalogue non construit : lancez la construction avant les prévisions.");
+
+  const curves = await loadCurves();
+  const open = await loadOpenLines();
+
+  const totals = Object.fromEntries(months.map(m => [m, 0]));
+  const byCategory = new Map();
+  const bySupplier = new Map();
+  const byProject = new Map();
+  const levels = { subcategory_supplier: 0, subcategory: 0, category: 0, none: 0 };
+  let beyondHorizon = 0;
+  let unallocated = 0;
+
+  const addTo = (map, key, month, amount) => {
+    const k = key || "(non renseigné)";
+    if (!map.has(k)) map.set(k, { key: k, total: 0, months: {} });
+    const e = map.get(k);
+    e.total += amount;
+    e.months[month] = (e.months[month] || 0) + amount;
+  };
+
+  const lines = [];
+  for (const r of open) {
+    const remaining = Number(r.reste_a_payer || 0);
+    const line = {
+      order_no: String(r.order_no ?? ""),
+      line_no: String(r.line_no ?? ""),
+      category: r.category || null,
+      subcategory: r.subcategory || null,
+      fournisseur: r.fournisseur || "",
+      projet: r.projet || "",
+      order_date: r.order_date ? String(r.order_date).slice(0, 10) : null,
+      montant_ligne: r.montant_ligne != null ? Number(r.montant_ligne) : null,
+      reste_a_payer: remaining,
+      level: "none",
+      n_payments: 0,
+      overdue: false,
+      months: {},
+    };
+
+    const curve = line.category && line.order_date ? pickCurve(curves, line, minPay) : null;
+    if (!curve) {
+      levels.none++;
+      unallocated += remaining;
+      lines.push(line);
+      continue;
+    }
+    line.level = curve.level;
+    line.n_payments = curve.n_payments;
+    if (curve.insufficient) line.insufficient = true;
+    levels[curve.level]++;
+
+    // Part restante de la courbe à partir d'aujourd'hui, ré-étalée sur le reste à payer
+    const orderDay = toDay(line.order_date);
+    const paidShare = shareAt(curve.cumulative, asOfDay - orderDay);
+    const remainingShare = 1 - paidShare;
+
+    let allocated = 0;
+    if (remainingShare < EPS) {
+      // Selon le profil tout devrait déjà être payé : retard, on impute au mois courant
+      line.overdue = true;
+      line.months[months[0]] = remaining;
+      allocated = remaining;
+    } else {
+      let prev = paidShare;
+      for (let i = 0; i < months.length; i++) {
+        const cur = shareAt(curve.cumulative, monthLastDay(addMonths(firstMonth, i)) - orderDay);
+        const amount = remaining * (cur - prev) / remainingShare;
+        prev = cur;
+        if (amount > EPS) {
+          line.months[months[i]] = amount;
+          allocated += amount;
+        }
+        if (cur >= 1 - EPS) break;
+      }
+    }
+    const rest = remaining - allocated;
+    if (rest > EPS) { line.beyondHorizon = rest; beyondHorizon += rest; }
+
+    for (const [m, amount] of Object.entries(line.months)) {
+      totals[m] += amount;
+      addTo(byCategory, line.category, m, amount);
+      addTo(bySupplier, line.fournisseur, m, amount);
+      addTo(byProject, line.projet, m, amount);
+    }
+    lines.push(line);
+  }
+
+  const sorted = (map) => Array.from(map.values()).sort((a, b) => b.total - a.total);
+
+  return {
+    asOf: new Date(asOfDay * DAY_MS).toISOString().slice(0, 10),
+    horizonMonths: horizon,
+    minPayments: minPay,
+    months,
+    totals: months.map(m => ({ month: m, amount: totals[m] })),
+    byCategory: sorted(byCategory),
+    bySupplier: sorted(bySupplier),
+    byProject: sorted(byProject),
+    levels,
+    openAmount: lines.reduce((s, l) => s + l.reste_a_payer, 0),
+    beyondHorizon,
+    unallocated,
+    lines,
+  };
+}
@@ -3,13 +3,30 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
+import { randomUUID } from 'node:crypto';
 
-import { getSchema, safeRun, ingestXlsxBuffer } from './db.js';
-import { suggestSQL } from './llm.js';
+import {
+  getSchema, getChatSchema, ingestUpload, previewUpload, initDb, listLoads, rollbackLoad, LoadNotFoundError, LoadConflictError,
+  SqlSandboxError,
+} from './db.js';
+import { streamAnswerSummary } from './llm.js';
+import { runWithRepair, SqlRepairError } from './sqlrepair.js';
 import * as catalog from './catalog.js';
+import * as rules from './rules.js';
+import * as mapping from './mapping.js';
+import { forecastCashOut } from './forecast.js';
+import { getQualitySummary, getQualityIssueRows, QualityIssueNotFoundError } from './quality.js';
+import { PROFILE_MODES, PROFILE_WEIGHTINGS } from './profiles.js';
+import { getTermsScorecard, loadTermsView, TermsNotBuiltError } from './terms.js';
+import { getOrderTimeline, OrderNotFoundError } from './orders.js';
+import { listSnapshots, renameSnapshot, deleteSnapshot, diffSnapshots, SnapshotNotFoundError, SnapshotError } from './snapshots.js';
+import { catalogWorkbook, forecastWorkbook, chatWorkbook, ExportError, XLSX_MIME } from './exports.js';
+import { startJob, getJob, listJobs, cancelJob, subscribeJob } from './jobs.js';
 
 const app = express();
-const upload = multer();
+// Fichiers gardés en mémoire le temps de l'import (un classeur XLSX est lu en entier) : taille bornée
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 200;
+const upload = multer({ limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 } });
 
 // Middlewares
 app.use(cors());
@@ -33,17 +50,73 @@ app.get('/schema', async (_req, res) => {
   }
 });
 
-/* ---------------- Upload XLSX -> DuckDB (via db.js) ----------------
+/* ---------------- Upload XLSX / CSV -> DuckDB (via db.js) ----------------
    form-data:
-     - file: <xlsx>
+     - file: <xlsx | csv | tsv>
      - table: <nom_souhaité> (optionnel)
--------------------------------------------------------------------- */
+     - sheets: '*' (toutes) | JSON ["2023","2024"] | nom ; défaut : 1re feuille
+     - sheetMode: separate (une table par feuille) | append (une table + colonne feuille_source)
+     - headerRow: n (0 = 1re ligne) | JSON { "feuille": n } ; défaut : détectée
+     - delimiter / encoding: CSV uniquement ; défaut : détectés
+     - mode: replace (défaut) | append | upsert ; chaque ligne garde id_chargement, fichier_source, charge_le
+     - keys: clés de l'upsert, JSON ["N° commande", …] ou liste séparée par des virgules ;
+             défaut : N° commande + N° ligne commande + N° de règlement
+   POST /upload/preview : mêmes champs, renvoie la détection (feuilles, en-tête, échantillon) sans rien écrire
+   POST /upload est refusé (409) pendant un build du catalogue
+-------------------------------------------------------------------------- */
+const UPLOAD_EXT = /\.(xlsx|xlsm|xls|csv|tsv|txt)$/i;
+
+// Build en cours (tâche de fond) : chargements et annulations ouvrent une transaction sur la même
+// connexion DuckDB et remplacent les tables qu'il lit → refusés (409) jusqu'à la fin du build
+const runningBuild = () => listJobs({ type: 'catalog-build', status: 'running' })[0] || null;
+
+function jsonField(v) {
+  if (v == null || v === '') return undefined;
+  const t = String(v).trim();
+  if (/^[[{]/.test(t)) {
+    try { return JSON.parse(t); } catch { throw new Error(`Champ JSON invalide : ${t}`); }
+  }
+  return t;
+}
+
+function listField(v) {
+  const parsed = jsonField(v);
+  if (parsed == null) return undefined;
+  return (Array.isArray(parsed) ? parsed : String(parsed).split(',')).map(x => String(x).trim()).filter(Boolean);
+}
+
+function uploadOptions(req) {
+  const delimiter = req.body.delimiter === '\\t' ? '\t' : req.body.delimiter || undefined;
+  return {
+    filename: req.file.originalname,
+    sheets: jsonField(req.body.sheets),
+    sheetMode: req.body.sheetMode || undefined,
+    headerRow: jsonField(req.body.headerRow),
+    delimiter,
+    encoding: req.body.encoding || undefined,
+    mode: req.body.mode || undefined,
+    keys: listField(req.body.keys),
+  };
+}
+
+app.post('/upload/preview', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Aucun fichier' });
+    res.json(await previewUpload(req.file.buffer, uploadOptions(req)));
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
 app.post('/upload', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'Aucun fichier' });
+    const build = runningBuild();
+    if (build) return res.status(409).json({ error: 'Un build du catalogue est en cours : réessayez à la fin.', job: build });
     const tableNameHint = String(req.body.table || req.file.originalname || 'table')
-      .replace(/\.(xlsx|xls)$/i, '');
-    const out = await ingestXlsxBuffer(req.file.buffer, { tableNameHint });
+      .replace(UPLOAD_EXT, '');
+    const out = await ingestUpload(req.file.buffer, { tableNameHint, ...uploadOptions(req) });
     res.json(out);
   } catch (e) {
     console.error(e);
@@ -51,6 +124,35 @@ app.post('/upload', upload.single('file'), async (req, res) => {
   }
 });
 
+/* ---------------- Historique des chargements ----------------
+   GET  /loads?table=&limit=      : chargements (plus récents d'abord), une entrée par table,
+                                    avec canRollback / blockedBy
+   POST /loads/:id/rollback       : annule le chargement (409 si un chargement plus récent en dépend
+                                    ou pendant un build)
+-------------------------------------------------------------- */
+app.get('/loads', async (req, res) => {
+  try {
+    const { table, limit } = req.query;
+    res.json({ loads: await listLoads({ table: table ? String(table) : undefined, limit }) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/loads/:id/rollback', async (req, res) => {
+  try {
+    const build = runningBuild();
+    if (build) return res.status(409).json({ error: 'Un build du catalogue est en cours : réessayez à la fin.', job: build });
+    res.json(await rollbackLoad(req.params.id));
+  } catch (e) {
+    if (e instanceof LoadNotFoundError) return res.status(404).json({ error: e.message });
+    if (e instanceof LoadConflictError) return res.status(409).json({ error: e.message, blockedBy: e.blockedBy });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // Fonction pour convertir les BigInt en string pour la sérialisation JSON
 function serializeBigInt(obj) {
   if (obj === null || obj === undefined) return obj;
@@ -68,8 +170,26 @@ function serializeBigInt(obj) {
 
 /* ---------------- Chat analytique : LLM -> SQL -> DuckDB ----------------
    - Le LLM (Ollama API OpenAI-compatible) génère une requête SQL DuckDB (SELECT…)
-   - On exécute la requête avec safeRun (bloque DDL/DML)
+   - Bac à sable (db.safeRun) : un seul SELECT / WITH sur les tables connues, limite de lignes et délai
+   - Contrôle des colonnes contre le schéma, puis exécution
+   - En cas d'échec, l'erreur est renvoyée au LLM pour correction (SQL_REPAIR_MAX_RETRIES)
+   Réponse : { sql, queryId, rows, truncated, attempts } — queryId : export Excel (/chat/export.xlsx) ; attempts = essais corrigés [{ attempt, sql, stage, code, error }]
+   Échec : 422 (504 si délai dépassé, 503 si la base est encore occupée) { error, code, attempts } ; code = SQL_PARSE_ERROR, SQL_NOT_SELECT,
+           SQL_MULTIPLE_STATEMENTS, SQL_UNKNOWN_TABLE, SQL_FORBIDDEN_FUNCTION, SQL_UNKNOWN_COLUMN,
+           SQL_TIMEOUT, SQL_BUSY, SQL_EXECUTION_ERROR…
 ------------------------------------------------------------------------ */
+
+// Requêtes validées des dernières réponses, rejouées à l'export par leur id : le navigateur n'envoie jamais de SQL
+const MAX_CHAT_QUERIES = 50;
+const chatQueries = new Map();
+
+function rememberChatQuery(sql, question) {
+  const id = randomUUID();
+  chatQueries.set(id, { sql, question });
+  while (chatQueries.size > MAX_CHAT_QUERIES) chatQueries.delete(chatQueries.keys().next().value);
+  return id;
+}
+
 app.post('/chat', async (req, res) => {
   try {
     const { message: question, history = [] } = req.body;
@@ -77,29 +197,108 @@ app.post('/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message requis.' });
     }
 
-    const schema = getSchema();
+    const schema = getChatSchema();
 
-    // 1) Demande au LLM une requête SQL DuckDB SÉLECT uniquement
-    const sql = await suggestSQL({ schema, question, history });
+    // 1) Génération + contrôle + exécution, avec boucle de correction
+    const { sql, rows, truncated, attempts } = await runWithRepair({ schema, question, history });
 
-    // 2) Exécution sécurisée (refuse CREATE/INSERT/UPDATE/DELETE/…)
-    const rows = await safeRun(sql);
-
-    // 3) Conversion des BigInt en string pour la sérialisation JSON
+    // 2) Conversion des BigInt en string pour la sérialisation JSON
     const serializedRows = serializeBigInt(rows);
 
-    res.json({ sql, rows: serializedRows });
+    res.json({ sql, queryId: rememberChatQuery(sql, question), rows: serializedRows, truncated, attempts });
   } catch (e) {
     console.error('[/chat] error:', e);
+    if (e instanceof SqlRepairError) {
+      const status = { SQL_TIMEOUT: 504, SQL_BUSY: 503 }[e.code] || 422;
+      return res.status(status).json({ error: e.message, code: e.code, attempts: e.attempts });
+    }
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-/* ---------------- Catalogue ---------------- */
-app.post('/catalog/build', async (_req, res) => {
+/* ---------------- Chat en flux (SSE) ----------------
+   Même pipeline que /chat, mais la réponse est un flux text/event-stream :
+     data: {"type":"attempt","attempt":n,"sql":…,"stage":"validate|run","code":…,"error":…}   (essai raté, corrigé ensuite)
+     data: {"type":"sql","sql":…,"queryId":…}   (queryId : export Excel des résultats)
+     data: {"type":"rows","rows":[…],"rowCount":n,"truncated":bool}
+     data: {"type":"summary","delta":"…"}   (fragments du résumé en français)
+     data: {"type":"done"} | {"type":"error","stage":"sql|run|summary","error":…,"code"?:…,"attempts"?:[…]}
+------------------------------------------------------ */
+const CHAT_MAX_ROWS = 1000;
+
+app.post('/chat/stream', async (req, res) => {
+  const { message: question, history = [] } = req.body || {};
+  if (!question?.trim()) {
+    return res.status(400).json({ error: 'Message requis.' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  let closed = false;
+  const abort = new AbortController();
+  res.on('close', () => { closed = true; abort.abort(); });
+  const send = (evt) => { if (!closed) res.write(`data: ${JSON.stringify(evt)}\n\n`); };
+
+  let stage = 'sql';
   try {
-    const out = await catalog.buildCatalog();
-    res.json(out);
+    const { sql, rows, truncated } = await runWithRepair({
+      schema: getChatSchema(),
+      question,
+      history,
+      maxRows: CHAT_MAX_ROWS,
+      signal: abort.signal,
+      onAttempt: (a) => send({ type: 'attempt', ...a }),
+    });
+    send({ type: 'sql', sql, queryId: rememberChatQuery(sql, question) });
+
+    send({ type: 'rows', rows: serializeBigInt(rows), rowCount: rows.length, truncated });
+
+    stage = 'summary';
+    for await (const delta of streamAnswerSummary({ question, sql, rows, totalRows: rows.length, truncated })) {
+      if (closed) break;
+      send({ type: 'summary', delta });
+    }
+    send({ type: 'done' });
+  } catch (e) {
+    console.error(`[/chat/stream] ${stage} error:`, e);
+    if (e instanceof SqlRepairError) {
+      send({ type: 'error', stage: e.attempts.at(-1)?.stage === 'run' ? 'run' : 'sql', error: e.message, code: e.code, attempts: e.attempts });
+    } else {
+      send({ type: 'error', stage, error: String(e?.message || e) });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+/* ---------------- Catalogue ----------------
+   POST /catalog/build lance une tâche de fond (202 + job) ; suivi via /jobs/:id(/events)
+   query: mode=full (défaut) | incremental (ne classifie que les lignes nouvelles/modifiées)
+          taxonomy=llm | nha (catégories = familles NHA) ; défaut : celle du dernier build
+          name=… : nom de l'instantané enregistré en fin de build (défaut : type + source)
+--------------------------------------------- */
+app.post('/catalog/build', async (req, res) => {
+  try {
+    const mode = String(req.query.mode || req.body?.mode || 'full');
+    if (!['full', 'incremental'].includes(mode)) {
+      return res.status(400).json({ error: `Mode de build inconnu: ${mode}` });
+    }
+    const taxonomySource = String(req.query.taxonomy || req.body?.taxonomy || catalog.getCatalogState().taxonomySource);
+    if (!['llm', 'nha'].includes(taxonomySource)) {
+      return res.status(400).json({ error: `Source de taxonomie inconnue: ${taxonomySource}` });
+    }
+    const running = listJobs({ type: 'catalog-build', status: 'running' });
+    if (running.length) {
+      return res.status(409).json({ error: 'Un build du catalogue est déjà en cours.', job: running[0] });
+    }
+    const snapshotName = req.query.name || req.body?.name || null;
+    const job = startJob('catalog-build', ({ signal, emit }) =>
+      catalog.buildCatalog({ mode, taxonomySource, snapshotName, signal, onProgress: emit })
+    );
+    res.status(202).json({ job });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: String(e?.message || e) });
@@ -118,11 +317,22 @@ app.get('/catalog/summary', async (_req, res) => {
 
 app.get('/catalog/profile', async (req, res) => {
   try {
-    const { subcategory, supplier } = req.query;
+    const { subcategory, supplier, flow = 'net', mode = 'amount', weighting = 'equal' } = req.query;
     if (!subcategory || !supplier) {
       return res.status(400).json({ error: 'Paramètres requis: subcategory & supplier' });
     }
-    const out = await catalog.getProfile(String(subcategory), String(supplier));
+    if (!catalog.PROFILE_FLOWS.includes(String(flow))) {
+      return res.status(400).json({ error: `flow invalide (${catalog.PROFILE_FLOWS.join(' | ')})` });
+    }
+    if (!PROFILE_MODES.includes(String(mode))) {
+      return res.status(400).json({ error: `mode invalide (${PROFILE_MODES.join(' | ')})` });
+    }
+    if (!PROFILE_WEIGHTINGS.includes(String(weighting))) {
+      return res.status(400).json({ error: `weighting invalide (${PROFILE_WEIGHTINGS.join(' | ')})` });
+    }
+    const out = await catalog.getProfile(String(subcategory), String(supplier), {
+      flow: String(flow), mode: String(mode), weighting: String(weighting),
+    });
     res.json(out);
   } catch (e) {
     console.error(e);
@@ -130,6 +340,44 @@ app.get('/catalog/profile', async (req, res) => {
   }
 });
 
+// Drill-down : paiements d'un profil à un délai donné, ou d'une ligne de commande
+app.get('/catalog/profile/payments', async (req, res) => {
+  try {
+    const { subcategory, supplier, flow = 'net', delay, order_no, line_no, limit } = req.query;
+    if (!subcategory || !supplier) {
+      return res.status(400).json({ error: 'Paramètres requis: subcategory & supplier' });
+    }
+    if (!catalog.PROFILE_FLOWS.includes(String(flow))) {
+      return res.status(400).json({ error: `flow invalide (${catalog.PROFILE_FLOWS.join(' | ')})` });
+    }
+    if (delay != null && delay !== '' && !Number.isFinite(Number(delay))) {
+      return res.status(400).json({ error: 'delay doit être un nombre de jours' });
+    }
+    const out = await catalog.getProfilePayments(String(subcategory), String(supplier), {
+      flow: String(flow),
+      delay: delay == null || delay === '' ? null : Number(delay),
+      order_no: order_no ? String(order_no) : null,
+      line_no: line_no ? String(line_no) : null,
+      limit: limit ? Number(limit) : undefined,
+    });
+    res.json(out);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Commande sur Achats, Détails et Décaissements (n° normalisé : zéros de tête, suffixe ".0"…)
+app.get('/orders/:orderNo', async (req, res) => {
+  try {
+    res.json(await getOrderTimeline(req.params.orderNo));
+  } catch (e) {
+    if (e instanceof OrderNotFoundError) return res.status(404).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 app.get('/catalog/export', async (_req, res) => {
   try {
     const out = await catalog.exportCatalog();
@@ -140,9 +388,428 @@ app.get('/catalog/export', async (_req, res) => {
   }
 });
 
+/* ---------------- Exports Excel (exports.js) ----------------
+   Réponse : classeur .xlsx en pièce jointe ; erreurs en JSON comme ailleurs
+------------------------------------------------------------- */
+function sendWorkbook(res, buf, name) {
+  const file = `${name}-${new Date().toISOString().slice(0, 10)}.xlsx`;
+  res.setHeader('Content-Type', XLSX_MIME);
+  res.setHeader('Content-Disposition', `attachment; filename="${file}"`);
+  // le client web (autre origine) lit le nom du fichier dans cet en-tête
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+  res.send(buf);
+}
+
+// sections : taxonomy,profiles,lines (défaut : toutes) ; flow : flux des profils
+app.get('/catalog/export.xlsx', async (req, res) => {
+  try {
+    const { sections, flow = 'net' } = req.query;
+    const buf = await catalogWorkbook({
+      sections: sections ? String(sections).split(',').map(s => s.trim()).filter(Boolean) : undefined,
+      flow: String(flow),
+    });
+    sendWorkbook(res, buf, sections && !String(sections).includes(',') ? `catalogue-${sections}` : 'catalogue');
+  } catch (e) {
+    if (e instanceof ExportError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get('/forecast/export.xlsx', async (req, res) => {
+  try {
+    const { asOf, horizon, minPayments } = req.query;
+    const buf = await forecastWorkbook({
+      asOf: asOf ? String(asOf) : undefined,
+      horizonMonths: horizon,
+      minPayments,
+    });
+    sendWorkbook(res, buf, 'previsions');
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Résultats du chat : la requête d'une réponse (queryId) est rejouée (bac à sable) sans la limite d'affichage ;
+// 404 si elle n'est plus gardée (redémarrage, MAX_CHAT_QUERIES réponses plus récentes)
+app.post('/chat/export.xlsx', async (req, res) => {
+  try {
+    const query = chatQueries.get(String(req.body?.queryId ?? ''));
+    if (!query) return res.status(404).json({ error: 'Résultat du chat introuvable : reposez la question pour l\'exporter.' });
+    const buf = await chatWorkbook(query);
+    sendWorkbook(res, buf, 'resultats');
+  } catch (e) {
+    if (e instanceof ExportError || e instanceof SqlSandboxError) {
+      return res.status({ SQL_TIMEOUT: 504, SQL_BUSY: 503 }[e.code] || 400).json({ error: e.message, code: e.code });
+    }
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ?name=… : nom de l'instantané enregistré pour cet import ; refusé (409) pendant un build
 app.post('/catalog/import', async (req, res) => {
   try {
-    const out = await catalog.importCatalog(req.body);
+    const build = runningBuild();
+    if (build) return res.status(409).json({ error: 'Un build du catalogue est en cours : réessayez à la fin.', job: build });
+    const out = await catalog.importCatalog(req.body, { snapshotName: req.query.name || null });
+    res.json(out);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Instantanés du catalogue (snapshots.js) ----------------
+   GET    /catalog/snapshots?limit=          : instantanés (plus récents d'abord)
+   GET    /catalog/snapshots/diff?from=&to=  : comparaison (défaut : dernier vs précédent)
+   PUT    /catalog/snapshots/:id { name }    : renomme
+   POST   /catalog/snapshots/:id/restore     : restaure taxonomie + classement (409 pendant un build)
+   DELETE /catalog/snapshots/:id             : supprime (409 pendant un build)
+   Rétention : les CATALOG_SNAPSHOTS_KEEP (30) plus récents sont gardés à chaque nouvel instantané
+-------------------------------------------------------------------------- */
+app.get('/catalog/snapshots', async (req, res) => {
+  try {
+    res.json({ snapshots: await listSnapshots({ limit: req.query.limit }) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get('/catalog/snapshots/diff', async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    res.json(await diffSnapshots({ from, to, limit }));
+  } catch (e) {
+    if (e instanceof SnapshotNotFoundError) return res.status(404).json({ error: e.message });
+    if (e instanceof SnapshotError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.put('/catalog/snapshots/:id', async (req, res) => {
+  try {
+    res.json(await renameSnapshot(req.params.id, req.body?.name));
+  } catch (e) {
+    if (e instanceof SnapshotNotFoundError) return res.status(404).json({ error: e.message });
+    if (e instanceof SnapshotError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.delete('/catalog/snapshots/:id', async (req, res) => {
+  try {
+    const build = runningBuild();
+    if (build) return res.status(409).json({ error: 'Un build du catalogue est en cours : réessayez à la fin.', job: build });
+    res.json(await deleteSnapshot(req.params.id));
+  } catch (e) {
+    if (e instanceof SnapshotNotFoundError) return res.status(404).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/catalog/snapshots/:id/restore', async (req, res) => {
+  try {
+    const build = runningBuild();
+    if (build) return res.status(409).json({ error: 'Un build du catalogue est en cours : restauration impossible.', job: build });
+    res.json(await catalog.restoreSnapshot(req.params.id));
+  } catch (e) {
+    if (e instanceof SnapshotNotFoundError) return res.status(404).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Lignes dont la catégorie s'écarte de la famille NHA (revue acheteurs)
+app.get('/catalog/nha-report', async (req, res) => {
+  try {
+    const out = await catalog.getNhaReport({ limit: req.query.limit });
+    res.json(out);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Profils par axe ----------------
+   POST /catalog/profiles        { filters: { axe: [valeurs] }, groupBy?, flow?, mode?, weighting?, limit? }
+                                 → une courbe cumulée par valeur de groupBy (superposables) ;
+                                   motif et nombre de versements en mode "normalized" seulement (null sinon)
+   POST /catalog/profiles/facets { filters, flow? } → valeurs de chaque axe pour le panneau de filtres
+   Axes : catalog.PROFILE_DIMENSIONS ; axe, filtre ou option invalide → 400
+--------------------------------------------------- */
+app.post('/catalog/profiles', async (req, res) => {
+  try {
+    const { filters = {}, groupBy = null, flow = 'net', mode = 'amount', weighting = 'equal', limit } = req.body || {};
+    if (!catalog.PROFILE_FLOWS.includes(String(flow))) {
+      return res.status(400).json({ error: `flow invalide (${catalog.PROFILE_FLOWS.join(' | ')})` });
+    }
+    const out = await catalog.queryProfiles({
+      filters, groupBy: groupBy || null, flow: String(flow), mode: String(mode), weighting: String(weighting), limit,
+    });
+    res.json(out);
+  } catch (e) {
+    if (e instanceof catalog.ProfileQueryError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/catalog/profiles/facets', async (req, res) => {
+  try {
+    const { filters = {}, flow = 'net' } = req.body || {};
+    if (!catalog.PROFILE_FLOWS.includes(String(flow))) {
+      return res.status(400).json({ error: `flow invalide (${catalog.PROFILE_FLOWS.join(' | ')})` });
+    }
+    res.json(await catalog.getProfileFacets({ filters, flow: String(flow) }));
+  } catch (e) {
+    if (e instanceof catalog.ProfileQueryError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Conditions de règlement vs paiements réels ----------------
+   GET /catalog/terms : fiche fournisseurs / sous-catégories (?limit=) + libellés de conditions lus
+   409 tant qu'aucun build n'a créé la vue catalog_invoice_terms (aussi interrogeable depuis le chat)
+----------------------------------------------------------------------------- */
+app.get('/catalog/terms', async (req, res) => {
+  try {
+    const out = await getTermsScorecard({ limit: req.query.limit });
+    res.json(serializeBigInt(out));
+  } catch (e) {
+    if (e instanceof TermsNotBuiltError) return res.status(409).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Qualité du rapprochement commandes ↔ décaissements ----------------
+   GET /catalog/quality         : nombre d'anomalies par type
+   GET /catalog/quality/:issue  : lignes en cause (?limit=, liste téléchargeable)
+------------------------------------------------------------------------------------ */
+app.get('/catalog/quality', async (_req, res) => {
+  try {
+    res.json(await getQualitySummary());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get('/catalog/quality/:issue', async (req, res) => {
+  try {
+    const out = await getQualityIssueRows(req.params.issue, { limit: req.query.limit });
+    res.json(serializeBigInt(out));
+  } catch (e) {
+    if (e instanceof QualityIssueNotFoundError) return res.status(404).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Curation manuelle de la taxonomie ----------------
+   Refusée pendant un build (409) : les deux écrivent dans catalog_line_map
+-------------------------------------------------------------------- */
+const CURATIONS = {
+  'rename-category': (b) => catalog.renameCategory(b.category, b.newName),
+  'rename-subcategory': (b) => catalog.renameSubcategory(b.category, b.subcategory, b.newName),
+  merge: (b) => catalog.mergeSubcategories(b.from, b.into),
+  move: (b) => catalog.moveSubcategory(b.category, b.subcategory, b.toCategory),
+  reassign: (b) => catalog.reassignLines(b.lines, b.category, b.subcategory),
+  accept: (b) => catalog.acceptLines(b.lines),
+};
+
+app.post('/catalog/curate/:action', async (req, res) => {
+  try {
+    const run = CURATIONS[req.params.action];
+    if (!run) return res.status(404).json({ error: `Action de curation inconnue: ${req.params.action}` });
+    if (listJobs({ type: 'catalog-build', status: 'running' }).length) {
+      return res.status(409).json({ error: 'Un build du catalogue est en cours : réessayez à la fin.' });
+    }
+    const out = await run(req.body || {});
+    res.json(out);
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get('/catalog/lines', async (req, res) => {
+  try {
+    const { category, subcategory, supplier, limit } = req.query;
+    const out = await catalog.listLines({
+      category: category ? String(category) : undefined,
+      subcategory: subcategory ? String(subcategory) : undefined,
+      supplier: supplier ? String(supplier) : undefined,
+      limit,
+    });
+    res.json(out);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// File de revue : lignes LLM sous le seuil de confiance ou en repli (accepter/corriger via /catalog/curate)
+app.get('/catalog/review', async (req, res) => {
+  try {
+    const { threshold, limit } = req.query;
+    const out = await catalog.getReviewQueue({ threshold: threshold ?? undefined, limit });
+    res.json(out);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Mapping des colonnes ----------------
+   Rôle de chaque table (achats | decs | details) et colonne de chaque champ ; prime sur la détection
+   automatique au build et pour les prévisions.
+   GET    /catalog/mapping          : { fields, labels, roles: { rôle: { table, source, columns } }, tables }
+   PUT    /catalog/mapping/:table   : body { role, columns: { champ: colonne } } ; colonne vide = auto
+   DELETE /catalog/mapping/:table   : retour à la détection automatique
+-------------------------------------------------------- */
+app.get('/catalog/mapping', async (_req, res) => {
+  try {
+    res.json(mapping.describeMapping());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.put('/catalog/mapping/:table', async (req, res) => {
+  try {
+    res.json(await mapping.saveMapping(req.params.table, req.body || {}));
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.delete('/catalog/mapping/:table', async (req, res) => {
+  try {
+    res.json(await mapping.resetMapping(req.params.table));
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Règles de classification ----------------
+   Évaluées dans l'ordre avant le LLM au prochain build (la première qui correspond l'emporte)
+   body: { name, enabled, conditions: [{ column, op: equals|contains|regex|in, value | values }],
+           category, subcategory }
+------------------------------------------------------------ */
+app.get('/catalog/rules', async (_req, res) => {
+  try {
+    const { table, columns } = catalog.getAchatsColumns();
+    res.json({ rules: await rules.listRules(), table, columns, operators: rules.RULE_OPERATORS });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/catalog/rules', async (req, res) => {
+  try {
+    const rule = await rules.createRule(req.body || {}, { columns: catalog.getAchatsColumns().columns });
+    res.status(201).json({ rule });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Test sur les données chargées, sans enregistrer
+app.post('/catalog/rules/test', async (req, res) => {
+  try {
+    const out = await catalog.testRule(req.body || {}, { limit: req.body?.limit });
+    res.json(out);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/catalog/rules/reorder', async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    res.json({ rules: await rules.reorderRules(ids) });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.put('/catalog/rules/:id', async (req, res) => {
+  try {
+    const rule = await rules.updateRule(req.params.id, req.body || {}, { columns: catalog.getAchatsColumns().columns });
+    res.json({ rule });
+  } catch (e) {
+    res.status(e instanceof rules.RuleNotFoundError ? 404 : 400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.delete('/catalog/rules/:id', async (req, res) => {
+  try {
+    res.json(await rules.deleteRule(req.params.id));
+  } catch (e) {
+    res.status(e instanceof rules.RuleNotFoundError ? 404 : 400).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------------- Tâches de fond ---------------- */
+app.get('/jobs', (req, res) => {
+  const { type, status } = req.query;
+  res.json({ jobs: listJobs({ type: type ? String(type) : undefined, status: status ? String(status) : undefined }) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id, { withEvents: true });
+  if (!job) return res.status(404).json({ error: `Tâche inconnue: ${req.params.id}` });
+  res.json(job);
+});
+
+// Flux SSE : rejoue le journal puis pousse les événements jusqu'à la fin de la tâche
+app.get('/jobs/:id/events', (req, res) => {
+  if (!getJob(req.params.id)) return res.status(404).json({ error: `Tâche inconnue: ${req.params.id}` });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const fromSeq = Number(req.headers['last-event-id'] ?? -1) + 1;
+  const unsubscribe = subscribeJob(req.params.id, {
+    fromSeq,
+    onEvent: (evt) => res.write(`id: ${evt.seq}\ndata: ${JSON.stringify(evt)}\n\n`),
+    onEnd: () => res.end(),
+  });
+  req.on('close', () => unsubscribe?.());
+});
+
+app.post('/jobs/:id/cancel', (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `Tâche inconnue: ${req.params.id}` });
+  res.json({ job });
+});
+
+/* ---------------- Prévisions de cash-out (commandes en cours) ----------------
+   query:
+     - asOf: YYYY-MM-DD (optionnel, défaut: aujourd'hui)
+     - horizon: nb de mois projetés (optionnel, défaut: 24)
+     - minPayments: nb min. de paiements pour retenir une courbe (optionnel, défaut: 5)
+------------------------------------------------------------------------------ */
+app.get('/forecast', async (req, res) => {
+  try {
+    const { asOf, horizon, minPayments } = req.query;
+    const out = await forecastCashOut({
+      asOf: asOf ? String(asOf) : undefined,
+      horizonMonths: horizon,
+      minPayments,
+    });
     res.json(out);
   } catch (e) {
     console.error(e);
@@ -157,12 +824,23 @@ app.use((req, res) => {
 
 /* ---------------- Error handler JSON ---------------- */
 app.use((err, _req, res, _next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `Fichier trop volumineux (max. ${UPLOAD_MAX_MB} Mo, cf. UPLOAD_MAX_MB).` });
+  }
   console.error('[Unhandled]', err);
   res.status(500).json({ error: String(err) });
 });
 
 /* ---------------- Serveur ---------------- */
 const PORT = Number(process.env.PORT || 8787);
+
+// Rechargement du schéma et du catalogue persistés (si DUCKDB_PATH est défini)
+const dbInfo = await initDb();
+const catInfo = await catalog.loadState();
+await mapping.loadMappings();
+await loadTermsView();
+console.log(`[server] base: ${dbInfo.path} | tables: ${dbInfo.tables.length} | catalogue: ${catInfo.loaded ? `restauré (${catInfo.categories} catégories)` : 'vide'}`);
+
 app.listen(PORT, () => {
   console.log(`[server] listening on http://localhost:${PORT}`);
 });
@@ -0,0 +1,119 @@
+// server/src/jobs.js
+// Tâches de fond en mémoire (build du catalogue, …) : statut, journal d'événements, annulation.
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Tâche annulée.');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Vue sérialisable d'une tâche (sans emitter / controller)
+function snapshot(job, { withEvents = false } = {}) {
+  const { emitter, controller, events, ...rest } = job;
+  return withEvents ? { ...rest, events } : { ...rest, nEvents: events.length };
+}
+
+function prune() {
+  const finished = Array.from(jobs.values())
+    .filter(j => j.status !== 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  while (finished.length > MAX_FINISHED_JOBS) jobs.delete(finished.shift().id);
+}
+
+/**
+ * Lance `runner({ signal, emit })` en arrière-plan et retourne immédiatement la tâche.
+ * - emit(type, data) ajoute un événement au journal ; `data.progress` met à jour l'avancement
+ * - signal.aborted passe à true sur annulation : le runner doit lever JobCancelledError
+ */
+export function startJob(type, runner) {
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: null,
+    result: null,
+    error: null,
+    events: [],
+    emitter: new EventEmitter(),
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+
+  const emit = (evtType, data = {}) => {
+    const evt = { seq: job.events.length, at: new Date().toISOString(), type: evtType, ...data };
+    job.events.push(evt);
+    if (data.progress) job.progress = { ...job.progress, ...data.progress };
+    job.emitter.emit('event', evt);
+  };
+
+  const finish = (status, patch) => {
+    Object.assign(job, { status, finishedAt: new Date().toISOString() }, patch);
+    emit(status, patch.error ? { error: job.error } : {});
+    job.emitter.emit('end');
+    prune();
+  };
+
+  emit('start');
+  Promise.resolve()
+    .then(() => runner({ signal: job.controller.signal, emit }))
+    .then(
+      (result) => finish('done', { result }),
+      (e) => {
+        if (e instanceof JobCancelledError || job.controller.signal.aborted) finish('cancelled', {});
+        else {
+          console.error(`[job ${type}]`, e);
+          finish('error', { error: String(e?.message || e) });
+        }
+      }
+    );
+
+  return snapshot(job);
+}
+
+export function getJob(id, opts) {
+  const job = jobs.get(id);
+  return job ? snapshot(job, opts) : null;
+}
+
+export function listJobs({ type, status } = {}) {
+  return Array.from(jobs.values())
+    .filter(j => (!type || j.type === type) && (!status || j.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(j => snapshot(j));
+}
+
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.status === 'running') job.controller.abort();
+  return snapshot(job);
+}
+
+/**
+ * Abonnement aux événements : rejoue le journal depuis `fromSeq`, puis le direct.
+ * Retourne une fonction de désabonnement ; onEnd est appelé quand la tâche se termine.
+ */
+export function subscribeJob(id, { fromSeq = 0, onEvent, onEnd }) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  for (const evt of job.events.slice(fromSeq)) onEvent(evt);
+  if (job.status !== 'running') {
+    onEnd();
+    return () => {};
+  }
+  job.emitter.on('event', onEvent);
+  job.emitter.once('end', onEnd);
+  return () => {
+    job.emitter.off('event', onEvent);
+    job.emitter.off('end', onEnd);
+  };
+}
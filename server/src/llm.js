@@ -8,7 +8,12 @@ const client = new OpenAI({
 
 const MODEL = process.env.OLLAMA_MODEL || "gpt-oss:20b";
 
-export async function suggestSQL({ schema, question, history }) {
+/**
+ * Génère une requête SQL DuckDB pour la question.
+ * - attempts : essais précédents ratés [{ sql, error }] ; chacun est rejoué comme un échange
+ *   (requête proposée -> erreur DuckDB) pour que le modèle corrige sa requête.
+ */
+export async function suggestSQL({ schema, question, history, attempts = [] }) {
   const system = `Tu es un expert SQL (DuckDB). Tu écris uniquement du SQL sécurisé (SELECT ...).
 Règles:
 - Base: DuckDB en mémoire.
@@ -34,6 +39,16 @@ Renvoie UNIQUEMENT le SQL, rien d'autre.`;
     { role: "system", content: system },
     ...(history || []).slice(-4),
     { role: "user", content: user },
+    ...attempts.flatMap(a => [
+      { role: "assistant", content: a.sql },
+      {
+        role: "user",
+        content: `Cette requête a échoué :
+${a.error}
+
+Corrige-la en n'utilisant que les tables/colonnes du schéma. Renvoie UNIQUEMENT le SQL corrigé.`,
+      },
+    ]),
   ];
 
   const resp = await client.chat.completions.create({
@@ -47,3 +62,62 @@ Renvoie UNIQUEMENT le SQL, rien d'autre.`;
   const sql = (m ? m[1] : text).trim();
   return sql;
 }
+
+/* ---------- Résumé en langage naturel d'un résultat SQL ---------- */
+const SUMMARY_SAMPLE_ROWS = 30;
+
+// Statistiques calculées côté serveur (le modèle ne voit qu'un échantillon des lignes)
+function describeRows(rows) {
+  const columns = Object.keys(rows[0] || {});
+  const numeric = columns
+    .map(col => {
+      const vals = rows.map(r => r[col]).filter(v => v != null);
+      if (!vals.length || !vals.every(v => typeof v === 'number' || typeof v === 'bigint')) return null;
+      const nums = vals.map(Number);
+      return { col, sum: nums.reduce((s, n) => s + n, 0), min: Math.min(...nums), max: Math.max(...nums) };
+    })
+    .filter(Boolean);
+  return { columns, numeric };
+}
+
+/**
+ * Génère (en flux) un court résumé en français du résultat : totaux, éléments principaux, réserves.
+ * - rows : lignes brutes DuckDB (BigInt acceptés)
+ * - totalRows / truncated : nombre de lignes réel et troncature de ce qui est affiché
+ * Produit des fragments de texte (async iterator).
+ */
+export async function* streamAnswerSummary({ question, sql, rows, totalRows = rows.length, truncated = false }) {
+  const { columns, numeric } = describeRows(rows);
+  const system = `Tu es un analyste achats. Tu expliques à des acheteurs non techniciens le résultat d'une requête, en français.
+Règles:
+- 2 à 5 phrases maximum, sans SQL ni jargon technique.
+- Donne les totaux et les principaux éléments (top) quand c'est pertinent, avec les montants formatés (ex: 12 345 €).
+- Signale les réserves : résultat vide, résultat tronqué, échantillon partiel, valeurs manquantes.
+- N'invente aucun chiffre absent des données fournies.`;
+
+  const user = `Question: ${question}
+
+Requête exécutée:
+${sql}
+
+Nombre de lignes: ${totalRows}${truncated ? ` (résultat tronqué : seules ${rows.length} lignes sont affichées)` : ''}
+Colonnes: ${columns.join(', ') || '(aucune)'}
+Statistiques sur les lignes affichées (colonnes numériques): ${JSON.stringify(numeric)}
+${rows.length > SUMMARY_SAMPLE_ROWS ? `Échantillon (${SUMMARY_SAMPLE_ROWS} premières lignes sur ${rows.length}):` : 'Lignes:'}
+${JSON.stringify(rows.slice(0, SUMMARY_SAMPLE_ROWS), (_k, v) => (typeof v === 'bigint' ? v.toString() : v)).slice(0, 8000)}`;
+
+  const stream = await client.chat.completions.create({
+    model: MODEL,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: user },
+    ],
+    temperature: 0.2,
+    stream: true,
+  });
+
+  for await (const part of stream) {
+    const delta = part.choices?.[0]?.delta?.content;
+    if (delta) yield delta;
+  }
+}
@@ -0,0 +1,341 @@
+// server/src/mapping.js
+// Rôles des tables importées (Achats / Décaissements / Détails) et colonne de chaque champ.
+// Détection automatique par signature (COLUMN_ALIASES), corrigeable par un mapping enregistré
+// par table (_meta_column_mapping) qui prime sur la détection, pour le build comme pour les prévisions.
+import { getSchema, runSQL } from "./db.js";
+import { q } from "./utils/sql.js";
+
+/* =========================================================
+   Intitulés & alias (élargis)
+   ========================================================= */
+export const COLUMN_ALIASES = {
+  achats: {
+    order_no: ["Nº de commande", "N° de commande", "N° Commande", "No Commande", "Numero de commande", "Numéro de commande", "N° commande", "Commande"],
+    line_no: ["Nº de ligne de commande", "N° ligne commande", "N° Ligne Commande", "No Ligne Commande", "Ligne", "N° ligne", "N° Ligne", "N° ligne de commande"],
+    type_ligne: ["Type de la ligne de commande", "Type ligne", "Type de ligne", "Nature de ligne"], // optionnel
+    desc_cmd: ["Description de la commande", "Description commande", "Description", "Objet", "Objet de la commande", "Intitulé", "Intitulé de la commande"], // optionnel
+    desc_line: ["Description de la ligne", "Description Ligne", "Détail de ligne", "Libellé de ligne"], // optionnel
+    fourn: ["Nom du fournisseur", "Fournisseur", "Nom fournisseur", "Raison sociale fournisseur", "N° du fournisseur", "Code fournisseur"], // optionnel
+    date_cmd: ["Date d'approbation", "Date de validation", "Date de création", "Date promise", "Date commande", "Date d'engagement"], // optionnel
+    montant_ligne: ["Montant différentiel (en € HT)", "Montant différentiel", "Montant de la ligne", "Montant ligne", "Montant HT"], // optionnel (répartition des paiements sans n° de ligne)
+    // versions / avenants (optionnels) : dernière version pour le texte, version d'origine pour la date
+    version: ["N° de version", "Nº de version", "No de version", "Numéro de version"],
+    version_flag: ["Version O/N"],
+    avenant: ["_Avenant", "N° d'avenant", "Avenant"],
+    projet: ["_Code Projet / CEA", "Code Projet / CEA", "Code projet", "Code du projet"], // optionnel
+    // axes d'analyse des profils (optionnels)
+    compte_ifrs: ["Code compte IFRS", "Compte IFRS", "Compte comptable IFRS"],
+    site_acheteur: ["Site de l'acheteur initial", "Site de l'acheteur", "Site acheteur"],
+    intervention_site: ["Intervention sur site"],
+    // nomenclature achats NHA (indices de classification, optionnels)
+    nha_code: ["Code complet NHA", "Code NHA", "Code nomenclature"],
+    nha_famille: ["Famille NHA", "Famille achats"],
+    nha_sous_famille: ["Sous-famille NHA", "Sous famille NHA", "Sous-famille achats"],
+    nha_libelle: ["Libellé NHA", "Libelle NHA", "Libellé nomenclature"]
+  },
+  decs: {
+    order_no: ["N° Commande", "N° commande", "No Commande", "Commande", "Numero de commande"],
+    line_no: ["N° Ligne Commande", "N° ligne commande", "No Ligne Commande", "Ligne", "N° ligne"],
+    date_pay: ["Date règlement", "Date reglement", "Date de règlement", "Date de reglement", "Date paiement", "Date de paiement"],
+    montant: ["Montant règlement", "Montant reglement", "Montant réglé", "Montant payé", "Montant paiement", "Montant"],
+    reg_type: ["REG_TYPE_LIGNE", "Type de ligne de règlement", "Type ligne règlement", "Type de règlement"], // optionnel (avoirs)
+    payment_id: ["ID Règlement", "ID Reglement", "Identifiant règlement", "N° de règlement", "N° règlement", "Numéro de règlement"], // optionnel (contrôle des doublons)
+    // factures (optionnels) : regroupement des paiements et date de départ des conditions de règlement
+    invoice_no: ["N° Facture", "N° de facture", "No Facture", "Numéro de facture", "Référence facture"],
+    invoice_date: ["Date facture", "Date de facture", "Date de la facture"]
+  },
+  details: {
+    order_no: ["N° Commande", "N° commande", "No Commande", "Commande"],
+    line_no: ["N° Ligne Commande", "N° ligne commande", "No Ligne Commande", "Ligne"],
+    date_cmd_candidates: ["Date engagement", "Date promesse", "Date estimée règlement", "Date estimée reglement", "Date prévue règlement", "Date prévue reglement", "Date commande", "Date de commande"],
+    desc_line: ["Description Ligne", "Description de la ligne", "Libellé de ligne", "Détail de ligne"],
+    montant_ligne: ["Montant ligne", "Montant de la ligne", "Montant ligne commande"],
+    montant_facture: ["Montant Facturé", "Montant facturé", "Montant facture", "Total facturé"],
+    reste_a_payer: ["Reste à payer", "Reste a payer", "Montant restant à payer"],
+    // conditions de règlement contractuelles (optionnels, cf. terms.js)
+    terms: ["Conditions règlement", "Conditions reglement", "Conditions de règlement", "Conditions de paiement", "Modalités de paiement", "Délai de paiement"],
+    date_delivery: ["Date promesse", "Date de livraison", "Date livraison prévue", "Date promise"],
+    date_due: ["Date estimée règlement", "Date estimée reglement", "Date prévue règlement", "Date prévue reglement", "Date d'échéance"]
+  }
+};
+
+export const ROLES = ["achats", "decs", "details"];
+
+// Champs de chaque rôle : aliases = clé dans COLUMN_ALIASES (défaut : key) ; required = indispensable au build
+export const ROLE_FIELDS = {
+  achats: [
+    { key: "order_no", label: "N° commande", required: true },
+    { key: "line_no", label: "N° ligne", required: true },
+    { key: "type_ligne", label: "Type de ligne" },
+    { key: "desc_cmd", label: "Description de la commande" },
+    { key: "desc_line", label: "Description de la ligne" },
+    { key: "fourn", label: "Fournisseur" },
+    { key: "date_cmd", label: "Date de commande" },
+    { key: "montant_ligne", label: "Montant de la ligne" },
+    { key: "version", label: "N° de version" },
+    { key: "version_flag", label: "Version O/N" },
+    { key: "avenant", label: "Avenant" },
+    { key: "projet", label: "Code projet" },
+    { key: "compte_ifrs", label: "Compte IFRS" },
+    { key: "site_acheteur", label: "Site de l'acheteur" },
+    { key: "intervention_site", label: "Intervention sur site" },
+    { key: "nha_code", label: "Code NHA" },
+    { key: "nha_famille", label: "Famille NHA" },
+    { key: "nha_sous_famille", label: "Sous-famille NHA" },
+    { key: "nha_libelle", label: "Libellé NHA" },
+  ],
+  decs: [
+    { key: "order_no", label: "N° commande", required: true },
+    { key: "line_no", label: "N° ligne", required: true },
+    { key: "date_pay", label: "Date de paiement", required: true },
+    { key: "montant", label: "Montant payé", required: true },
+    { key: "reg_type", label: "Type de ligne (avoirs)" },
+    { key: "payment_id", label: "ID du règlement" },
+    { key: "invoice_no", label: "N° de facture" },
+    { key: "invoice_date", label: "Date de facture" },
+  ],
+  details: [
+    { key: "order_no", label: "N° commande", required: true },
+    { key: "line_no", label: "N° ligne", required: true },
+    { key: "date_cmd", label: "Date de commande", aliases: "date_cmd_candidates" },
+    { key: "desc_line", label: "Description de la ligne" },
+    { key: "montant_ligne", label: "Montant de la ligne" },
+    { key: "montant_facture", label: "Montant facturé" },
+    { key: "reste_a_payer", label: "Reste à payer" },
+    { key: "terms", label: "Conditions de règlement" },
+    { key: "date_delivery", label: "Date de livraison (promesse)" },
+    { key: "date_due", label: "Date d'échéance estimée" },
+  ],
+};
+
+export const ROLE_LABELS = { achats: "Achats", decs: "Décaissements", details: "Détails des lignes" };
+
+/* =========================================================
+   Mapping enregistré : { table -> { role, columns: { champ -> colonne } } }
+   Gardé en mémoire (détection synchrone) et persisté dans DuckDB.
+   ========================================================= */
+const MAPPING_TABLE = "_meta_column_mapping";
+const saved = new Map();
+
+async function ensureMappingTable() {
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${MAPPING_TABLE} (
+      table_name VARCHAR PRIMARY KEY,
+      role VARCHAR,
+      columns_json VARCHAR,
+      updated_at TIMESTAMP
+    );
+  `);
+}
+
+// Recharge le mapping enregistré au démarrage
+export async function loadMappings() {
+  await ensureMappingTable();
+  saved.clear();
+  for (const r of await runSQL(`SELECT table_name, role, columns_json FROM ${MAPPING_TABLE};`)) {
+    try {
+      saved.set(r.table_name, { role: ROLES.includes(r.role) ? r.role : null, columns: JSON.parse(r.columns_json || "{}") });
+    } catch {
+      console.warn(`[mapping] mapping illisible pour ${r.table_name}, ignoré`);
+    }
+  }
+  return { tables: saved.size };
+}
+
+async function persistMapping(table) {
+  await runSQL(`DELETE FROM ${MAPPING_TABLE} WHERE table_name = ${q(table)};`);
+  const m = saved.get(table);
+  if (!m) return;
+  await runSQL(`
+    INSERT INTO ${MAPPING_TABLE} (table_name, role, columns_json, updated_at)
+    VALUES (${q(table)}, ${m.role ? q(m.role) : "NULL"}, ${q(JSON.stringify(m.columns))}, now());
+  `);
+}
+
+/* =========================================================
+   Résolution par alias
+   ========================================================= */
+const deaccent = (s) => String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+const lowerDeaccent = (s) => deaccent(s).toLowerCase();
+
+export function resolveByAliases(schema, table, aliases) {
+  if (!table || !aliases?.length) return null;
+  const cols = (schema[table] || []).map(c => ({
+    norm: lowerDeaccent(c.name || ""),
+    orig: lowerDeaccent(String(c.original || "")),
+    name: c.name
+  }));
+  for (const alias of aliases) {
+    const a = lowerDeaccent(alias);
+    const hit =
+      cols.find(c => c.orig === a) ||
+      cols.find(c => c.norm === a) ||
+      cols.find(c => c.orig.includes(a)) ||
+      cols.find(c => c.norm.includes(a));
+    if (hit) return hit.name;
+  }
+  return null;
+}
+
+/* =========================================================
+   Détection des tables par signature
+   ========================================================= */
+function scoreTableForRole(schema, table, roleAliases) {
+  const neededGroups = Object.entries(roleAliases)
+    .filter(([k]) => ["order_no", "line_no", "date_cmd", "date_pay", "montant", "desc_cmd", "desc_line", "type_ligne"].includes(k));
+  let score = 0;
+  const found = {};
+  for (const [key, aliases] of neededGroups) {
+    const col = resolveByAliases(schema, table, aliases);
+    if (col) { score += 2; found[key] = col; }
+  }
+  if (found.montant) score += 2;
+  if (found.date_pay) score += 1;
+  if (found.desc_cmd || found.desc_line) score += 1;
+  return { score, found };
+}
+
+// Colonnes détectées par alias pour une table jouant un rôle
+function autoColumns(schema, table, role) {
+  return Object.fromEntries(ROLE_FIELDS[role].map(f =>
+    [f.key, resolveByAliases(schema, table, COLUMN_ALIASES[role][f.aliases || f.key])]));
+}
+
+/**
+ * Colonnes d'une table pour un rôle : mapping enregistré (s'il vise ce rôle ou aucun) sinon alias.
+ * Une colonne enregistrée disparue de la table (réimport) est ignorée.
+ */
+export function roleColumns(schema, table, role) {
+  const cols = autoColumns(schema, table, role);
+  const m = saved.get(table);
+  if (m && (!m.role || m.role === role)) {
+    const names = new Set((schema[table] || []).map(c => c.name));
+    for (const f of ROLE_FIELDS[role]) {
+      const c = m.columns[f.key];
+      if (c && names.has(c)) cols[f.key] = c;
+    }
+  }
+  return cols;
+}
+
+/**
+ * Rôle -> { table, source: "saved" | "auto", score?, cols } (null si aucune table), sans lever d'erreur.
+ * Les rôles enregistrés d'abord, puis la meilleure signature parmi les tables restantes (Achats, Décaissements, Détails).
+ */
+export function detectRoles(schema = getSchema() || {}) {
+  const tables = Object.keys(schema || {});
+  const res = { achats: null, decs: null, details: null };
+  const used = new Set();
+
+  for (const [table, m] of saved) {
+    if (m.role && schema[table] && !res[m.role]) {
+      res[m.role] = { table, source: "saved" };
+      used.add(table);
+    }
+  }
+  for (const role of ROLES) {
+    if (res[role]) continue;
+    const best = tables
+      .filter(t => !used.has(t))
+      .map(t => ({ t, ...scoreTableForRole(schema, t, COLUMN_ALIASES[role]) }))
+      .sort((a, b) => b.score - a.score)
+      .find(x => x.score > 0);
+    if (best) {
+      res[role] = { table: best.t, source: "auto", score: best.score };
+      used.add(best.t);
+    }
+  }
+  for (const role of ROLES) {
+    if (res[role]) res[role].cols = roleColumns(schema, res[role].table, role);
+  }
+  return res;
+}
+
+export function pickTablesBySignature(schema) {
+  const tables = Object.keys(schema || {});
+  if (!tables.length) throw new Error("Aucune table en mémoire.");
+
+  const res = detectRoles(schema);
+  const hasAchatsKeys = res.achats && res.achats.cols.order_no && res.achats.cols.line_no;
+  const hasDecsKeys = res.decs && res.decs.cols.order_no && res.decs.cols.line_no && res.decs.cols.montant && res.decs.cols.date_pay;
+
+  const hint = " Précisez-la dans le mapping des colonnes (onglet Catalogue).";
+  if (!hasAchatsKeys) throw new Error("Impossible d’identifier la table Achats (colonnes N° commande + N° ligne)." + hint);
+  if (!hasDecsKeys) throw new Error("Impossible d’identifier la table Décaissements (commande/ligne + montant + date paiement)." + hint);
+
+  return res;
+}
+
+/* =========================================================
+   API du mapping (écran "Mapping des colonnes")
+   ========================================================= */
+export function describeMapping(schema = getSchema() || {}) {
+  const roles = detectRoles(schema);
+  return {
+    fields: ROLE_FIELDS,
+    labels: ROLE_LABELS,
+    roles: Object.fromEntries(ROLES.map(role => {
+      const r = roles[role];
+      if (!r) return [role, null];
+      const m = saved.get(r.table);
+      const own = m && (!m.role || m.role === role) ? m.columns : {};
+      return [role, {
+        table: r.table,
+        source: r.source,
+        columns: Object.fromEntries(ROLE_FIELDS[role].map(f => [f.key, {
+          column: r.cols[f.key] || null,
+          source: !r.cols[f.key] ? null : own[f.key] === r.cols[f.key] ? "saved" : "auto",
+        }])),
+      }];
+    })),
+    tables: Object.keys(schema).map(table => ({
+      table,
+      columns: (schema[table] || []).map(c => ({ name: c.name, original: c.original })),
+      auto: Object.fromEntries(ROLES.map(role => [role, autoColumns(schema, table, role)])),
+      saved: saved.get(table) || null,
+    })),
+  };
+}
+
+/**
+ * Enregistre le mapping d'une table : { role: achats|decs|details|null, columns: { champ: colonne } }.
+ * Colonne vide = détection automatique. Un rôle enregistré est retiré des autres tables.
+ */
+export async function saveMapping(table, input = {}, schema = getSchema() || {}) {
+  if (!schema[table]) throw new Error(`Table inconnue : ${table}`);
+  const role = input.role ? String(input.role) : null;
+  if (role && !ROLES.includes(role)) throw new Error(`Rôle inconnu : ${role} (attendu : ${ROLES.join(", ")})`);
+
+  const known = schema[table];
+  const fieldKeys = new Set((role ? ROLE_FIELDS[role] : Object.values(ROLE_FIELDS).flat()).map(f => f.key));
+  const columns = {};
+  for (const [key, value] of Object.entries(input.columns || {})) {
+    if (!fieldKeys.has(key)) throw new Error(`Champ inconnu${role ? ` pour ${ROLE_LABELS[role]}` : ""} : ${key}`);
+    const v = String(value ?? "").trim();
+    if (!v) continue;
+    const hit = known.find(c => c.name === v) || known.find(c => String(c.original || "") === v);
+    if (!hit) throw new Error(`Colonne inconnue dans ${table} : ${v}`);
+    columns[key] = hit.name;
+  }
+
+  await ensureMappingTable();
+  if (role) {
+    for (const [other, m] of saved) {
+      if (other !== table && m.role === role) {
+        saved.set(other, { ...m, role: null });
+        await persistMapping(other);
+      }
+    }
+  }
+  saved.set(table, { role, columns });
+  await persistMapping(table);
+  return describeMapping(schema);
+}
+
+// Retour à la détection automatique pour une table
+export async function resetMapping(table, schema = getSchema() || {}) {
+  await ensureMappingTable();
+  saved.delete(table);
+  await persistMapping(table);
+  return describeMapping(schema);
+}
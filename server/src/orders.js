@@ -0,0 +1,300 @@
+// server/src/orders.js
+// Vue d'une commande sur les trois sources : lignes Achats (montant commandé, approbation, textes),
+// table Détails (facturé, reste à payer, date promise, échéance estimée) et décaissements rapprochés
+// (catalog_payments), joints sur les clés normalisées (« 4500012345 », « 4500012345.0 », « 0012 »…).
+import { getSchema, runSQL } from "./db.js";
+import { getCatalogState, versionKeySql } from "./catalog.js";
+import { pickTablesBySignature, roleColumns } from "./mapping.js";
+import { esc, q, orderKeySql, lineKeySql, sqlAmountFromAny, sqlDateFromAny } from "./utils/sql.js";
+
+// Ordre des évènements d'une même date
+const EVENT_ORDER = ["approval", "promised", "due", "payment", "credit_note"];
+
+export class OrderNotFoundError extends Error {
+  constructor(orderNo) {
+    super(`Commande introuvable: ${orderNo}`);
+    this.name = "OrderNotFoundError";
+  }
+}
+
+async function tableExists(table) {
+  const rows = await runSQL(`SELECT COUNT(*) AS n FROM information_schema.tables WHERE table_name = ${q(table)};`);
+  return Number(rows?.[0]?.n || 0) > 0;
+}
+
+const num = (v) => (v == null ? null : Number(v));
+
+/* =========================================================
+   Sources : tables du dernier build, sinon mapping courant (mapping.js)
+   ========================================================= */
+function resolveSources() {
+  const schema = getSchema() || {};
+  const state = getCatalogState();
+  let picked = {};
+  try { picked = pickTablesBySignature(schema); } catch { picked = {}; }
+  const table = (role) => {
+    const t = state.tables[role] && schema[state.tables[role]] ? state.tables[role] : picked[role]?.table || null;
+    return t && schema[t] ? t : null;
+  };
+  const achatsTable = table("achats");
+  const detailsTable = table("details");
+  const A = achatsTable ? { ...roleColumns(schema, achatsTable, "achats"), ...(state.tables.achats === achatsTable ? state.cols.achats : {}) } : {};
+  const T = detailsTable ? roleColumns(schema, detailsTable, "details") : {};
+  return {
+    achatsTable: achatsTable && A.order_no && A.line_no ? achatsTable : null,
+    detailsTable: detailsTable && T.order_no && T.line_no ? detailsTable : null,
+    A,
+    T,
+  };
+}
+
+/* ---------- Lignes ----------
+   - commandé : somme des montants différentiels de toutes les versions Achats
+   - approbation : date de la version d'origine ; texte et fournisseur : dernière version
+   - facturé / reste à payer / dates : somme ou première date des lignes Détails (livraison, imputation)
+   - payé : décaissements rapprochés, avoirs déduits ; reste = commandé − payé (Détails à défaut)
+   CTE préfixées « o_ » : une table importée peut s'appeler achats ou details
+------------------------------------------ */
+function linesSql({ achatsTable, detailsTable, A, T }, key, { withMap, withPayments }) {
+  const col = (alias, c) => `${alias}."${esc(c)}"`;
+  const text = (c) => (c ? `NULLIF(TRIM(CAST(${col("a", c)} AS VARCHAR)), '')` : "CAST(NULL AS VARCHAR)");
+  const latest = (expr) => `COALESCE(arg_max(${expr}, version_key), ANY_VALUE(${expr}))`;
+  const sources = [];
+
+  if (achatsTable) {
+    sources.push({ name: "o_achats", sql: `
+    o_achats AS (
+      SELECT
+        order_key, line_key,
+        MIN(order_no_raw) AS order_no, MIN(line_no_raw) AS line_no,
+        SUM(montant) AS ordered,
+        COALESCE(arg_min(approval_date, version_key) FILTER (WHERE approval_date IS NOT NULL), MIN(approval_date)) AS approval_date,
+        ${latest("fournisseur")} AS fournisseur,
+        ${latest("type_ligne")} AS type_ligne,
+        ${latest("desc_cmd")} AS desc_cmd,
+        ${latest("desc_line")} AS desc_line
+      FROM (
+        SELECT
+          ${orderKeySql(col("a", A.order_no))} AS order_key,
+          ${lineKeySql(col("a", A.line_no))} AS line_key,
+          CAST(${col("a", A.order_no)} AS VARCHAR) AS order_no_raw,
+          CAST(${col("a", A.line_no)} AS VARCHAR) AS line_no_raw,
+          ${A.montant_ligne ? sqlAmountFromAny(col("a", A.montant_ligne)) : "CAST(NULL AS DOUBLE)"} AS montant,
+          ${A.date_cmd ? `CAST(${sqlDateFromAny(col("a", A.date_cmd))} AS DATE)` : "CAST(NULL AS DATE)"} AS approval_date,
+          ${text(A.fourn)} AS fournisseur,
+          ${text(A.type_ligne)} AS type_ligne,
+          ${text(A.desc_cmd)} AS desc_cmd,
+          ${text(A.desc_line)} AS desc_line,
+          ${versionKeySql(A)} AS version_key
+        FROM "${esc(achatsTable)}" a
+        WHERE ${orderKeySql(col("a", A.order_no))} = ${key}
+      )
+      GROUP BY 1, 2
+    )` });
+  }
+  if (detailsTable) {
+    const amount = (c) => (c ? `SUM(${sqlAmountFromAny(col("d", c))})` : "CAST(NULL AS DOUBLE)");
+    const date = (c) => (c ? `MIN(CAST(${sqlDateFromAny(col("d", c))} AS DATE))` : "CAST(NULL AS DATE)");
+    sources.push({ name: "o_details", sql: `
+    o_details AS (
+      SELECT
+        ${orderKeySql(col("d", T.order_no))} AS order_key,
+        ${lineKeySql(col("d", T.line_no))} AS line_key,
+        MIN(CAST(${col("d", T.order_no)} AS VARCHAR)) AS order_no,
+        MIN(CAST(${col("d", T.line_no)} AS VARCHAR)) AS line_no,
+        ${amount(T.montant_ligne)} AS ordered,
+        ${amount(T.montant_facture)} AS invoiced,
+        ${amount(T.reste_a_payer)} AS reste_a_payer,
+        ${date(T.date_delivery)} AS promised_date,
+        ${date(T.date_due)} AS due_estimate,
+        ${T.terms ? `ANY_VALUE(NULLIF(TRIM(CAST(${col("d", T.terms)} AS VARCHAR)), ''))` : "CAST(NULL AS VARCHAR)"} AS terms_raw,
+        ${T.desc_line ? `ANY_VALUE(NULLIF(TRIM(CAST(${col("d", T.desc_line)} AS VARCHAR)), ''))` : "CAST(NULL AS VARCHAR)"} AS desc_line
+      FROM "${esc(detailsTable)}" d
+      WHERE ${orderKeySql(col("d", T.order_no))} = ${key}
+      GROUP BY 1, 2
+    )` });
+  }
+  if (withMap) {
+    sources.push({ name: "o_mapped", sql: `
+    o_mapped AS (
+      SELECT ${orderKeySql("order_no")} AS order_key, ${lineKeySql("line_no")} AS line_key,
+        ANY_VALUE(order_no) AS order_no, ANY_VALUE(line_no) AS line_no,
+        ANY_VALUE(category) AS category, ANY_VALUE(subcategory) AS subcategory, ANY_VALUE(fournisseur) AS fournisseur
+      FROM catalog_line_map
+      WHERE ${orderKeySql("order_no")} = ${key}
+      GROUP BY 1, 2
+    )` });
+  }
+  if (withPayments) {
+    sources.push({ name: "o_paid", sql: `
+    o_paid AS (
+      SELECT ${orderKeySql("order_no")} AS order_key, ${lineKeySql("line_no")} AS line_key,
+        SUM(montant) AS paid, CAST(COUNT(*) AS INT) AS n_payments, MIN(order_date) AS order_date
+      FROM catalog_payments
+      WHERE ${orderKeySql("order_no")} = ${key}
+      GROUP BY 1, 2
+    )` });
+  }
+
+  const names = sources.map(s => s.name);
+  const keyed = names.map(n => `SELECT order_key, line_key FROM ${n}`).join(" UNION ");
+  const has = (n) => names.includes(n);
+  const pick = (expr, alias) => `${expr} AS ${alias}`;
+  const first = (...exprs) => {
+    const e = exprs.filter(Boolean);
+    return e.length ? (e.length === 1 ? e[0] : `COALESCE(${e.join(", ")})`) : "NULL";
+  };
+  const ordered = first(has("o_achats") && "o_achats.ordered", has("o_details") && "o_details.ordered");
+  const paid = has("o_paid") ? "COALESCE(o_paid.paid, 0)" : "0";
+
+  return `
+    WITH ${sources.map(s => s.sql).join(",")},
+    o_keys AS (${keyed})
+    SELECT
+      ${pick(first(has("o_mapped") && "o_mapped.order_no", has("o_achats") && "o_achats.order_no", has("o_details") && "o_details.order_no"), "order_no")},
+      ${pick(first(has("o_mapped") && "o_mapped.line_no", has("o_achats") && "o_achats.line_no", has("o_details") && "o_details.line_no"), "line_no")},
+      ${pick(has("o_mapped") ? "o_mapped.category" : "NULL", "category")},
+      ${pick(has("o_mapped") ? "o_mapped.subcategory" : "NULL", "subcategory")},
+      ${pick(first(has("o_mapped") && "o_mapped.fournisseur", has("o_achats") && "o_achats.fournisseur"), "fournisseur")},
+      ${pick(has("o_achats") ? "o_achats.type_ligne" : "NULL", "type_ligne")},
+      ${pick(has("o_achats") ? "o_achats.desc_cmd" : "NULL", "desc_cmd")},
+      ${pick(first(has("o_achats") && "o_achats.desc_line", has("o_details") && "o_details.desc_line"), "desc_line")},
+      CAST(${first(has("o_paid") && "o_paid.order_date", has("o_achats") && "o_achats.approval_date")} AS VARCHAR) AS approval_date,
+      ${has("o_details") ? "CAST(o_details.promised_date AS VARCHAR)" : "NULL"} AS promised_date,
+      ${has("o_details") ? "CAST(o_details.due_estimate AS VARCHAR)" : "NULL"} AS due_estimate,
+      ${has("o_details") ? "o_details.terms_raw" : "NULL"} AS terms_raw,
+      ${ordered} AS ordered,
+      ${has("o_details") ? "o_details.invoiced" : "NULL"} AS invoiced,
+      ${paid} AS paid,
+      ${first(`${ordered} - ${paid}`, has("o_details") && "o_details.reste_a_payer")} AS remaining,
+      ${has("o_paid") ? "COALESCE(o_paid.n_payments, 0)" : "0"} AS n_payments
+    FROM o_keys k
+    ${names.map(n => `LEFT JOIN ${n} ON ${n}.order_key = k.order_key AND ${n}.line_key IS NOT DISTINCT FROM k.line_key`).join("\n    ")}
+    ORDER BY TRY_CAST(k.line_key AS DOUBLE) NULLS LAST, k.line_key;`;
+}
+
+/* ---------- Courbe de la commande vs profil sous-catégorie × fournisseur ----------
+   Part cumulée par délai depuis la commande. La commande est rapportée à son montant commandé
+   (s'il dépasse le payé) : une commande non soldée reste sous 100 %.
+------------------------------------------ */
+async function profileComparison(lines, payments) {
+  const main = lines
+    .filter(l => l.subcategory && l.fournisseur)
+    .sort((a, b) => (b.ordered ?? b.paid) - (a.ordered ?? a.paid))[0];
+  if (!main) return null;
+  const own = lines.filter(l => l.subcategory === main.subcategory && l.fournisseur === main.fournisseur);
+  const ownKeys = new Set(own.map(l => `${l.order_no}|||${l.line_no}`));
+  const byDelay = new Map();
+  for (const p of payments) {
+    if (p.delay_days == null || !ownKeys.has(`${p.order_no}|||${p.line_no}`)) continue;
+    byDelay.set(p.delay_days, (byDelay.get(p.delay_days) || 0) + (p.montant_net ?? p.montant ?? 0));
+  }
+  const paid = [...byDelay.values()].reduce((s, v) => s + v, 0);
+  const ordered = own.reduce((s, l) => s + (l.ordered || 0), 0);
+  const base = Math.max(ordered, paid);
+
+  let acc = 0;
+  const order = base > 0
+    ? [...byDelay.entries()].sort((a, b) => a[0] - b[0]).map(([delay_days, m]) => ({ delay_days, share: (acc += m) / base }))
+    : [];
+
+  const rows = await runSQL(`
+    SELECT delay_days, SUM(COALESCE(montant_net, montant)) AS montant
+    FROM catalog_payments
+    WHERE subcategory = ${q(main.subcategory)} AND fournisseur = ${q(main.fournisseur)}
+      AND delay_days IS NOT NULL AND COALESCE(montant_net, montant) <> 0
+    GROUP BY 1
+    ORDER BY 1;
+  `);
+  const total = rows.reduce((s, r) => s + Number(r.montant || 0), 0);
+  let cum = 0;
+  const profile = total > 0
+    ? rows.map(r => ({ delay_days: Number(r.delay_days), share: (cum += Number(r.montant || 0)) / total }))
+    : [];
+
+  return { subcategory: main.subcategory, fournisseur: main.fournisseur, base, order, profile };
+}
+
+/* =========================================================
+   Commande complète : lignes, paiements, évènements datés, comparaison au profil
+   ========================================================= */
+export async function getOrderTimeline(orderNo) {
+  const raw = String(orderNo ?? "").trim();
+  if (!raw) throw new OrderNotFoundError(raw);
+
+  const sources = resolveSources();
+  const withMap = await tableExists("catalog_line_map");
+  const withPayments = await tableExists("catalog_payments");
+  if (!sources.achatsTable && !sources.detailsTable && !withMap) throw new OrderNotFoundError(raw);
+
+  const key = orderKeySql(q(raw));
+  const lines = (await runSQL(linesSql(sources, key, { withMap, withPayments }))).map(l => ({
+    ...l,
+    ordered: num(l.ordered),
+    invoiced: num(l.invoiced),
+    paid: Number(l.paid || 0),
+    remaining: num(l.remaining),
+    n_payments: Number(l.n_payments || 0),
+  }));
+  if (!lines.length) throw new OrderNotFoundError(raw);
+
+  const payments = withPayments
+    ? (await runSQL(`
+      SELECT
+        order_no, line_no,
+        CAST(payment_date AS VARCHAR) AS payment_date,
+        delay_days,
+        montant,
+        COALESCE(montant_net, montant) AS montant_net,
+        kind, invoice_no,
+        CAST(invoice_date AS VARCHAR) AS invoice_date,
+        match_method
+      FROM catalog_payments
+      WHERE ${orderKeySql("order_no")} = ${key}
+      ORDER BY payment_date, line_no;
+    `)).map(p => ({ ...p, montant: num(p.montant), montant_net: num(p.montant_net), delay_days: num(p.delay_days) }))
+    : [];
+
+  // Évènements datés : approbation (regroupée par date), date promise et échéance par ligne, paiements
+  const events = [];
+  const approvals = new Map();
+  for (const l of lines) {
+    if (l.approval_date) approvals.set(l.approval_date, [...(approvals.get(l.approval_date) || []), l.line_no]);
+    if (l.promised_date) events.push({ date: l.promised_date, type: "promised", line_no: l.line_no });
+    if (l.due_estimate) events.push({ date: l.due_estimate, type: "due", line_no: l.line_no });
+  }
+  for (const [date, lineNos] of approvals) events.push({ date, type: "approval", line_no: lineNos.length === 1 ? lineNos[0] : null, lines: lineNos });
+  for (const p of payments) {
+    if (!p.payment_date) continue;
+    events.push({
+      date: p.payment_date,
+      type: p.kind === "credit_note" ? "credit_note" : "payment",
+      line_no: p.line_no,
+      montant: p.montant,
+      invoice_no: p.invoice_no || null,
+      delay_days: p.delay_days,
+    });
+  }
+  events.sort((a, b) => a.date.localeCompare(b.date) || EVENT_ORDER.indexOf(a.type) - EVENT_ORDER.indexOf(b.type));
+
+  const sum = (k) => lines.reduce((s, l) => (l[k] == null ? s : s + l[k]), 0);
+  const known = (k) => lines.some(l => l[k] != null);
+  return {
+    order_no: lines[0].order_no,
+    sources: {
+      achats: sources.achatsTable,
+      details: sources.detailsTable,
+      payments: withPayments ? "catalog_payments" : null,
+    },
+    totals: {
+      ordered: known("ordered") ? sum("ordered") : null,
+      invoiced: known("invoiced") ? sum("invoiced") : null,
+      paid: sum("paid"),
+      remaining: known("remaining") ? sum("remaining") : null,
+    },
+    lines,
+    payments,
+    events,
+    comparison: withPayments ? await profileComparison(lines, payments) : null,
+  };
+}
@@ -0,0 +1,203 @@
+// server/src/profiles.js
+// Profils normalisés par ligne de commande : chaque ligne devient une courbe de part cumulée
+// (0 → 1) de son propre total, puis les courbes sont moyennées (à poids égal ou au montant).
+// Bandes de percentiles, nombre typique de versements et motif de paiement reconnu.
+
+export const PROFILE_MODES = ["amount", "normalized"];
+export const PROFILE_WEIGHTINGS = ["equal", "amount"];
+
+const BANDS = [0.1, 0.5, 0.9];
+// Part minimale d'un versement pour être compté (écarte les reliquats d'arrondi)
+const MIN_INSTALLMENT_SHARE = 0.02;
+// Part des lignes (pondérée) à partir de laquelle un motif qualifie tout le profil
+const DOMINANT_PATTERN_SHARE = 0.5;
+// Points max de la courbe : au-delà, les délais sont regroupés par semaines (ou plus)
+const GRID_MAX = 366;
+// Résolution des bandes de percentiles (parts arrondies à 0,1 %)
+const SHARE_BINS = 1000;
+
+/* =========================================================
+   Courbes par ligne
+   ========================================================= */
+// points : [{ order_no, line_no, delay_days, montant }] → [{ key, total, steps: [{ delay, share }] }]
+export function normalizeLines(points) {
+  const byLine = new Map();
+  for (const p of points) {
+    const d = Number(p.delay_days);
+    const amt = Number(p.montant || 0);
+    if (!Number.isFinite(d) || !amt) continue;
+    const key = `${p.order_no}|||${p.line_no}`;
+    if (!byLine.has(key)) byLine.set(key, new Map());
+    const m = byLine.get(key);
+    m.set(d, (m.get(d) || 0) + amt);
+  }
+
+  const lines = [];
+  for (const [key, m] of byLine) {
+    const total = [...m.values()].reduce((s, v) => s + v, 0);
+    if (total <= 0) continue; // entièrement annulée par des avoirs
+    const steps = [...m.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([delay, amt]) => ({ delay, share: amt / total }));
+    lines.push({ key, total, steps });
+  }
+  return lines;
+}
+
+// Grille des délais : délais observés, ou fins de tranches (7 j, 14 j…) s'ils dépassent GRID_MAX.
+// gridDelay(d) : point de la grille où compte un versement au délai d (d lui-même ou fin de sa tranche)
+function delayGrid(lines) {
+  const delays = new Set();
+  for (const l of lines) for (const s of l.steps) delays.add(s.delay);
+  let gridDelay = (d) => d;
+  if (delays.size > GRID_MAX) {
+    const sorted = [...delays].sort((a, b) => a - b);
+    const span = sorted[sorted.length - 1] - sorted[0] + 1;
+    const width = Math.max(7, Math.ceil(span / GRID_MAX / 7) * 7);
+    gridDelay = (d) => Math.ceil(d / width) * width;
+  }
+  const grid = [...new Set([...delays].map(gridDelay))].sort((a, b) => a - b);
+  return { grid, gridDelay };
+}
+
+// Percentile pondéré d'un histogramme des parts (poids par tranche de 1/SHARE_BINS)
+function histogramPercentile(hist, target) {
+  let acc = 0;
+  for (let b = 0; b < hist.length; b++) {
+    acc += hist[b];
+    if (acc >= target - 1e-9) return b / SHARE_BINS;
+  }
+  return 1;
+}
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+/* =========================================================
+   Motifs de paiement (par ligne, puis dominant sur le profil)
+   ========================================================= */
+function installmentsOf(line) {
+  return line.steps.filter(s => s.share >= MIN_INSTALLMENT_SHARE);
+}
+
+// { type, params } d'une ligne
+function linePattern(line) {
+  const inst = installmentsOf(line);
+  if (inst.length <= 1) {
+    return { type: "single", params: { delay: (inst[0] || line.steps[line.steps.length - 1]).delay } };
+  }
+  if (inst.length === 2) {
+    const first = inst[0].share / (inst[0].share + inst[1].share);
+    return { type: first < 0.5 ? "advance_delivery" : "two_step", params: { first, delays: [inst[0].delay, inst[1].delay] } };
+  }
+  const gaps = inst.slice(1).map((s, i) => s.delay - inst[i].delay);
+  const within = (lo, hi) => gaps.filter(g => g >= lo && g <= hi).length / gaps.length >= 0.75;
+  if (within(25, 35)) return { type: "monthly", params: { count: inst.length } };
+  if (within(80, 100)) return { type: "quarterly", params: { count: inst.length } };
+  return { type: "staggered", params: { count: inst.length } };
+}
+
+const pct = (x) => Math.round(x * 10) * 10; // parts arrondies à 10 %
+
+// Libellé d'un motif à partir des paramètres médians de ses lignes
+function patternLabel(type, params) {
+  switch (type) {
+    case "single": return `100 % à ${Math.round(median(params.map(p => p.delay)))} j`;
+    case "advance_delivery": {
+      const a = pct(median(params.map(p => p.first)));
+      return `${a}/${100 - a} acompte + livraison`;
+    }
+    case "two_step": {
+      const a = pct(median(params.map(p => p.first)));
+      return `${a}/${100 - a} en deux versements`;
+    }
+    case "monthly": return `Mensualités (${Math.round(median(params.map(p => p.count)))} versements)`;
+    case "quarterly": return `Trimestrialités (${Math.round(median(params.map(p => p.count)))} versements)`;
+    case "staggered": return `Échelonné irrégulier (${Math.round(median(params.map(p => p.count)))} versements)`;
+    default: return "Profil mixte";
+  }
+}
+
+/* =========================================================
+   Profil normalisé
+   - weighting "equal"  : chaque ligne compte pareil
+   - weighting "amount" : chaque ligne pèse son montant payé
+   - courbe : au plus GRID_MAX délais (tranches au-delà), bandes à 1/SHARE_BINS près
+   ========================================================= */
+export function normalizedProfile(points, { weighting = "equal" } = {}) {
+  if (!PROFILE_WEIGHTINGS.includes(weighting)) throw new Error(`Pondération inconnue: ${weighting}`);
+  const lines = normalizeLines(points);
+  const empty = {
+    weighting, lines: 0, curve: [],
+    installments: { median: 0, mean: 0, distribution: [] },
+    pattern: null, patterns: [],
+  };
+  if (!lines.length) return empty;
+
+  const weightOf = (l) => (weighting === "amount" ? l.total : 1);
+  const totalWeight = lines.reduce((s, l) => s + weightOf(l), 0);
+
+  // Courbe moyenne + bandes P10/P50/P90 sur la grille des délais, en un passage sur les versements
+  // triés : chaque versement fait avancer la part cumulée de sa ligne dans un histogramme des parts
+  const { grid, gridDelay } = delayGrid(lines);
+  const events = [];
+  lines.forEach((l, i) => { for (const s of l.steps) events.push({ i, at: gridDelay(s.delay), share: s.share }); });
+  events.sort((a, b) => a.at - b.at);
+  const bin = (v) => Math.min(SHARE_BINS, Math.max(0, Math.round(v * SHARE_BINS)));
+  const cum = new Float64Array(lines.length);
+  const hist = new Float64Array(SHARE_BINS + 1);
+  hist[0] = totalWeight;
+  let weighted = 0, e = 0;
+  const curve = grid.map((delay) => {
+    for (; e < events.length && events[e].at <= delay; e++) {
+      const { i, share } = events[e];
+      const w = weightOf(lines[i]);
+      hist[bin(cum[i])] -= w;
+      cum[i] += share;
+      hist[bin(cum[i])] += w;
+      weighted += share * w;
+    }
+    const [p10, p50, p90] = BANDS.map(b => histogramPercentile(hist, b * totalWeight));
+    return { delay_days: delay, share: weighted / totalWeight, p10, p50, p90 };
+  });
+
+  // Nombre de versements par ligne
+  const counts = lines.map(l => installmentsOf(l).length || 1);
+  const dist = new Map();
+  for (const c of counts) dist.set(c, (dist.get(c) || 0) + 1);
+
+  // Motifs : part (pondérée) des lignes de chaque type ; dominant si ≥ DOMINANT_PATTERN_SHARE
+  const byType = new Map();
+  lines.forEach((l) => {
+    const { type, params } = linePattern(l);
+    if (!byType.has(type)) byType.set(type, { weight: 0, lines: 0, params: [] });
+    const t = byType.get(type);
+    t.weight += weightOf(l);
+    t.lines++;
+    t.params.push(params);
+  });
+  const patterns = [...byType.entries()]
+    .map(([type, t]) => ({ type, label: patternLabel(type, t.params), lines: t.lines, share: t.weight / totalWeight }))
+    .sort((a, b) => b.share - a.share);
+  const top = patterns[0];
+  const pattern = top.share >= DOMINANT_PATTERN_SHARE
+    ? top
+    : { type: "mixed", label: `Profil mixte (surtout ${top.label.toLowerCase()})`, lines: lines.length, share: top.share };
+
+  return {
+    weighting,
+    lines: lines.length,
+    curve,
+    installments: {
+      median: median(counts),
+      mean: counts.reduce((s, c) => s + c, 0) / counts.length,
+      distribution: [...dist.entries()].sort((a, b) => a[0] - b[0]).map(([count, n]) => ({ count, lines: n })),
+    },
+    pattern,
+    patterns,
+  };
+}
@@ -0,0 +1,239 @@
+// server/src/quality.js
+// Rapport qualité du rapprochement commandes ↔ décaissements : anomalies qui faussent
+// catalog_payments (et donc profils et prévisions), avec comptage et liste des lignes en cause.
+import { getSchema, runSQL } from "./db.js";
+import {
+  achatsNormSql, paymentsNormSql, orderDateSql, paymentMatchSql,
+} from "./catalog.js";
+import { pickTablesBySignature } from "./mapping.js";
+import { esc, q, sqlAmountFromAny, sqlDateFromAny, selOrNull } from "./utils/sql.js";
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 100000;
+
+export class QualityIssueNotFoundError extends Error {
+  constructor(issue) {
+    super(`Type d'anomalie inconnu: ${issue}`);
+    this.name = "QualityIssueNotFoundError";
+  }
+}
+
+/* =========================================================
+   Contexte : tables et colonnes du mapping courant (celles du prochain build)
+   ========================================================= */
+async function tableExists(table) {
+  const rows = await runSQL(`SELECT COUNT(*) AS n FROM information_schema.tables WHERE table_name = ${q(table)};`);
+  return Number(rows?.[0]?.n || 0) > 0;
+}
+
+async function resolveContext() {
+  const schema = getSchema() || {};
+  const picked = pickTablesBySignature(schema);
+  const T = picked.details?.cols || {};
+  const has = (table, col) => (schema[table] || []).some(c => c.name === col);
+  return {
+    achatsTable: picked.achats.table,
+    decsTable: picked.decs.table,
+    A: picked.achats.cols,
+    D: picked.decs.cols,
+    dateFallback: picked.details && T.order_no && T.line_no && T.date_cmd
+      ? { table: picked.details.table, order_no: T.order_no, line_no: T.line_no, col: T.date_cmd }
+      : null,
+    // traçabilité des chargements (db.js) : fichier et n° de chargement de chaque décaissement
+    decsTrace: ["fichier_source", "id_chargement"].filter(c => has(picked.decs.table, c)),
+    hasPayments: await tableExists("catalog_payments"),
+  };
+}
+
+// Colonnes brutes d'un décaissement (alias "d") reprises dans les listes
+function decsRawColumns(ctx) {
+  const { D } = ctx;
+  return [
+    `CAST(d."${esc(D.date_pay)}" AS VARCHAR) AS date_reglement_brute`,
+    `CAST(d."${esc(D.montant)}" AS VARCHAR) AS montant_brut`,
+    ...(D.payment_id ? [`CAST(d."${esc(D.payment_id)}" AS VARCHAR) AS id_reglement`] : []),
+    ...ctx.decsTrace.map(c => `d."${esc(c)}" AS ${c}`),
+  ];
+}
+const decsTraceOut = (ctx, alias = "d_norm") => ctx.decsTrace.map(c => `, ${alias}.${c}`).join("");
+// Rapprochement classé du build (catalog.js) sur le mapping courant
+const matchSql = (ctx) => paymentMatchSql(ctx.achatsTable, ctx.A, ctx.decsTable, ctx.D);
+
+/* =========================================================
+   Anomalies : chacune fournit la requête des lignes en cause (ORDER BY inclus)
+   available(ctx) : null si contrôlable, sinon la raison
+   ========================================================= */
+const ISSUES = [
+  {
+    type: "unmatched_payments",
+    label: "Décaissements sans ligne Achats",
+    description: "Paiements lisibles (date et montant) qui ne correspondent à aucune ligne Achats : absents des profils.",
+    sql: (ctx) => `
+      WITH
+      d_norm AS (${paymentsNormSql(ctx.decsTable, ctx.D, { extra: decsRawColumns(ctx) })}),
+      matches AS (${matchSql(ctx)})
+      SELECT
+        d_norm.order_no_raw AS order_no,
+        d_norm.line_no_raw AS line_no,
+        CAST(d_norm.payment_date AS VARCHAR) AS payment_date,
+        d_norm.montant${ctx.D.payment_id ? ", d_norm.id_reglement" : ""}${decsTraceOut(ctx)}
+      FROM d_norm
+      WHERE NOT EXISTS (SELECT 1 FROM matches WHERE matches.pay_row = d_norm.pay_row)
+      ORDER BY d_norm.order_no_raw, d_norm.line_no_raw, d_norm.payment_date
+    `,
+  },
+  {
+    type: "missing_order_date",
+    label: "Lignes Achats sans date de commande",
+    description: "Aucune date lisible dans Achats ni dans la table détails : le build retombe sur le premier paiement (délai nul).",
+    sql: (ctx) => `
+      SELECT order_no_raw AS order_no, line_no_raw AS line_no, fournisseur, date_commande_brute
+      FROM (${achatsNormSql(ctx.achatsTable, ctx.A, {
+        extra: [
+          selOrNull(ctx.A.fourn, "fournisseur"),
+          `${ctx.A.date_cmd ? `CAST(a."${esc(ctx.A.date_cmd)}" AS VARCHAR)` : "NULL"} AS date_commande_brute`,
+          `${orderDateSql(ctx.A, ctx.dateFallback, { withPayments: false })} AS order_date`,
+        ],
+      })})
+      WHERE order_date IS NULL
+      ORDER BY order_no, line_no
+    `,
+  },
+  {
+    type: "negative_delay",
+    label: "Paiements antérieurs à la commande",
+    description: "Paiements du catalogue dont la date précède la date de commande (delay_days négatif).",
+    available: (ctx) => (ctx.hasPayments ? null : "Catalogue non construit : lancez d'abord un build."),
+    sql: () => `
+      SELECT
+        category, subcategory, fournisseur, order_no, line_no,
+        CAST(order_date AS VARCHAR) AS order_date,
+        CAST(payment_date AS VARCHAR) AS payment_date,
+        montant, delay_days
+      FROM catalog_payments
+      WHERE delay_days < 0
+      ORDER BY delay_days, order_no, line_no
+    `,
+  },
+  {
+    type: "amount_parse_failures",
+    label: "Montants illisibles",
+    description: "Décaissements dont le montant est vide ou non numérique : ignorés par le rapprochement.",
+    sql: (ctx) => `
+      SELECT
+        order_no_raw AS order_no,
+        line_no_raw AS line_no,
+        date_reglement_brute,
+        montant_brut,
+        CASE WHEN NULLIF(TRIM(montant_brut), '') IS NULL THEN 'vide' ELSE 'illisible' END AS motif${ctx.D.payment_id ? ",\n        id_reglement" : ""}${ctx.decsTrace.map(c => `,\n        ${c}`).join("")}
+      FROM (${paymentsNormSql(ctx.decsTable, ctx.D, { validOnly: false, extra: decsRawColumns(ctx) })})
+      WHERE montant IS NULL
+      ORDER BY order_no, line_no
+    `,
+  },
+  {
+    type: "duplicate_payment_ids",
+    label: "ID de règlement en double",
+    description: "Même identifiant de règlement sur plusieurs décaissements : paiement probablement compté plusieurs fois.",
+    available: (ctx) => (ctx.D.payment_id ? null : "Colonne « ID du règlement » non trouvée : précisez-la dans le mapping des colonnes."),
+    sql: (ctx) => `
+      SELECT * FROM (
+        SELECT
+          NULLIF(TRIM(CAST(d."${esc(ctx.D.payment_id)}" AS VARCHAR)), '') AS id_reglement,
+          CAST(COUNT(*) OVER (PARTITION BY NULLIF(TRIM(CAST(d."${esc(ctx.D.payment_id)}" AS VARCHAR)), '')) AS INT) AS occurrences,
+          CAST(d."${esc(ctx.D.order_no)}" AS VARCHAR) AS order_no,
+          CAST(d."${esc(ctx.D.line_no)}" AS VARCHAR) AS line_no,
+          CAST(CAST(${sqlDateFromAny(`d."${esc(ctx.D.date_pay)}"`)} AS DATE) AS VARCHAR) AS payment_date,
+          ${sqlAmountFromAny(`d."${esc(ctx.D.montant)}"`)} AS montant${ctx.decsTrace.map(c => `,\n          d."${esc(c)}" AS ${c}`).join("")}
+        FROM "${esc(ctx.decsTable)}" d
+      )
+      WHERE id_reglement IS NOT NULL AND occurrences > 1
+      ORDER BY id_reglement, order_no, line_no
+    `,
+    // une anomalie = un identifiant en double (les lignes listées sont toutes ses occurrences)
+    count: "COUNT(DISTINCT id_reglement)",
+  },
+  {
+    type: "ambiguous_matches",
+    label: "Rapprochements ambigus",
+    description: "Paiements pour lesquels plusieurs lignes (ou commandes) étaient candidates au même rang, souvent par suffixe du n° de commande : affectés par départage, à vérifier.",
+    sql: (ctx) => `
+      WITH
+      d_norm AS (${paymentsNormSql(ctx.decsTable, ctx.D, { extra: decsRawColumns(ctx) })}),
+      matches AS (${matchSql(ctx)})
+      SELECT
+        d_norm.order_no_raw AS order_no,
+        d_norm.line_no_raw AS line_no,
+        CAST(d_norm.payment_date AS VARCHAR) AS payment_date,
+        d_norm.montant${ctx.D.payment_id ? ",\n        d_norm.id_reglement" : ""},
+        ANY_VALUE(matches.match_method) AS match_method,
+        ANY_VALUE(matches.candidates) AS candidats,
+        string_agg(matches.order_no || ' / ' || matches.line_no, ' ; ' ORDER BY matches.order_no, matches.line_no) AS lignes_affectees${decsTraceOut(ctx)}
+      FROM d_norm
+      JOIN matches ON matches.pay_row = d_norm.pay_row
+      WHERE matches.candidates > 1
+      GROUP BY d_norm.pay_row, d_norm.order_no_raw, d_norm.line_no_raw, d_norm.payment_date, d_norm.montant${ctx.D.payment_id ? ", d_norm.id_reglement" : ""}${decsTraceOut(ctx)}
+      ORDER BY candidats DESC, order_no, line_no
+    `,
+  },
+];
+const ISSUES_BY_TYPE = new Map(ISSUES.map(i => [i.type, i]));
+
+
+/* =========================================================
+   API
+   ========================================================= */
+// Synthèse : nombre d'anomalies de chaque type (+ lignes concernées quand elles diffèrent)
+export async function getQualitySummary() {
+  const ctx = await resolveContext();
+  const totals = await runSQL(`
+    SELECT
+      (SELECT CAST(COUNT(*) AS INT) FROM "${esc(ctx.achatsTable)}") AS achats_rows,
+      (SELECT CAST(COUNT(*) AS INT) FROM "${esc(ctx.decsTable)}") AS decs_rows
+      ${ctx.hasPayments ? ", (SELECT CAST(COUNT(*) AS INT) FROM catalog_payments) AS payment_rows" : ""};
+  `);
+
+  const issues = [];
+  for (const issue of ISSUES) {
+    const reason = issue.available?.(ctx) ?? null;
+    const base = { type: issue.type, label: issue.label, description: issue.description };
+    if (reason) {
+      issues.push({ ...base, available: false, reason, count: null, rows: null });
+      continue;
+    }
+    const r = await runSQL(`
+      SELECT CAST(${issue.count || "COUNT(*)"} AS INT) AS count, CAST(COUNT(*) AS INT) AS rows
+      FROM (${issue.sql(ctx)}) x;
+    `);
+    issues.push({ ...base, available: true, reason: null, count: Number(r?.[0]?.count || 0), rows: Number(r?.[0]?.rows || 0) });
+  }
+
+  return {
+    tables: { achats: ctx.achatsTable, decs: ctx.decsTable, details: ctx.dateFallback?.table || null },
+    totals: {
+      achatsRows: Number(totals?.[0]?.achats_rows || 0),
+      decsRows: Number(totals?.[0]?.decs_rows || 0),
+      paymentRows: ctx.hasPayments ? Number(totals?.[0]?.payment_rows || 0) : null,
+    },
+    issues,
+    checkedAt: new Date(),
+  };
+}
+
+// Lignes en cause pour un type d'anomalie (liste téléchargeable)
+export async function getQualityIssueRows(type, { limit = DEFAULT_LIMIT } = {}) {
+  const issue = ISSUES_BY_TYPE.get(String(type));
+  if (!issue) throw new QualityIssueNotFoundError(type);
+  const ctx = await resolveContext();
+  const reason = issue.available?.(ctx);
+  if (reason) throw new Error(reason);
+
+  const max = Math.max(1, Math.min(MAX_LIMIT, Number(limit) || DEFAULT_LIMIT));
+  const rows = await runSQL(`${issue.sql(ctx)} LIMIT ${max + 1};`);
+  return {
+    type: issue.type,
+    label: issue.label,
+    rows: rows.slice(0, max),
+    truncated: rows.length > max,
+  };
+}
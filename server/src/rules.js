@@ -0,0 +1,209 @@
+// server/src/rules.js
+// Règles de classification déterministes, évaluées avant le LLM lors du build du catalogue.
+// Une règle = conditions (toutes requises) sur des colonnes Achats -> (catégorie, sous-catégorie).
+// Les règles sont ordonnées : la première qui correspond l'emporte.
+import { runSQL } from './db.js';
+import { esc, q } from './utils/sql.js';
+
+const RULES_TABLE = 'catalog_rules';
+
+export const RULE_OPERATORS = ['equals', 'contains', 'regex', 'in'];
+
+export class RuleNotFoundError extends Error {
+  constructor(id) {
+    super(`Règle inconnue : ${id}`);
+    this.name = 'RuleNotFoundError';
+  }
+}
+
+async function ensureRulesTable() {
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${RULES_TABLE} (
+      id INTEGER PRIMARY KEY,
+      position INTEGER,
+      name VARCHAR,
+      enabled BOOLEAN,
+      conditions_json VARCHAR,
+      category VARCHAR,
+      subcategory VARCHAR,
+      created_at TIMESTAMP,
+      updated_at TIMESTAMP
+    );
+  `);
+}
+
+function fromRow(r) {
+  return {
+    id: Number(r.id),
+    position: Number(r.position),
+    name: r.name,
+    enabled: Boolean(r.enabled),
+    conditions: JSON.parse(r.conditions_json || '[]'),
+    category: r.category,
+    subcategory: r.subcategory,
+    created_at: r.created_at ? new Date(r.created_at).toISOString() : null,
+    updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : null,
+  };
+}
+
+/* ---------- Validation ----------
+   columns : colonnes Achats connues [{ name, original }] ; vide = pas de contrôle (aucune donnée chargée)
+---------------------------------- */
+function resolveColumn(column, columns) {
+  const c = String(column ?? '').trim();
+  if (!c) throw new Error('Colonne requise pour chaque condition.');
+  if (!columns?.length) return c;
+  const hit = columns.find(x => x.name === c) || columns.find(x => String(x.original || '') === c);
+  if (!hit) throw new Error(`Colonne inconnue dans Achats : ${c}`);
+  return hit.name;
+}
+
+export async function validateRule(input, { columns = [] } = {}) {
+  const category = String(input?.category ?? '').trim();
+  const subcategory = String(input?.subcategory ?? '').trim();
+  if (!category || !subcategory) throw new Error('Catégorie et sous-catégorie requises.');
+
+  const raw = Array.isArray(input?.conditions) ? input.conditions : [];
+  if (!raw.length) throw new Error('Au moins une condition est requise.');
+
+  const conditions = [];
+  for (const c of raw) {
+    const op = String(c?.op || '');
+    if (!RULE_OPERATORS.includes(op)) throw new Error(`Opérateur inconnu : ${op || '(vide)'}`);
+    const column = resolveColumn(c.column, columns);
+    if (op === 'in') {
+      const values = (Array.isArray(c.values) ? c.values : String(c.values ?? c.value ?? '').split(/[\n;]/))
+        .map(v => String(v ?? '').trim())
+        .filter(Boolean);
+      if (!values.length) throw new Error(`Liste de valeurs vide (colonne ${column}).`);
+      conditions.push({ column, op, values });
+      continue;
+    }
+    const value = String(c?.value ?? '');
+    if (!value.trim()) throw new Error(`Valeur requise (colonne ${column}).`);
+    if (op === 'regex') {
+      // on laisse DuckDB (RE2) valider l'expression
+      await runSQL(`SELECT regexp_matches('', ${q(value)}, 'i') AS ok;`).catch(e => {
+        throw new Error(`Expression régulière invalide : ${value} (${e?.message || e})`);
+      });
+    }
+    conditions.push({ column, op, value });
+  }
+
+  return {
+    name: String(input?.name ?? '').trim() || `${category} / ${subcategory}`,
+    enabled: input?.enabled !== false,
+    conditions,
+    category,
+    subcategory,
+  };
+}
+
+/* ---------- Compilation SQL ----------
+   Comparaisons insensibles à la casse et aux accents (sauf regex : casse seulement)
+-------------------------------------- */
+const normExpr = (expr) => `lower(strip_accents(TRIM(CAST(${expr} AS VARCHAR))))`;
+
+function conditionSql(c, alias) {
+  const col = `${alias ? `${alias}.` : ''}"${esc(c.column)}"`;
+  switch (c.op) {
+    case 'equals': return `${normExpr(col)} = ${normExpr(q(c.value))}`;
+    case 'contains': return `contains(${normExpr(col)}, ${normExpr(q(c.value))})`;
+    case 'regex': return `regexp_matches(CAST(${col} AS VARCHAR), ${q(c.value)}, 'i')`;
+    case 'in': return `${normExpr(col)} IN (${c.values.map(v => normExpr(q(v))).join(', ')})`;
+    default: throw new Error(`Opérateur inconnu : ${c.op}`);
+  }
+}
+
+// Prédicat SQL d'une règle (NULL-safe : une colonne vide ne correspond jamais)
+export function ruleConditionSql(rule, alias = '') {
+  return `COALESCE(${rule.conditions.map(c => `(${conditionSql(c, alias)})`).join(' AND ')}, FALSE)`;
+}
+
+/**
+ * Expression CASE -> id de la première règle qui correspond (NULL sinon).
+ * Les règles dont une colonne n'existe pas dans `columns` sont ignorées et listées dans `skipped`.
+ */
+export function rulesCaseSql(rules, { columns = [], alias = '' } = {}) {
+  const names = new Set(columns.map(c => c.name));
+  const usable = [];
+  const skipped = [];
+  for (const r of rules) {
+    if (columns.length && r.conditions.some(c => !names.has(c.column))) skipped.push(r.id);
+    else usable.push(r);
+  }
+  const expr = usable.length
+    ? `CASE ${usable.map(r => `WHEN ${ruleConditionSql(r, alias)} THEN ${Number(r.id)}`).join(' ')} END`
+    : 'CAST(NULL AS INTEGER)';
+  return { expr, skipped };
+}
+
+/* ---------- CRUD ---------- */
+export async function listRules({ enabledOnly = false } = {}) {
+  await ensureRulesTable();
+  const rows = await runSQL(`
+    SELECT * FROM ${RULES_TABLE}
+    ${enabledOnly ? 'WHERE enabled' : ''}
+    ORDER BY position, id;
+  `);
+  return rows.map(fromRow);
+}
+
+async function getRule(id) {
+  const rows = await runSQL(`SELECT * FROM ${RULES_TABLE} WHERE id = ${Number(id)};`);
+  if (!rows.length) throw new RuleNotFoundError(id);
+  return fromRow(rows[0]);
+}
+
+export async function createRule(input, opts) {
+  await ensureRulesTable();
+  const rule = await validateRule(input, opts);
+  const next = await runSQL(`
+    SELECT COALESCE(MAX(id), 0) + 1 AS id, COALESCE(MAX(position), 0) + 1 AS position FROM ${RULES_TABLE};
+  `);
+  const id = Number(next[0].id);
+  await runSQL(`
+    INSERT INTO ${RULES_TABLE} (id, position, name, enabled, conditions_json, category, subcategory, created_at, updated_at)
+    VALUES (
+      ${id}, ${Number(next[0].position)}, ${q(rule.name)}, ${rule.enabled ? 'TRUE' : 'FALSE'},
+      ${q(JSON.stringify(rule.conditions))}, ${q(rule.category)}, ${q(rule.subcategory)}, now(), now()
+    );
+  `);
+  return getRule(id);
+}
+
+export async function updateRule(id, patch, opts) {
+  await ensureRulesTable();
+  const current = await getRule(id);
+  const rule = await validateRule({ ...current, ...patch }, opts);
+  await runSQL(`
+    UPDATE ${RULES_TABLE}
+    SET name = ${q(rule.name)},
+        enabled = ${rule.enabled ? 'TRUE' : 'FALSE'},
+        conditions_json = ${q(JSON.stringify(rule.conditions))},
+        category = ${q(rule.category)},
+        subcategory = ${q(rule.subcategory)},
+        updated_at = now()
+    WHERE id = ${Number(id)};
+  `);
+  return getRule(id);
+}
+
+export async function deleteRule(id) {
+  await ensureRulesTable();
+  await getRule(id);
+  await runSQL(`DELETE FROM ${RULES_TABLE} WHERE id = ${Number(id)};`);
+  return { ok: true, rules: await reorderRules([]) };
+}
+
+// Nouvel ordre : `ids` d'abord (dans cet ordre), puis les règles non citées dans leur ordre actuel
+export async function reorderRules(ids = []) {
+  await ensureRulesTable();
+  const current = await listRules();
+  const wanted = ids.map(Number).filter(id => current.some(r => r.id === id));
+  const order = [...new Set(wanted), ...current.map(r => r.id).filter(id => !wanted.includes(id))];
+  for (let i = 0; i < order.length; i++) {
+    await runSQL(`UPDATE ${RULES_TABLE} SET position = ${i + 1} WHERE id = ${order[i]};`);
+  }
+  return listRules();
+}
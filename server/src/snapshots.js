@@ -0,0 +1,379 @@
+// server/src/snapshots.js
+// Historique du catalogue : chaque build, import ou restauration enregistre un instantané nommé et daté
+// (taxonomie, classement des lignes, médianes des profils sous-catégorie × fournisseur).
+// Un instantané peut être restauré (catalog.restoreSnapshot) ou comparé à un autre (diffSnapshots).
+import { runSQL } from "./db.js";
+import { q } from "./utils/sql.js";
+
+const SNAPSHOTS_TABLE = "_meta_catalog_snapshots";
+const SNAPSHOTS_SEQUENCE = "_meta_catalog_snapshots_seq";
+const SNAPSHOT_LINES_TABLE = "_meta_catalog_snapshot_lines";
+const SNAPSHOT_PROFILES_TABLE = "_meta_catalog_snapshot_profiles";
+
+export const SNAPSHOT_KINDS = ["build", "import", "restore"];
+// Colonnes de catalog_line_map conservées (mêmes que l'export / import JSON)
+export const SNAPSHOT_LINE_COLUMNS = [
+  "order_no", "line_no", "category", "subcategory", "fournisseur", "text_hash",
+  "locked", "source", "rule_id", "confidence", "rationale", "model", "fallback",
+];
+const NAME_MAX_CHARS = 120;
+// Rétention : nombre d'instantanés gardés (les plus anciens sont supprimés) ; 0 = aucune limite
+const SNAPSHOTS_KEEP = Math.max(0, Number(process.env.CATALOG_SNAPSHOTS_KEEP ?? 30) || 0);
+const DIFF_LIMIT_DEFAULT = 200;
+const DIFF_LIMIT_MAX = 2000;
+
+export class SnapshotNotFoundError extends Error {
+  constructor(id) {
+    super(`Instantané du catalogue introuvable : ${id}`);
+    this.name = "SnapshotNotFoundError";
+  }
+}
+
+export class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SnapshotError";
+  }
+}
+
+async function ensureSnapshotTables() {
+  await runSQL(`CREATE SEQUENCE IF NOT EXISTS ${SNAPSHOTS_SEQUENCE} START 1;`);
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${SNAPSHOTS_TABLE} (
+      snapshot_id INTEGER PRIMARY KEY,
+      name VARCHAR,
+      kind VARCHAR,
+      mode VARCHAR,
+      taxonomy_source VARCHAR,
+      model VARCHAR,
+      taxonomy_json VARCHAR,
+      built_at TIMESTAMP,
+      created_at TIMESTAMP,
+      restored_from INTEGER,
+      n_lines INTEGER,
+      n_profiles INTEGER
+    );
+  `);
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${SNAPSHOT_LINES_TABLE} (
+      snapshot_id INTEGER,
+      order_no VARCHAR,
+      line_no VARCHAR,
+      category VARCHAR,
+      subcategory VARCHAR,
+      fournisseur VARCHAR,
+      text_hash VARCHAR,
+      locked BOOLEAN,
+      source VARCHAR,
+      rule_id INTEGER,
+      confidence DOUBLE,
+      rationale VARCHAR,
+      model VARCHAR,
+      fallback BOOLEAN
+    );
+  `);
+  // profils en flux nets (défaut des écrans), mêmes statistiques que listProfileStats
+  await runSQL(`
+    CREATE TABLE IF NOT EXISTS ${SNAPSHOT_PROFILES_TABLE} (
+      snapshot_id INTEGER,
+      category VARCHAR,
+      subcategory VARCHAR,
+      fournisseur VARCHAR,
+      n_payments INTEGER,
+      total DOUBLE,
+      median_delay INTEGER,
+      p25 INTEGER,
+      p75 INTEGER
+    );
+  `);
+}
+
+const subcategoryCount = (taxonomy) => taxonomy.reduce((n, t) => n + (t.subcategories?.length || 0), 0);
+
+function snapshotFromRow(r) {
+  const taxonomy = JSON.parse(r.taxonomy_json || "[]");
+  return {
+    id: Number(r.snapshot_id),
+    name: r.name,
+    kind: r.kind,
+    mode: r.mode || null,
+    taxonomySource: r.taxonomy_source || null,
+    model: r.model || null,
+    builtAt: r.built_at || null,
+    createdAt: r.created_at,
+    restoredFrom: r.restored_from == null ? null : Number(r.restored_from),
+    categories: taxonomy.length,
+    subcategories: subcategoryCount(taxonomy),
+    lines: Number(r.n_lines || 0),
+    profiles: Number(r.n_profiles || 0),
+  };
+}
+
+function defaultName({ kind, mode, taxonomySource, restoredName }) {
+  if (kind === "build") return `Build ${mode === "incremental" ? "incrémental" : "complet"} (${taxonomySource === "nha" ? "NHA" : "LLM"})`;
+  if (kind === "restore") return `Restauration de « ${restoredName} »`;
+  return "Import";
+}
+
+const cleanSnapshotName = (name) => {
+  const s = String(name ?? "").trim().slice(0, NAME_MAX_CHARS);
+  return s || null;
+};
+
+async function snapshotRow(id) {
+  const n = Number(id);
+  if (!Number.isInteger(n)) throw new SnapshotNotFoundError(id);
+  const rows = await runSQL(`SELECT * FROM ${SNAPSHOTS_TABLE} WHERE snapshot_id = ${n};`);
+  if (!rows.length) throw new SnapshotNotFoundError(id);
+  return rows[0];
+}
+
+/**
+ * Enregistre l'état courant (catalog_line_map, catalog_payments déjà à jour) comme instantané.
+ * kind : SNAPSHOT_KINDS ; name facultatif (sinon déduit du type) ; restoredFrom : id restauré.
+ */
+export async function recordSnapshot({ kind, name, mode = null, taxonomy = [], taxonomySource = null, model = null, builtAt = null, restoredFrom = null }) {
+  if (!SNAPSHOT_KINDS.includes(kind)) throw new SnapshotError(`Type d'instantané inconnu : ${kind}`);
+  await ensureSnapshotTables();
+  const restoredName = restoredFrom == null ? null : (await snapshotRow(restoredFrom)).name;
+  const label = cleanSnapshotName(name) || defaultName({ kind, mode, taxonomySource, restoredName });
+  const [{ id }] = await runSQL(`SELECT nextval('${SNAPSHOTS_SEQUENCE}') AS id;`);
+  const snapshotId = Number(id);
+  const cols = SNAPSHOT_LINE_COLUMNS.join(", ");
+
+  await runSQL(`BEGIN TRANSACTION;`);
+  try {
+    await runSQL(`
+      INSERT INTO ${SNAPSHOT_LINES_TABLE} (snapshot_id, ${cols})
+      SELECT ${snapshotId}, ${cols} FROM catalog_line_map;
+    `);
+    await runSQL(`
+      INSERT INTO ${SNAPSHOT_PROFILES_TABLE}
+      SELECT
+        ${snapshotId}, ANY_VALUE(category), subcategory, fournisseur,
+        CAST(COUNT(*) AS INT),
+        COALESCE(SUM(COALESCE(montant_net, montant)), 0),
+        CAST(quantile_cont(delay_days, 0.5) AS INT),
+        CAST(quantile_cont(delay_days, 0.25) AS INT),
+        CAST(quantile_cont(delay_days, 0.75) AS INT)
+      FROM catalog_payments
+      WHERE delay_days IS NOT NULL AND COALESCE(montant_net, montant) <> 0
+      GROUP BY subcategory, fournisseur;
+    `);
+    await runSQL(`
+      INSERT INTO ${SNAPSHOTS_TABLE}
+      SELECT
+        ${snapshotId}, ${q(label)}, ${q(kind)}, ${mode ? q(mode) : "NULL"},
+        ${taxonomySource ? q(taxonomySource) : "NULL"}, ${model ? q(model) : "NULL"},
+        ${q(JSON.stringify(taxonomy || []))},
+        ${builtAt ? `CAST(${q(new Date(builtAt).toISOString())} AS TIMESTAMP)` : "NULL"},
+        now(),
+        ${restoredFrom == null ? "NULL" : Number(restoredFrom)},
+        (SELECT CAST(COUNT(*) AS INT) FROM ${SNAPSHOT_LINES_TABLE} WHERE snapshot_id = ${snapshotId}),
+        (SELECT CAST(COUNT(*) AS INT) FROM ${SNAPSHOT_PROFILES_TABLE} WHERE snapshot_id = ${snapshotId});
+    `);
+    await runSQL(`COMMIT;`);
+  } catch (e) {
+    await runSQL(`ROLLBACK;`).catch(() => {});
+    throw e;
+  }
+  if (SNAPSHOTS_KEEP) {
+    const old = await runSQL(`SELECT snapshot_id FROM ${SNAPSHOTS_TABLE} ORDER BY snapshot_id DESC OFFSET ${SNAPSHOTS_KEEP};`);
+    if (old.length) await dropSnapshots(old.map(r => Number(r.snapshot_id)));
+  }
+  return snapshotFromRow(await snapshotRow(snapshotId));
+}
+
+// Supprime des instantanés (méta, lignes, profils) dans une transaction
+async function dropSnapshots(ids) {
+  const list = ids.join(", ");
+  await runSQL(`BEGIN TRANSACTION;`);
+  try {
+    for (const t of [SNAPSHOT_LINES_TABLE, SNAPSHOT_PROFILES_TABLE, SNAPSHOTS_TABLE]) {
+      await runSQL(`DELETE FROM ${t} WHERE snapshot_id IN (${list});`);
+    }
+    await runSQL(`COMMIT;`);
+  } catch (e) {
+    await runSQL(`ROLLBACK;`).catch(() => {});
+    throw e;
+  }
+}
+
+export async function deleteSnapshot(id) {
+  await ensureSnapshotTables();
+  const row = await snapshotRow(id);
+  await dropSnapshots([Number(row.snapshot_id)]);
+  return { ok: true, deleted: snapshotFromRow(row) };
+}
+
+// Instantanés, plus récents d'abord
+export async function listSnapshots({ limit = 100 } = {}) {
+  await ensureSnapshotTables();
+  const n = Math.max(1, Math.min(1000, Number(limit) || 100));
+  const rows = await runSQL(`SELECT * FROM ${SNAPSHOTS_TABLE} ORDER BY snapshot_id DESC LIMIT ${n};`);
+  return rows.map(snapshotFromRow);
+}
+
+export async function renameSnapshot(id, name) {
+  await ensureSnapshotTables();
+  const label = cleanSnapshotName(name);
+  if (!label) throw new SnapshotError("Nom de l'instantané requis.");
+  const row = await snapshotRow(id);
+  await runSQL(`UPDATE ${SNAPSHOTS_TABLE} SET name = ${q(label)} WHERE snapshot_id = ${Number(row.snapshot_id)};`);
+  return snapshotFromRow({ ...row, name: label });
+}
+
+/**
+ * Contenu d'un instantané pour la restauration : méta + taxonomie, et la requête qui relit
+ * ses lignes dans l'ordre de SNAPSHOT_LINE_COLUMNS (INSERT … SELECT côté catalogue).
+ */
+export async function getSnapshotForRestore(id) {
+  await ensureSnapshotTables();
+  const row = await snapshotRow(id);
+  return {
+    snapshot: snapshotFromRow(row),
+    taxonomy: JSON.parse(row.taxonomy_json || "[]"),
+    taxonomySource: row.taxonomy_source || null,
+    linesSql: `SELECT ${SNAPSHOT_LINE_COLUMNS.join(", ")} FROM ${SNAPSHOT_LINES_TABLE} WHERE snapshot_id = ${Number(row.snapshot_id)}`,
+  };
+}
+
+/* =========================================================
+   Comparaison de deux instantanés (from → to)
+   - taxonomie : catégories et sous-catégories ajoutées / retirées
+   - lignes : réaffectées (catégorie ou sous-catégorie changée), apparues, disparues ;
+     flux de réaffectation agrégés (sous-catégorie source → cible)
+   - profils : écart de médiane (jours) par sous-catégorie × fournisseur, profils apparus / disparus
+   Par défaut : to = dernier instantané, from = celui qui le précède.
+   ========================================================= */
+function taxonomyDiff(before, after) {
+  const cats = (t) => new Set(t.map(c => c.category));
+  const subs = (t) => new Map(t.flatMap(c => (c.subcategories || []).map(s => [`${c.category}|||${s}`, { category: c.category, subcategory: s }])));
+  const [cb, ca, sb, sa] = [cats(before), cats(after), subs(before), subs(after)];
+  return {
+    addedCategories: [...ca].filter(c => !cb.has(c)).sort(),
+    removedCategories: [...cb].filter(c => !ca.has(c)).sort(),
+    addedSubcategories: [...sa.entries()].filter(([k]) => !sb.has(k)).map(([, v]) => v),
+    removedSubcategories: [...sb.entries()].filter(([k]) => !sa.has(k)).map(([, v]) => v),
+  };
+}
+
+async function resolveDiffPair(from, to) {
+  const ids = (await runSQL(`SELECT snapshot_id FROM ${SNAPSHOTS_TABLE} ORDER BY snapshot_id DESC;`)).map(r => Number(r.snapshot_id));
+  const toRow = to == null || to === "" ? (ids.length ? await snapshotRow(ids[0]) : null) : await snapshotRow(to);
+  if (!toRow) throw new SnapshotError("Aucun instantané du catalogue : lancez un build ou importez un catalogue.");
+  let fromRow;
+  if (from == null || from === "") {
+    const prev = ids.find(i => i < Number(toRow.snapshot_id));
+    if (prev == null) throw new SnapshotError(`Aucun instantané antérieur à « ${toRow.name} » à comparer.`);
+    fromRow = await snapshotRow(prev);
+  } else {
+    fromRow = await snapshotRow(from);
+  }
+  if (Number(fromRow.snapshot_id) === Number(toRow.snapshot_id)) throw new SnapshotError("Choisissez deux instantanés différents.");
+  return [fromRow, toRow];
+}
+
+export async function diffSnapshots({ from, to, limit = DIFF_LIMIT_DEFAULT } = {}) {
+  await ensureSnapshotTables();
+  const [fromRow, toRow] = await resolveDiffPair(from, to);
+  const a = Number(fromRow.snapshot_id);
+  const b = Number(toRow.snapshot_id);
+  const n = Math.max(1, Math.min(DIFF_LIMIT_MAX, Number(limit) || DIFF_LIMIT_DEFAULT));
+
+  const lines = `
+    WITH l_from AS (SELECT * FROM ${SNAPSHOT_LINES_TABLE} WHERE snapshot_id = ${a}),
+    l_to AS (SELECT * FROM ${SNAPSHOT_LINES_TABLE} WHERE snapshot_id = ${b}),
+    joined AS (
+      SELECT
+        COALESCE(t.order_no, f.order_no) AS order_no,
+        COALESCE(t.line_no, f.line_no) AS line_no,
+        COALESCE(t.fournisseur, f.fournisseur) AS fournisseur,
+        f.category AS from_category, f.subcategory AS from_subcategory,
+        t.category AS to_category, t.subcategory AS to_subcategory,
+        t.source AS to_source, t.confidence AS to_confidence,
+        CASE
+          WHEN f.order_no IS NULL THEN 'added'
+          WHEN t.order_no IS NULL THEN 'removed'
+          WHEN f.category IS DISTINCT FROM t.category OR f.subcategory IS DISTINCT FROM t.subcategory THEN 'reassigned'
+          ELSE 'unchanged'
+        END AS status
+      FROM l_from f
+      FULL OUTER JOIN l_to t ON t.order_no = f.order_no AND t.line_no = f.line_no
+    )`;
+  const [counts] = await runSQL(`
+    ${lines}
+    SELECT
+      CAST(COUNT(*) FILTER (WHERE status = 'reassigned') AS INT) AS reassigned,
+      CAST(COUNT(*) FILTER (WHERE status = 'added') AS INT) AS added,
+      CAST(COUNT(*) FILTER (WHERE status = 'removed') AS INT) AS removed,
+      CAST(COUNT(*) FILTER (WHERE status = 'unchanged') AS INT) AS unchanged
+    FROM joined;
+  `);
+  const moves = await runSQL(`
+    ${lines}
+    SELECT from_category, from_subcategory, to_category, to_subcategory, CAST(COUNT(*) AS INT) AS lines
+    FROM joined
+    WHERE status = 'reassigned'
+    GROUP BY ALL
+    ORDER BY lines DESC, 1, 2, 3, 4
+    LIMIT ${n};
+  `);
+  const reassigned = await runSQL(`
+    ${lines}
+    SELECT order_no, line_no, fournisseur, from_category, from_subcategory, to_category, to_subcategory, to_source, to_confidence
+    FROM joined
+    WHERE status = 'reassigned'
+    ORDER BY from_category, from_subcategory, order_no, line_no
+    LIMIT ${n};
+  `);
+
+  const profiles = await runSQL(`
+    WITH p_from AS (SELECT * FROM ${SNAPSHOT_PROFILES_TABLE} WHERE snapshot_id = ${a}),
+    p_to AS (SELECT * FROM ${SNAPSHOT_PROFILES_TABLE} WHERE snapshot_id = ${b})
+    SELECT
+      COALESCE(t.category, f.category) AS category,
+      COALESCE(t.subcategory, f.subcategory) AS subcategory,
+      COALESCE(t.fournisseur, f.fournisseur) AS fournisseur,
+      f.n_payments AS from_n_payments, t.n_payments AS to_n_payments,
+      f.median_delay AS from_median, t.median_delay AS to_median,
+      t.median_delay - f.median_delay AS median_change,
+      CASE WHEN f.snapshot_id IS NULL THEN 'added'
+           WHEN t.snapshot_id IS NULL THEN 'removed'
+           ELSE 'changed' END AS status
+    FROM p_from f
+    FULL OUTER JOIN p_to t
+      ON t.subcategory IS NOT DISTINCT FROM f.subcategory AND t.fournisseur IS NOT DISTINCT FROM f.fournisseur
+    WHERE f.median_delay IS DISTINCT FROM t.median_delay
+    ORDER BY ABS(median_change) DESC NULLS LAST, status, 2, 3;
+  `);
+
+  const num = (v) => (v == null ? null : Number(v));
+  return {
+    from: snapshotFromRow(fromRow),
+    to: snapshotFromRow(toRow),
+    taxonomy: taxonomyDiff(JSON.parse(fromRow.taxonomy_json || "[]"), JSON.parse(toRow.taxonomy_json || "[]")),
+    lines: {
+      reassigned: Number(counts?.reassigned || 0),
+      added: Number(counts?.added || 0),
+      removed: Number(counts?.removed || 0),
+      unchanged: Number(counts?.unchanged || 0),
+    },
+    moves,
+    reassigned: reassigned.map(r => ({ ...r, to_confidence: num(r.to_confidence) })),
+    profiles: {
+      changed: profiles.filter(p => p.status === "changed").length,
+      added: profiles.filter(p => p.status === "added").length,
+      removed: profiles.filter(p => p.status === "removed").length,
+      rows: profiles.slice(0, n).map(p => ({
+        ...p,
+        from_n_payments: num(p.from_n_payments),
+        to_n_payments: num(p.to_n_payments),
+        from_median: num(p.from_median),
+        to_median: num(p.to_median),
+        median_change: num(p.median_change),
+      })),
+    },
+    truncated: Number(counts?.reassigned || 0) > n || moves.length >= n || profiles.length > n,
+  };
+}
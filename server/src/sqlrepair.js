@@ -0,0 +1,178 @@
+// server/src/sqlrepair.js
+// Boucle de réparation du SQL généré par le LLM pour le chat analytique :
+//   génération -> contrôle statique (bac à sable + colonnes vs getChatSchema()) -> exécution,
+//   et en cas d'échec on renvoie au modèle la requête fautive + l'erreur, jusqu'à SQL_REPAIR_MAX_RETRIES fois.
+import { checkReadOnlySQL, safeRun } from './db.js';
+import { suggestSQL } from './llm.js';
+
+const DEFAULT_MAX_RETRIES = Math.max(0, Number(process.env.SQL_REPAIR_MAX_RETRIES ?? 2) || 0);
+
+// Colonnes implicites toujours valides
+const IMPLICIT_COLUMNS = new Set(['rowid']);
+
+export class SqlValidationError extends Error {
+  constructor(message, { unknownColumns = [] } = {}) {
+    super(message);
+    this.name = 'SqlValidationError';
+    this.code = 'SQL_UNKNOWN_COLUMN';
+    this.unknownColumns = unknownColumns;
+  }
+}
+
+// Échec définitif après toutes les tentatives ; `attempts` = historique des essais ratés
+export class SqlRepairError extends Error {
+  constructor(attempts) {
+    const last = attempts[attempts.length - 1];
+    super(`Requête SQL toujours invalide après ${attempts.length} tentative(s) : ${last?.error || 'erreur inconnue'}`);
+    this.name = 'SqlRepairError';
+    this.code = last?.code || 'SQL_EXECUTION_ERROR';
+    this.attempts = attempts;
+  }
+}
+
+/* ---------- Contrôle statique ----------
+   Arbre syntaxique fourni par le bac à sable (checkReadOnlySQL : json_serialize_sql, sans exécution).
+   On relève tables (BASE_TABLE), CTE, alias et références de colonnes (COLUMN_REF),
+   puis on vérifie chaque colonne contre le schéma connu.
+----------------------------------------- */
+function walk(node, visit) {
+  if (Array.isArray(node)) {
+    for (const n of node) walk(n, visit);
+  } else if (node && typeof node === 'object') {
+    visit(node);
+    for (const v of Object.values(node)) walk(v, visit);
+  }
+}
+
+function collectRefs(tree) {
+  const refs = { tables: [], ctes: new Map(), aliases: new Set(), columns: [], opaque: false };
+  walk(tree, (n) => {
+    if (n.type === 'BASE_TABLE' && n.table_name) {
+      refs.tables.push({ name: n.table_name, alias: n.alias || '' });
+      for (const a of n.column_name_alias || []) refs.aliases.add(a.toLowerCase());
+    } else if (n.type === 'TABLE_FUNCTION' || n.type === 'EXPRESSION_LIST') {
+      // colonnes d'une fonction-table ou d'un VALUES : inconnues à ce stade
+      refs.opaque = true;
+      if (n.alias) refs.ctes.set(n.alias.toLowerCase(), true);
+      for (const a of n.column_name_alias || []) refs.aliases.add(a.toLowerCase());
+    } else if (n.type === 'SUBQUERY') {
+      if (n.alias) refs.ctes.set(n.alias.toLowerCase(), true);
+      for (const a of n.column_name_alias || []) refs.aliases.add(a.toLowerCase());
+    } else if (n.class === 'COLUMN_REF' && Array.isArray(n.column_names)) {
+      refs.columns.push(n.column_names);
+    } else if (n.class === 'LAMBDA') {
+      // paramètres de lambda (x -> …) : pas des colonnes
+      walk(n.lhs, (p) => { if (p.class === 'COLUMN_REF') refs.aliases.add(String(p.column_names?.at(-1) || '').toLowerCase()); });
+    }
+    if (n.alias && n.class) refs.aliases.add(String(n.alias).toLowerCase());
+    for (const c of n.cte_map?.map || []) {
+      refs.ctes.set(String(c.key).toLowerCase(), true);
+      for (const a of c.value?.aliases || []) refs.aliases.add(a.toLowerCase());
+    }
+  });
+  return refs;
+}
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function closestNames(name, candidates, max = 3) {
+  const n = name.toLowerCase();
+  return [...new Set(candidates)]
+    .map(c => ({ c, d: c.toLowerCase().includes(n) || n.includes(c.toLowerCase()) ? 1 : levenshtein(n, c.toLowerCase()) }))
+    .filter(x => x.d <= Math.max(2, Math.floor(n.length / 3)))
+    .sort((x, y) => x.d - y.d)
+    .slice(0, max)
+    .map(x => x.c);
+}
+
+/**
+ * Vérifie la requête (lecture seule, tables autorisées) puis ses références de colonnes.
+ * - schema : getChatSchema() -> { table: [{ name, type, original }] }
+ * Lève SqlSandboxError ou SqlValidationError (message destiné au LLM comme à l'utilisateur).
+ */
+export async function validateSQL(sql, schema = {}) {
+  const statements = await checkReadOnlySQL(sql);
+
+  const known = new Map(Object.entries(schema || {}).map(([t, cols]) => [t.toLowerCase(), cols.map(c => c.name)]));
+  const refs = collectRefs(statements);
+
+  // tables -> colonnes disponibles ; une table hors schéma (ni CTE) rend la vérification non fiable
+  const byQualifier = new Map();
+  const available = new Set([...refs.aliases, ...IMPLICIT_COLUMNS]);
+  let opaque = refs.opaque;
+  for (const t of refs.tables) {
+    const key = t.name.toLowerCase();
+    const cols = known.get(key);
+    if (!cols) {
+      if (!refs.ctes.has(key)) opaque = true;
+      continue;
+    }
+    for (const c of cols) available.add(c.toLowerCase());
+    byQualifier.set(key, cols);
+    if (t.alias) byQualifier.set(t.alias.toLowerCase(), cols);
+  }
+
+  const unknown = [];
+  for (const parts of refs.columns) {
+    const col = String(parts[parts.length - 1]).toLowerCase();
+    const qualifier = parts.length > 1 ? String(parts[parts.length - 2]).toLowerCase() : null;
+    const tableCols = qualifier ? byQualifier.get(qualifier) : null;
+    if (tableCols) {
+      if (!tableCols.some(c => c.toLowerCase() === col)) unknown.push({ ref: parts.join('.'), column: col, candidates: tableCols });
+    } else if (!qualifier && !opaque && !available.has(col)) {
+      unknown.push({ ref: parts.join('.'), column: col, candidates: [...available] });
+    }
+  }
+  if (!unknown.length) return { ok: true };
+
+  const seen = new Set();
+  const details = unknown
+    .filter(u => !seen.has(u.ref) && seen.add(u.ref))
+    .map(u => {
+      const near = closestNames(u.column, u.candidates);
+      return `${u.ref}${near.length ? ` (colonnes proches : ${near.join(', ')})` : ''}`;
+    });
+  throw new SqlValidationError(`Colonne(s) inconnue(s) : ${details.join(' ; ')}`, { unknownColumns: [...seen] });
+}
+
+/**
+ * Génère, contrôle et exécute la requête ; réessaie en renvoyant l'erreur au LLM.
+ * - maxRetries : nombre de corrections autorisées après le premier essai
+ * - maxRows : limite de lignes du bac à sable (défaut : SQL_MAX_ROWS)
+ * - onAttempt(a) : appelé à chaque essai raté { attempt, sql, stage: 'validate'|'run', code, error }
+ * Retourne { sql, rows, truncated, attempts } ; lève SqlRepairError si tous les essais échouent.
+ * Ne sont pas réessayés : une erreur du LLM lui-même (génération) et un dépassement de délai.
+ */
+export async function runWithRepair({ schema, question, history, maxRetries = DEFAULT_MAX_RETRIES, maxRows, onAttempt, signal } = {}) {
+  const attempts = [];
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const sql = await suggestSQL({ schema, question, history, attempts });
+    if (signal?.aborted) throw new Error('Requête annulée.');
+
+    let stage = 'validate';
+    try {
+      await validateSQL(sql, schema);
+      stage = 'run';
+      const { rows, truncated } = await safeRun(sql, { maxRows });
+      return { sql, rows, truncated, attempts };
+    } catch (e) {
+      const failed = { attempt, sql, stage, code: e?.code || 'SQL_EXECUTION_ERROR', error: String(e?.message || e) };
+      attempts.push(failed);
+      onAttempt?.(failed);
+      if (failed.code === 'SQL_TIMEOUT' || failed.code === 'SQL_BUSY') break;
+    }
+  }
+  throw new SqlRepairError(attempts);
+}
@@ -0,0 +1,355 @@
+// server/src/terms.js
+// Conditions de règlement contractuelles (table Détails, « Conditions règlement ») comparées aux
+// paiements réels : échéance de chaque facture, retard en jours, fiche fournisseur / sous-catégorie.
+// Le résultat par facture est la vue catalog_invoice_terms, interrogeable depuis le chat SQL.
+import { runSQL, bulkInsert, registerView } from "./db.js";
+import { esc, q, orderKeySql, lineKeySql, sqlDateFromAny } from "./utils/sql.js";
+
+export const TERMS_VIEW = "catalog_invoice_terms";
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+// Tolérance sur la part de la première facture pour la reconnaître comme l'acompte prévu
+const ADVANCE_TOLERANCE = 0.05;
+
+export class TermsNotBuiltError extends Error {
+  constructor() {
+    super("Analyse des conditions de règlement indisponible : lancez d'abord un build du catalogue.");
+    this.name = "TermsNotBuiltError";
+  }
+}
+
+/* =========================================================
+   Lecture des conditions (formats français courants)
+   - "60 jours net", "à 30 j date de facture"        → days
+   - "45 jours fin de mois" (+ "le 10")              → end_of_month "after" (+ day_of_month)
+   - "fin de mois + 45 jours", "fin de mois 45 j"    → end_of_month "before"
+   - "à réception", "comptant", "à la commande"      → 0 jour
+   - "acompte 30 %" (+ conditions du solde)          → advance_pct
+   Retourne null pour un libellé vide ; parsed = false si aucun délai n'est reconnu.
+   ========================================================= */
+const DAYS = "(\\d+)\\s*(?:jours?|j)\\b";
+
+export function parsePaymentTerms(text) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return null;
+  const s = raw.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/\s+/g, " ");
+  const out = { days: null, end_of_month: "none", day_of_month: null, advance_pct: null };
+
+  const adv = s.match(/acompte\s*(?:de\s*)?(\d+(?:[.,]\d+)?)\s*%/) || s.match(/(\d+(?:[.,]\d+)?)\s*%\s*(?:d'\s*|de\s*)?acompte/);
+  if (adv) out.advance_pct = Number(adv[1].replace(",", "."));
+  const rest = adv ? s.replace(adv[0], " ") : s;
+
+  let m;
+  if ((m = rest.match(new RegExp(`fin\\s+de\\s+mois\\s*(?:\\+|plus)?\\s*${DAYS}`)))) {
+    out.days = Number(m[1]);
+    out.end_of_month = "before";
+  } else if ((m = rest.match(new RegExp(`${DAYS}\\s*(?:net\\s*)?(?:,\\s*)?fin\\s+de\\s+mois(?:\\s+le\\s+(\\d+))?`)))) {
+    out.days = Number(m[1]);
+    out.end_of_month = "after";
+    if (m[2]) out.day_of_month = Number(m[2]);
+  } else if ((m = rest.match(new RegExp(DAYS)))) {
+    out.days = Number(m[1]);
+  } else if (/fin\s+de\s+mois/.test(rest)) {
+    out.days = 0;
+    out.end_of_month = "after";
+  } else if (/reception|comptant|immediat|a la commande/.test(rest)) {
+    out.days = 0;
+  }
+
+  return { ...out, parsed: out.days != null, label: termsLabel(out) };
+}
+
+// Libellé normalisé (regroupe les variantes d'écriture d'une même condition)
+function termsLabel(t) {
+  const parts = [];
+  if (t.advance_pct != null) parts.push(`acompte ${t.advance_pct} %`);
+  if (t.days != null) {
+    if (t.end_of_month === "before") parts.push(`fin de mois + ${t.days} j`);
+    else if (t.end_of_month === "after") {
+      parts.push(`${t.days ? `${t.days} j ` : ""}fin de mois${t.day_of_month ? ` le ${t.day_of_month}` : ""}`);
+    } else parts.push(t.days ? `${t.days} j net` : "à réception");
+  }
+  return parts.length ? parts.join(" + ") : "non reconnu";
+}
+
+/* =========================================================
+   Vue par facture
+   - facture : N° de facture des décaissements (sinon date de paiement), avoirs exclus, montants nets
+   - date de départ : date de facture, sinon date de livraison (promesse) si elle précède le paiement
+                      (une facture n'est pas payée avant d'être émise), sinon date de commande
+   - échéance : conditions lues ; acompte (1re facture dans la part prévue) dû à la commande ;
+                sans condition lisible, date d'échéance estimée de la table Détails
+   - lateness_days > 0 : payé en retard sur l'échéance
+   ========================================================= */
+const VIEW_COLUMNS = {
+  category: "catégorie du catalogue",
+  subcategory: "sous-catégorie du catalogue",
+  fournisseur: "fournisseur",
+  order_no: "n° de commande",
+  line_no: "n° de ligne de commande",
+  invoice_no: "n° de facture (date de paiement si absent)",
+  invoice_date: "date de facture",
+  order_date: "date de commande",
+  payment_date: "date du (dernier) paiement de la facture",
+  montant: "montant payé net des avoirs",
+  invoice_rank: "rang de la facture sur sa ligne (1 = première)",
+  line_share: "part de la facture dans le total payé de la ligne",
+  terms_raw: "conditions de règlement telles que saisies",
+  terms_label: "conditions de règlement normalisées",
+  terms_days: "délai contractuel en jours",
+  end_of_month: "fin de mois : none | after (N j fin de mois) | before (fin de mois + N j)",
+  day_of_month: "jour du mois suivant la fin de mois",
+  advance_pct: "acompte prévu (%)",
+  delivery_date: "date de livraison (promesse)",
+  due_estimate: "date d'échéance estimée (table Détails)",
+  is_advance: "facture d'acompte",
+  ref_source: "date de départ : facture | livraison | commande",
+  ref_date: "date de départ des conditions",
+  due_date: "échéance contractuelle",
+  due_source: "origine de l'échéance : conditions | acompte | estimation",
+  actual_delay_days: "délai réel en jours depuis la date de départ",
+  lateness_days: "retard en jours sur l'échéance (négatif = en avance)",
+};
+
+function viewSql() {
+  return `
+    CREATE OR REPLACE VIEW ${TERMS_VIEW} AS
+    WITH
+    inv AS (
+      SELECT
+        category, subcategory, fournisseur, order_no, line_no,
+        COALESCE(invoice_no, CAST(payment_date AS VARCHAR)) AS invoice_no,
+        MIN(invoice_date) AS invoice_date,
+        MIN(order_date) AS order_date,
+        MAX(payment_date) AS payment_date,
+        SUM(COALESCE(montant_net, montant)) AS montant
+      FROM catalog_payments
+      WHERE kind IS DISTINCT FROM 'credit_note'
+      GROUP BY 1, 2, 3, 4, 5, 6
+      HAVING SUM(COALESCE(montant_net, montant)) > 0
+    ),
+    ranked AS (
+      SELECT
+        *,
+        CAST(ROW_NUMBER() OVER (PARTITION BY order_no, line_no ORDER BY payment_date, invoice_no) AS INT) AS invoice_rank,
+        montant / NULLIF(SUM(montant) OVER (PARTITION BY order_no, line_no), 0) AS line_share
+      FROM inv
+    ),
+    based AS (
+      SELECT
+        r.*,
+        lt.terms_raw,
+        t.label AS terms_label,
+        t.days AS terms_days,
+        t.end_of_month,
+        t.day_of_month,
+        t.advance_pct,
+        lt.delivery_date,
+        lt.due_estimate,
+        COALESCE(t.advance_pct IS NOT NULL AND r.invoice_rank = 1 AND r.line_share <= t.advance_pct / 100 + ${ADVANCE_TOLERANCE}, FALSE) AS is_advance,
+        CASE
+          WHEN r.invoice_date IS NOT NULL THEN 'facture'
+          WHEN lt.delivery_date <= r.payment_date THEN 'livraison'
+          WHEN r.order_date IS NOT NULL THEN 'commande'
+        END AS ref_source,
+        CASE
+          WHEN r.invoice_date IS NOT NULL THEN r.invoice_date
+          WHEN lt.delivery_date <= r.payment_date THEN lt.delivery_date
+          ELSE r.order_date
+        END AS ref_date
+      FROM ranked r
+      LEFT JOIN catalog_line_terms lt ON lt.order_no = r.order_no AND lt.line_no = r.line_no
+      LEFT JOIN catalog_terms t ON t.terms_raw = lt.terms_raw
+    ),
+    due AS (
+      SELECT
+        *,
+        CASE
+          WHEN is_advance THEN order_date
+          WHEN terms_days IS NOT NULL AND ref_date IS NOT NULL THEN
+            CASE end_of_month
+              WHEN 'after' THEN CAST(last_day(ref_date + terms_days) AS DATE) + COALESCE(day_of_month, 0)
+              WHEN 'before' THEN CAST(last_day(ref_date) AS DATE) + terms_days
+              ELSE ref_date + terms_days
+            END
+          ELSE due_estimate
+        END AS due_date,
+        CASE
+          WHEN is_advance THEN 'acompte'
+          WHEN terms_days IS NOT NULL AND ref_date IS NOT NULL THEN 'conditions'
+          WHEN due_estimate IS NOT NULL THEN 'estimation'
+        END AS due_source
+      FROM based
+    )
+    SELECT
+      *,
+      datediff('day', ref_date, payment_date) AS actual_delay_days,
+      datediff('day', due_date, payment_date) AS lateness_days
+    FROM due;
+  `;
+}
+
+async function viewExists() {
+  const rows = await runSQL(`SELECT COUNT(*) AS n FROM information_schema.tables WHERE table_name = ${q(TERMS_VIEW)};`);
+  return Number(rows?.[0]?.n || 0) > 0;
+}
+
+// Déclare la vue au chat (colonnes + description pour le LLM) si elle existe
+export async function loadTermsView() {
+  if (!(await viewExists())) return { view: null };
+  const cols = await runSQL(`
+    SELECT column_name, data_type FROM information_schema.columns
+    WHERE table_name = ${q(TERMS_VIEW)}
+    ORDER BY ordinal_position;
+  `);
+  registerView(TERMS_VIEW, cols.map(c => ({ name: c.column_name, type: c.data_type, original: VIEW_COLUMNS[c.column_name] || null })));
+  return { view: TERMS_VIEW };
+}
+
+/* =========================================================
+   Build (appelé en fin de buildCatalog)
+   - catalog_terms      : libellés distincts et leur lecture
+   - catalog_line_terms : conditions et dates de la table Détails par ligne du catalogue
+   details : { table, cols } du rôle Détails (mapping.js) ou null
+   ========================================================= */
+export async function buildPaymentTerms(details) {
+  const T = details?.cols || {};
+  const usable = Boolean(details?.table && T.order_no && T.line_no && (T.terms || T.date_due || T.date_delivery));
+
+  await runSQL(`
+    CREATE OR REPLACE TABLE catalog_line_terms (
+      order_no VARCHAR, line_no VARCHAR, terms_raw VARCHAR, delivery_date DATE, due_estimate DATE
+    );
+  `);
+  if (usable) {
+    const col = (c) => `dtl."${esc(c)}"`;
+    const termsExpr = T.terms ? `NULLIF(TRIM(CAST(${col(T.terms)} AS VARCHAR)), '')` : "CAST(NULL AS VARCHAR)";
+    const dateOf = (c) => (c ? `CAST(${sqlDateFromAny(col(c))} AS DATE)` : "CAST(NULL AS DATE)");
+    await runSQL(`
+      INSERT INTO catalog_line_terms
+      SELECT
+        m.order_no,
+        m.line_no,
+        arg_max(${termsExpr}, dtl.rowid) FILTER (WHERE ${termsExpr} IS NOT NULL) AS terms_raw,
+        MIN(${dateOf(T.date_delivery)}) AS delivery_date,
+        MIN(${dateOf(T.date_due)}) AS due_estimate
+      FROM catalog_line_map m
+      JOIN "${esc(details.table)}" dtl
+        ON ${orderKeySql(col(T.order_no))} = ${orderKeySql("m.order_no")}
+       AND ${lineKeySql(col(T.line_no))} = ${lineKeySql("m.line_no")}
+      GROUP BY 1, 2;
+    `);
+  }
+
+  const distinct = await runSQL(`
+    SELECT terms_raw, CAST(COUNT(*) AS INT) AS lines
+    FROM catalog_line_terms
+    WHERE terms_raw IS NOT NULL
+    GROUP BY 1;
+  `);
+  await runSQL(`
+    CREATE OR REPLACE TABLE catalog_terms (
+      terms_raw VARCHAR, label VARCHAR, parsed BOOLEAN,
+      days INTEGER, end_of_month VARCHAR, day_of_month INTEGER, advance_pct DOUBLE
+    );
+  `);
+  const parsedRows = distinct.map(r => ({ raw: r.terms_raw, lines: Number(r.lines || 0), t: parsePaymentTerms(r.terms_raw) }));
+  await bulkInsert(
+    "catalog_terms",
+    ["terms_raw", "label", "parsed", "days", "end_of_month", "day_of_month", "advance_pct"],
+    parsedRows.map(({ raw, t }) => [raw, t.label, t.parsed, t.days, t.end_of_month, t.day_of_month, t.advance_pct])
+  );
+
+  await runSQL(viewSql());
+  await loadTermsView();
+
+  const withTerms = parsedRows.reduce((s, r) => s + r.lines, 0);
+  const unparsed = parsedRows.filter(r => !r.t.parsed);
+  return {
+    linesWithTerms: withTerms,
+    distinctTerms: parsedRows.length,
+    unparsedTerms: unparsed.length,
+    unparsedLines: unparsed.reduce((s, r) => s + r.lines, 0),
+  };
+}
+
+/* =========================================================
+   Fiche fournisseurs / sous-catégories
+   - retards moyens simple et pondéré au montant, médian, part payée à l'échéance
+   - seules les factures à échéance connue entrent dans les retards
+   ========================================================= */
+function scorecardSql(dimension, limit) {
+  return `
+    SELECT
+      ${dimension} AS name,
+      CAST(COUNT(*) AS INT) AS invoices,
+      CAST(COUNT(due_date) AS INT) AS with_due,
+      SUM(montant) AS montant,
+      AVG(lateness_days) AS avg_lateness,
+      SUM(lateness_days * montant) FILTER (WHERE lateness_days IS NOT NULL)
+        / NULLIF(SUM(montant) FILTER (WHERE lateness_days IS NOT NULL), 0) AS weighted_lateness,
+      quantile_cont(lateness_days, 0.5) AS median_lateness,
+      AVG(CASE WHEN lateness_days <= 0 THEN 1.0 ELSE 0.0 END) FILTER (WHERE lateness_days IS NOT NULL) AS on_time_share,
+      AVG(actual_delay_days) AS avg_actual_delay,
+      AVG(terms_days) FILTER (WHERE NOT is_advance) AS avg_terms_days,
+      mode(terms_label) AS main_terms
+    FROM ${TERMS_VIEW}
+    GROUP BY 1
+    ORDER BY with_due DESC, invoices DESC, name
+    LIMIT ${limit};
+  `;
+}
+
+const num = (v) => (v == null ? null : Number(v));
+const toScore = (r) => ({
+  name: r.name ?? null,
+  invoices: Number(r.invoices || 0),
+  withDue: Number(r.with_due || 0),
+  montant: Number(r.montant || 0),
+  avgLateness: num(r.avg_lateness),
+  weightedLateness: num(r.weighted_lateness),
+  medianLateness: num(r.median_lateness),
+  onTimeShare: num(r.on_time_share),
+  avgActualDelay: num(r.avg_actual_delay),
+  avgTermsDays: num(r.avg_terms_days),
+  mainTerms: r.main_terms ?? null,
+});
+
+export async function getTermsScorecard({ limit = DEFAULT_LIMIT } = {}) {
+  if (!(await viewExists())) throw new TermsNotBuiltError();
+  const max = Math.max(1, Math.min(MAX_LIMIT, Number(limit) || DEFAULT_LIMIT));
+
+  const totals = await runSQL(`
+    SELECT
+      CAST(COUNT(*) AS INT) AS invoices,
+      CAST(COUNT(due_date) AS INT) AS with_due,
+      CAST(COUNT(*) FILTER (WHERE due_source = 'conditions' OR due_source = 'acompte') AS INT) AS with_terms,
+      AVG(lateness_days) AS avg_lateness,
+      AVG(CASE WHEN lateness_days <= 0 THEN 1.0 ELSE 0.0 END) FILTER (WHERE lateness_days IS NOT NULL) AS on_time_share
+    FROM ${TERMS_VIEW};
+  `);
+  const suppliers = await runSQL(scorecardSql("fournisseur", max));
+  const subcategories = await runSQL(scorecardSql("subcategory", max));
+  const terms = await runSQL(`
+    SELECT t.terms_raw, t.label, t.parsed, CAST(COUNT(lt.line_no) AS INT) AS lines
+    FROM catalog_terms t
+    LEFT JOIN catalog_line_terms lt ON lt.terms_raw = t.terms_raw
+    GROUP BY 1, 2, 3
+    ORDER BY t.parsed, lines DESC, t.terms_raw;
+  `);
+
+  const t = totals?.[0] || {};
+  return {
+    view: TERMS_VIEW,
+    totals: {
+      invoices: Number(t.invoices || 0),
+      withDue: Number(t.with_due || 0),
+      withTerms: Number(t.with_terms || 0),
+      avgLateness: num(t.avg_lateness),
+      onTimeShare: num(t.on_time_share),
+    },
+    suppliers: suppliers.map(toScore),
+    subcategories: subcategories.map(toScore),
+    terms: terms.map(r => ({ raw: r.terms_raw, label: r.label, parsed: Boolean(r.parsed), lines: Number(r.lines || 0) })),
+  };
+}
@@ -0,0 +1,72 @@
+// server/src/utils/sql.js
+// Fragments SQL (DuckDB) partagés : échappement, clés normalisées, dates et montants robustes.
+
+export function esc(id) { return String(id).replace(/"/g, '""'); }
+export function q(v) { if (v == null) return "NULL"; return `'${String(v).replace(/'/g, "''")}'`; }
+
+/* ---------- Normalisation clés ---------- */
+export const normAlnum = (expr) => `
+  NULLIF( regexp_replace(upper(CAST(${expr} AS VARCHAR)), '[^0-9A-Z]+', '', 'g'), '' )
+`;
+
+// numérique "digits only" (en retirant les zéros de tête)
+export const normNum = (expr) => `
+  NULLIF(
+    regexp_replace(
+      regexp_replace(CAST(${expr} AS VARCHAR), '[^0-9]+', '', 'g'),
+      '^0+',
+      '',
+      'g'
+    ),
+    ''
+  )
+`;
+
+// entier de ligne robuste (1.0 -> 1, "Ligne 01" -> 1)
+export const normLineInt = (expr) => `
+  TRY_CAST(
+    regexp_extract(CAST(${expr} AS VARCHAR), '([0-9]+)', 1)
+  AS BIGINT)
+`;
+
+// entier de commande robuste (PO-6903033 / 6903033.0 / 006903033 -> 6903033)
+export const normOrderInt = (expr) => `
+  TRY_CAST(
+    regexp_extract(CAST(${expr} AS VARCHAR), '([0-9]+)', 1)
+  AS BIGINT)
+`;
+
+// clé de jointure entre tables sources : entier si le n° en contient un (6900001.0 = 6900001), sinon alphanumérique
+export const orderKeySql = (expr) => `COALESCE(CAST(${normOrderInt(expr)} AS VARCHAR), ${normAlnum(expr)})`;
+export const lineKeySql = (expr) => `COALESCE(CAST(${normLineInt(expr)} AS VARCHAR), ${normAlnum(expr)})`;
+
+/* ---------- Dates robustes ---------- */
+export function sqlDateFromAny(expr) {
+  return `
+    COALESCE(
+      TRY_CAST(${expr} AS DATE),
+      CAST(TRY_CAST(${expr} AS TIMESTAMP) AS DATE),
+      CAST(TRY_STRPTIME(CAST(${expr} AS VARCHAR), '%Y-%m-%d') AS DATE),
+      CAST(TRY_STRPTIME(CAST(${expr} AS VARCHAR), '%d/%m/%Y') AS DATE),
+      CAST(TRY_STRPTIME(CAST(${expr} AS VARCHAR), '%d-%m-%Y') AS DATE),
+      DATE '1899-12-30' + CAST(ROUND(CAST(${expr} AS DOUBLE)) AS INTEGER)
+    )
+  `;
+}
+
+/* ---------- Montants robustes ("1 234,56 €" -> 1234.56) ---------- */
+export function sqlAmountFromAny(expr) {
+  return `
+    TRY_CAST(
+      REPLACE(
+        regexp_replace(CAST(${expr} AS VARCHAR), '[^0-9,.\-]', '', 'g'),
+        ',',
+        '.'
+      )
+      AS DOUBLE
+    )
+  `;
+}
+
+/* ---------- SELECT dynamiques ---------- */
+export const selOrNull = (col, alias) => col ? `"${esc(col)}" AS ${alias}` : `NULL AS ${alias}`;
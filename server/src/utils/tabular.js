@@ -0,0 +1,240 @@
+// server/src/utils/tabular.js
+// Lecture des fichiers importés (XLSX multi-feuilles, CSV/TSV) en flux de lignes (tableaux de cellules),
+// détection de l'encodage, du séparateur et de la ligne d'en-tête (souvent décalée dans les exports ERP).
+// - CSV : décodé et découpé par morceaux, jamais converti en une seule chaîne ni en objets JS
+// - XLSX : SheetJS lit le classeur entier en mémoire (mode dense) ; seules les lignes sont produites
+//   à la demande. La taille des classeurs est bornée par la limite d'upload (UPLOAD_MAX_MB, index.js).
+
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+const HEADER_SCAN_ROWS = 30;
+const TYPE_SAMPLE_ROWS = 200;
+// Taille des morceaux d'octets décodés d'un CSV
+const CSV_CHUNK_BYTES = 1 << 20;
+
+/* ---------- Type de fichier ---------- */
+export function detectFileKind(buf, filename = '') {
+  if (/\.(csv|tsv|txt)$/i.test(filename)) return 'csv';
+  if (/\.(xlsx|xlsm|xls)$/i.test(filename)) return 'xlsx';
+  // signatures : zip (xlsx) / OLE (xls)
+  if (buf.length >= 4 && buf[0] === 0x50 && buf[1] === 0x4b) return 'xlsx';
+  if (buf.length >= 4 && buf[0] === 0xd0 && buf[1] === 0xcf && buf[2] === 0x11 && buf[3] === 0xe0) return 'xlsx';
+  return 'csv';
+}
+
+/* ---------- CSV : encodage + séparateur ---------- */
+// Texte d'un CSV par morceaux (TextDecoder en flux : caractères multi-octets à cheval sur deux morceaux gérés)
+export function* decodeChunks(buf, encoding, { fatal = false } = {}) {
+  const dec = new TextDecoder(encoding, { fatal });
+  for (let i = 0; i < buf.length; i += CSV_CHUNK_BYTES) {
+    yield dec.decode(buf.subarray(i, i + CSV_CHUNK_BYTES), { stream: true });
+  }
+  const tail = dec.decode();
+  if (tail) yield tail;
+}
+
+// Encodage (et octets de BOM à sauter) : BOM, sinon UTF-8 s'il est valide sur tout le fichier, sinon Windows-1252
+export function detectEncoding(buf) {
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return { encoding: 'utf-8', offset: 3 };
+  if (buf[0] === 0xff && buf[1] === 0xfe) return { encoding: 'utf-16le', offset: 2 };
+  if (buf[0] === 0xfe && buf[1] === 0xff) return { encoding: 'utf-16be', offset: 2 };
+  try {
+    for (const _chunk of decodeChunks(buf, 'utf-8', { fatal: true }));
+    return { encoding: 'utf-8', offset: 0 };
+  } catch {
+    // exports ERP : Latin-1 / Windows-1252
+    return { encoding: 'windows-1252', offset: 0 };
+  }
+}
+
+// Découpe RFC 4180 (guillemets doublés, retours à la ligne dans les champs), ligne par ligne.
+// chunks : texte entier ou itérable de morceaux (un "" ou un \r\n peut être coupé entre deux morceaux)
+export function* iterDelimited(chunks, delimiter) {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let quoteSeen = false; // guillemet dans un champ entre guillemets : fin du champ, ou "" si le suivant en est un
+  let afterCR = false;
+  for (const text of typeof chunks === 'string' ? [chunks] : chunks) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (afterCR) {
+        afterCR = false;
+        if (ch === '\n') continue;
+      }
+      if (quoteSeen) {
+        quoteSeen = false;
+        if (ch === '"') { field += '"'; continue; }
+        quoted = false;
+      }
+      if (quoted) {
+        if (ch === '"') quoteSeen = true; else field += ch;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field); field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        afterCR = ch === '\r';
+        row.push(field); field = '';
+        yield row; row = [];
+      } else field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); yield row; }
+}
+
+export const parseDelimited = (text, delimiter) => [...iterDelimited(text, delimiter)];
+
+// Séparateur le plus régulier (même nombre de colonnes > 1 sur les premières lignes)
+export function detectDelimiter(text) {
+  const sample = text.slice(0, 64 * 1024).split(/\r?\n/).filter(l => l.trim()).slice(0, 50).join('\n');
+  let best = { delimiter: ';', score: -1 };
+  for (const d of CSV_DELIMITERS) {
+    const widths = parseDelimited(sample, d).map(r => r.length).filter(w => w > 1);
+    if (!widths.length) continue;
+    const counts = new Map();
+    for (const w of widths) counts.set(w, (counts.get(w) || 0) + 1);
+    const [mode, freq] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    const score = freq * Math.log2(mode);
+    if (score > best.score) best = { delimiter: d, score };
+  }
+  return best.delimiter;
+}
+
+// Cellule texte CSV -> nombre (formats FR/EN) ou date ISO ; sinon chaîne (vide -> null)
+export function coerceCell(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  const d = s.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (d) return `${d[3]}-${d[2]}-${d[1]}${d[4] ? ` ${d[4]}:${d[5]}:${d[6] || '00'}` : ''}`;
+  // pas de conversion pour les codes à zéros significatifs (ex. 00123)
+  if (/^-?0\d+$/.test(s)) return s;
+  if (/^-?\d+([.,]\d+)?$/.test(s)) return Number(s.replace(',', '.'));
+  if (/^-?\d{1,3}([ \u00a0\u202f]\d{3})+(,\d+)?$/.test(s)) return Number(s.replace(/[ \u00a0\u202f]/g, '').replace(',', '.'));
+  return s;
+}
+
+// Lignes d'une feuille (mode dense : ws['!data'] en 0.19+, la feuille elle-même en 0.18)
+function* sheetRows(ws, utils) {
+  if (!ws?.['!ref']) return;
+  const range = utils.decode_range(ws['!ref']);
+  const data = ws['!data'] || (Array.isArray(ws) ? ws : null);
+  for (let R = range.s.r; R <= range.e.r; R++) {
+    const line = data ? data[R] : null;
+    const row = [];
+    for (let C = range.s.c; C <= range.e.c; C++) {
+      const cell = data ? line?.[C] : ws[utils.encode_cell({ r: R, c: C })];
+      row.push(cell && cell.t !== 'z' && cell.v !== undefined ? cell.v : null);
+    }
+    yield row;
+  }
+}
+
+/**
+ * Ouvre un fichier importé.
+ * Retourne { kind: 'xlsx'|'csv', encoding?, delimiter?, sheets: [{ name, rowCount?, rows() }] }
+ * où rows() produit un nouvel itérateur de lignes brutes (tableaux de cellules) à chaque appel.
+ */
+export async function openTabular(buf, { filename = '', delimiter, encoding } = {}) {
+  const kind = detectFileKind(buf, filename);
+  if (kind === 'csv') {
+    const enc = encoding ? { encoding, offset: 0 } : detectEncoding(buf);
+    const body = buf.subarray(enc.offset);
+    const chunks = () => decodeChunks(body, enc.encoding);
+    const sep = delimiter || (/\.tsv$/i.test(filename) ? '\t' : detectDelimiter(chunks().next().value || ''));
+    const name = String(filename || 'csv').replace(/\.[^.]+$/, '') || 'csv';
+    const rows = function* () {
+      for (const r of iterDelimited(chunks(), sep)) yield r.map(coerceCell);
+    };
+    return { kind, encoding: enc.encoding, delimiter: sep, sheets: [{ name, rows }] };
+  }
+  const { read, utils } = await import('xlsx');
+  // dense + sans texte formaté : empreinte mémoire réduite sur les gros classeurs
+  const wb = read(buf, { type: 'buffer', dense: true, cellText: false, cellHTML: false });
+  const sheets = wb.SheetNames.map(name => {
+    const ws = wb.Sheets[name];
+    const range = ws?.['!ref'] ? utils.decode_range(ws['!ref']) : null;
+    return { name, rowCount: range ? range.e.r - range.s.r + 1 : 0, rows: () => sheetRows(ws, utils) };
+  });
+  return { kind, sheets };
+}
+
+/* ---------- Ligne d'en-tête ----------
+   Les exports ERP commencent souvent par un titre, des filtres, une date d'extraction…
+   On retient la première ligne « pleine » (au moins la moitié des colonnes de la zone de données),
+   composée surtout de textes distincts, et suivie de lignes de largeur comparable.
+----------------------------------------- */
+const isFilled = (v) => v !== null && v !== undefined && String(v).trim() !== '';
+
+export function detectHeaderRow(matrix) {
+  const scan = matrix.slice(0, HEADER_SCAN_ROWS);
+  const widths = matrix.slice(0, HEADER_SCAN_ROWS * 3).map(r => (r || []).filter(isFilled).length);
+  const dataWidth = Math.max(0, ...widths);
+  if (!dataWidth) return 0;
+
+  let best = { index: 0, score: -Infinity };
+  scan.forEach((r, i) => {
+    const cells = (r || []).filter(isFilled);
+    if (cells.length < Math.max(2, Math.ceil(dataWidth / 2)) && dataWidth > 1) return;
+    const texts = cells.filter(v => typeof v === 'string' && !/^-?[\d\s.,/:-]+$/.test(v));
+    const distinct = new Set(cells.map(v => String(v).trim().toLowerCase())).size;
+    const next = widths.slice(i + 1, i + 4);
+    const following = next.length ? next.filter(w => w >= cells.length / 2).length / next.length : 0;
+    const score = texts.length / cells.length + distinct / cells.length + following + cells.length / dataWidth;
+    // à score égal, la première ligne l'emporte
+    if (score > best.score + 1e-9) best = { index: i, score };
+  });
+  return best.index;
+}
+
+/**
+ * Lignes brutes + ligne d'en-tête -> jeu de données { headers, sample, rows }.
+ * - headerRow : index de l'en-tête, ou null pour le détecter sur les premières lignes
+ * - sample : premières lignes de données (inférence des types) ; rows : itérateur de toutes les lignes de données
+ * Lignes = tableaux alignés sur headers. En-têtes vides -> "Colonne N" ; doublons suffixés (_2, _3…) ;
+ * lignes entièrement vides ignorées ; colonnes sans en-tête ni valeur dans l'échantillon retirées.
+ */
+export function openDataset(rowsIter, headerRow = null) {
+  const it = rowsIter[Symbol.iterator]();
+  const head = [];
+  const scanUntil = Math.max(HEADER_SCAN_ROWS * 3, (headerRow ?? 0) + 1);
+  for (let n = 0; n < scanUntil; n++) {
+    const next = it.next();
+    if (next.done) break;
+    head.push(next.value || []);
+  }
+  const hr = headerRow ?? detectHeaderRow(head);
+  const raw = head[hr] || [];
+
+  // complète l'échantillon de données après l'en-tête
+  const buffered = head.slice(hr + 1);
+  let filled = buffered.filter(r => r.some(isFilled)).length;
+  while (filled < TYPE_SAMPLE_ROWS) {
+    const next = it.next();
+    if (next.done) break;
+    buffered.push(next.value || []);
+    if (buffered[buffered.length - 1].some(isFilled)) filled++;
+  }
+
+  const width = buffered.reduce((w, r) => Math.max(w, r.length), raw.length);
+  const seen = new Map();
+  const all = [];
+  for (let i = 0; i < width; i++) {
+    let h = isFilled(raw[i]) ? String(raw[i]).trim() : `Colonne ${i + 1}`;
+    const n = (seen.get(h.toLowerCase()) || 0) + 1;
+    seen.set(h.toLowerCase(), n);
+    if (n > 1) h = `${h}_${n}`;
+    all.push(h);
+  }
+  const keep = all.map((h, i) => i).filter(i => isFilled(raw[i]) || buffered.some(r => isFilled(r[i])));
+  const pick = (r) => keep.map(i => (isFilled(r[i]) ? r[i] : null));
+
+  const sample = buffered.filter(r => r.some(isFilled)).map(pick);
+  function* rows() {
+    yield* sample;
+    for (let next = it.next(); !next.done; next = it.next()) {
+      const r = next.value || [];
+      if (r.some(isFilled)) yield pick(r);
+    }
+  }
+  return { headerRow: hr, head, headers: keep.map(i => all[i]), sample, rows: rows() };
+}
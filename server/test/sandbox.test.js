@@ -0,0 +1,49 @@
+// server/test/sandbox.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runSQL, registerView, safeRun, checkReadOnlySQL } from '../src/db.js';
+
+const secret = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-')), 'secret.csv');
+fs.writeFileSync(secret, 'a\n42\n');
+
+await runSQL('CREATE TABLE achats AS SELECT 1 AS order_no');
+registerView('achats', [{ name: 'order_no', type: 'BIGINT' }]);
+
+const rejected = (code) => (err) => err.code === code;
+
+test('une CTE ne vaut que dans sa portée (pas de lecture de fichier par son nom)', async () => {
+  await assert.rejects(
+    safeRun(`SELECT * FROM (WITH "${secret}" AS (SELECT 1 AS a) SELECT * FROM "${secret}") x, "${secret}" y`),
+    rejected('SQL_UNKNOWN_TABLE'),
+  );
+  await assert.rejects(
+    checkReadOnlySQL('SELECT * FROM (WITH _meta_schema AS (SELECT 1) SELECT * FROM _meta_schema) x, _meta_schema y'),
+    rejected('SQL_UNKNOWN_TABLE'),
+  );
+});
+
+test('le corps d\'une CTE ne voit ni elle-même ni les suivantes', async () => {
+  await assert.rejects(
+    checkReadOnlySQL('WITH _meta_schema AS (SELECT * FROM _meta_schema) SELECT * FROM _meta_schema'),
+    rejected('SQL_UNKNOWN_TABLE'),
+  );
+  await assert.rejects(
+    checkReadOnlySQL('WITH a AS (SELECT * FROM b), b AS (SELECT 1) SELECT * FROM a'),
+    rejected('SQL_UNKNOWN_TABLE'),
+  );
+});
+
+test('noms de table en forme de chemin refusés', async () => {
+  await assert.rejects(checkReadOnlySQL(`WITH "${secret}" AS (SELECT 1) SELECT * FROM "${secret}"`), rejected('SQL_UNKNOWN_TABLE'));
+});
+
+test('CTE imbriquées, successives et récursives acceptées', async () => {
+  const { rows } = await safeRun(`
+    WITH a AS (SELECT order_no FROM achats), b AS (SELECT * FROM a)
+    SELECT * FROM b, (WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM r WHERE n < 3) SELECT * FROM r) z
+  `);
+  assert.equal(rows.length, 3);
+});